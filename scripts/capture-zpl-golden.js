@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Manual, explicit script that (re)generates the ZPL encoder golden
+ * baseline in golden/zpl/. Same rules as scripts/capture-golden.js: never
+ * part of `npm test`, and a diff is only accepted through a deliberate
+ * `--update` run after reviewing it.
+ *
+ *   npm run golden:zpl:capture   # first capture (fails if golden/zpl/manifest.json already exists)
+ *   npm run golden:zpl:update    # explicit, deliberate re-capture of the baseline
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { CASES, renderCaseToZpl } = require('../tests/fixtures/zpl-golden-cases');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden', 'zpl');
+const MANIFEST_PATH = path.join(GOLDEN_DIR, 'manifest.json');
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function main() {
+  const isUpdate = process.argv.includes('--update');
+
+  if (fs.existsSync(MANIFEST_PATH) && !isUpdate) {
+    console.error(
+      `golden/zpl/manifest.json already exists. Use "npm run golden:zpl:update" if you deliberately ` +
+        `reviewed and accept a baseline change.`
+    );
+    process.exit(1);
+  }
+
+  fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+  const manifest = { capturedAt: new Date().toISOString(), nodeVersion: process.version, cases: {} };
+
+  for (const testCase of CASES) {
+    const zpl = renderCaseToZpl(testCase);
+    fs.writeFileSync(path.join(GOLDEN_DIR, `${testCase.name}.zpl`), zpl);
+    manifest.cases[testCase.name] = {
+      width: testCase.width,
+      height: testCase.height,
+      zplSha256: sha256(zpl),
+      zplBytes: zpl.length,
+    };
+    console.log(`captured ${testCase.name} -> zplSha256=${manifest.cases[testCase.name].zplSha256}`);
+  }
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`\nWrote ${MANIFEST_PATH}`);
+}
+
+main();
@@ -5,9 +5,11 @@ const { buildHelmetMiddleware, buildCorsMiddleware } = require('./middleware/sec
 const { buildRateLimitMiddleware } = require('./middleware/rateLimit');
 const { concurrencyLimitMiddleware } = require('./middleware/concurrencyLimit');
 const { requestLoggerMiddleware } = require('./middleware/requestLogger');
+const { tracingMiddleware } = require('./middleware/tracing');
 const { requestTimeoutMiddleware } = require('./middleware/requestTimeout');
 const { errorHandlerMiddleware } = require('./middleware/errorHandler');
 const healthRoutes = require('./routes/healthRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
 const legacyBadgeRoutes = require('./routes/legacyBadgeRoutes');
 const badgeV2Routes = require('./routes/badgeV2Routes');
 
@@ -19,13 +21,19 @@ const app = express();
 app.use(buildHelmetMiddleware());
 app.use(buildCorsMiddleware());
 app.use(requestLoggerMiddleware);
+app.use(tracingMiddleware);
 
-// /health fica fora de rate limit/concorrência para não afetar monitoramento.
+// /health e /metrics ficam fora de rate limit/concorrência para não afetar monitoramento.
 app.use(healthRoutes);
+app.use(metricsRoutes);
 
 app.use(
   express.json({
     limit: JSON_BODY_LIMIT,
+    // Corpo cru preservado para a verificação HMAC dos webhooks.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 app.use(requestTimeoutMiddleware(REQUEST_TIMEOUT_MS));
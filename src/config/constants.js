@@ -38,11 +38,66 @@ const DYNAMIC_VIRTUAL_HEIGHT = 500;
 const DYNAMIC_LAYOUT_SCHEMA_VERSION = 1;
 const DYNAMIC_LAYOUT_MAX_ELEMENTS = 12;
 
+// Estágio monocromático 1-bit (TSPL/ZPL sempre; PNG opcional).
+const MONOCHROME_DITHER_MODES = ['none', 'threshold', 'floyd-steinberg', 'bayer'];
+
+// Imposição multi-up em folha (`POST /v2/badges/sheet`). Tamanhos em mm,
+// retrato; `orientation: landscape` troca largura e altura.
+const SHEET_PAGE_SIZES_MM = {
+  A4: { width: 210, height: 297 },
+  Letter: { width: 215.9, height: 279.4 },
+};
+const SHEET_MAX_PARTICIPANTS = 50;
+const SHEET_PNG_DPI = 300;
+const SHEET_CROP_MARK_LENGTH_MM = 4;
+const SHEET_CROP_MARK_OFFSET_MM = 1.5;
+
+// Lote `POST /v2/badges/batch` (ZIP de PNGs + manifest.json).
+const BATCH_MAX_PARTICIPANTS = 100;
+
+// Renders em paralelo por requisição multi-etiqueta (folha/lote), além do
+// slot da própria requisição — cada worker extra só sobe se o limiter
+// global tiver slot livre.
+const MULTI_LABEL_MAX_PARALLEL_RENDERS = 4;
+
+// Marca d'água obrigatória de `POST /v2/badges/preview`.
+const PREVIEW_WATERMARK_TEXT = 'PREVIEW';
+
+// max-rows padrão do PostgREST: nenhuma consulta devolve mais linhas que
+// isso, qualquer que seja o `range` pedido.
+const POSTGREST_MAX_ROWS = 1000;
+
+// Jobs assíncronos `POST /v2/jobs`: teto de `participant_ids` por job,
+// página do modo `event_id` (uma única listagem, uma linha abaixo do
+// max-rows para a sonda de próxima página caber) e intervalo de nova
+// tentativa quando o limiter global não tem slot livre.
+const JOB_MAX_PARTICIPANTS = 1000;
+const JOB_EVENT_PAGE_SIZE = POSTGREST_MAX_ROWS - 1;
+const JOB_SLOT_POLL_MS = 50;
+
+// Webhook `POST /v2/cache/invalidate`: participantes por chamada,
+// tolerância (s) entre `X-Label-Timestamp` e o relógio local (anti-replay)
+// e timeout do repasse às demais instâncias.
+const CACHE_INVALIDATE_MAX_PARTICIPANTS = 1000;
+const WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS = 300;
+const CACHE_PEER_RELAY_TIMEOUT_MS = 2000;
+
 // Timeouts (docs/plano-motor-dinamico-etiquetas.md §3.7)
 const SUPABASE_OPERATION_TIMEOUT_MS = 2000;
 const DYNAMIC_FLOW_TOTAL_BUDGET_MS = 5000;
 const LOGO_FETCH_TIMEOUT_MS = 2000;
 
+// Pré-aquecimento de layouts: refaz a busca nesta fração do TTL do cache,
+// antes de a entrada expirar.
+const LAYOUT_WARMUP_TTL_FRACTION = 0.8;
+
+// Placar de renders dinâmicos por evento (`GET /v2/events/:eventId/render-stats`):
+// granularidade das janelas deslizantes, janelas sempre reportadas e
+// timeout do webhook de alerta de taxa de fallback.
+const RENDER_STATS_BUCKET_SECONDS = 10;
+const RENDER_STATS_WINDOWS_SECONDS = [300, 3600];
+const FALLBACK_ALERT_WEBHOOK_TIMEOUT_MS = 5000;
+
 // imageService (docs/plano-motor-dinamico-etiquetas.md §3.8)
 const LOGO_MAX_BYTES = 2 * 1024 * 1024;
 const LOGO_MAX_DIMENSION_PX = 4000;
@@ -65,6 +120,26 @@ module.exports = {
   DYNAMIC_VIRTUAL_HEIGHT,
   DYNAMIC_LAYOUT_SCHEMA_VERSION,
   DYNAMIC_LAYOUT_MAX_ELEMENTS,
+  MONOCHROME_DITHER_MODES,
+  SHEET_PAGE_SIZES_MM,
+  SHEET_MAX_PARTICIPANTS,
+  SHEET_PNG_DPI,
+  SHEET_CROP_MARK_LENGTH_MM,
+  SHEET_CROP_MARK_OFFSET_MM,
+  BATCH_MAX_PARTICIPANTS,
+  MULTI_LABEL_MAX_PARALLEL_RENDERS,
+  PREVIEW_WATERMARK_TEXT,
+  POSTGREST_MAX_ROWS,
+  JOB_MAX_PARTICIPANTS,
+  JOB_EVENT_PAGE_SIZE,
+  JOB_SLOT_POLL_MS,
+  CACHE_INVALIDATE_MAX_PARTICIPANTS,
+  WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS,
+  CACHE_PEER_RELAY_TIMEOUT_MS,
+  LAYOUT_WARMUP_TTL_FRACTION,
+  RENDER_STATS_BUCKET_SECONDS,
+  RENDER_STATS_WINDOWS_SECONDS,
+  FALLBACK_ALERT_WEBHOOK_TIMEOUT_MS,
   SUPABASE_OPERATION_TIMEOUT_MS,
   DYNAMIC_FLOW_TOTAL_BUDGET_MS,
   LOGO_FETCH_TIMEOUT_MS,
@@ -40,6 +40,24 @@ function parseRotationDegrees(value, defaultValue) {
   return [0, 90, 180, 270].includes(n) ? n : defaultValue;
 }
 
+/** `OTEL_EXPORTER_OTLP_HEADERS` no formato do OpenTelemetry: `k=v,k2=v2`. */
+function parseOtlpHeaders(value) {
+  const headers = {};
+  for (const pair of String(value || '').split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) continue;
+    headers[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+  }
+  return headers;
+}
+
+/** Endpoint específico de traces ou o base + `/v1/traces`; vazio = tracing desligado. */
+function resolveOtlpTracesEndpoint(tracesEndpoint, baseEndpoint) {
+  if (tracesEndpoint) return tracesEndpoint;
+  if (!baseEndpoint) return '';
+  return `${String(baseEndpoint).replace(/\/+$/, '')}/v1/traces`;
+}
+
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
 const env = {
@@ -58,6 +76,18 @@ const env = {
   LABEL_DYNAMIC_LAYOUT_ENABLED: parseBoolean(process.env.LABEL_DYNAMIC_LAYOUT_ENABLED, false),
   LABEL_DYNAMIC_EVENT_IDS: parseEventIdAllowlist(process.env.LABEL_DYNAMIC_EVENT_IDS),
   LABEL_API_KEY: process.env.LABEL_API_KEY || '',
+  // Bearer de GET /metrics (vazio = rota bloqueada).
+  LABEL_METRICS_TOKEN: process.env.LABEL_METRICS_TOKEN || '',
+  // Resultado de `GET /health/ready` reaproveitado por este tempo: a rota é
+  // pública e cada checagem real consulta o Supabase.
+  LABEL_READINESS_CACHE_SECONDS: parseIntOr(process.env.LABEL_READINESS_CACHE_SECONDS, 5),
+  // Segredo HMAC do webhook de invalidação de cache (vazio = rota bloqueada).
+  LABEL_WEBHOOK_SECRET: process.env.LABEL_WEBHOOK_SECRET || '',
+  // Nome DNS que resolve para todas as instâncias (no Render, o
+  // RENDER_DISCOVERY_SERVICE da rede privada): a invalidação recebida por
+  // uma instância é repassada às demais. Vazio = instância única.
+  LABEL_CACHE_PEERS_HOST: process.env.LABEL_CACHE_PEERS_HOST || process.env.RENDER_DISCOVERY_SERVICE || '',
+  LABEL_CACHE_PEERS_PORT: parseIntOr(process.env.LABEL_CACHE_PEERS_PORT, Number(process.env.PORT) || 3000),
   LABEL_LOGO_ALLOWED_HOSTS: parseHostAllowlist(process.env.LABEL_LOGO_ALLOWED_HOSTS),
   // Rotação só na saída de /badge dinâmico (contrato app/TSPL). Layout do
   // editor e /v2 permanecem na orientação de design (80x50). Default 90 =
@@ -71,9 +101,61 @@ const env = {
   LABEL_BADGE_OUTPUT_WIDTH_MM: parseIntOr(process.env.LABEL_BADGE_OUTPUT_WIDTH_MM, 50),
   LABEL_BADGE_OUTPUT_HEIGHT_MM: parseIntOr(process.env.LABEL_BADGE_OUTPUT_HEIGHT_MM, 80),
   LABEL_BADGE_PRINTER_DPI: parseIntOr(process.env.LABEL_BADGE_PRINTER_DPI, 203),
+  // Espaço entre etiquetas da bobina (comando GAP do TSPL em format=tspl).
+  LABEL_BADGE_GAP_MM: parseIntOr(process.env.LABEL_BADGE_GAP_MM, 2),
   LABEL_LAYOUT_CACHE_TTL_SECONDS: parseIntOr(process.env.LABEL_LAYOUT_CACHE_TTL_SECONDS, 60),
   LABEL_CONTEXT_CACHE_TTL_SECONDS: parseIntOr(process.env.LABEL_CONTEXT_CACHE_TTL_SECONDS, 60),
+  // Janela (após o TTL) em que o último layout publicado válido ainda é
+  // servido se a RPC falhar por timeout/indisponibilidade (0 desliga), e
+  // intervalo mínimo entre refreshes em background durante a queda.
+  LABEL_LAYOUT_STALE_GRACE_SECONDS: parseIntOr(process.env.LABEL_LAYOUT_STALE_GRACE_SECONDS, 900),
+  LABEL_LAYOUT_STALE_REFRESH_SECONDS: parseIntOr(process.env.LABEL_LAYOUT_STALE_REFRESH_SECONDS, 5),
+  // Pré-aquecimento do layout publicado no boot e antes do TTL vencer.
+  // Lista vazia = mesmos eventos de LABEL_DYNAMIC_EVENT_IDS.
+  LABEL_LAYOUT_WARMUP_ENABLED: parseBoolean(process.env.LABEL_LAYOUT_WARMUP_ENABLED, true),
+  LABEL_LAYOUT_WARMUP_EVENT_IDS: parseEventIdAllowlist(process.env.LABEL_LAYOUT_WARMUP_EVENT_IDS),
+  // Teto de entradas por cache (LRU) e intervalo da varredura de expirados.
+  LABEL_LAYOUT_CACHE_MAX_ENTRIES: parseIntOr(process.env.LABEL_LAYOUT_CACHE_MAX_ENTRIES, 500),
+  LABEL_CONTEXT_CACHE_MAX_ENTRIES: parseIntOr(process.env.LABEL_CONTEXT_CACHE_MAX_ENTRIES, 50000),
+  LABEL_CACHE_SWEEP_INTERVAL_SECONDS: parseIntOr(process.env.LABEL_CACHE_SWEEP_INTERVAL_SECONDS, 60),
+  // Cache de etiquetas renderizadas (opt-in): cifrado em memória, limitado
+  // por entradas e por MB, invalidado por versão de layout/dados.
+  LABEL_RENDER_CACHE_ENABLED: parseBoolean(process.env.LABEL_RENDER_CACHE_ENABLED, false),
+  LABEL_RENDER_CACHE_MAX_ENTRIES: parseIntOr(process.env.LABEL_RENDER_CACHE_MAX_ENTRIES, 500),
+  LABEL_RENDER_CACHE_MAX_MB: parseIntOr(process.env.LABEL_RENDER_CACHE_MAX_MB, 64),
+  LABEL_RENDER_CACHE_TTL_SECONDS: parseIntOr(process.env.LABEL_RENDER_CACHE_TTL_SECONDS, 600),
+  // Circuit breaker das consultas dinâmicas ao Supabase: abre após N falhas
+  // consecutivas (0 desliga), fica aberto por X segundos e então deixa
+  // passar sondas em meio-aberto.
+  LABEL_SUPABASE_BREAKER_FAILURE_THRESHOLD: parseIntOr(process.env.LABEL_SUPABASE_BREAKER_FAILURE_THRESHOLD, 5),
+  LABEL_SUPABASE_BREAKER_OPEN_SECONDS: parseIntOr(process.env.LABEL_SUPABASE_BREAKER_OPEN_SECONDS, 30),
+  LABEL_SUPABASE_BREAKER_HALF_OPEN_PROBES: parseIntOr(process.env.LABEL_SUPABASE_BREAKER_HALF_OPEN_PROBES, 1),
   LABEL_RATE_LIMIT_WINDOW_MS: parseIntOr(process.env.LABEL_RATE_LIMIT_WINDOW_MS, 60000),
+  // Jobs assíncronos (/v2/jobs): fila em processo. Renders de job disputam
+  // o mesmo limite de concorrência global, mas sempre deixam
+  // LABEL_JOB_RESERVED_SLOTS livres para o /badge interativo (no máximo
+  // LABEL_CONCURRENCY_LIMIT - 1, ver abaixo).
+  LABEL_JOB_MAX_PENDING: parseIntOr(process.env.LABEL_JOB_MAX_PENDING, 10),
+  LABEL_JOB_MAX_PARALLEL_RENDERS: parseIntOr(process.env.LABEL_JOB_MAX_PARALLEL_RENDERS, 2),
+  LABEL_JOB_RESERVED_SLOTS: parseIntOr(process.env.LABEL_JOB_RESERVED_SLOTS, 2),
+  LABEL_JOB_RESULT_TTL_SECONDS: parseIntOr(process.env.LABEL_JOB_RESULT_TTL_SECONDS, 900),
+  // Alerta de taxa de fallback do /badge por evento: dispara quando a janela
+  // tem ao menos MIN_RENDERS renders e THRESHOLD_PERCENT deles caíram no
+  // legado (0 desliga). Sem URL, o alerta só vai para o log.
+  LABEL_FALLBACK_ALERT_WEBHOOK_URL: process.env.LABEL_FALLBACK_ALERT_WEBHOOK_URL || '',
+  LABEL_FALLBACK_ALERT_THRESHOLD_PERCENT: parseIntOr(process.env.LABEL_FALLBACK_ALERT_THRESHOLD_PERCENT, 20),
+  LABEL_FALLBACK_ALERT_WINDOW_SECONDS: parseIntOr(process.env.LABEL_FALLBACK_ALERT_WINDOW_SECONDS, 300),
+  LABEL_FALLBACK_ALERT_MIN_RENDERS: parseIntOr(process.env.LABEL_FALLBACK_ALERT_MIN_RENDERS, 20),
+  LABEL_FALLBACK_ALERT_COOLDOWN_SECONDS: parseIntOr(process.env.LABEL_FALLBACK_ALERT_COOLDOWN_SECONDS, 900),
+
+  // Tracing (OTLP/HTTP JSON) — nomes de env padrão do OpenTelemetry.
+  OTEL_TRACES_ENDPOINT: resolveOtlpTracesEndpoint(
+    process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT,
+    process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+  ),
+  OTEL_EXPORTER_OTLP_HEADERS: parseOtlpHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+  OTEL_SERVICE_NAME: process.env.OTEL_SERVICE_NAME || 'creator-label',
+  OTEL_BSP_SCHEDULE_DELAY: parseIntOr(process.env.OTEL_BSP_SCHEDULE_DELAY, 5000),
 };
 
 /** Converte mm → dots da impressora térmica (TSPL). */
@@ -85,6 +167,12 @@ function mmToPrinterDots(mm, printerDpi) {
 const envDefaults = getRateLimitDefaults(env.NODE_ENV);
 env.LABEL_RATE_LIMIT_MAX = parseIntOr(process.env.LABEL_RATE_LIMIT_MAX, envDefaults.rateLimitMax);
 env.LABEL_CONCURRENCY_LIMIT = parseIntOr(process.env.LABEL_CONCURRENCY_LIMIT, envDefaults.concurrencyLimit);
+// Reserva do tamanho do limite deixaria os jobs esperando slot para sempre:
+// sobra ao menos um slot para eles (com limite 1, não há reserva).
+env.LABEL_JOB_RESERVED_SLOTS = Math.max(
+  0,
+  Math.min(env.LABEL_JOB_RESERVED_SLOTS, Math.max(1, env.LABEL_CONCURRENCY_LIMIT) - 1)
+);
 
 module.exports = {
   env,
@@ -93,5 +181,7 @@ module.exports = {
   parseHostAllowlist,
   parseIntOr,
   parseRotationDegrees,
+  parseOtlpHeaders,
+  resolveOtlpTracesEndpoint,
   mmToPrinterDots,
 };
@@ -0,0 +1,90 @@
+'use strict';
+
+const { validateBadgeBatchPayload } = require('../validators/requestValidator');
+const { isDynamicEngineConfigured } = require('../services/badgeService');
+const { listBatchParticipantIds, renderBadgeBatch } = require('../services/batchService');
+const { mapFallbackEligibleErrorToResponse } = require('./badgeV2Controller');
+const { failedManifestEntry } = require('./renderManifest');
+const { createZip } = require('../utils/zipWriter');
+const { NonFallbackError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+function badgeFileName(participantId) {
+  return `badges/${participantId}.png`;
+}
+
+/**
+ * ZIP com um PNG por participante renderizado e `manifest.json` com o
+ * status de cada item (mesma taxonomia de `/v2/badges/render`).
+ */
+function buildBatchZip(results, { eventId, nextOffset }, requestId) {
+  const files = [];
+  const items = results.map(({ participantId, buffer, error }) => {
+    if (error) return failedManifestEntry(participantId, error, requestId);
+    const file = badgeFileName(participantId);
+    files.push({ name: file, data: buffer });
+    return { participant_id: participantId, status: 'rendered', http_status: 200, file };
+  });
+
+  const manifest = {
+    ...(eventId !== undefined ? { event_id: eventId, next_offset: nextOffset } : {}),
+    requested: results.length,
+    rendered: files.length,
+    failed: results.length - files.length,
+    items,
+  };
+  files.push({ name: 'manifest.json', data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8') });
+  return createZip(files);
+}
+
+/**
+ * Lista os ids (modo `event_id`), renderiza e empacota o lote. Também é o
+ * trabalho dos jobs de `/v2/jobs`, que informam `pageSize` maior, o
+ * próprio agendamento dos renders (`mapItems`) e `onProgress`, chamado
+ * com `{ total, done, failed }` a cada etiqueta.
+ */
+async function renderBatchArchive(payload, requestId, { pageSize, mapItems, onProgress } = {}) {
+  const page =
+    payload.eventId !== undefined
+      ? { eventId: payload.eventId, ...(await listBatchParticipantIds(payload.eventId, payload.offset, pageSize)) }
+      : { participantIds: payload.participantIds };
+
+  const progress = { total: page.participantIds.length, done: 0, failed: 0 };
+  const onItemDone =
+    onProgress &&
+    ((result) => {
+      progress[result.error ? 'failed' : 'done'] += 1;
+      onProgress({ ...progress });
+    });
+  if (onProgress) onProgress({ ...progress });
+
+  const results = await renderBadgeBatch(page.participantIds, requestId, { mapItems, onItemDone });
+  return buildBatchZip(results, page, requestId);
+}
+
+async function handleBadgeBatch(req, res) {
+  try {
+    if (!isDynamicEngineConfigured()) {
+      return res.status(503).json({ error: 'dynamic label engine is not enabled on this deployment' });
+    }
+
+    const zip = await renderBatchArchive(validateBadgeBatchPayload(req.body), req.requestId);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="badges.zip"');
+    return res.send(zip);
+  } catch (err) {
+    if (err instanceof NonFallbackError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
+    // Só a listagem de `event_id` chega aqui com erro elegível (allowlist/Supabase).
+    if (err && err.fallbackEligible) {
+      const { status, body } = mapFallbackEligibleErrorToResponse(err);
+      return res.status(status).json(body);
+    }
+    logger.error('badge-batch:unexpected-error', { requestId: req.requestId, message: err && err.message });
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = { handleBadgeBatch, renderBatchArchive };
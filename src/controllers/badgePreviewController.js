@@ -0,0 +1,40 @@
+'use strict';
+
+const { validateBadgePreviewPayload } = require('../validators/requestValidator');
+const { isDynamicEngineConfigured } = require('../services/badgeService');
+const { renderLayoutPreview } = require('../services/previewService');
+const { mapFallbackEligibleErrorToResponse } = require('./badgeV2Controller');
+const { sendBadgeResponse } = require('./badgeResponse');
+const { NonFallbackError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * `POST /v2/badges/preview`: layout inválido é 400 com o motivo; erros do
+ * modo `participant_id` seguem a taxonomia de `/v2/badges/render`.
+ * Preview nunca é cacheado por quem está no meio do caminho.
+ */
+async function handleBadgePreview(req, res) {
+  try {
+    if (!isDynamicEngineConfigured()) {
+      return res.status(503).json({ error: 'dynamic label engine is not enabled on this deployment' });
+    }
+
+    const preview = validateBadgePreviewPayload(req.body);
+    const buffer = await renderLayoutPreview(preview, req.requestId);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return sendBadgeResponse(res, buffer, preview.outputFormat);
+  } catch (err) {
+    if (err instanceof NonFallbackError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
+    if (err && err.fallbackEligible) {
+      const { status, body } = mapFallbackEligibleErrorToResponse(err);
+      return res.status(status).json(body);
+    }
+    logger.error('badge-preview:unexpected-error', { requestId: req.requestId, message: err && err.message });
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = { handleBadgePreview };
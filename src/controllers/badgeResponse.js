@@ -0,0 +1,53 @@
+'use strict';
+
+const { OUTPUT_FORMATS } = require('../services/labelOutputService');
+
+/**
+ * Qual motor gerou a etiqueta, para o app e o suporte verem o motivo de um
+ * crachá sair com o visual legado sem ler log: `labelInfo` =
+ * `{ engine: 'dynamic'|'legacy', layoutVersionId?, layoutStaleSeconds?,
+ * fallbackReason? }` — `layoutStaleSeconds` quando o layout publicado veio
+ * do stale-if-error durante uma queda do Supabase.
+ */
+function setLabelEngineHeaders(res, labelInfo) {
+  res.setHeader('X-Label-Engine', labelInfo.engine);
+  if (labelInfo.layoutVersionId !== undefined) {
+    res.setHeader('X-Label-Layout-Version', String(labelInfo.layoutVersionId));
+  }
+  if (labelInfo.layoutStaleSeconds !== undefined) {
+    res.setHeader('X-Label-Layout-Stale-Seconds', String(labelInfo.layoutStaleSeconds));
+  }
+  if (labelInfo.fallbackReason) {
+    res.setHeader('X-Label-Fallback-Reason', labelInfo.fallbackReason);
+  }
+}
+
+/**
+ * Resposta HTTP comum a `/badge` e `/v2/badges/render`. Base64 mantém o
+ * envelope do contrato legado, acrescido (depois dos campos legados) dos
+ * mesmos metadados de `labelInfo` que vão nos headers; os demais formatos
+ * devolvem os bytes crus com o Content-Type de `OUTPUT_FORMATS`.
+ */
+function sendBadgeResponse(res, buffer, outputFormat, labelInfo) {
+  if (labelInfo) setLabelEngineHeaders(res, labelInfo);
+
+  if (outputFormat === 'base64') {
+    const base64String = buffer.toString('base64');
+    const dataUri = `data:image/png;base64,${base64String}`;
+    res.setHeader('Content-Type', 'application/json');
+    return res.json({
+      success: true,
+      format: 'base64',
+      data: base64String,
+      dataUri,
+      mimeType: 'image/png',
+      ...labelInfo,
+    });
+  }
+  const { contentType, filename } = OUTPUT_FORMATS[outputFormat] || OUTPUT_FORMATS.png;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  return res.send(buffer);
+}
+
+module.exports = { sendBadgeResponse, setLabelEngineHeaders };
@@ -0,0 +1,63 @@
+'use strict';
+
+const { validateBadgeSheetPayload } = require('../validators/requestValidator');
+const { isDynamicEngineConfigured } = require('../services/badgeService');
+const { renderBadgeSheet } = require('../services/sheetService');
+const { computeSheetGrid } = require('../renderers/sheetImposition');
+const { failedManifestEntry } = require('./renderManifest');
+const { NonFallbackError, InvalidRequestError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const SHEET_MIME_TYPES = { pdf: 'application/pdf', png: 'image/png' };
+
+function toManifestEntry(placement, requestId) {
+  const { participantId, error } = placement;
+  if (error) return failedManifestEntry(participantId, error, requestId);
+  return {
+    participant_id: participantId,
+    status: 'rendered',
+    page: placement.page,
+    row: placement.row,
+    column: placement.column,
+  };
+}
+
+async function handleBadgeSheet(req, res) {
+  try {
+    if (!isDynamicEngineConfigured()) {
+      return res.status(503).json({ error: 'dynamic label engine is not enabled on this deployment' });
+    }
+
+    const { participantIds, outputFormat, template } = validateBadgeSheetPayload(req.body);
+    const grid = computeSheetGrid(template);
+    if (outputFormat === 'png' && participantIds.length > grid.slots.length) {
+      throw new InvalidRequestError(
+        `format "png" produces a single page; use "pdf" for more than ${grid.slots.length} participants`
+      );
+    }
+
+    const { buffer, pageCount, placements } = await renderBadgeSheet(participantIds, grid, outputFormat, req.requestId);
+    const manifest = placements.map((placement) => toManifestEntry(placement, req.requestId));
+
+    if (!buffer) {
+      return res.status(422).json({ error: 'none of the participants could be rendered', code: 'SheetEmpty', manifest });
+    }
+
+    return res.json({
+      success: true,
+      format: outputFormat,
+      mimeType: SHEET_MIME_TYPES[outputFormat],
+      pages: pageCount,
+      data: buffer.toString('base64'),
+      manifest,
+    });
+  } catch (err) {
+    if (err instanceof NonFallbackError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
+    logger.error('badge-sheet:unexpected-error', { requestId: req.requestId, message: err && err.message });
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = { handleBadgeSheet };
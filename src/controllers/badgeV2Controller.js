@@ -1,12 +1,19 @@
 'use strict';
 
 const { validateBadgeV2Payload } = require('../validators/requestValidator');
-const { renderDynamicLabel, isDynamicEngineConfigured } = require('../services/badgeService');
+const {
+  renderDynamicLabel,
+  isDynamicEngineConfigured,
+  getPrinterOutputOptions,
+} = require('../services/badgeService');
+const { isPrinterFormat } = require('../services/labelOutputService');
+const { sendBadgeResponse } = require('./badgeResponse');
 const {
   ParticipantContextNotFoundError,
   EventIdMissingError,
   EventNotAllowlistedError,
   LayoutNotPublishedError,
+  LayoutVersionNotFoundError,
   LayoutInvalidError,
   LabelDataUnavailableError,
   SupabaseTimeoutError,
@@ -24,10 +31,12 @@ const NOT_FOUND_ERRORS = [
   EventIdMissingError,
   EventNotAllowlistedError,
   LayoutNotPublishedError,
+  LayoutVersionNotFoundError,
   LabelDataUnavailableError,
 ];
 const UNAVAILABLE_ERRORS = [SupabaseTimeoutError, SupabaseUnavailableError, DynamicFlowBudgetExceededError];
 
+/** Também usado pelos manifestos por participante (folha multi-up). */
 function mapFallbackEligibleErrorToResponse(err) {
   if (err instanceof LayoutInvalidError) {
     return { status: 502, body: { error: 'published layout is invalid', code: err.code } };
@@ -47,23 +56,23 @@ async function handleBadgeV2Render(req, res) {
       return res.status(503).json({ error: 'dynamic label engine is not enabled on this deployment' });
     }
 
-    const { participantId, outputFormat } = validateBadgeV2Payload(req.body);
-    const { pngBuffer } = await renderDynamicLabel(participantId, req.requestId);
-
-    if (outputFormat === 'base64') {
-      const base64String = pngBuffer.toString('base64');
-      return res.status(200).json({
-        success: true,
-        format: 'base64',
-        data: base64String,
-        dataUri: `data:image/png;base64,${base64String}`,
-        mimeType: 'image/png',
-      });
-    }
+    const { participantId, outputFormat, ditherMode, layoutVersionId } = validateBadgeV2Payload(req.body);
+    // PNG/Base64 ficam na orientação de design; TSPL/ZPL vão direto para a
+    // impressora e por isso seguem o mesmo contrato de bobina do `/badge`.
+    const printerOptions = isPrinterFormat(outputFormat) ? getPrinterOutputOptions() : {};
+    const { buffer, versionId, layoutStaleSeconds } = await renderDynamicLabel(participantId, req.requestId, {
+      ...printerOptions,
+      outputFormat,
+      ditherMode,
+      layoutVersionId,
+    });
 
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Content-Disposition', 'inline; filename="badge.png"');
-    return res.send(pngBuffer);
+    // Versão efetivamente usada (a publicada, sem `layout_version_id`).
+    return sendBadgeResponse(res, buffer, outputFormat, {
+      engine: 'dynamic',
+      layoutVersionId: versionId,
+      layoutStaleSeconds,
+    });
   } catch (err) {
     if (err instanceof NonFallbackError) {
       return res.status(err.statusCode).json({ error: err.message, code: err.code });
@@ -77,4 +86,4 @@ async function handleBadgeV2Render(req, res) {
   }
 }
 
-module.exports = { handleBadgeV2Render };
+module.exports = { handleBadgeV2Render, mapFallbackEligibleErrorToResponse };
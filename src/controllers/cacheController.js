@@ -0,0 +1,63 @@
+'use strict';
+
+const { invalidatePublishedLayout } = require('../repositories/labelRpcRepository');
+const { invalidateParticipantContexts } = require('../repositories/participantRepository');
+const { relayInvalidationToPeers, isRelayedInvalidation } = require('../services/cachePeerService');
+const { clearRenderCache } = require('../services/badgeService');
+const { validateCacheInvalidatePayload } = require('../validators/requestValidator');
+const { NonFallbackError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * `POST /v2/cache/invalidate` (webhook assinado do credenciamento): ao
+ * publicar um layout ou mover participantes de evento, o efeito é
+ * imediato em vez de esperar o TTL. Os caches são por instância: a que
+ * recebe o webhook invalida os próprios e repassa às demais
+ * (`cachePeerService`). Se alguma não foi alcançada, responde `502` para
+ * o credenciamento reenviar — invalidar de novo é inofensivo. O cache de
+ * etiquetas renderizadas é esvaziado inteiro (a chave é HMAC, não dá para
+ * achar as entradas do evento): logo trocada na mesma URL não muda o
+ * fingerprint e só sairia no TTL.
+ */
+async function handleCacheInvalidate(req, res) {
+  try {
+    const { eventId, participantIds } = validateCacheInvalidatePayload(req.body);
+    if (eventId !== undefined) invalidatePublishedLayout(eventId);
+    invalidateParticipantContexts(participantIds);
+    clearRenderCache();
+
+    const relayed = isRelayedInvalidation(req);
+    const peers = relayed ? { notified: 0, failed: 0 } : await relayInvalidationToPeers(req.rawBody, req.requestId);
+    logger.info('cache:invalidated', {
+      requestId: req.requestId,
+      eventId,
+      participants: participantIds.length,
+      relayed,
+      peersNotified: peers.notified,
+      peersFailed: peers.failed,
+    });
+    const body = {
+      invalidated: {
+        event_id: eventId === undefined ? null : eventId,
+        participants: participantIds.length,
+      },
+      peers,
+    };
+    if (peers.failed > 0) {
+      return res.status(502).json({
+        error: 'cache invalidation did not reach every instance',
+        code: 'CachePeerRelayFailed',
+        ...body,
+      });
+    }
+    return res.json(body);
+  } catch (err) {
+    if (err instanceof NonFallbackError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
+    logger.error('cache:invalidate-unexpected-error', { requestId: req.requestId, message: err && err.message });
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = { handleCacheInvalidate };
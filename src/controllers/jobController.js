@@ -0,0 +1,138 @@
+'use strict';
+
+const { env } = require('../config/env');
+const { validateJobPayload } = require('../validators/requestValidator');
+const { isDynamicEngineConfigured, isUuid } = require('../services/badgeService');
+const { jobQueue } = require('../services/jobQueue');
+const { renderBatchArchive } = require('./badgeBatchController');
+const { mapFallbackEligibleErrorToResponse } = require('./badgeV2Controller');
+const { limiter } = require('../middleware/concurrencyLimit');
+const { mapInBackground } = require('../utils/concurrency');
+const { NonFallbackError, NotFoundError, ConflictError } = require('../utils/errors');
+const { JOB_EVENT_PAGE_SIZE, JOB_SLOT_POLL_MS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/** Renders de job: nunca ocupam os `LABEL_JOB_RESERVED_SLOTS` do /badge. */
+function mapJobItems(items, fn) {
+  return mapInBackground(
+    items,
+    limiter,
+    {
+      maxWorkers: env.LABEL_JOB_MAX_PARALLEL_RENDERS,
+      reservedSlots: env.LABEL_JOB_RESERVED_SLOTS,
+      pollMs: JOB_SLOT_POLL_MS,
+    },
+    fn
+  );
+}
+
+/** Falha do job inteiro (só a listagem de `event_id` chega aqui). */
+function describeJobFailure(err, requestId) {
+  if (err instanceof NonFallbackError) {
+    return { http_status: err.statusCode, error: err.message, code: err.code };
+  }
+  if (err && err.fallbackEligible) {
+    const { status, body } = mapFallbackEligibleErrorToResponse(err);
+    return { http_status: status, ...body };
+  }
+  logger.error('jobs:batch-unexpected-error', { requestId, message: err && err.message });
+  return { http_status: 500, error: 'Internal Server Error' };
+}
+
+function batchJob(payload, requestId) {
+  return async (reportProgress) => {
+    try {
+      const result = await renderBatchArchive(payload, requestId, {
+        pageSize: JOB_EVENT_PAGE_SIZE,
+        mapItems: mapJobItems,
+        onProgress: reportProgress,
+      });
+      return { result };
+    } catch (err) {
+      return { failure: describeJobFailure(err, requestId) };
+    }
+  };
+}
+
+function toIso(ms) {
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+function jobLinks(id) {
+  return { status_url: `/v2/jobs/${id}`, result_url: `/v2/jobs/${id}/result` };
+}
+
+function serializeJob(job) {
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    ...(job.failure ? { failure: job.failure } : {}),
+    created_at: toIso(job.createdAt),
+    started_at: toIso(job.startedAt),
+    finished_at: toIso(job.finishedAt),
+    expires_at: toIso(job.expiresAt),
+    ...jobLinks(job.id),
+  };
+}
+
+async function findJob(id) {
+  const job = isUuid(id) ? await jobQueue.get(id) : null;
+  if (!job) throw new NotFoundError('job not found or expired', 'JobNotFound');
+  return job;
+}
+
+function sendJobError(req, res, err, event) {
+  if (err instanceof NonFallbackError) {
+    return res.status(err.statusCode).json({ error: err.message, code: err.code });
+  }
+  logger.error(event, { requestId: req.requestId, message: err && err.message });
+  return res.status(500).json({ error: 'Internal Server Error' });
+}
+
+/** `POST /v2/jobs` — enfileira e responde 202 com os links de acompanhamento. */
+async function handleCreateJob(req, res) {
+  try {
+    if (!isDynamicEngineConfigured()) {
+      return res.status(503).json({ error: 'dynamic label engine is not enabled on this deployment' });
+    }
+
+    const { type, ...payload } = validateJobPayload(req.body);
+    const job = await jobQueue.enqueue(type, batchJob(payload, req.requestId), req.requestId);
+
+    res.setHeader('Location', `/v2/jobs/${job.id}`);
+    return res.status(202).json(serializeJob(job));
+  } catch (err) {
+    return sendJobError(req, res, err, 'jobs:create-unexpected-error');
+  }
+}
+
+/** `GET /v2/jobs/:id` — status e progresso `{ total, done, failed }`. */
+async function handleGetJob(req, res) {
+  try {
+    return res.json(serializeJob(await findJob(req.params.id)));
+  } catch (err) {
+    return sendJobError(req, res, err, 'jobs:status-unexpected-error');
+  }
+}
+
+/** `GET /v2/jobs/:id/result` — o ZIP do lote, só com o job `completed`. */
+async function handleGetJobResult(req, res) {
+  try {
+    const job = await findJob(req.params.id);
+    if (job.status !== 'completed') {
+      throw new ConflictError(`job is ${job.status}, result is only available once completed`, 'JobNotCompleted');
+    }
+    const archive = await jobQueue.getResult(job.id);
+    if (!archive) throw new NotFoundError('job not found or expired', 'JobNotFound');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="badges.zip"');
+    return res.send(archive);
+  } catch (err) {
+    return sendJobError(req, res, err, 'jobs:result-unexpected-error');
+  }
+}
+
+module.exports = { handleCreateJob, handleGetJob, handleGetJobResult };
@@ -4,10 +4,13 @@ const {
   clamp,
   parseExtraAnswers,
   displayLineFromExtraAnswers,
-  renderBadgePng,
+  renderBadgeCanvas,
 } = require('../renderers/legacyLabelRenderer');
 const { fetchLegacyParticipant, isLegacySupabaseConfigured } = require('../repositories/participantRepository');
-const { tryRenderDynamic } = require('../services/badgeService');
+const { tryRenderDynamic, labelRendersTotal } = require('../services/badgeService');
+const { encodeLabelOutput } = require('../services/labelOutputService');
+const { sendBadgeResponse, setLabelEngineHeaders } = require('./badgeResponse');
+const { traceSpan } = require('../utils/tracing');
 const {
   MIN_DPI,
   MAX_DPI,
@@ -16,6 +19,7 @@ const {
   MM_HEIGHT,
   DEFAULT_MAX_CHARS_LINE1,
   DEFAULT_MAX_CHARS_LINE2,
+  MONOCHROME_DITHER_MODES,
 } = require('../config/constants');
 
 function toNum(v, fallback) {
@@ -53,7 +57,11 @@ function parseParams(req) {
   }
 
   const format = typeof source.format === 'string' ? source.format.toLowerCase() : 'png';
-  const outputFormat = ['png', 'base64'].includes(format) ? format : 'png';
+  const outputFormat = ['png', 'base64', 'tspl', 'zpl', 'pdf'].includes(format) ? format : 'png';
+
+  // Estágio monocromático opcional; valor desconhecido é ignorado (PNG RGBA).
+  const dither = typeof source.dither === 'string' ? source.dither.toLowerCase() : undefined;
+  const ditherMode = MONOCHROME_DITHER_MODES.includes(dither) ? dither : undefined;
 
   const maxCharsLine1 =
     source.maxLine1 !== undefined
@@ -72,40 +80,27 @@ function parseParams(req) {
           ? toNum(source.maxcharsline2, DEFAULT_MAX_CHARS_LINE2)
           : DEFAULT_MAX_CHARS_LINE2;
 
-  return { name, qr, dpi, mmWidth, mmHeight, rotation, outputFormat, maxCharsLine1, maxCharsLine2 };
-}
-
-function sendBadgeResponse(res, pngBuffer, outputFormat) {
-  if (outputFormat === 'base64') {
-    const base64String = pngBuffer.toString('base64');
-    const dataUri = `data:image/png;base64,${base64String}`;
-    res.setHeader('Content-Type', 'application/json');
-    return res.json({
-      success: true,
-      format: 'base64',
-      data: base64String,
-      dataUri,
-      mimeType: 'image/png',
-    });
-  }
-  res.setHeader('Content-Type', 'image/png');
-  res.setHeader('Content-Disposition', 'inline; filename="badge.png"');
-  return res.send(pngBuffer);
+  return { name, qr, dpi, mmWidth, mmHeight, rotation, outputFormat, ditherMode, maxCharsLine1, maxCharsLine2 };
 }
 
 async function handleLegacyBadgeRequest(req, res) {
   try {
-    const { name, qr, dpi, mmWidth, mmHeight, rotation, outputFormat, maxCharsLine1, maxCharsLine2 } =
+    const { name, qr, dpi, mmWidth, mmHeight, rotation, outputFormat, ditherMode, maxCharsLine1, maxCharsLine2 } =
       parseParams(req);
 
     // Motor dinâmico (docs/plano-motor-dinamico-etiquetas.md §4): só é
     // tentado quando a flag está ligada, a service role está configurada
     // e `qr` é um UUID válido. Caso contrário (ou em qualquer falha
-    // elegível), retorna `null` e o fluxo legado abaixo segue idêntico.
-    const dynamicPngBuffer = await tryRenderDynamic({ qr }, req.requestId);
-    if (dynamicPngBuffer) {
-      return sendBadgeResponse(res, dynamicPngBuffer, outputFormat);
+    // elegível), não há buffer e o fluxo legado abaixo segue idêntico.
+    const dynamic = await tryRenderDynamic({ qr, outputFormat, ditherMode }, req.requestId);
+    if (dynamic && dynamic.buffer) {
+      return sendBadgeResponse(res, dynamic.buffer, outputFormat, {
+        engine: 'dynamic',
+        layoutVersionId: dynamic.versionId,
+        layoutStaleSeconds: dynamic.layoutStaleSeconds,
+      });
     }
+    const labelInfo = { engine: 'legacy', ...(dynamic ? { fallbackReason: dynamic.fallbackReason } : {}) };
 
     let resolvedName = name;
     let resolvedQr = qr;
@@ -113,7 +108,11 @@ async function handleLegacyBadgeRequest(req, res) {
 
     if (qr) {
       if (isLegacySupabaseConfigured()) {
-        const participant = await fetchLegacyParticipant(qr);
+        const participant = await traceSpan('legacy.participant_lookup', {}, async (span) => {
+          const found = await fetchLegacyParticipant(qr);
+          span.setAttribute('legacy.participant_found', Boolean(found));
+          return found;
+        });
         if (participant) {
           if (typeof participant.name === 'string' && participant.name.trim().length > 0) {
             resolvedName = participant.name.trim();
@@ -130,22 +129,33 @@ async function handleLegacyBadgeRequest(req, res) {
     }
 
     if (!resolvedName) {
+      setLabelEngineHeaders(res, labelInfo);
       return res.status(400).json({ error: 'Missing required parameter: name' });
     }
 
-    const pngBuffer = await renderBadgePng({
-      name: resolvedName,
-      qrText: resolvedQr,
-      subtitleLine,
-      dpi,
-      mmWidth,
-      mmHeight,
-      rotation,
-      maxCharsLine1,
-      maxCharsLine2,
-    });
-
-    return sendBadgeResponse(res, pngBuffer, outputFormat);
+    // Spans sem nome, QR ou subtítulo: só parâmetros de saída e o motivo do fallback.
+    const canvas = await traceSpan(
+      'legacy.render',
+      { 'label.dpi': dpi, 'label.rotation': rotation, 'label.fallback_reason': labelInfo.fallbackReason },
+      () =>
+        renderBadgeCanvas({
+          name: resolvedName,
+          qrText: resolvedQr,
+          subtitleLine,
+          dpi,
+          mmWidth,
+          mmHeight,
+          rotation,
+          maxCharsLine1,
+          maxCharsLine2,
+        })
+    );
+
+    const buffer = await traceSpan('legacy.encode', { 'label.output_format': outputFormat }, () =>
+      encodeLabelOutput(canvas, outputFormat, { monochrome: { mode: ditherMode }, dpi })
+    );
+    labelRendersTotal.inc({ engine: 'legacy' });
+    return sendBadgeResponse(res, buffer, outputFormat, labelInfo);
   } catch (err) {
     console.error('Error generating badge:', err);
     res.status(500).json({ error: 'Internal Server Error' });
@@ -0,0 +1,25 @@
+'use strict';
+
+const { mapFallbackEligibleErrorToResponse } = require('./badgeV2Controller');
+const logger = require('../utils/logger');
+
+/**
+ * Entrada de manifesto para um participante que falhou dentro de uma
+ * requisição multi-etiqueta (folha/lote): mesmo status HTTP e mesmo
+ * `code` que `/v2/badges/render` devolveria para ele sozinho. Erro
+ * inesperado vira 500 genérico, com a mensagem só no log.
+ */
+function failedManifestEntry(participantId, error, requestId) {
+  if (error && error.fallbackEligible) {
+    const { status, body } = mapFallbackEligibleErrorToResponse(error);
+    return { participant_id: participantId, status: 'failed', http_status: status, ...body };
+  }
+  logger.error('badge-manifest:participant-unexpected-error', {
+    requestId,
+    participantId: logger.maskId(participantId),
+    message: error && error.message,
+  });
+  return { participant_id: participantId, status: 'failed', http_status: 500, error: 'Internal Server Error' };
+}
+
+module.exports = { failedManifestEntry };
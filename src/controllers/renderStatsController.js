@@ -0,0 +1,26 @@
+'use strict';
+
+const { validateEventIdParam } = require('../validators/requestValidator');
+const { getEventRenderStats } = require('../services/renderStatsService');
+const { NonFallbackError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * `GET /v2/events/:eventId/render-stats` — sucessos, fallbacks e motivos
+ * do motor dinâmico no `/badge` desta instância, por janela deslizante,
+ * mais o estado do alerta de taxa de fallback do evento.
+ */
+async function handleGetEventRenderStats(req, res) {
+  try {
+    const eventId = validateEventIdParam(req.params.eventId);
+    return res.json(getEventRenderStats(eventId));
+  } catch (err) {
+    if (err instanceof NonFallbackError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
+    logger.error('render-stats:unexpected-error', { requestId: req.requestId, message: err && err.message });
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = { handleGetEventRenderStats };
@@ -6,24 +6,37 @@ const { UnauthorizedError } = require('../utils/errors');
 
 const BEARER_PREFIX = 'Bearer ';
 
-/**
- * Autenticação Bearer de `/v2/badges/render` (docs/plano-motor-dinamico-
- * etiquetas.md §8). Comparação do segredo em tempo constante. Se
- * `LABEL_API_KEY` não estiver configurada no ambiente, a rota fica
- * bloqueada por padrão (fail closed) — nunca aberta por omissão.
- */
-function apiKeyAuthMiddleware(req, res, next) {
+/** Bearer do request igual a `configuredKey` (tempo constante); chave vazia nunca confere. */
+function hasValidBearerToken(req, configuredKey) {
   const header = req.headers.authorization || '';
   const token = header.startsWith(BEARER_PREFIX) ? header.slice(BEARER_PREFIX.length).trim() : '';
-  const configuredKey = env.LABEL_API_KEY;
+  return Boolean(configuredKey) && timingSafeEqualStrings(token, configuredKey);
+}
 
-  const isValid = Boolean(configuredKey) && timingSafeEqualStrings(token, configuredKey);
-  if (!isValid) {
-    const err = new UnauthorizedError('missing or invalid Authorization: Bearer token');
-    return res.status(err.statusCode).json({ error: err.message, code: err.code });
-  }
+/**
+ * Middleware Bearer contra o segredo devolvido por `getConfiguredKey()`,
+ * comparado em tempo constante. Segredo vazio bloqueia a rota (fail
+ * closed) — nunca aberta por omissão.
+ */
+function createBearerAuthMiddleware(getConfiguredKey) {
+  return function bearerAuthMiddleware(req, res, next) {
+    if (!hasValidBearerToken(req, getConfiguredKey())) {
+      const err = new UnauthorizedError('missing or invalid Authorization: Bearer token');
+      return res.status(err.statusCode).json({ error: err.message, code: err.code });
+    }
 
-  next();
+    next();
+  };
 }
 
-module.exports = { apiKeyAuthMiddleware };
+/**
+ * Autenticação Bearer de `/v2/badges/render` (docs/plano-motor-dinamico-
+ * etiquetas.md §8) com `LABEL_API_KEY`. Se a chave não estiver
+ * configurada no ambiente, a rota fica bloqueada por padrão.
+ */
+const apiKeyAuthMiddleware = createBearerAuthMiddleware(() => env.LABEL_API_KEY);
+
+/** `GET /metrics` com `LABEL_METRICS_TOKEN`, separado da chave de render. */
+const metricsAuthMiddleware = createBearerAuthMiddleware(() => env.LABEL_METRICS_TOKEN);
+
+module.exports = { apiKeyAuthMiddleware, metricsAuthMiddleware, createBearerAuthMiddleware, hasValidBearerToken };
@@ -3,15 +3,37 @@
 const { env } = require('../config/env');
 const { ConcurrencyLimiter } = require('../utils/concurrency');
 const { ConcurrencyLimitExceededError } = require('../utils/errors');
+const { registry } = require('../utils/metrics');
 
 const limiter = new ConcurrencyLimiter(env.LABEL_CONCURRENCY_LIMIT);
 
+registry.collected({
+  name: 'concurrency_limit',
+  help: 'Configured LABEL_CONCURRENCY_LIMIT.',
+  collect: () => limiter.limit,
+});
+registry.collected({
+  name: 'concurrency_active',
+  help: 'Render slots in use right now.',
+  collect: () => limiter.active,
+});
+registry.collected({
+  name: 'concurrency_peak_active',
+  help: 'Highest number of render slots in use since the process started.',
+  collect: () => limiter.peak,
+});
+const concurrencyRejections = registry.counter({
+  name: 'concurrency_rejections_total',
+  help: 'Requests rejected with 503 because every render slot was busy.',
+});
+
 /**
  * Protege CPU limitando quantos renders (canvas/QR) podem rodar ao mesmo
  * tempo, independentemente de quantos IPs distintos estejam chamando.
  */
 function concurrencyLimitMiddleware(req, res, next) {
   if (!limiter.tryAcquire()) {
+    concurrencyRejections.inc();
     const err = new ConcurrencyLimitExceededError('Server is busy rendering, please retry shortly.');
     res.status(err.statusCode).json({ error: err.message });
     return;
@@ -1,6 +1,23 @@
 'use strict';
 
 const logger = require('../utils/logger');
+const { registry } = require('../utils/metrics');
+
+// Contagem de requests = `_count` do histograma.
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+/**
+ * Rota com os parâmetros (`/v2/jobs/:id`), nunca o path cru — mantém a
+ * cardinalidade limitada. Sem rota casada (404, 429 do rate limit, 503 do
+ * limiter) vira `unmatched`.
+ */
+function metricsRouteFor(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
 
 /**
  * Log estruturado por requisição, sem PII (nome, extra_answers,
@@ -18,8 +35,13 @@ function requestLoggerMiddleware(req, res, next) {
 
   res.on('finish', () => {
     const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    httpRequestDuration.observe(
+      { method: req.method, route: metricsRouteFor(req), status: res.statusCode },
+      durationMs / 1000
+    );
     logger.info('http_request', {
       request_id: requestId,
+      ...(req.traceId ? { trace_id: req.traceId } : {}),
       route: req.path,
       method: req.method,
       participant_id_masked: participantIdMasked,
@@ -20,6 +20,13 @@ function buildCorsMiddleware() {
     origin: true,
     methods: ['GET', 'POST', 'OPTIONS'],
     credentials: false,
+    // Metadados do motor (ver badgeResponse) legíveis por clientes web.
+    exposedHeaders: [
+      'X-Label-Engine',
+      'X-Label-Layout-Version',
+      'X-Label-Layout-Stale-Seconds',
+      'X-Label-Fallback-Reason',
+    ],
   });
 }
 
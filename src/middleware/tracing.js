@@ -0,0 +1,45 @@
+'use strict';
+
+const { SpanStatusCode } = require('@opentelemetry/api');
+const { startSpan, runWithSpan, extractRemoteContext } = require('../utils/tracing');
+
+/**
+ * Span SERVER por request, filho do `traceparent` recebido quando válido
+ * (senão abre um trace novo). O nome final usa o padrão da rota
+ * (`GET /v2/jobs/:id`), nunca o path cru, que carrega o participant_id.
+ * Termina no `finish` ou, se o cliente desistir antes da resposta, no
+ * `close` — uma vez só, com status `ERROR` e sem status HTTP no abortado.
+ */
+function tracingMiddleware(req, res, next) {
+  const parentContext = extractRemoteContext(req.headers);
+  const span = startSpan(req.method, {
+    parentContext,
+    kind: 'server',
+    attributes: { 'http.request.method': req.method },
+  });
+  if (!span) return next();
+
+  req.traceId = span.spanContext().traceId;
+  let ended = false;
+  const endOnce = () => {
+    if (ended) return;
+    ended = true;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+    if (route) {
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute('http.route', route);
+    }
+    if (!res.writableFinished) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: 'RequestAborted' });
+    } else {
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  };
+  res.on('finish', endOnce);
+  res.on('close', endOnce);
+  return runWithSpan(span, next, parentContext);
+}
+
+module.exports = { tracingMiddleware };
@@ -0,0 +1,45 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const { env } = require('../config/env');
+const { timingSafeEqualStrings } = require('../utils/timingSafeEqual');
+const { UnauthorizedError } = require('../utils/errors');
+const { WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS } = require('../config/constants');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Assinatura dos webhooks do credenciamento: `X-Label-Signature:
+ * sha256=<hex>` = HMAC-SHA256(`LABEL_WEBHOOK_SECRET`, `<timestamp>.<body
+ * cru>`), com `X-Label-Timestamp` em segundos Unix a no máximo
+ * `WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS` do relógio local (anti-replay).
+ * Mesma regra do `apiKeyAuthMiddleware`: sem segredo configurado, a rota
+ * fica bloqueada (fail closed) e a comparação é em tempo constante.
+ */
+function signWebhookPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody);
+  return `${SIGNATURE_PREFIX}${hmac.digest('hex')}`;
+}
+
+function webhookSignatureMiddleware(req, res, next) {
+  const secret = env.LABEL_WEBHOOK_SECRET;
+  const timestamp = String(req.headers['x-label-timestamp'] || '');
+  const signature = String(req.headers['x-label-signature'] || '');
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+  const isValid =
+    Boolean(secret) &&
+    /^\d+$/.test(timestamp) &&
+    ageSeconds <= WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS &&
+    timingSafeEqualStrings(signature, signWebhookPayload(secret, timestamp, req.rawBody || Buffer.alloc(0)));
+  if (!isValid) {
+    const err = new UnauthorizedError('missing, stale or invalid webhook signature');
+    return res.status(err.statusCode).json({ error: err.message, code: err.code });
+  }
+
+  next();
+}
+
+module.exports = { webhookSignatureMiddleware, signWebhookPayload };
@@ -0,0 +1,74 @@
+'use strict';
+
+const { encodeBarcode } = require('./barcodeSymbology');
+const { withElementRotation } = require('./elementRotation');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+/**
+ * Desenha o código de barras linear do elemento (`symbology` code128,
+ * ean13 ou code39). O módulo tem largura inteira em pixels — barra nítida
+ * na térmica — e o símbolo fica centralizado na caixa, com a zona de
+ * silêncio (`quietZone` módulos de cada lado) e o fundo do texto pintados
+ * de branco, para ler mesmo sobre uma faixa colorida. `barHeight` e
+ * `fontSize` em unidades virtuais; sem `barHeight`, as barras ocupam a
+ * altura que sobra do texto. Código que não cabe lança
+ * `BarcodeEncodeError` (`BARCODE_DOES_NOT_FIT`) antes de desenhar.
+ */
+
+const DEFAULT_QUIET_ZONE_MODULES = 10;
+const DEFAULT_TEXT_FONT_SIZE = 18;
+const TEXT_LINE_HEIGHT = 1.2;
+
+function renderBarcodeElement(ctx, element, value, scale, fontFamily) {
+  if (!value) return;
+
+  const { modules, text } = encodeBarcode(element.symbology, value);
+  const { scaleX, scaleY, uniformScale } = scale;
+  const boxX = element.x * scaleX;
+  const boxY = element.y * scaleY;
+  const boxWidth = element.width * scaleX;
+  const boxHeight = element.height * scaleY;
+
+  const quietZone = Number.isInteger(element.quietZone) ? element.quietZone : DEFAULT_QUIET_ZONE_MODULES;
+  const moduleWidth = Math.floor(boxWidth / (modules.length + quietZone * 2));
+  const showText = element.showText !== false;
+  const fontPx = Math.round((element.fontSize || DEFAULT_TEXT_FONT_SIZE) * uniformScale);
+  const textHeight = showText ? Math.ceil(fontPx * TEXT_LINE_HEIGHT) : 0;
+  const requestedBarHeight = element.barHeight === undefined ? boxHeight : element.barHeight * scaleY;
+  const barHeight = Math.round(Math.min(requestedBarHeight, boxHeight - textHeight));
+  if (moduleWidth < 1 || barHeight < 1) {
+    throw new BarcodeEncodeError(`${element.symbology} barcode does not fit the element box`, 'BARCODE_DOES_NOT_FIT');
+  }
+
+  const symbolWidth = moduleWidth * modules.length;
+  const quietWidth = moduleWidth * quietZone;
+  const startX = Math.round(boxX + (boxWidth - symbolWidth) / 2);
+  const topY = Math.round(boxY + (boxHeight - barHeight - textHeight) / 2);
+
+  withElementRotation(ctx, element, scale, () => {
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(startX - quietWidth, topY, symbolWidth + quietWidth * 2, barHeight + textHeight);
+
+    ctx.fillStyle = '#000000';
+    let run = 0;
+    for (let i = 0; i <= modules.length; i += 1) {
+      if (modules[i] === '1') {
+        run += 1;
+      } else if (run > 0) {
+        ctx.fillRect(startX + (i - run) * moduleWidth, topY, run * moduleWidth, barHeight);
+        run = 0;
+      }
+    }
+
+    if (showText) {
+      ctx.font = `${fontPx}px ${fontFamily}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(text, startX + symbolWidth / 2, topY + barHeight + (textHeight - fontPx) / 2);
+    }
+    ctx.restore();
+  });
+}
+
+module.exports = { renderBarcodeElement };
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Simbologias lineares do elemento `barcode` pelo `bwip-js`, o mesmo
+ * encoder do Data Matrix e do PDF417: tabelas de barras, troca de conjunto
+ * do Code 128 e paridade do EAN-13 vêm da biblioteca. Aqui ficam só as
+ * regras de conteúdo do contrato (Code 128 só ASCII imprimível, Code 39
+ * sobe de caixa) e o mapeamento de erro. `encodeBarcode` devolve os
+ * módulos como string de `1` (barra) e `0` (espaço), sem zona de silêncio,
+ * e o texto legível. Conteúdo fora da simbologia lança `BarcodeEncodeError`
+ * — a mensagem nunca inclui o valor (pode ser dado pessoal).
+ */
+
+const bwipjs = require('bwip-js');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+// Erros do BWIPP de conteúdo recusado pela simbologia (caractere, tamanho ou dígito verificador).
+const CONTENT_ERROR_PATTERN = /^bwipp\.(?:code128|code39|ean13)bad\w*#/;
+
+function unsupported(symbology, reason) {
+  return new BarcodeEncodeError(`${symbology} cannot encode the value: ${reason}`, 'BARCODE_UNSUPPORTED_CONTENT');
+}
+
+/** Larguras alternadas do BWIPP (começando por barra) → módulos, sem o espaço final. */
+function rawModules(symbology, value) {
+  let symbol;
+  try {
+    [symbol] = bwipjs.raw(symbology, value, {});
+  } catch (e) {
+    if (!CONTENT_ERROR_PATTERN.test(String(e && e.message))) throw e;
+    throw unsupported(symbology, 'rejected by the encoder');
+  }
+  const modules = symbol.sbs.map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(width)).join('');
+  return modules.replace(/0+$/, '');
+}
+
+/** Code 128 com troca automática para o conjunto C em sequências de dígitos. */
+function encodeCode128(value) {
+  // O BWIPP aceitaria Latin-1 via FNC4, que muitas catracas não leem.
+  for (const char of value) {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) throw unsupported('code128', 'only printable ASCII is supported');
+  }
+  return { modules: rawModules('code128', value), text: value };
+}
+
+/** Code 39 só tem maiúsculas: minúsculas sobem de caixa (UUID não muda de sentido). */
+function encodeCode39(value) {
+  const upper = value.toUpperCase();
+  if (!/^[0-9A-Z \-.$/+%]*$/.test(upper)) {
+    throw unsupported('code39', 'only 0-9, A-Z, space and - . $ / + % are supported');
+  }
+  return { modules: rawModules('code39', upper), text: upper };
+}
+
+function ean13CheckDigit(twelveDigits) {
+  const sum = twelveDigits.split('').reduce((acc, d, index) => acc + Number(d) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/** 12 dígitos (o dígito verificador é calculado) ou 13 (o verificador é conferido). */
+function encodeEan13(value) {
+  if (!/^\d{12,13}$/.test(value)) throw unsupported('ean13', 'expected 12 or 13 digits');
+  const check = ean13CheckDigit(value.slice(0, 12));
+  if (value.length === 13 && value[12] !== check) throw unsupported('ean13', 'invalid check digit');
+  const digits = value.slice(0, 12) + check;
+  return { modules: rawModules('ean13', digits), text: digits };
+}
+
+const ENCODERS = { code128: encodeCode128, code39: encodeCode39, ean13: encodeEan13 };
+
+function encodeBarcode(symbology, value) {
+  const encoder = ENCODERS[symbology];
+  if (!encoder) throw unsupported(symbology, 'unknown symbology');
+  return encoder(String(value));
+}
+
+module.exports = { encodeBarcode, BARCODE_SYMBOLOGIES: Object.keys(ENCODERS) };
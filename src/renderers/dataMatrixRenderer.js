@@ -0,0 +1,57 @@
+'use strict';
+
+const { encodeDataMatrix } = require('./dataMatrixSymbology');
+const { withElementRotation } = require('./elementRotation');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+/**
+ * Desenha o Data Matrix do elemento: conteúdo com a semântica do QR
+ * (`qrValue`, sempre participant.id), centralizado na caixa, módulo de
+ * largura inteira em pixels no DPI do perfil — sem reamostragem, o
+ * símbolo sai nítido na térmica. `shape` escolhe símbolo quadrado (padrão)
+ * ou retangular, para caixas baixas e largas; `margin` é a zona de
+ * silêncio em módulos (padrão 2), pintada de branco; `symbolSize` fixa um
+ * lado mínimo do quadrado (ex. 24) para o mesmo layout não mudar de
+ * tamanho conforme o conteúdo. Símbolo que não cabe lança
+ * `BarcodeEncodeError`.
+ */
+
+const DEFAULT_MARGIN_MODULES = 2;
+
+function renderDataMatrixElement(ctx, element, qrValue, scale) {
+  if (!qrValue) return;
+
+  const { rows, cols, modules } = encodeDataMatrix(qrValue, { symbolSize: element.symbolSize, shape: element.shape });
+  const { scaleX, scaleY } = scale;
+  const boxX = element.x * scaleX;
+  const boxY = element.y * scaleY;
+  const boxWidth = element.width * scaleX;
+  const boxHeight = element.height * scaleY;
+
+  const margin = Number.isInteger(element.margin) ? element.margin : DEFAULT_MARGIN_MODULES;
+  const modulePx = Math.floor(Math.min(boxWidth / (cols + margin * 2), boxHeight / (rows + margin * 2)));
+  if (modulePx < 1) {
+    throw new BarcodeEncodeError('datamatrix symbol does not fit the element box', 'BARCODE_DOES_NOT_FIT');
+  }
+
+  const symbolWidthPx = modulePx * cols;
+  const symbolHeightPx = modulePx * rows;
+  const quietPx = modulePx * margin;
+  const startX = Math.round(boxX + (boxWidth - symbolWidthPx) / 2);
+  const startY = Math.round(boxY + (boxHeight - symbolHeightPx) / 2);
+
+  withElementRotation(ctx, element, scale, () => {
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(startX - quietPx, startY - quietPx, symbolWidthPx + quietPx * 2, symbolHeightPx + quietPx * 2);
+    ctx.fillStyle = '#000000';
+    for (let row = 0; row < rows; row += 1) {
+      for (let col = 0; col < cols; col += 1) {
+        if (modules[row][col]) ctx.fillRect(startX + col * modulePx, startY + row * modulePx, modulePx, modulePx);
+      }
+    }
+    ctx.restore();
+  });
+}
+
+module.exports = { renderDataMatrixElement };
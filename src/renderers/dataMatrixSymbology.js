@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Data Matrix ECC200 (ISO/IEC 16022) pelo `bwip-js`, o mesmo encoder do
+ * PDF417: a biblioteca escolhe a encodação (ASCII, C40, Text, Base 256…)
+ * e o menor símbolo do formato. Símbolos quadrados (10x10 ao 104x104) ou
+ * retangulares (8x18 ao 16x48). A correção de erro do ECC200 é fixa por
+ * tamanho de símbolo — não há nível a escolher como no QR ou no PDF417.
+ * `encodeDataMatrix` devolve a matriz de módulos (`true` = escuro) sem
+ * zona de silêncio.
+ */
+
+const bwipjs = require('bwip-js');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+// prettier-ignore
+const DATAMATRIX_SYMBOL_SIZES = [
+  10, 12, 14, 16, 18, 20, 22, 24, 26, 32, 36, 40, 44, 48, 52, 64, 72, 80, 88, 96, 104,
+];
+const DATAMATRIX_SHAPES = ['square', 'rectangle'];
+
+// Erros do BWIPP em que o conteúdo não cabe em nenhum símbolo do formato.
+const CAPACITY_ERROR_PATTERN = /^bwipp\.datamatrix(?:TooMuchData|NoValidSymbol)#/;
+
+function rawDataMatrix(value, options) {
+  try {
+    // Bytes UTF-8 como string binária: o leitor devolve o texto em UTF-8, como o QR.
+    return bwipjs.raw('datamatrix', Buffer.from(String(value), 'utf8').toString('latin1'), options)[0];
+  } catch (e) {
+    if (!CAPACITY_ERROR_PATTERN.test(String(e && e.message))) throw e;
+    throw new BarcodeEncodeError('datamatrix cannot encode the value: too long', 'BARCODE_UNSUPPORTED_CONTENT');
+  }
+}
+
+/**
+ * Menor símbolo do formato `shape` (`square`, padrão, ou `rectangle`) que
+ * comporta `value`; no quadrado, não menor que `symbolSize` quando
+ * informado. Conteúdo acima da capacidade do maior símbolo do formato
+ * lança `BarcodeEncodeError`.
+ */
+function encodeDataMatrix(value, { symbolSize, shape = 'square' } = {}) {
+  const format = shape === 'rectangle' ? 'rectangle' : 'square';
+  let symbol = rawDataMatrix(value, { format });
+  // O automático já é o menor que cabe: se ficou abaixo do mínimo, o mínimo também cabe.
+  if (format === 'square' && symbolSize && symbol.pixy < symbolSize) {
+    symbol = rawDataMatrix(value, { format, version: `${symbolSize}x${symbolSize}` });
+  }
+
+  const { pixs, pixx, pixy } = symbol;
+  const modules = Array.from({ length: pixy }, (_, row) =>
+    Array.from(pixs.slice(row * pixx, (row + 1) * pixx), (pixel) => pixel === 1)
+  );
+  return { rows: pixy, cols: pixx, modules };
+}
+
+module.exports = { encodeDataMatrix, DATAMATRIX_SYMBOL_SIZES, DATAMATRIX_SHAPES };
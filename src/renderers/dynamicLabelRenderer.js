@@ -9,12 +9,39 @@
 
 const { DYNAMIC_VIRTUAL_WIDTH, DYNAMIC_VIRTUAL_HEIGHT } = require('../config/constants');
 const { createCanvas, getContext2d, encodePng, registeredFontFamily } = require('./canvasRuntime');
-const { resolveTextValue, resolveQrValue, resolveImageUrl } = require('../services/dataResolver');
+const { renderPdf, mmToPt } = require('./pdfEncoder');
+const {
+  resolveTextValue,
+  resolveQrValue,
+  resolveBarcodeValue,
+  resolveImageUrl,
+} = require('../services/dataResolver');
 const { renderTextElement } = require('./textRenderer');
 const { renderQrElement } = require('./qrRenderer');
 const { renderImageElement } = require('./imageRenderer');
+const { renderShapeElement } = require('./shapeRenderer');
+const { renderBarcodeElement } = require('./barcodeRenderer');
+const { renderDataMatrixElement } = require('./dataMatrixRenderer');
+const { renderPdf417Element } = require('./pdf417Renderer');
+const { renderWatermark } = require('./watermarkRenderer');
+const { toThermalSafeLayoutConfig } = require('./thermalSafeColors');
 const { fetchLogoImage } = require('../services/imageService');
 const logger = require('../utils/logger');
+const { registry } = require('../utils/metrics');
+const { traceSpan } = require('../utils/tracing');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+const logoFetchFailuresTotal = registry.counter({
+  name: 'logo_fetch_failures_total',
+  help: 'Logo image elements skipped because the fetch failed, by LogoFetchError code.',
+  labelNames: ['reason'],
+});
+
+const barcodeElementsSkippedTotal = registry.counter({
+  name: 'barcode_elements_skipped_total',
+  help: 'Barcode, Data Matrix and PDF417 elements skipped because the value or box did not fit, by error code.',
+  labelNames: ['reason'],
+});
 
 function mmToPx(mm, dpi) {
   return Math.round((mm / 25.4) * dpi);
@@ -29,7 +56,17 @@ function computeScale(printProfile) {
   return { widthPx, heightPx, scaleX, scaleY, uniformScale: Math.min(scaleX, scaleY) };
 }
 
-async function renderElement(ctx, element, labelData, scale, requestId) {
+/** Um span por elemento: só tipo e id do editor, nunca o valor resolvido. */
+function renderElement(ctx, element, labelData, scale, requestId) {
+  const attributes = {
+    'element.type': element.type,
+    'element.id': element.id,
+    'element.visible': element.isVisible !== false,
+  };
+  return traceSpan('label.element', attributes, (span) => drawElement(ctx, element, labelData, scale, requestId, span));
+}
+
+async function drawElement(ctx, element, labelData, scale, requestId, span) {
   if (element.isVisible === false) return;
 
   if (element.type === 'text') {
@@ -44,6 +81,34 @@ async function renderElement(ctx, element, labelData, scale, requestId) {
     return;
   }
 
+  if (element.type === 'barcode' || element.type === 'datamatrix' || element.type === 'pdf417') {
+    try {
+      if (element.type === 'barcode') {
+        renderBarcodeElement(ctx, element, resolveBarcodeValue(element, labelData), scale, registeredFontFamily);
+      } else if (element.type === 'datamatrix') {
+        renderDataMatrixElement(ctx, element, resolveQrValue(element, labelData), scale);
+      } else {
+        renderPdf417Element(ctx, element, resolveQrValue(element, labelData), scale);
+      }
+    } catch (e) {
+      if (!(e instanceof BarcodeEncodeError)) throw e;
+      // Valor fora da simbologia ou código que não cabe omite só o elemento.
+      barcodeElementsSkippedTotal.inc({ reason: e.code });
+      span.setAttribute('element.skipped_reason', e.code);
+      logger.warn('dynamic-label:barcode-element-skipped', {
+        requestId,
+        elementId: element.id,
+        reason: e.message,
+      });
+    }
+    return;
+  }
+
+  if (element.type === 'shape') {
+    renderShapeElement(ctx, element, scale);
+    return;
+  }
+
   if (element.type === 'image') {
     const url = resolveImageUrl(element, labelData);
     if (!url) return;
@@ -52,6 +117,9 @@ async function renderElement(ctx, element, labelData, scale, requestId) {
       renderImageElement(ctx, element, image, scale);
     } catch (e) {
       // Falha isolada de logo: omite o elemento e segue (docs §15).
+      const reason = (e && e.code) || 'LOGO_FETCH_ERROR';
+      logoFetchFailuresTotal.inc({ reason });
+      span.setAttribute('element.skipped_reason', reason);
       logger.warn('dynamic-label:image-element-skipped', {
         requestId,
         elementId: element.id,
@@ -61,6 +129,30 @@ async function renderElement(ctx, element, labelData, scale, requestId) {
   }
 }
 
+const ALLOWED_ROTATIONS = [0, 90, 180, 270];
+
+// options.outputRotation: override só para /badge (contrato impressora).
+// Sem override, usa print_profile.default_rotation (orientação de design).
+function resolveRotation(outputRotation, printProfile) {
+  if (ALLOWED_ROTATIONS.includes(outputRotation)) return outputRotation;
+  if (ALLOWED_ROTATIONS.includes(printProfile.default_rotation)) return printProfile.default_rotation;
+  return 0;
+}
+
+/** Translada/gira `ctx` para desenhar o conteúdo sem rotação numa área final de finalWidth×finalHeight. */
+function applyRotationTransform(ctx, finalWidth, finalHeight, rotation) {
+  if (rotation === 90) {
+    ctx.translate(finalWidth, 0);
+    ctx.rotate(Math.PI / 2);
+  } else if (rotation === 180) {
+    ctx.translate(finalWidth, finalHeight);
+    ctx.rotate(Math.PI);
+  } else if (rotation === 270) {
+    ctx.translate(0, finalHeight);
+    ctx.rotate((3 * Math.PI) / 2);
+  }
+}
+
 function applyRotation(canvas, widthPx, heightPx, rotation) {
   if (rotation === 0) return canvas;
 
@@ -72,16 +164,7 @@ function applyRotation(canvas, widthPx, heightPx, rotation) {
   finalCtx.fillRect(0, 0, finalWidth, finalHeight);
 
   finalCtx.save();
-  if (rotation === 90) {
-    finalCtx.translate(finalWidth, 0);
-    finalCtx.rotate(Math.PI / 2);
-  } else if (rotation === 180) {
-    finalCtx.translate(finalWidth, finalHeight);
-    finalCtx.rotate(Math.PI);
-  } else if (rotation === 270) {
-    finalCtx.translate(0, finalHeight);
-    finalCtx.rotate((3 * Math.PI) / 2);
-  }
+  applyRotationTransform(finalCtx, finalWidth, finalHeight, rotation);
   finalCtx.drawImage(canvas, 0, 0);
   finalCtx.restore();
   return finalCanvas;
@@ -99,38 +182,87 @@ function scaleCanvasToSize(canvas, targetW, targetH) {
   return out;
 }
 
+/** Com `print_profile.thermal_safe`, as cores do layout já saem em preto/branco puro (limiar do perfil). */
+function resolveLayoutConfig(layoutResponse) {
+  const printProfile = layoutResponse.print_profile;
+  if (printProfile.thermal_safe !== true) return layoutResponse.layout_config;
+  return toThermalSafeLayoutConfig(layoutResponse.layout_config, printProfile.dither_threshold);
+}
+
+/** Fundo + elementos na ordem do array, em pixels @ DPI do print_profile. */
+async function drawDynamicLabel(ctx, layoutConfig, labelData, scale, requestId) {
+  ctx.fillStyle = layoutConfig.backgroundColor || '#FFFFFF';
+  ctx.fillRect(0, 0, scale.widthPx, scale.heightPx);
+
+  for (const element of layoutConfig.elements) {
+    await renderElement(ctx, element, labelData, scale, requestId);
+  }
+}
+
 /**
- * Renderiza a etiqueta dinâmica em PNG. `layoutResponse` deve já ter
- * passado por `validateLayoutResponse`. Retorna o buffer PNG final.
+ * Renderiza a etiqueta dinâmica e devolve o canvas final (após rotação e
+ * rescale de saída). `layoutResponse` deve já ter passado por
+ * `validateLayoutResponse`. `options.watermark` (texto) sobrepõe a marca
+ * d'água de preview antes da rotação.
  */
-async function renderDynamicLabelPng(layoutResponse, labelData, options = {}) {
-  const layoutConfig = layoutResponse.layout_config;
+async function renderDynamicLabelCanvas(layoutResponse, labelData, options = {}) {
   const printProfile = layoutResponse.print_profile;
   const scale = computeScale(printProfile);
 
   const canvas = createCanvas(scale.widthPx, scale.heightPx);
   const ctx = getContext2d(canvas);
-  ctx.fillStyle = layoutConfig.backgroundColor || '#FFFFFF';
-  ctx.fillRect(0, 0, scale.widthPx, scale.heightPx);
-
-  for (const element of layoutConfig.elements) {
-    await renderElement(ctx, element, labelData, scale, options.requestId);
+  await drawDynamicLabel(ctx, resolveLayoutConfig(layoutResponse), labelData, scale, options.requestId);
+  if (options.watermark) {
+    renderWatermark(ctx, options.watermark, scale.widthPx, scale.heightPx, registeredFontFamily);
   }
 
-  const allowedRotations = [0, 90, 180, 270];
-  // options.outputRotation: override só para /badge (contrato impressora).
-  // Sem override, usa print_profile.default_rotation (orientação de design).
-  const fromOptions = options.outputRotation;
-  const fromProfile = printProfile.default_rotation;
-  const rotation = allowedRotations.includes(fromOptions)
-    ? fromOptions
-    : allowedRotations.includes(fromProfile)
-      ? fromProfile
-      : 0;
-  let finalCanvas = applyRotation(canvas, scale.widthPx, scale.heightPx, rotation);
+  const rotation = resolveRotation(options.outputRotation, printProfile);
+  const finalCanvas = applyRotation(canvas, scale.widthPx, scale.heightPx, rotation);
   // options.outputWidthPx/HeightPx: dots da bobina (TSPL) após rotação.
-  finalCanvas = scaleCanvasToSize(finalCanvas, options.outputWidthPx, options.outputHeightPx);
-  return encodePng(finalCanvas);
+  return scaleCanvasToSize(finalCanvas, options.outputWidthPx, options.outputHeightPx);
+}
+
+/**
+ * PDF de uma página no tamanho físico exato do print_profile (width_mm ×
+ * height_mm, trocados em 90/270). Os elementos são desenhados direto no
+ * contexto PDF com a mesma escala em pixels do PNG — quebra de linha,
+ * shrink-to-fit e tamanho do QR saem idênticos —, e só a matriz final
+ * converte pixels em pontos. Texto fica vetorial.
+ */
+async function renderDynamicLabelPdf(layoutResponse, labelData, options = {}) {
+  const printProfile = layoutResponse.print_profile;
+  const scale = computeScale(printProfile);
+  const rotation = resolveRotation(options.outputRotation, printProfile);
+  const quarterTurn = rotation === 90 || rotation === 270;
+
+  const finalWidthPx = quarterTurn ? scale.heightPx : scale.widthPx;
+  const finalHeightPx = quarterTurn ? scale.widthPx : scale.heightPx;
+  const widthPt = mmToPt(quarterTurn ? printProfile.height_mm : printProfile.width_mm);
+  const heightPt = mmToPt(quarterTurn ? printProfile.width_mm : printProfile.height_mm);
+
+  return renderPdf([
+    {
+      widthPt,
+      heightPt,
+      draw: async (ctx) => {
+        ctx.scale(widthPt / finalWidthPx, heightPt / finalHeightPx);
+        applyRotationTransform(ctx, finalWidthPx, finalHeightPx, rotation);
+        await drawDynamicLabel(ctx, resolveLayoutConfig(layoutResponse), labelData, scale, options.requestId);
+      },
+    },
+  ]);
+}
+
+/** Mesmo pipeline de `renderDynamicLabelCanvas`, codificado em PNG. */
+async function renderDynamicLabelPng(layoutResponse, labelData, options = {}) {
+  return encodePng(await renderDynamicLabelCanvas(layoutResponse, labelData, options));
 }
 
-module.exports = { renderDynamicLabelPng, computeScale, applyRotation, scaleCanvasToSize };
+module.exports = {
+  renderDynamicLabelCanvas,
+  renderDynamicLabelPng,
+  renderDynamicLabelPdf,
+  computeScale,
+  applyRotation,
+  scaleCanvasToSize,
+};
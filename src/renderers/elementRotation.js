@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Rotação por elemento: `element.rotation` em graus, sentido horário (eixo
+ * y para baixo, como no editor), em torno do centro da caixa. O conteúdo
+ * é diagramado na caixa original (largura/altura do layout) e o resultado
+ * inteiro gira — uma faixa lateral vertical é uma caixa larga e baixa com
+ * `rotation: 90` ou `270`.
+ */
+
+function elementRotationRadians(element) {
+  const degrees = Number(element.rotation) || 0;
+  return (degrees % 360) * (Math.PI / 180);
+}
+
+/**
+ * Executa `draw()` (síncrono) com o contexto girado em torno do centro da
+ * caixa do elemento, já em pixels. Sem rotação, chama `draw()` direto —
+ * nenhum save/restore, saída idêntica à de antes da rotação existir.
+ */
+function withElementRotation(ctx, element, scale, draw) {
+  const radians = elementRotationRadians(element);
+  if (radians === 0) return draw();
+
+  const centerX = (element.x + element.width / 2) * scale.scaleX;
+  const centerY = (element.y + element.height / 2) * scale.scaleY;
+  ctx.save();
+  try {
+    ctx.translate(centerX, centerY);
+    ctx.rotate(radians);
+    ctx.translate(-centerX, -centerY);
+    return draw();
+  } finally {
+    ctx.restore();
+  }
+}
+
+module.exports = { withElementRotation, elementRotationRadians };
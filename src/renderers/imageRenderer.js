@@ -1,10 +1,12 @@
 'use strict';
 
+const { withElementRotation } = require('./elementRotation');
+
 /**
  * Desenha uma imagem já carregada e validada por imageService (docs
  * /plano-motor-dinamico-etiquetas.md §15), respeitando `fit`
  * (contain por padrão) dentro da caixa do elemento, sem distorcer a
- * proporção original.
+ * proporção original. `element.rotation` gira caixa e recorte juntos.
  */
 function renderImageElement(ctx, element, image, scale) {
   if (!image || !image.width || !image.height) return;
@@ -26,14 +28,16 @@ function renderImageElement(ctx, element, image, scale) {
   const drawX = boxX + (boxWidth - drawWidth) / 2;
   const drawY = boxY + (boxHeight - drawHeight) / 2;
 
-  ctx.save();
-  if (fit === 'cover') {
-    ctx.beginPath();
-    ctx.rect(boxX, boxY, boxWidth, boxHeight);
-    ctx.clip();
-  }
-  ctx.drawImage(image, drawX, drawY, drawWidth, drawHeight);
-  ctx.restore();
+  withElementRotation(ctx, element, scale, () => {
+    ctx.save();
+    if (fit === 'cover') {
+      ctx.beginPath();
+      ctx.rect(boxX, boxY, boxWidth, boxHeight);
+      ctx.clip();
+    }
+    ctx.drawImage(image, drawX, drawY, drawWidth, drawHeight);
+    ctx.restore();
+  });
 }
 
 module.exports = { renderImageElement };
@@ -132,7 +132,11 @@ function wrapSubtitleLines(ctx, text, maxWidth, fontSizePx, fontFamily) {
   return lines.length ? lines : text ? [String(text)] : [];
 }
 
-async function renderBadgePng({
+/**
+ * Desenha o badge legado e devolve o canvas final (já rotacionado), sem
+ * codificar. `renderBadgePng` continua sendo o caminho do contrato PNG.
+ */
+async function renderBadgeCanvas({
   name,
   qrText,
   subtitleLine,
@@ -268,10 +272,15 @@ async function renderBadgePng({
   finalCtx.drawImage(contentCanvas, 0, 0);
   finalCtx.restore();
 
-  return encodePng(finalCanvas);
+  return finalCanvas;
+}
+
+async function renderBadgePng(params) {
+  return encodePng(await renderBadgeCanvas(params));
 }
 
 module.exports = {
+  renderBadgeCanvas,
   renderBadgePng,
   parseExtraAnswers,
   displayLineFromExtraAnswers,
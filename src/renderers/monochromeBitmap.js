@@ -0,0 +1,88 @@
+'use strict';
+
+const { getContext2d } = require('./canvasRuntime');
+
+// Luminância (0–255) abaixo da qual o ponto é impresso em preto.
+const DEFAULT_THRESHOLD = 128;
+
+// Matriz de Bayer 4x4 (dithering ordenado), valores 0–15.
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/** Luminância por pixel, com transparência composta sobre branco. */
+function toGrayscale(canvas) {
+  const { width, height } = canvas;
+  const { data } = getContext2d(canvas).getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let p = 0; p < gray.length; p += 1) {
+    const i = p * 4;
+    const alpha = data[i + 3] / 255;
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    gray[p] = luminance * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+/** Difunde o erro de quantização para a direita e a linha de baixo (7/16, 3/16, 5/16, 1/16). */
+function diffuseFloydSteinberg(gray, width, height, threshold) {
+  const isBlack = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const p = y * width + x;
+      const black = gray[p] < threshold;
+      isBlack[p] = black ? 1 : 0;
+      const error = gray[p] - (black ? 0 : 255);
+      if (x + 1 < width) gray[p + 1] += (error * 7) / 16;
+      if (y + 1 < height) {
+        if (x > 0) gray[p + width - 1] += (error * 3) / 16;
+        gray[p + width] += (error * 5) / 16;
+        if (x + 1 < width) gray[p + width + 1] += error / 16;
+      }
+    }
+  }
+  return isBlack;
+}
+
+function quantize(gray, width, height, mode, threshold) {
+  if (mode === 'floyd-steinberg') return diffuseFloydSteinberg(gray, width, height, threshold);
+
+  const isBlack = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const p = y * width + x;
+      const cutoff = mode === 'bayer' ? (BAYER_4X4[y & 3][x & 3] + 0.5) * 16 : threshold;
+      isBlack[p] = gray[p] < cutoff ? 1 : 0;
+    }
+  }
+  return isBlack;
+}
+
+/**
+ * Converte o canvas final em bitmap 1-bit empacotado por linha (MSB à
+ * esquerda), que é o formato comum às linguagens de impressora térmica e
+ * ao PNG monocromático. `mode` escolhe limiar fixo, Floyd–Steinberg ou
+ * Bayer 4x4. No buffer devolvido, bit 1 = ponto preto; cada encoder
+ * inverte se o formato usar a convenção oposta.
+ */
+function canvasToMonochromeBitmap(canvas, { mode = 'threshold', threshold = DEFAULT_THRESHOLD } = {}) {
+  const { width, height } = canvas;
+  const isBlack = quantize(toGrayscale(canvas), width, height, mode, threshold);
+  const widthBytes = Math.ceil(width / 8);
+  const bits = Buffer.alloc(widthBytes * height);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (isBlack[y * width + x]) {
+        bits[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { width, height, widthBytes, data: bits };
+}
+
+module.exports = { canvasToMonochromeBitmap, DEFAULT_THRESHOLD };
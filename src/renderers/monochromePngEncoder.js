@@ -0,0 +1,51 @@
+'use strict';
+
+const zlib = require('node:zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_TYPE_GRAYSCALE = 0;
+const BIT_DEPTH_1 = 1;
+
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * PNG 1-bit em tons de cinza a partir do bitmap de `canvasToMonochromeBitmap`.
+ * `encodePng` do canvas só emite RGBA; aqui o arquivo já sai exatamente
+ * com os pontos que a impressora térmica vai queimar. No PNG grayscale
+ * 1-bit, 0 = preto, então o bitmap (bit 1 = preto) é invertido.
+ */
+function encodeMonochromePng(bitmap) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(bitmap.width, 0);
+  ihdr.writeUInt32BE(bitmap.height, 4);
+  ihdr[8] = BIT_DEPTH_1;
+  ihdr[9] = COLOR_TYPE_GRAYSCALE;
+  ihdr[10] = 0; // compressão deflate
+  ihdr[11] = 0; // filtro adaptativo padrão
+  ihdr[12] = 0; // sem interlace
+
+  const stride = bitmap.widthBytes + 1;
+  const raw = Buffer.alloc(stride * bitmap.height);
+  for (let y = 0; y < bitmap.height; y += 1) {
+    raw[y * stride] = 0; // filtro None por linha
+    for (let i = 0; i < bitmap.widthBytes; i += 1) {
+      raw[y * stride + 1 + i] = ~bitmap.data[y * bitmap.widthBytes + i] & 0xff;
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { encodeMonochromePng };
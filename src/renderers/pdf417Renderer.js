@@ -0,0 +1,62 @@
+'use strict';
+
+const { encodePdf417 } = require('./pdf417Symbology');
+const { withElementRotation } = require('./elementRotation');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+/**
+ * Desenha o PDF417 do elemento: conteúdo com a semântica do QR (`qrValue`,
+ * sempre participant.id), centralizado na caixa, módulo de largura inteira
+ * em pixels no DPI do perfil e cada linha do símbolo com 3 módulos de
+ * altura (mínimo da ISO/IEC 15438) — sem reamostragem, sai nítido na
+ * térmica. `errorCorrectionLevel` e `columns` vão para o encoder; `margin`
+ * é a zona de silêncio em módulos (padrão 2), pintada de branco. Símbolo
+ * que não cabe lança `BarcodeEncodeError`.
+ */
+
+const DEFAULT_MARGIN_MODULES = 2;
+const ROW_HEIGHT_MODULES = 3;
+
+function renderPdf417Element(ctx, element, qrValue, scale) {
+  if (!qrValue) return;
+
+  const { rows, cols, modules } = encodePdf417(qrValue, {
+    errorCorrectionLevel: element.errorCorrectionLevel,
+    columns: element.columns,
+  });
+  const { scaleX, scaleY } = scale;
+  const boxX = element.x * scaleX;
+  const boxY = element.y * scaleY;
+  const boxWidth = element.width * scaleX;
+  const boxHeight = element.height * scaleY;
+
+  const margin = Number.isInteger(element.margin) ? element.margin : DEFAULT_MARGIN_MODULES;
+  const modulePx = Math.floor(
+    Math.min(boxWidth / (cols + margin * 2), boxHeight / (rows * ROW_HEIGHT_MODULES + margin * 2))
+  );
+  if (modulePx < 1) {
+    throw new BarcodeEncodeError('pdf417 symbol does not fit the element box', 'BARCODE_DOES_NOT_FIT');
+  }
+
+  const rowPx = modulePx * ROW_HEIGHT_MODULES;
+  const symbolWidthPx = modulePx * cols;
+  const symbolHeightPx = rowPx * rows;
+  const quietPx = modulePx * margin;
+  const startX = Math.round(boxX + (boxWidth - symbolWidthPx) / 2);
+  const startY = Math.round(boxY + (boxHeight - symbolHeightPx) / 2);
+
+  withElementRotation(ctx, element, scale, () => {
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(startX - quietPx, startY - quietPx, symbolWidthPx + quietPx * 2, symbolHeightPx + quietPx * 2);
+    ctx.fillStyle = '#000000';
+    for (let row = 0; row < rows; row += 1) {
+      for (let col = 0; col < cols; col += 1) {
+        if (modules[row][col]) ctx.fillRect(startX + col * modulePx, startY + row * rowPx, modulePx, rowPx);
+      }
+    }
+    ctx.restore();
+  });
+}
+
+module.exports = { renderPdf417Element };
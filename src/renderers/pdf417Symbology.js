@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * PDF417 (ISO/IEC 15438) pelo `bwip-js`: compactação, Reed-Solomon e a
+ * tabela de padrões de barras das 929 codewords em três clusters vêm da
+ * biblioteca; aqui só o nível de correção (`0`–`8`, padrão o mínimo
+ * recomendado pela norma para o tamanho dos dados) e o número de colunas
+ * de dados (`1`–`30`, padrão automático). `encodePdf417` devolve a matriz
+ * de módulos (`true` = escuro), uma linha por linha do símbolo, sem zona
+ * de silêncio — a altura da linha fica com o renderer.
+ */
+
+const bwipjs = require('bwip-js');
+const { BarcodeEncodeError } = require('../utils/errors');
+
+const PDF417_ERROR_CORRECTION_LEVELS = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+const PDF417_COLUMNS_MIN = 1;
+const PDF417_COLUMNS_MAX = 30;
+
+// Erros do BWIPP em que o conteúdo não cabe no símbolo pedido (dados demais ou colunas de menos).
+const CAPACITY_ERROR_PATTERN = /^bwipp\.pdf417(?:inputTooLong|dataTooLong|insufficientCapacity)#/;
+
+function encodePdf417(value, { errorCorrectionLevel, columns } = {}) {
+  let symbol;
+  try {
+    // Bytes UTF-8 como string binária, como no Data Matrix.
+    [symbol] = bwipjs.raw('pdf417', Buffer.from(String(value), 'utf8').toString('latin1'), {
+      rowmult: 1,
+      ...(errorCorrectionLevel !== undefined ? { eclevel: errorCorrectionLevel } : {}),
+      ...(columns !== undefined ? { columns } : {}),
+    });
+  } catch (e) {
+    if (!CAPACITY_ERROR_PATTERN.test(String(e && e.message))) throw e;
+    throw new BarcodeEncodeError(
+      'pdf417 cannot encode the value: too long for the symbol',
+      'BARCODE_UNSUPPORTED_CONTENT'
+    );
+  }
+
+  const { pixs, pixx, pixy } = symbol;
+  const modules = Array.from({ length: pixy }, (_, row) =>
+    Array.from(pixs.slice(row * pixx, (row + 1) * pixx), (pixel) => pixel === 1)
+  );
+  return { rows: pixy, cols: pixx, modules };
+}
+
+module.exports = { encodePdf417, PDF417_ERROR_CORRECTION_LEVELS, PDF417_COLUMNS_MIN, PDF417_COLUMNS_MAX };
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Saída PDF para impressoras de escritório (folhas A4 a laser), gerada
+ * localmente pelo backend PDF do próprio canvas (Skia no
+ * `@napi-rs/canvas`, Cairo no `canvas`). Cada página recebe um contexto
+ * 2D vetorial: `fillText` vira texto PDF com a fonte embutida, e só QR e
+ * logos entram como imagem.
+ */
+
+const { PDFDocument: PdfLibDocument } = require('pdf-lib');
+const { CanvasLib, useNapi } = require('./canvasRuntime');
+
+const POINTS_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+
+function mmToPt(mm) {
+  return (mm / MM_PER_INCH) * POINTS_PER_INCH;
+}
+
+/**
+ * O Skia arredonda o tamanho da página para pontos inteiros (80 mm =
+ * 226,77 pt sai como 227) e não aceita outro retângulo em `beginPage`.
+ * O conteúdo é desenhado com a origem no topo (`1 0 0 -1 0 H cm`), então
+ * basta recortar o MediaBox para `[0 H-h w H]` para a página ter o
+ * tamanho físico exato. A troca passa por um parse de verdade do PDF
+ * (pdf-lib), que reescreve objetos e xref; qualquer saída do Skia fora do
+ * esperado (número de páginas, página que não é o arredondamento pedido)
+ * lança em vez de gerar um PDF quebrado ou do tamanho errado.
+ */
+async function applyExactMediaBoxes(pdf, pages) {
+  const doc = await PdfLibDocument.load(pdf, { updateMetadata: false });
+  const pdfPages = doc.getPages();
+  if (pdfPages.length !== pages.length) {
+    throw new Error(`PDF backend produced ${pdfPages.length} pages, expected ${pages.length}`);
+  }
+  pdfPages.forEach((pdfPage, index) => {
+    const { widthPt, heightPt } = pages[index];
+    const box = pdfPage.getMediaBox();
+    if (box.x !== 0 || box.y !== 0 || Math.abs(box.width - widthPt) >= 1 || Math.abs(box.height - heightPt) >= 1) {
+      throw new Error(`PDF backend page ${index + 1} has an unexpected MediaBox ${JSON.stringify(box)}`);
+    }
+    pdfPage.setMediaBox(0, box.height - heightPt, widthPt, heightPt);
+  });
+  // Sem object streams: xref clássico, lido por qualquer driver de impressora.
+  return Buffer.from(await doc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false }));
+}
+
+/**
+ * `pages` = `[{ widthPt, heightPt, draw(ctx) }]`; `draw` pode ser async e
+ * desenha em pontos (1/72"), com a origem no canto superior esquerdo.
+ */
+async function renderPdf(pages) {
+  if (useNapi) {
+    const doc = new CanvasLib.PDFDocument({ creator: 'creator-label-badge-api' });
+    for (const page of pages) {
+      const ctx = doc.beginPage(page.widthPt, page.heightPt);
+      await page.draw(ctx);
+      doc.endPage();
+    }
+    return applyExactMediaBoxes(doc.close(), pages);
+  }
+
+  const canvas = CanvasLib.createCanvas(pages[0].widthPt, pages[0].heightPt, 'pdf');
+  const ctx = canvas.getContext('2d');
+  for (let i = 0; i < pages.length; i += 1) {
+    if (i > 0) ctx.addPage(pages[i].widthPt, pages[i].heightPt);
+    await pages[i].draw(ctx);
+  }
+  return canvas.toBuffer('application/pdf');
+}
+
+/**
+ * Embute um canvas já renderizado (ex.: badge legado, que não pode mudar
+ * de pipeline) como imagem, no tamanho físico que ele tem a `dpi`.
+ */
+async function encodeCanvasPdf(canvas, dpi) {
+  const widthPt = (canvas.width / dpi) * POINTS_PER_INCH;
+  const heightPt = (canvas.height / dpi) * POINTS_PER_INCH;
+  return renderPdf([
+    {
+      widthPt,
+      heightPt,
+      draw: (ctx) => ctx.drawImage(canvas, 0, 0, widthPt, heightPt),
+    },
+  ]);
+}
+
+module.exports = { renderPdf, encodeCanvasPdf, mmToPt };
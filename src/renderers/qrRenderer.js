@@ -2,11 +2,15 @@
 
 const QRCode = require('qrcode');
 const { loadImage } = require('./canvasRuntime');
+const { withElementRotation } = require('./elementRotation');
 
 /**
  * Desenha o QR do elemento (docs/plano-motor-dinamico-etiquetas.md §14):
- * conteúdo sempre participant.id, fundo branco, quadrado, centralizado na
+ * conteúdo sempre participant.id, quadrado, centralizado na
  * caixa, sem distorção. `qrValue` já vem normalizado por dataResolver.
+ * Com `element.rotation`, o quadrado gira em torno do centro da caixa.
+ * `color`/`backgroundColor` trocam os módulos escuros e o fundo (padrão
+ * preto sobre branco); o validador exige módulos mais escuros que o fundo.
  */
 async function renderQrElement(ctx, element, qrValue, scale) {
   if (!qrValue) return;
@@ -25,7 +29,7 @@ async function renderQrElement(ctx, element, qrValue, scale) {
   const qrPngBuffer = await QRCode.toBuffer(qrValue, {
     errorCorrectionLevel,
     margin,
-    color: { dark: '#000000', light: '#FFFFFF' },
+    color: { dark: element.color || '#000000', light: element.backgroundColor || '#FFFFFF' },
     width: squareSize,
     type: 'png',
   });
@@ -33,7 +37,7 @@ async function renderQrElement(ctx, element, qrValue, scale) {
   const img = await loadImage(qrPngBuffer);
   const drawX = boxX + (boxWidth - squareSize) / 2;
   const drawY = boxY + (boxHeight - squareSize) / 2;
-  ctx.drawImage(img, drawX, drawY, squareSize, squareSize);
+  withElementRotation(ctx, element, scale, () => ctx.drawImage(img, drawX, drawY, squareSize, squareSize));
 }
 
 module.exports = { renderQrElement };
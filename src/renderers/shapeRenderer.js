@@ -0,0 +1,94 @@
+'use strict';
+
+const { withElementRotation } = require('./elementRotation');
+
+/**
+ * Formas decorativas do layout (faixas de cabeçalho, divisórias, molduras):
+ * `shape` é `rect`, `rounded_rect`, `line` ou `ellipse`. `strokeWidth` e
+ * `cornerRadius` vêm em unidades virtuais (escala uniforme). O traço fica
+ * todo por dentro da caixa — uma moldura não vaza para o elemento vizinho.
+ * A `line` corre pelo eixo maior da caixa, centralizada no menor: uma caixa
+ * 400x4 é uma divisória horizontal, 4x300 uma vertical.
+ */
+
+const DEFAULT_STROKE_WIDTH = 2;
+
+/** Caminho de retângulo com cantos arredondados (arcTo, sem depender de `roundRect`). */
+function roundedRectPath(ctx, x, y, width, height, radius) {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+function drawLine(ctx, element, box, strokePx) {
+  if (!element.strokeColor) return;
+  ctx.strokeStyle = element.strokeColor;
+  ctx.lineWidth = strokePx;
+  ctx.lineCap = 'butt';
+  ctx.beginPath();
+  if (box.width >= box.height) {
+    const centerY = box.y + box.height / 2;
+    ctx.moveTo(box.x, centerY);
+    ctx.lineTo(box.x + box.width, centerY);
+  } else {
+    const centerX = box.x + box.width / 2;
+    ctx.moveTo(centerX, box.y);
+    ctx.lineTo(centerX, box.y + box.height);
+  }
+  ctx.stroke();
+}
+
+function drawClosedShape(ctx, element, box, strokePx, scale) {
+  const inset = element.strokeColor ? strokePx / 2 : 0;
+  const x = box.x + inset;
+  const y = box.y + inset;
+  const width = Math.max(0, box.width - inset * 2);
+  const height = Math.max(0, box.height - inset * 2);
+
+  ctx.beginPath();
+  if (element.shape === 'ellipse') {
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+  } else if (element.shape === 'rounded_rect') {
+    roundedRectPath(ctx, x, y, width, height, (element.cornerRadius || 0) * scale.uniformScale);
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+
+  if (element.fillColor) {
+    ctx.fillStyle = element.fillColor;
+    ctx.fill();
+  }
+  if (element.strokeColor && strokePx > 0) {
+    ctx.strokeStyle = element.strokeColor;
+    ctx.lineWidth = strokePx;
+    ctx.lineJoin = 'miter';
+    ctx.stroke();
+  }
+}
+
+function renderShapeElement(ctx, element, scale) {
+  const { scaleX, scaleY, uniformScale } = scale;
+  const box = {
+    x: element.x * scaleX,
+    y: element.y * scaleY,
+    width: element.width * scaleX,
+    height: element.height * scaleY,
+  };
+  if (box.width <= 0 || box.height <= 0) return;
+
+  const strokeWidth = element.strokeWidth === undefined ? DEFAULT_STROKE_WIDTH : element.strokeWidth;
+  const strokePx = strokeWidth * uniformScale;
+
+  withElementRotation(ctx, element, scale, () => {
+    ctx.save();
+    if (element.shape === 'line') drawLine(ctx, element, box, strokePx);
+    else drawClosedShape(ctx, element, box, strokePx, scale);
+    ctx.restore();
+  });
+}
+
+module.exports = { renderShapeElement };
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Imposição multi-up para folhas de etiquetas pré-picotadas (A4/Letter).
+ * A geometria é toda em mm; quem desenha informa `unitsPerMm` do
+ * contexto (pontos no PDF, pixels no PNG), então o mesmo grid serve aos
+ * dois formatos de `POST /v2/badges/sheet`.
+ */
+
+const {
+  SHEET_PAGE_SIZES_MM,
+  SHEET_CROP_MARK_LENGTH_MM,
+  SHEET_CROP_MARK_OFFSET_MM,
+} = require('../config/constants');
+const { InvalidRequestError } = require('../utils/errors');
+
+// Tolerância de arredondamento ao checar se o grid cabe na página.
+const FIT_EPSILON_MM = 0.01;
+
+/**
+ * Posições de cada etiqueta na página, em ordem de leitura (linha a
+ * linha). Sem margem explícita, o grid é centralizado no eixo. Grid que
+ * não cabe na página é erro do cliente (`InvalidRequestError`).
+ */
+function computeSheetGrid(template) {
+  const page = SHEET_PAGE_SIZES_MM[template.pageSize];
+  const landscape = template.orientation === 'landscape';
+  const pageWidthMm = landscape ? page.height : page.width;
+  const pageHeightMm = landscape ? page.width : page.height;
+
+  const { rows, columns, labelWidthMm, labelHeightMm, gutterXMm, gutterYMm } = template;
+  const gridWidthMm = columns * labelWidthMm + (columns - 1) * gutterXMm;
+  const gridHeightMm = rows * labelHeightMm + (rows - 1) * gutterYMm;
+  const gridLeftMm = template.marginLeftMm !== undefined ? template.marginLeftMm : (pageWidthMm - gridWidthMm) / 2;
+  const gridTopMm = template.marginTopMm !== undefined ? template.marginTopMm : (pageHeightMm - gridHeightMm) / 2;
+
+  if (
+    gridLeftMm < 0 ||
+    gridTopMm < 0 ||
+    gridLeftMm + gridWidthMm > pageWidthMm + FIT_EPSILON_MM ||
+    gridTopMm + gridHeightMm > pageHeightMm + FIT_EPSILON_MM
+  ) {
+    throw new InvalidRequestError(
+      `template grid (${gridWidthMm.toFixed(1)}x${gridHeightMm.toFixed(1)} mm) does not fit on a ` +
+        `${template.pageSize} ${template.orientation} page (${pageWidthMm}x${pageHeightMm} mm)`
+    );
+  }
+
+  const slots = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      slots.push({
+        row: row + 1,
+        column: column + 1,
+        xMm: gridLeftMm + column * (labelWidthMm + gutterXMm),
+        yMm: gridTopMm + row * (labelHeightMm + gutterYMm),
+      });
+    }
+  }
+
+  return {
+    pageWidthMm,
+    pageHeightMm,
+    labelWidthMm,
+    labelHeightMm,
+    gridLeftMm,
+    gridTopMm,
+    gridWidthMm,
+    gridHeightMm,
+    cropMarks: template.cropMarks,
+    slots,
+  };
+}
+
+/**
+ * Marcas de corte fora do grid, alinhadas a cada borda de etiqueta. Com
+ * gutter zero as bordas vizinhas coincidem, por isso nunca há marca
+ * dentro da área impressa.
+ */
+function drawCropMarks(ctx, grid, unitsPerMm) {
+  const xs = new Set();
+  const ys = new Set();
+  for (const slot of grid.slots) {
+    xs.add(slot.xMm).add(slot.xMm + grid.labelWidthMm);
+    ys.add(slot.yMm).add(slot.yMm + grid.labelHeightMm);
+  }
+
+  const top = grid.gridTopMm;
+  const bottom = grid.gridTopMm + grid.gridHeightMm;
+  const left = grid.gridLeftMm;
+  const right = grid.gridLeftMm + grid.gridWidthMm;
+  const near = SHEET_CROP_MARK_OFFSET_MM;
+  const far = SHEET_CROP_MARK_OFFSET_MM + SHEET_CROP_MARK_LENGTH_MM;
+  const line = (x1, y1, x2, y2) => {
+    ctx.moveTo(x1 * unitsPerMm, y1 * unitsPerMm);
+    ctx.lineTo(x2 * unitsPerMm, y2 * unitsPerMm);
+  };
+
+  ctx.save();
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = 0.1 * unitsPerMm;
+  ctx.beginPath();
+  for (const x of xs) {
+    line(x, top - near, x, top - far);
+    line(x, bottom + near, x, bottom + far);
+  }
+  for (const y of ys) {
+    line(left - near, y, left - far, y);
+    line(right + near, y, right + far, y);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Caixa da imagem dentro do slot, em mm: escala "contain" (proporção da
+ * imagem preservada, sem cortar) centralizada no slot. Etiqueta 80x50 num
+ * template de outra proporção (ex. cartão CR80 54x86) sai menor, nunca
+ * deformada.
+ */
+function fitLabelInSlot(image, slot, grid) {
+  const scale = Math.min(grid.labelWidthMm / image.width, grid.labelHeightMm / image.height);
+  const widthMm = image.width * scale;
+  const heightMm = image.height * scale;
+  return {
+    xMm: slot.xMm + (grid.labelWidthMm - widthMm) / 2,
+    yMm: slot.yMm + (grid.labelHeightMm - heightMm) / 2,
+    widthMm,
+    heightMm,
+  };
+}
+
+/**
+ * Desenha uma página: fundo branco, cada imagem de `labels` (uma por
+ * slot, na ordem de `grid.slots`) encaixada no tamanho físico da
+ * etiqueta (ver `fitLabelInSlot`) e, opcionalmente, as marcas de corte.
+ */
+function drawSheetPage(ctx, grid, labels, unitsPerMm) {
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, grid.pageWidthMm * unitsPerMm, grid.pageHeightMm * unitsPerMm);
+
+  labels.forEach((image, index) => {
+    const box = fitLabelInSlot(image, grid.slots[index], grid);
+    ctx.drawImage(
+      image,
+      box.xMm * unitsPerMm,
+      box.yMm * unitsPerMm,
+      box.widthMm * unitsPerMm,
+      box.heightMm * unitsPerMm
+    );
+  });
+
+  if (grid.cropMarks) drawCropMarks(ctx, grid, unitsPerMm);
+}
+
+module.exports = { computeSheetGrid, fitLabelInSlot, drawSheetPage };
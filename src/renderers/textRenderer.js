@@ -6,6 +6,8 @@
  * por dataResolver) e cuida de maxCharacters, overflowStrategy e desenho.
  */
 
+const { withElementRotation } = require('./elementRotation');
+
 const SUPPORTED_FONT_FAMILIES = new Set(['Arial']);
 const ELLIPSIS = '…';
 
@@ -110,7 +112,12 @@ function shrinkToFit(ctx, text, { fontSize, minFontSize, fontWeight, fontFamily,
 
 /**
  * Desenha um elemento de texto já resolvido dentro da sua caixa
- * (coordenadas do layout virtual, escaladas por `scale`).
+ * (coordenadas do layout virtual, escaladas por `scale`). A quebra de
+ * linha usa a largura da caixa sem rotação; `element.rotation` gira o
+ * bloco pronto em torno do centro da caixa. `color` (padrão preto) pinta o
+ * texto; `backgroundColor` preenche a caixa inteira antes dele — texto
+ * invertido, branco sobre faixa preta. O fundo só sai quando há texto a
+ * desenhar: valor vazio ou `hide` sem caber não deixam faixa sozinha.
  */
 function renderTextElement(ctx, element, text, scale, registeredFontFamily) {
   const { scaleX, scaleY, uniformScale } = scale;
@@ -158,7 +165,6 @@ function renderTextElement(ctx, element, text, scale, registeredFontFamily) {
   if (!lines || lines.length === 0) return;
 
   ctx.font = buildFontString(fontSizePx, fontWeight, fontFamily);
-  ctx.fillStyle = '#000000';
   ctx.textBaseline = 'alphabetic';
 
   const align = element.textAlign || 'left';
@@ -171,10 +177,17 @@ function renderTextElement(ctx, element, text, scale, registeredFontFamily) {
   const blockHeight = lineHeight * lines.length;
   let drawY = boxY + Math.max(0, (boxHeight - blockHeight) / 2) + fontSizePx * 0.85;
 
-  for (const line of lines) {
-    ctx.fillText(line, drawX, drawY);
-    drawY += lineHeight;
-  }
+  withElementRotation(ctx, element, scale, () => {
+    if (element.backgroundColor) {
+      ctx.fillStyle = element.backgroundColor;
+      ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    }
+    ctx.fillStyle = element.color || '#000000';
+    for (const line of lines) {
+      ctx.fillText(line, drawX, drawY);
+      drawY += lineHeight;
+    }
+  });
 }
 
 module.exports = {
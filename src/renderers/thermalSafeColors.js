@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Modo seguro para térmica (`print_profile.thermal_safe`): toda cor do
+ * layout vira preto ou branco puro antes do desenho, pela mesma
+ * luminância e limiar do estágio monocromático — uma faixa azul-escura
+ * sai preta sólida em vez de pontilhada, e um texto cinza-claro some
+ * por inteiro em vez de imprimir meio apagado.
+ */
+
+const THERMAL_BLACK = '#000000';
+const THERMAL_WHITE = '#FFFFFF';
+// Mesmo limiar padrão de monochromeBitmap, sem puxar o canvas nativo para o validador.
+const DEFAULT_THRESHOLD = 128;
+
+const ELEMENT_COLOR_FIELDS = ['color', 'backgroundColor', 'fillColor', 'strokeColor'];
+
+function parseHexColor(color) {
+  if (typeof color !== 'string') return null;
+  const match = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.exec(color);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1];
+  return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/** Luminância BT.601 (0–255) de uma cor hex, a mesma do estágio monocromático; `null` fora do formato. */
+function colorLuminance(color) {
+  const rgb = parseHexColor(color);
+  if (!rgb) return null;
+  return 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+}
+
+/** Cor fora do formato hex fica como veio (o validador só aceita hex nos elementos). */
+function toThermalSafeColor(color, threshold = DEFAULT_THRESHOLD) {
+  const luminance = colorLuminance(color);
+  if (luminance === null) return color;
+  return luminance < threshold ? THERMAL_BLACK : THERMAL_WHITE;
+}
+
+/**
+ * `dark` e `light` caem em lados opostos do limiar (`dark` vira preto,
+ * `light` vira branco). Pedir só `dark` mais escuro que `light` não basta:
+ * cinza médio sobre branco passa, mas os dois viram branco no modo seguro
+ * e no limiar do TSPL/ZPL, e o código some da etiqueta.
+ */
+function survivesThreshold(dark, light, threshold = DEFAULT_THRESHOLD) {
+  return colorLuminance(dark) < threshold && colorLuminance(light) >= threshold;
+}
+
+/** Cópia do layout_config com as cores do fundo e de cada elemento já em preto/branco. */
+function toThermalSafeLayoutConfig(layoutConfig, threshold = DEFAULT_THRESHOLD) {
+  const snap = (color) => toThermalSafeColor(color, threshold);
+  return {
+    ...layoutConfig,
+    ...(layoutConfig.backgroundColor ? { backgroundColor: snap(layoutConfig.backgroundColor) } : {}),
+    elements: layoutConfig.elements.map((element) => {
+      const snapped = { ...element };
+      for (const field of ELEMENT_COLOR_FIELDS) {
+        if (snapped[field]) snapped[field] = snap(snapped[field]);
+      }
+      return snapped;
+    }),
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  colorLuminance,
+  survivesThreshold,
+  toThermalSafeColor,
+  toThermalSafeLayoutConfig,
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Programa TSPL (impressoras TSC) pronto para envio: o app deixa de
+ * converter o PNG em bitmap e passa a repassar estes bytes à impressora,
+ * equivalente ao `tsc.size(width:50, height:80)` feito hoje no cliente.
+ *
+ * Em `BITMAP`, a convenção TSPL é bit 0 = ponto impresso, por isso o
+ * bitmap de `canvasToMonochromeBitmap` (bit 1 = preto) é invertido aqui.
+ */
+function encodeTspl(bitmap, { widthMm, heightMm, gapMm = 2, direction = 0, copies = 1 }) {
+  const header = [
+    `SIZE ${widthMm} mm,${heightMm} mm`,
+    `GAP ${gapMm} mm,0 mm`,
+    `DIRECTION ${direction}`,
+    'CLS',
+    `BITMAP 0,0,${bitmap.widthBytes},${bitmap.height},0,`,
+  ].join('\r\n');
+
+  const inverted = Buffer.alloc(bitmap.data.length);
+  for (let i = 0; i < bitmap.data.length; i += 1) {
+    inverted[i] = ~bitmap.data[i] & 0xff;
+  }
+
+  return Buffer.concat([
+    Buffer.from(header, 'ascii'),
+    inverted,
+    Buffer.from(`\r\nPRINT 1,${copies}\r\n`, 'ascii'),
+  ]);
+}
+
+module.exports = { encodeTspl };
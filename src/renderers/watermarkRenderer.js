@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Marca d'água de `POST /v2/badges/preview`: texto em diagonal sobre a
+ * etiqueta inteira, desenhado depois de todos os elementos, mais uma
+ * borda tracejada — um preview impresso nunca passa por crachá real.
+ */
+
+// Fração da diagonal da etiqueta ocupada pelo texto.
+const WATERMARK_DIAGONAL_FRACTION = 0.8;
+const WATERMARK_COLOR = 'rgba(220, 0, 0, 0.35)';
+
+function renderWatermark(ctx, text, widthPx, heightPx, fontFamily) {
+  const diagonal = Math.hypot(widthPx, heightPx);
+
+  ctx.save();
+  ctx.fillStyle = WATERMARK_COLOR;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  // Mede num tamanho de referência e escala para caber na diagonal.
+  const referenceSizePx = 100;
+  ctx.font = `bold ${referenceSizePx}px ${fontFamily}`;
+  const measured = ctx.measureText(text).width || 1;
+  const fontSizePx = Math.max(1, Math.floor((referenceSizePx * diagonal * WATERMARK_DIAGONAL_FRACTION) / measured));
+  ctx.font = `bold ${fontSizePx}px ${fontFamily}`;
+
+  ctx.translate(widthPx / 2, heightPx / 2);
+  ctx.rotate(-Math.atan2(heightPx, widthPx));
+  ctx.fillText(text, 0, 0);
+  ctx.restore();
+
+  ctx.save();
+  ctx.strokeStyle = WATERMARK_COLOR;
+  const borderPx = Math.max(2, Math.round(Math.min(widthPx, heightPx) * 0.02));
+  ctx.lineWidth = borderPx;
+  ctx.setLineDash([borderPx * 3, borderPx * 2]);
+  ctx.strokeRect(borderPx / 2, borderPx / 2, widthPx - borderPx, heightPx - borderPx);
+  ctx.restore();
+}
+
+module.exports = { renderWatermark };
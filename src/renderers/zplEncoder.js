@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Etiqueta ZPL II (impressoras Zebra) com a arte inteira num único campo
+ * gráfico `^GFA`, usando o esquema de compressão ASCII da Zebra:
+ * - contagens de repetição `G`–`Y` (1–19) e `g`–`z` (20–400) antes do dígito hex;
+ * - `,` preenche o resto da linha com 0 (branco) e `!` com 1 (preto);
+ * - `:` repete a linha anterior inteira.
+ * No ZPL bit 1 = ponto impresso, mesma convenção de `canvasToMonochromeBitmap`.
+ */
+
+const HEX_DIGITS = '0123456789ABCDEF';
+
+function encodeRepeatCount(count) {
+  let out = '';
+  let remaining = count;
+  while (remaining >= 20) {
+    const chunk = Math.min(400, Math.floor(remaining / 20) * 20);
+    out += String.fromCharCode('g'.charCodeAt(0) + chunk / 20 - 1);
+    remaining -= chunk;
+  }
+  if (remaining > 0) out += String.fromCharCode('G'.charCodeAt(0) + remaining - 1);
+  return out;
+}
+
+function rowToHex(data, offset, widthBytes) {
+  let hex = '';
+  for (let i = 0; i < widthBytes; i += 1) {
+    const byte = data[offset + i];
+    hex += HEX_DIGITS[byte >> 4] + HEX_DIGITS[byte & 0x0f];
+  }
+  return hex;
+}
+
+/** Comprime uma linha hex: cauda de 0/F vira `,`/`!`, demais runs viram contagem + dígito. */
+function compressHexRow(hex) {
+  let body = hex;
+  let tail = '';
+  const trailingZeros = /0+$/.exec(body);
+  const trailingOnes = /F+$/.exec(body);
+  if (trailingZeros) {
+    body = body.slice(0, trailingZeros.index);
+    tail = ',';
+  } else if (trailingOnes) {
+    body = body.slice(0, trailingOnes.index);
+    tail = '!';
+  }
+
+  let out = '';
+  let i = 0;
+  while (i < body.length) {
+    let run = 1;
+    while (i + run < body.length && body[i + run] === body[i]) run += 1;
+    out += (run > 1 ? encodeRepeatCount(run) : '') + body[i];
+    i += run;
+  }
+  return out + tail;
+}
+
+function compressBitmap(bitmap) {
+  const rows = [];
+  let previousHex = null;
+  for (let y = 0; y < bitmap.height; y += 1) {
+    const hex = rowToHex(bitmap.data, y * bitmap.widthBytes, bitmap.widthBytes);
+    rows.push(hex === previousHex ? ':' : compressHexRow(hex));
+    previousHex = hex;
+  }
+  return rows.join('');
+}
+
+function encodeZpl(bitmap, { copies = 1 } = {}) {
+  const totalBytes = bitmap.widthBytes * bitmap.height;
+  const lines = [
+    '^XA',
+    `^PW${bitmap.width}`,
+    `^LL${bitmap.height}`,
+    '^LH0,0',
+    `^FO0,0^GFA,${totalBytes},${totalBytes},${bitmap.widthBytes},${compressBitmap(bitmap)}^FS`,
+    `^PQ${copies}`,
+    '^XZ',
+  ];
+  return Buffer.from(`${lines.join('\n')}\n`, 'ascii');
+}
+
+module.exports = { encodeZpl, compressHexRow, encodeRepeatCount };
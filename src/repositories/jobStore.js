@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Armazenamento dos jobs de `/v2/jobs`. A fila (`JobQueue`) só conversa
+ * com esta interface assíncrona, então um store externo (Redis, tabela,
+ * bucket) entra no lugar sem mexer na fila:
+ *
+ * - `save(job)` grava/atualiza o registro (objeto JSON simples);
+ * - `get(id)` devolve o registro ou `null`;
+ * - `saveResult(id, buffer)` / `getResult(id)` guardam o arquivo final;
+ * - `purgeExpired(now)` apaga registro e resultado com `expiresAt <= now`.
+ *
+ * O padrão é em memória: jobs e ZIPs somem num restart e não são
+ * compartilhados entre instâncias.
+ */
+class InMemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.results = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async saveResult(id, buffer) {
+    this.results.set(id, buffer);
+  }
+
+  async getResult(id) {
+    return this.results.get(id) || null;
+  }
+
+  async purgeExpired(now) {
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt !== null && job.expiresAt <= now) {
+        this.jobs.delete(id);
+        this.results.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { InMemoryJobStore };
@@ -1,13 +1,41 @@
 'use strict';
 
 const { env } = require('../config/env');
-const { getDynamicClient } = require('./supabaseClients');
+const { getDynamicClient, dynamicCircuitBreaker, timeSupabaseCall } = require('./supabaseClients');
 const { withTimeout } = require('../utils/withTimeout');
 const { TtlCache } = require('../utils/cache');
+const { validateLayoutResponse } = require('../validators/layoutContractValidator');
 const { SUPABASE_OPERATION_TIMEOUT_MS } = require('../config/constants');
-const { LayoutNotPublishedError, LabelDataUnavailableError, SupabaseUnavailableError } = require('../utils/errors');
+const {
+  LayoutNotPublishedError,
+  LayoutVersionNotFoundError,
+  LabelDataUnavailableError,
+  SupabaseTimeoutError,
+  SupabaseUnavailableError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
 
-const layoutCache = new TtlCache();
+const layoutCache = new TtlCache({
+  name: 'published_layout',
+  maxEntries: env.LABEL_LAYOUT_CACHE_MAX_ENTRIES,
+  sweepIntervalMs: env.LABEL_CACHE_SWEEP_INTERVAL_SECONDS * 1000,
+});
+// Último layout publicado *válido* por evento, `{ data, fetchedAt }`, vivo
+// por TTL + LABEL_LAYOUT_STALE_GRACE_SECONDS (stale-if-error).
+const lastGoodLayoutCache = new TtlCache({
+  name: 'published_layout_last_good',
+  maxEntries: env.LABEL_LAYOUT_CACHE_MAX_ENTRIES,
+  sweepIntervalMs: env.LABEL_CACHE_SWEEP_INTERVAL_SECONDS * 1000,
+});
+// event_id → `{ refreshing, lastAttemptAt }` enquanto o layout stale é servido.
+const layoutOutages = new Map();
+// Cópias servidas stale → idade em segundos (ver `getLayoutStaleness`).
+const staleLayouts = new WeakMap();
+const layoutVersionCache = new TtlCache({
+  name: 'layout_version',
+  maxEntries: env.LABEL_LAYOUT_CACHE_MAX_ENTRIES,
+  sweepIntervalMs: env.LABEL_CACHE_SWEEP_INTERVAL_SECONDS * 1000,
+});
 
 function requireDynamicClient() {
   const client = getDynamicClient();
@@ -17,44 +45,177 @@ function requireDynamicClient() {
   return client;
 }
 
+/**
+ * RPC atrás do `dynamicCircuitBreaker`, com timeout de 2s; `error` do
+ * PostgREST vira `SupabaseUnavailableError` e conta como falha do breaker.
+ */
 async function callRpc(client, fnName, args, timeoutMessage) {
-  try {
-    return await withTimeout(
-      (signal) => client.rpc(fnName, args).abortSignal(signal),
-      SUPABASE_OPERATION_TIMEOUT_MS,
-      timeoutMessage
-    );
-  } catch (e) {
-    if (e && e.fallbackEligible) throw e;
-    throw new SupabaseUnavailableError(`${fnName} failed: ${e && e.message}`);
-  }
+  return dynamicCircuitBreaker.execute(async () => {
+    let data;
+    let error;
+    try {
+      ({ data, error } = await timeSupabaseCall(fnName, () =>
+        withTimeout(
+          (signal) => client.rpc(fnName, args).abortSignal(signal),
+          SUPABASE_OPERATION_TIMEOUT_MS,
+          timeoutMessage
+        )
+      ));
+    } catch (e) {
+      if (e && e.fallbackEligible) throw e;
+      throw new SupabaseUnavailableError(`${fnName} failed: ${e && e.message}`);
+    }
+    if (error) {
+      throw new SupabaseUnavailableError(`${fnName} failed: ${error.message}`);
+    }
+    return data;
+  });
 }
 
 /**
  * Layout publicado do evento, incluindo `version_id` e `print_profile`
  * dentro da mesma entrada de cache (docs/plano-motor-dinamico-etiquetas.md
  * §2.2 e §3.6). Não cacheia dado pessoal — só metadados de layout.
+ *
+ * Stale-if-error: se a RPC falhar com `SupabaseTimeoutError` /
+ * `SupabaseUnavailableError` e houver um layout válido buscado há no
+ * máximo TTL + `LABEL_LAYOUT_STALE_GRACE_SECONDS`, devolve uma cópia dele
+ * (idade em `getLayoutStaleness`) em vez de derrubar o `/badge` para o
+ * legado. Enquanto a queda durar, os requests seguintes recebem o stale
+ * sem esperar a RPC e o refresh roda em background.
  */
 async function getPublishedLayout(eventId) {
   const cached = layoutCache.get(eventId);
   if (cached) return cached;
 
+  const lastGood = env.LABEL_LAYOUT_STALE_GRACE_SECONDS > 0 ? lastGoodLayoutCache.get(eventId) : undefined;
+  if (lastGood && layoutOutages.has(eventId)) {
+    refreshLayoutInBackground(eventId);
+    return serveStaleLayout(eventId, lastGood, 'outage-ongoing');
+  }
+
+  try {
+    return await fetchPublishedLayout(eventId);
+  } catch (err) {
+    if (!lastGood || !isSupabaseOutage(err)) throw err;
+    layoutOutages.set(eventId, { refreshing: null, lastAttemptAt: Date.now() });
+    return serveStaleLayout(eventId, lastGood, err.code);
+  }
+}
+
+/**
+ * Busca o layout publicado direto na RPC, ignorando o cache fresco, e
+ * regrava os caches (pré-aquecimento — ver `layoutWarmupService`).
+ */
+function refreshPublishedLayout(eventId) {
+  return fetchPublishedLayout(eventId);
+}
+
+async function fetchPublishedLayout(eventId) {
   const client = requireDynamicClient();
-  const { data, error } = await callRpc(
+  const data = await callRpc(
     client,
     'get_published_event_label_layout',
     { p_event_id: eventId },
     'get_published_event_label_layout timed out'
   );
 
-  if (error) {
-    throw new SupabaseUnavailableError(`get_published_event_label_layout failed: ${error.message}`);
-  }
   if (!data) {
     throw new LayoutNotPublishedError(`no published layout for event_id=${eventId}`);
   }
 
   layoutCache.set(eventId, data, env.LABEL_LAYOUT_CACHE_TTL_SECONDS);
+  if (isValidLayout(data)) {
+    lastGoodLayoutCache.set(
+      eventId,
+      { data, fetchedAt: Date.now() },
+      env.LABEL_LAYOUT_CACHE_TTL_SECONDS + env.LABEL_LAYOUT_STALE_GRACE_SECONDS
+    );
+  }
+  layoutOutages.delete(eventId);
+  return data;
+}
+
+function isValidLayout(data) {
+  try {
+    validateLayoutResponse(data);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isSupabaseOutage(err) {
+  return err instanceof SupabaseTimeoutError || err instanceof SupabaseUnavailableError;
+}
+
+function refreshLayoutInBackground(eventId) {
+  const outage = layoutOutages.get(eventId);
+  const refreshIntervalMs = env.LABEL_LAYOUT_STALE_REFRESH_SECONDS * 1000;
+  if (outage.refreshing || Date.now() - outage.lastAttemptAt < refreshIntervalMs) return;
+
+  outage.refreshing = fetchPublishedLayout(eventId).then(
+    (data) => logger.info('layout-cache:stale-refreshed', { eventId, versionId: data.version_id }),
+    (err) => {
+      outage.refreshing = null;
+      outage.lastAttemptAt = Date.now();
+      // Layout despublicado (ou qualquer erro que não seja queda): o
+      // stale deixa de valer e o próximo request decide sozinho.
+      if (!isSupabaseOutage(err)) {
+        layoutOutages.delete(eventId);
+        lastGoodLayoutCache.delete(eventId);
+      }
+      logger.warn('layout-cache:stale-refresh-failed', { eventId, reason: err && err.code });
+    }
+  );
+}
+
+function serveStaleLayout(eventId, lastGood, reason) {
+  const staleSeconds = Math.round((Date.now() - lastGood.fetchedAt) / 1000);
+  logger.warn('layout-cache:stale-served', {
+    eventId,
+    versionId: lastGood.data.version_id,
+    staleSeconds,
+    reason,
+  });
+  const layout = { ...lastGood.data };
+  staleLayouts.set(layout, staleSeconds);
+  return layout;
+}
+
+/**
+ * Idade em segundos do layout devolvido por `getPublishedLayout` quando
+ * ele veio do stale-if-error; `undefined` para layouts frescos.
+ */
+function getLayoutStaleness(layoutResponse) {
+  return staleLayouts.get(layoutResponse);
+}
+
+/**
+ * Uma versão específica (publicada ou arquivada) do layout do evento, no
+ * mesmo envelope de `get_published_event_label_layout`. A RPC só devolve
+ * versões do próprio `event_id`; id de outro evento ou inexistente é
+ * `null` → `LayoutVersionNotFoundError`. Cache por `(event_id,
+ * version_id)`, separado do cache do layout publicado.
+ */
+async function getLayoutVersion(eventId, versionId) {
+  const cacheKey = `${eventId}:${versionId}`;
+  const cached = layoutVersionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const client = requireDynamicClient();
+  const data = await callRpc(
+    client,
+    'get_event_label_layout_version',
+    { p_event_id: eventId, p_version_id: versionId },
+    'get_event_label_layout_version timed out'
+  );
+
+  if (!data) {
+    throw new LayoutVersionNotFoundError(`no layout version_id=${versionId} for event_id=${eventId}`);
+  }
+
+  layoutVersionCache.set(cacheKey, data, env.LABEL_LAYOUT_CACHE_TTL_SECONDS);
   return data;
 }
 
@@ -64,16 +225,13 @@ async function getPublishedLayout(eventId) {
  */
 async function resolveParticipantLabelData(participantId, eventId) {
   const client = requireDynamicClient();
-  const { data, error } = await callRpc(
+  const data = await callRpc(
     client,
     'resolve_participant_label_data',
     { p_participant_id: participantId, p_event_id: eventId },
     'resolve_participant_label_data timed out'
   );
 
-  if (error) {
-    throw new SupabaseUnavailableError(`resolve_participant_label_data failed: ${error.message}`);
-  }
   if (!data) {
     throw new LabelDataUnavailableError(`no label data for participant_id=${participantId}`);
   }
@@ -81,8 +239,30 @@ async function resolveParticipantLabelData(participantId, eventId) {
   return data;
 }
 
+/**
+ * Layout recém-publicado (webhook `POST /v2/cache/invalidate`): descarta o
+ * publicado em cache e o último válido, que passou a ser a versão antiga.
+ * Versões específicas não mudam de conteúdo e ficam.
+ */
+function invalidatePublishedLayout(eventId) {
+  layoutCache.delete(eventId);
+  lastGoodLayoutCache.delete(eventId);
+  layoutOutages.delete(eventId);
+}
+
 function clearLayoutCache() {
   layoutCache.clear();
+  lastGoodLayoutCache.clear();
+  layoutOutages.clear();
+  layoutVersionCache.clear();
 }
 
-module.exports = { getPublishedLayout, resolveParticipantLabelData, clearLayoutCache };
+module.exports = {
+  getPublishedLayout,
+  refreshPublishedLayout,
+  getLayoutStaleness,
+  getLayoutVersion,
+  resolveParticipantLabelData,
+  invalidatePublishedLayout,
+  clearLayoutCache,
+};
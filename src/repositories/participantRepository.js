@@ -1,7 +1,14 @@
 'use strict';
 
 const { env } = require('../config/env');
-const { getLegacyClient, getDynamicClient, isLegacySupabaseConfigured, isDynamicSupabaseConfigured } = require('./supabaseClients');
+const {
+  getLegacyClient,
+  getDynamicClient,
+  isLegacySupabaseConfigured,
+  isDynamicSupabaseConfigured,
+  dynamicCircuitBreaker,
+  timeSupabaseCall,
+} = require('./supabaseClients');
 const { withTimeout } = require('../utils/withTimeout');
 const { TtlCache } = require('../utils/cache');
 const { SUPABASE_OPERATION_TIMEOUT_MS } = require('../config/constants');
@@ -27,16 +34,18 @@ async function fetchLegacyParticipant(participantId) {
     // Mesmo padrão do motor dinâmico (timeout 2s + abortSignal). Em
     // timeout, erro Supabase ou rede: engole e devolve null — o
     // controller legado segue com o `name` do request (nunca propaga).
-    const { data, error } = await withTimeout(
-      (signal) =>
-        client
-          .from(env.SUPABASE_PARTICIPANTS_TABLE)
-          .select('id,name,extra_answers')
-          .eq('id', participantId)
-          .abortSignal(signal)
-          .maybeSingle(),
-      SUPABASE_OPERATION_TIMEOUT_MS,
-      'fetchLegacyParticipant timed out'
+    const { data, error } = await timeSupabaseCall('fetchLegacyParticipant', () =>
+      withTimeout(
+        (signal) =>
+          client
+            .from(env.SUPABASE_PARTICIPANTS_TABLE)
+            .select('id,name,extra_answers')
+            .eq('id', participantId)
+            .abortSignal(signal)
+            .maybeSingle(),
+        SUPABASE_OPERATION_TIMEOUT_MS,
+        'fetchLegacyParticipant timed out'
+      )
     );
     if (error) {
       console.error('Supabase query error:', error.message);
@@ -49,7 +58,34 @@ async function fetchLegacyParticipant(participantId) {
   }
 }
 
-const contextCache = new TtlCache();
+const contextCache = new TtlCache({
+  name: 'participant_context',
+  maxEntries: env.LABEL_CONTEXT_CACHE_MAX_ENTRIES,
+  sweepIntervalMs: env.LABEL_CACHE_SWEEP_INTERVAL_SECONDS * 1000,
+});
+
+/**
+ * Consulta do dynamicClient atrás do `dynamicCircuitBreaker`, com timeout
+ * de 2s; `error` do PostgREST vira `SupabaseUnavailableError`.
+ */
+async function runDynamicQuery(operation, buildQuery) {
+  return dynamicCircuitBreaker.execute(async () => {
+    let data;
+    let error;
+    try {
+      ({ data, error } = await timeSupabaseCall(operation, () =>
+        withTimeout(buildQuery, SUPABASE_OPERATION_TIMEOUT_MS, `${operation} timed out`)
+      ));
+    } catch (e) {
+      if (e && e.fallbackEligible) throw e;
+      throw new SupabaseUnavailableError(`${operation} failed: ${e && e.message}`);
+    }
+    if (error) {
+      throw new SupabaseUnavailableError(`${operation} failed: ${error.message}`);
+    }
+    return data;
+  });
+}
 
 /**
  * Consulta mínima participant_id -> event_id, usada exclusivamente pelo
@@ -65,28 +101,15 @@ async function fetchParticipantContext(participantId) {
     throw new SupabaseUnavailableError('dynamic Supabase client (service role) is not configured');
   }
 
-  let data;
-  let error;
-  try {
-    ({ data, error } = await withTimeout(
-      (signal) =>
-        client
-          .from(env.SUPABASE_PARTICIPANTS_TABLE)
-          .select('id,event_id')
-          .eq('id', participantId)
-          .abortSignal(signal)
-          .maybeSingle(),
-      SUPABASE_OPERATION_TIMEOUT_MS,
-      'fetchParticipantContext timed out'
-    ));
-  } catch (e) {
-    if (e && e.fallbackEligible) throw e;
-    throw new SupabaseUnavailableError(`fetchParticipantContext failed: ${e && e.message}`);
-  }
+  const data = await runDynamicQuery('fetchParticipantContext', (signal) =>
+    client
+      .from(env.SUPABASE_PARTICIPANTS_TABLE)
+      .select('id,event_id')
+      .eq('id', participantId)
+      .abortSignal(signal)
+      .maybeSingle()
+  );
 
-  if (error) {
-    throw new SupabaseUnavailableError(`fetchParticipantContext failed: ${error.message}`);
-  }
   if (!data) {
     throw new ParticipantContextNotFoundError('participant not found for context lookup');
   }
@@ -99,6 +122,34 @@ async function fetchParticipantContext(participantId) {
   return context;
 }
 
+/**
+ * Página de ids de participantes de um evento (ordenada por id), para o
+ * lote `event_id` de `/v2/badges/batch`. Mesma restrição da consulta de
+ * contexto: só `id`, nunca dado pessoal.
+ */
+async function listEventParticipantIds(eventId, { offset = 0, limit }) {
+  const client = getDynamicClient();
+  if (!client) {
+    throw new SupabaseUnavailableError('dynamic Supabase client (service role) is not configured');
+  }
+
+  const data = await runDynamicQuery('listEventParticipantIds', (signal) =>
+    client
+      .from(env.SUPABASE_PARTICIPANTS_TABLE)
+      .select('id')
+      .eq('event_id', eventId)
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1)
+      .abortSignal(signal)
+  );
+  return (data || []).map((row) => row.id);
+}
+
+/** Participante movido de evento (webhook `POST /v2/cache/invalidate`). */
+function invalidateParticipantContexts(participantIds) {
+  for (const participantId of participantIds) contextCache.delete(participantId);
+}
+
 function clearParticipantContextCache() {
   contextCache.clear();
 }
@@ -106,7 +157,9 @@ function clearParticipantContextCache() {
 module.exports = {
   fetchLegacyParticipant,
   fetchParticipantContext,
+  listEventParticipantIds,
   isLegacySupabaseConfigured,
   isDynamicSupabaseConfigured,
+  invalidateParticipantContexts,
   clearParticipantContextCache,
 };
@@ -2,6 +2,14 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { env } = require('../config/env');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const {
+  SupabaseTimeoutError,
+  SupabaseUnavailableError,
+  SupabaseCircuitOpenError,
+} = require('../utils/errors');
+const { registry } = require('../utils/metrics');
+const { traceSpan, recordSpanError } = require('../utils/tracing');
 
 /**
  * Dois clientes deliberadamente separados (docs/plano-motor-dinamico-etiquetas.md §3):
@@ -41,6 +49,54 @@ function initDynamicClient() {
 initLegacyClient();
 initDynamicClient();
 
+/**
+ * Breaker único de todas as consultas do dynamicClient (contexto, listagem
+ * e RPCs): durante uma queda, os requests deixam de esperar os 2s de
+ * timeout por chamada. Só timeout/indisponibilidade contam como falha. O
+ * lookup legado fica de fora — o contrato de `/badge` sem o motor não muda.
+ */
+const dynamicCircuitBreaker = new CircuitBreaker({
+  name: 'supabase',
+  failureThreshold: env.LABEL_SUPABASE_BREAKER_FAILURE_THRESHOLD,
+  openSeconds: env.LABEL_SUPABASE_BREAKER_OPEN_SECONDS,
+  halfOpenProbes: env.LABEL_SUPABASE_BREAKER_HALF_OPEN_PROBES,
+  isFailure: (err) => err instanceof SupabaseTimeoutError || err instanceof SupabaseUnavailableError,
+  createOpenError: (message) => new SupabaseCircuitOpenError(message),
+});
+
+const supabaseCallDuration = registry.histogram({
+  name: 'supabase_call_duration_seconds',
+  help: 'Supabase query/RPC latency by operation and outcome (ok, error, timeout).',
+  labelNames: ['operation', 'outcome'],
+});
+
+/**
+ * Mede uma chamada ao Supabase (`fn` resolve com a resposta do supabase-js,
+ * `{ data, error }`) no histograma e num span CLIENT `supabase.<operation>`.
+ * Chamadas barradas pelo breaker não chegam aqui.
+ */
+function timeSupabaseCall(operation, fn) {
+  const attributes = { 'db.system': 'postgresql', 'db.operation': operation };
+  return traceSpan(
+    `supabase.${operation}`,
+    attributes,
+    (span) =>
+      supabaseCallDuration.time({ operation }, fn, (err, response) => {
+        const outcome = supabaseCallOutcome(err, response);
+        span.setAttribute('db.outcome', outcome);
+        // Erro devolvido (não lançado) pelo supabase-js também marca o span.
+        if (!err && outcome === 'error') recordSpanError(span, response.error);
+        return { outcome };
+      }),
+    'client'
+  );
+}
+
+function supabaseCallOutcome(err, response) {
+  if (err) return err instanceof SupabaseTimeoutError ? 'timeout' : 'error';
+  return response && response.error ? 'error' : 'ok';
+}
+
 /**
  * Reconstrói os dois clientes a partir do `env` atual. Usado apenas em
  * testes que precisam simular a ausência/presença da service role em
@@ -56,5 +112,7 @@ module.exports = {
   getDynamicClient: () => dynamicClient,
   isLegacySupabaseConfigured: () => legacyClient !== null,
   isDynamicSupabaseConfigured: () => dynamicClient !== null,
+  dynamicCircuitBreaker,
+  timeSupabaseCall,
   reinitClientsForTests,
 };
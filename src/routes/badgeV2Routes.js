@@ -2,10 +2,25 @@
 
 const express = require('express');
 const { apiKeyAuthMiddleware } = require('../middleware/apiKeyAuth');
+const { webhookSignatureMiddleware } = require('../middleware/webhookSignature');
 const { handleBadgeV2Render } = require('../controllers/badgeV2Controller');
+const { handleBadgeSheet } = require('../controllers/badgeSheetController');
+const { handleBadgeBatch } = require('../controllers/badgeBatchController');
+const { handleBadgePreview } = require('../controllers/badgePreviewController');
+const { handleCreateJob, handleGetJob, handleGetJobResult } = require('../controllers/jobController');
+const { handleCacheInvalidate } = require('../controllers/cacheController');
+const { handleGetEventRenderStats } = require('../controllers/renderStatsController');
 
 const router = express.Router();
 
 router.post('/v2/badges/render', apiKeyAuthMiddleware, handleBadgeV2Render);
+router.post('/v2/badges/sheet', apiKeyAuthMiddleware, handleBadgeSheet);
+router.post('/v2/badges/batch', apiKeyAuthMiddleware, handleBadgeBatch);
+router.post('/v2/badges/preview', apiKeyAuthMiddleware, handleBadgePreview);
+router.post('/v2/jobs', apiKeyAuthMiddleware, handleCreateJob);
+router.get('/v2/jobs/:id', apiKeyAuthMiddleware, handleGetJob);
+router.get('/v2/jobs/:id/result', apiKeyAuthMiddleware, handleGetJobResult);
+router.post('/v2/cache/invalidate', webhookSignatureMiddleware, handleCacheInvalidate);
+router.get('/v2/events/:eventId/render-stats', apiKeyAuthMiddleware, handleGetEventRenderStats);
 
 module.exports = router;
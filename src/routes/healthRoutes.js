@@ -2,16 +2,41 @@
 
 const express = require('express');
 const { env } = require('../config/env');
+const { getCacheStats } = require('../utils/cache');
+const { dynamicCircuitBreaker } = require('../repositories/supabaseClients');
+const { getLayoutWarmupStatus } = require('../services/layoutWarmupService');
+const { getReadiness, toPublicReport } = require('../services/readinessService');
+const { hasValidBearerToken } = require('../middleware/apiKeyAuth');
 
 const router = express.Router();
 
+// Liveness: corpo estático e público. Estado interno (caches, circuito do
+// Supabase, warmup com event_ids e erros de layout) só com o Bearer de
+// `LABEL_METRICS_TOKEN`, como em /health/ready.
 router.get('/health', (req, res) => {
-  res.json({
+  const body = {
     status: 'ok',
     service: 'creator-label',
     version: env.SERVICE_VERSION,
     dynamic_layout_enabled: env.LABEL_DYNAMIC_LAYOUT_ENABLED,
-  });
+  };
+  if (hasValidBearerToken(req, env.LABEL_METRICS_TOKEN)) {
+    Object.assign(body, {
+      caches: getCacheStats(),
+      supabase_circuit: dynamicCircuitBreaker.stats(),
+      layout_warmup: getLayoutWarmupStatus(),
+    });
+  }
+  res.json(body);
+});
+
+// Prontidão: exercita fonte, canvas, QR e Supabase; 503 se algo crítico
+// falhar. Público só com `ok`/`fail` por checagem; o relatório completo
+// (detalhes, erros, duração) exige o Bearer de `LABEL_METRICS_TOKEN`.
+router.get('/health/ready', async (req, res) => {
+  const { ready, report } = await getReadiness();
+  const body = hasValidBearerToken(req, env.LABEL_METRICS_TOKEN) ? report : toPublicReport(report);
+  res.status(ready ? 200 : 503).json(body);
 });
 
 module.exports = router;
@@ -0,0 +1,13 @@
+'use strict';
+
+const express = require('express');
+const { metricsAuthMiddleware } = require('../middleware/apiKeyAuth');
+const { registry } = require('../utils/metrics');
+
+const router = express.Router();
+
+router.get('/metrics', metricsAuthMiddleware, (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(registry.render());
+});
+
+module.exports = router;
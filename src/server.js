@@ -2,9 +2,11 @@
 
 const app = require('./app');
 const { env } = require('./config/env');
+const { startLayoutWarmup } = require('./services/layoutWarmupService');
 
 const server = app.listen(env.PORT, () => {
   console.log(`Badge API listening on http://localhost:${env.PORT}`);
+  startLayoutWarmup();
 });
 
 module.exports = server;
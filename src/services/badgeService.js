@@ -8,14 +8,52 @@
  * erro própria decidida pelo `badgeV2Controller`.
  */
 
-const { env, mmToPrinterDots } = require('../config/env');
+const { env } = require('../config/env');
 const { fetchParticipantContext, isDynamicSupabaseConfigured } = require('../repositories/participantRepository');
-const { getPublishedLayout, resolveParticipantLabelData } = require('../repositories/labelRpcRepository');
+const {
+  getPublishedLayout,
+  getLayoutStaleness,
+  getLayoutVersion,
+  resolveParticipantLabelData,
+} = require('../repositories/labelRpcRepository');
 const { validateLayoutResponse } = require('../validators/layoutContractValidator');
-const { renderDynamicLabelPng } = require('../renderers/dynamicLabelRenderer');
-const { EventNotAllowlistedError, DynamicFlowBudgetExceededError } = require('../utils/errors');
+const { renderDynamicLabelCanvas, renderDynamicLabelPdf } = require('../renderers/dynamicLabelRenderer');
+const { encodeLabelOutput, getPrinterDots } = require('./labelOutputService');
+const { EncryptedRenderCache } = require('../utils/renderCache');
+const {
+  EventNotAllowlistedError,
+  DynamicFlowBudgetExceededError,
+  LayoutInvalidError,
+} = require('../utils/errors');
 const { DYNAMIC_FLOW_TOTAL_BUDGET_MS } = require('../config/constants');
 const logger = require('../utils/logger');
+const { registry } = require('../utils/metrics');
+const { traceSpan } = require('../utils/tracing');
+const { recordDynamicRenderOutcome } = require('./renderStatsService');
+
+// Etiquetas entregues por engine: o dinâmico conta cada etiqueta (lote,
+// folha e jobs incluídos); o legado é contado pelo `legacyBadgeController`.
+const labelRendersTotal = registry.counter({
+  name: 'label_renders_total',
+  help: 'Labels rendered, by engine (dynamic or legacy).',
+  labelNames: ['engine'],
+});
+const dynamicFallbacksTotal = registry.counter({
+  name: 'label_dynamic_fallbacks_total',
+  help: '/badge requests that fell back to the legacy renderer, by error code.',
+  labelNames: ['reason'],
+});
+const renderCacheLookupsTotal = registry.counter({
+  name: 'label_render_cache_lookups_total',
+  help: 'Rendered-label cache lookups by result (hit, miss, invalidated).',
+  labelNames: ['result'],
+});
+
+const renderCache = new EncryptedRenderCache({
+  maxEntries: env.LABEL_RENDER_CACHE_MAX_ENTRIES,
+  maxBytes: env.LABEL_RENDER_CACHE_MAX_MB * 1024 * 1024,
+  ttlSeconds: env.LABEL_RENDER_CACHE_TTL_SECONDS,
+});
 
 const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
@@ -49,9 +87,31 @@ function isDynamicEligible(params) {
  * participante e renderiza — tudo dentro do orçamento total de ~5s.
  * NUNCA engole `FallbackEligibleError`: cada chamador decide o que fazer
  * (badge legado faz fallback silencioso; `/v2/badges/render` responde
- * com um erro HTTP específico).
+ * com um erro HTTP específico). `options.outputFormat` escolhe a
+ * codificação de `buffer` (PNG por padrão, ver labelOutputService) e
+ * `options.ditherMode` sobrepõe o `print_profile.dither_mode` do layout.
+ * `options.loadLayout` troca o `getPublishedLayout` (ver
+ * `createSharedLayoutLoader`); `options.layoutVersionId` renderiza essa
+ * versão (publicada ou arquivada) do layout do evento do participante.
+ * `layoutStaleSeconds` só aparece no resultado quando o layout publicado
+ * veio do stale-if-error (ver `getPublishedLayout`).
  */
-async function renderDynamicLabel(participantId, requestId, options = {}) {
+function renderDynamicLabel(participantId, requestId, options = {}) {
+  const progress = {};
+  return traceSpan('label.dynamic_render', {}, (span) =>
+    runDynamicRender(participantId, requestId, options, span, progress)
+  ).catch((err) => {
+    // Falha depois do contexto carrega o evento (placar por evento do /badge).
+    if (err && progress.eventId !== undefined && err.eventId === undefined) err.eventId = progress.eventId;
+    throw err;
+  });
+}
+
+/**
+ * Corpo de `renderDynamicLabel`: cada etapa num span filho. Atributos só
+ * com ids de evento/versão e status — o participant_id nunca vai ao trace.
+ */
+async function runDynamicRender(participantId, requestId, options, span, progress) {
   const startedAt = Date.now();
   const remainingBudgetMs = () => DYNAMIC_FLOW_TOTAL_BUDGET_MS - (Date.now() - startedAt);
   const assertWithinBudget = (step) => {
@@ -60,42 +120,166 @@ async function renderDynamicLabel(participantId, requestId, options = {}) {
     }
   };
 
-  const ctx = await fetchParticipantContext(participantId);
+  const ctx = await traceSpan('participant_context.fetch', {}, () => fetchParticipantContext(participantId));
+  span.setAttribute('label.event_id', ctx.event_id);
+  progress.eventId = ctx.event_id;
   if (!isEventAllowlisted(ctx.event_id)) {
     throw new EventNotAllowlistedError(`event_id=${ctx.event_id} is not in LABEL_DYNAMIC_EVENT_IDS`);
   }
   assertWithinBudget('fetching the published layout');
 
-  const layoutResponse = await getPublishedLayout(ctx.event_id);
-  validateLayoutResponse(layoutResponse);
+  const { layoutResponse, layoutStaleSeconds } = await traceSpan(
+    'layout.load',
+    { 'label.event_id': ctx.event_id, 'label.layout_version_requested': options.layoutVersionId },
+    async (layoutSpan) => {
+      const loaded = await loadLayoutFor(ctx.event_id, options);
+      const staleSeconds = getLayoutStaleness(loaded);
+      layoutSpan.setAttributes({
+        'label.layout_version_id': loaded.version_id,
+        'label.layout_stale_seconds': staleSeconds,
+      });
+      validateLayoutResponse(loaded);
+      if (options.layoutVersionId !== undefined && loaded.version_id !== options.layoutVersionId) {
+        throw new LayoutInvalidError(
+          `layout version mismatch: requested ${options.layoutVersionId}, got ${loaded.version_id}`
+        );
+      }
+      return { layoutResponse: loaded, layoutStaleSeconds: staleSeconds };
+    }
+  );
+  span.setAttribute('label.layout_version_id', layoutResponse.version_id);
   assertWithinBudget('resolving participant label data');
 
-  const labelData = await resolveParticipantLabelData(participantId, ctx.event_id);
+  const labelData = await traceSpan('label_data.resolve', { 'label.event_id': ctx.event_id }, () =>
+    resolveParticipantLabelData(participantId, ctx.event_id)
+  );
   assertWithinBudget('rendering the dynamic label');
 
-  const pngBuffer = await renderDynamicLabelPng(layoutResponse, labelData, {
+  const { buffer, renderCacheStatus } = await traceSpan(
+    'label.render',
+    { 'label.output_format': options.outputFormat || 'png' },
+    async (renderSpan) => {
+      const rendered = await renderLayoutCached(participantId, layoutResponse, labelData, requestId, options);
+      renderSpan.setAttributes({
+        'label.render_cache': rendered.renderCacheStatus,
+        'label.bytes': rendered.buffer.length,
+      });
+      return rendered;
+    }
+  );
+
+  labelRendersTotal.inc({ engine: 'dynamic' });
+  if (renderCacheStatus !== 'off') renderCacheLookupsTotal.inc({ result: renderCacheStatus });
+  logger.info('badge-service:dynamic-render-success', {
     requestId,
+    eventId: ctx.event_id,
+    versionId: layoutResponse.version_id,
+    renderCache: renderCacheStatus,
+    layoutStaleSeconds,
+    durationMs: Date.now() - startedAt,
+  });
+
+  const result = { buffer, eventId: ctx.event_id, versionId: layoutResponse.version_id };
+  if (layoutStaleSeconds !== undefined) result.layoutStaleSeconds = layoutStaleSeconds;
+  return result;
+}
+
+function loadLayoutFor(eventId, options) {
+  if (options.layoutVersionId !== undefined) return getLayoutVersion(eventId, options.layoutVersionId);
+  const loadLayout = options.loadLayout || getPublishedLayout;
+  return loadLayout(eventId);
+}
+
+/**
+ * `renderLayout` atrás do cache de etiquetas (`LABEL_RENDER_CACHE_ENABLED`).
+ * Contexto, layout e dados continuam sendo buscados a cada chamada: são
+ * eles que invalidam a entrada quando a versão do layout ou os dados do
+ * participante mudam. O cache poupa canvas, QR e logo.
+ */
+async function renderLayoutCached(participantId, layoutResponse, labelData, requestId, options) {
+  if (!env.LABEL_RENDER_CACHE_ENABLED) {
+    return { buffer: await renderLayout(layoutResponse, labelData, requestId, options), renderCacheStatus: 'off' };
+  }
+
+  const key = renderCache.keyFor(participantId, {
+    outputFormat: options.outputFormat || 'png',
+    ditherMode: options.ditherMode,
     outputRotation: options.outputRotation,
     outputWidthPx: options.outputWidthPx,
     outputHeightPx: options.outputHeightPx,
   });
+  const fingerprint = renderCache.fingerprintFor(layoutResponse.version_id, labelData);
+  const cached = renderCache.get(key, fingerprint);
+  if (cached.buffer) return { buffer: cached.buffer, renderCacheStatus: 'hit' };
 
-  logger.info('badge-service:dynamic-render-success', {
+  const buffer = await renderLayout(layoutResponse, labelData, requestId, options);
+  renderCache.set(key, fingerprint, buffer);
+  return { buffer, renderCacheStatus: cached.invalidated ? 'invalidated' : 'miss' };
+}
+
+function clearRenderCache() {
+  renderCache.clear();
+}
+
+/**
+ * PDF sai vetorial direto do layout; os demais formatos partem do canvas
+ * final e passam por `encodeLabelOutput`.
+ */
+async function renderLayout(layoutResponse, labelData, requestId, options) {
+  if (options.outputFormat === 'pdf') {
+    return renderDynamicLabelPdf(layoutResponse, labelData, { requestId, outputRotation: options.outputRotation });
+  }
+
+  const canvas = await renderDynamicLabelCanvas(layoutResponse, labelData, {
     requestId,
-    eventId: ctx.event_id,
-    versionId: layoutResponse.version_id,
-    durationMs: Date.now() - startedAt,
+    outputRotation: options.outputRotation,
+    outputWidthPx: options.outputWidthPx,
+    outputHeightPx: options.outputHeightPx,
   });
+  const printProfile = layoutResponse.print_profile;
+  return traceSpan('label.encode', { 'label.output_format': options.outputFormat || 'png' }, () =>
+    encodeLabelOutput(canvas, options.outputFormat, {
+      monochrome: {
+        mode: options.ditherMode || printProfile.dither_mode,
+        threshold: printProfile.dither_threshold,
+      },
+    })
+  );
+}
 
-  return { pngBuffer, eventId: ctx.event_id, versionId: layoutResponse.version_id };
+/**
+ * `getPublishedLayout` memoizado por evento durante um lote: o layout é
+ * buscado uma única vez e a mesma versão vale para todo o lote, mesmo se
+ * o cache TTL expirar ou uma nova versão for publicada no meio. Falhas
+ * também são memoizadas (layout não publicado não é consultado N vezes).
+ */
+function createSharedLayoutLoader() {
+  const byEventId = new Map();
+  return (eventId) => {
+    if (!byEventId.has(eventId)) byEventId.set(eventId, getPublishedLayout(eventId));
+    return byEventId.get(eventId);
+  };
+}
+
+/** Rotação + rescale da bobina, compartilhados por `/badge` e por TSPL/ZPL. */
+function getPrinterOutputOptions() {
+  const dots = getPrinterDots();
+  return {
+    outputRotation: env.LABEL_BADGE_OUTPUT_ROTATION,
+    outputWidthPx: dots ? dots.widthPx : 0,
+    outputHeightPx: dots ? dots.heightPx : 0,
+  };
 }
 
 /**
- * Usado por `/badge`: tenta o fluxo dinâmico e retorna o PNG em caso de
- * sucesso, ou `null` quando qualquer condição elegível de fallback
- * ocorre — o chamador deve então seguir com o `legacyLabelRenderer`
- * normalmente. Erros que NÃO são `FallbackEligibleError` propagam para o
- * chamador decidir a resposta HTTP (nunca viram fallback silencioso).
+ * Usado por `/badge`: tenta o fluxo dinâmico no `params.outputFormat`
+ * pedido (PNG por padrão). Devolve `null` quando o dinâmico nem é
+ * elegível, o resultado de `renderDynamicLabel` em caso de sucesso, ou
+ * `{ buffer: null, fallbackReason }` (código do erro) quando qualquer
+ * condição elegível de fallback ocorre — nos dois últimos casos sem
+ * buffer o chamador segue com o `legacyLabelRenderer` normalmente. Erros
+ * que NÃO são `FallbackEligibleError` propagam para o chamador decidir a
+ * resposta HTTP (nunca viram fallback silencioso).
  *
  * Aplica `LABEL_BADGE_OUTPUT_ROTATION` (default 90) e redimensiona para
  * `LABEL_BADGE_OUTPUT_*_MM` @ `LABEL_BADGE_PRINTER_DPI` (default 50×80 @
@@ -107,24 +291,31 @@ async function tryRenderDynamic(params, requestId) {
 
   const startedAt = Date.now();
   try {
-    const printerDpi = env.LABEL_BADGE_PRINTER_DPI;
-    const outputWidthPx = mmToPrinterDots(env.LABEL_BADGE_OUTPUT_WIDTH_MM, printerDpi);
-    const outputHeightPx = mmToPrinterDots(env.LABEL_BADGE_OUTPUT_HEIGHT_MM, printerDpi);
+    // PDF vai para impressora de escritório: mantém o tamanho físico do
+    // print_profile, sem a rotação/rescale da bobina térmica.
+    const printerOptions = params.outputFormat === 'pdf' ? {} : getPrinterOutputOptions();
     const result = await renderDynamicLabel(params.qr, requestId, {
-      outputRotation: env.LABEL_BADGE_OUTPUT_ROTATION,
-      outputWidthPx,
-      outputHeightPx,
+      ...printerOptions,
+      outputFormat: params.outputFormat,
+      ditherMode: params.ditherMode,
     });
-    return result.pngBuffer;
+    recordDynamicRenderOutcome(result.eventId);
+    return result;
   } catch (err) {
     if (err && err.fallbackEligible) {
+      const fallbackReason = (err && err.code) || (err && err.name);
+      dynamicFallbacksTotal.inc({ reason: fallbackReason });
+      if (err.eventId !== undefined && !(err instanceof EventNotAllowlistedError)) {
+        recordDynamicRenderOutcome(err.eventId, fallbackReason);
+      }
       logger.warn('badge-service:dynamic-fallback', {
         requestId,
-        reason: (err && err.code) || (err && err.name),
+        eventId: err.eventId,
+        reason: fallbackReason,
         message: err && err.message,
         durationMs: Date.now() - startedAt,
       });
-      return null;
+      return { buffer: null, fallbackReason };
     }
     throw err;
   }
@@ -133,6 +324,10 @@ async function tryRenderDynamic(params, requestId) {
 module.exports = {
   tryRenderDynamic,
   renderDynamicLabel,
+  labelRendersTotal,
+  clearRenderCache,
+  createSharedLayoutLoader,
+  getPrinterOutputOptions,
   isUuid,
   isDynamicEligible,
   isDynamicEngineConfigured,
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Lote de pré-impressão de `POST /v2/badges/batch`: um PNG por
+ * participante, renderizado pelo mesmo `renderDynamicLabel` de
+ * `/v2/badges/render` (orientação de design), com o layout de cada evento
+ * buscado uma única vez para o lote inteiro. Falha de um participante
+ * fica no resultado dele; o lote nunca é abortado por isso.
+ */
+
+const { renderDynamicLabel, createSharedLayoutLoader, isEventAllowlisted } = require('./badgeService');
+const { listEventParticipantIds } = require('../repositories/participantRepository');
+const { limiter } = require('../middleware/concurrencyLimit');
+const { mapWithLimiter } = require('../utils/concurrency');
+const { EventNotAllowlistedError } = require('../utils/errors');
+const {
+  BATCH_MAX_PARTICIPANTS,
+  MULTI_LABEL_MAX_PARALLEL_RENDERS,
+  POSTGREST_MAX_ROWS,
+} = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Até `pageSize` ids do evento a partir de `offset`. `nextOffset` é
+ * `null` na última página.
+ */
+async function listBatchParticipantIds(eventId, offset, pageSize = BATCH_MAX_PARTICIPANTS) {
+  if (!isEventAllowlisted(eventId)) {
+    throw new EventNotAllowlistedError(`event_id=${eventId} is not in LABEL_DYNAMIC_EVENT_IDS`);
+  }
+  // Um a mais que a página só para saber se existe a próxima. O PostgREST
+  // corta em max-rows sem avisar: a página + a sonda precisam caber nele,
+  // senão a sonda nunca chega e o evento é truncado sem `next_offset`.
+  const limit = Math.min(pageSize, POSTGREST_MAX_ROWS - 1);
+  const ids = await listEventParticipantIds(eventId, { offset, limit: limit + 1 });
+  const hasMore = ids.length > limit;
+  return {
+    participantIds: ids.slice(0, limit),
+    nextOffset: hasMore ? offset + limit : null,
+  };
+}
+
+function mapWithRequestSlot(participantIds, fn) {
+  return mapWithLimiter(participantIds, limiter, MULTI_LABEL_MAX_PARALLEL_RENDERS, fn);
+}
+
+/**
+ * `[{ participantId, buffer } | { participantId, error }]`, na ordem
+ * pedida. `mapItems` decide como os renders disputam o limiter global
+ * (padrão: `mapWithLimiter` sobre o slot da requisição; jobs usam
+ * `mapInBackground`); `onItemDone(result)` é chamado a cada etiqueta.
+ */
+async function renderBadgeBatch(participantIds, requestId, { mapItems = mapWithRequestSlot, onItemDone } = {}) {
+  const startedAt = Date.now();
+  const loadLayout = createSharedLayoutLoader();
+  const results = await mapItems(participantIds, async (participantId) => {
+    let result;
+    try {
+      const { buffer } = await renderDynamicLabel(participantId, requestId, { outputFormat: 'png', loadLayout });
+      result = { participantId, buffer };
+    } catch (error) {
+      result = { participantId, error };
+    }
+    if (onItemDone) onItemDone(result);
+    return result;
+  });
+
+  const failed = results.filter((result) => result.error).length;
+  logger.info('badge-batch:rendered', {
+    requestId,
+    requested: participantIds.length,
+    rendered: participantIds.length - failed,
+    failed,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return results;
+}
+
+module.exports = { listBatchParticipantIds, renderBadgeBatch };
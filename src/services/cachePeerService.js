@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Repasse do webhook `POST /v2/cache/invalidate` a todas as instâncias:
+ * os caches de layout e de contexto são em memória, e o balanceador do
+ * Render entrega o webhook a uma só. `LABEL_CACHE_PEERS_HOST` resolve
+ * para o IP de cada instância (inclusive a própria — repetir a
+ * invalidação é inofensivo); cada uma recebe o mesmo corpo, reassinado
+ * com `LABEL_WEBHOOK_SECRET` e marcado com `X-Label-Relayed`, que não é
+ * repassado de novo.
+ */
+
+const dns = require('node:dns').promises;
+const { env } = require('../config/env');
+const { signWebhookPayload } = require('../middleware/webhookSignature');
+const { CACHE_PEER_RELAY_TIMEOUT_MS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const RELAYED_HEADER = 'x-label-relayed';
+
+function isRelayedInvalidation(req) {
+  return req.headers[RELAYED_HEADER] === '1';
+}
+
+async function relayToPeer(address, rawBody) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const host = address.includes(':') ? `[${address}]` : address;
+  const response = await fetch(`http://${host}:${env.LABEL_CACHE_PEERS_PORT}/v2/cache/invalidate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Label-Timestamp': timestamp,
+      'X-Label-Signature': signWebhookPayload(env.LABEL_WEBHOOK_SECRET, timestamp, rawBody),
+      'X-Label-Relayed': '1',
+    },
+    body: rawBody,
+    signal: AbortSignal.timeout(CACHE_PEER_RELAY_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`peer responded ${response.status}`);
+}
+
+/**
+ * `{ notified, failed }`; sem `LABEL_CACHE_PEERS_HOST`, `{ 0, 0 }`. Falha
+ * de DNS conta como uma instância não alcançada.
+ */
+async function relayInvalidationToPeers(rawBody, requestId) {
+  if (!env.LABEL_CACHE_PEERS_HOST) return { notified: 0, failed: 0 };
+
+  let addresses;
+  try {
+    addresses = (await dns.lookup(env.LABEL_CACHE_PEERS_HOST, { all: true })).map((entry) => entry.address);
+  } catch (err) {
+    logger.warn('cache:peer-discovery-failed', { requestId, message: err && err.message });
+    return { notified: 0, failed: 1 };
+  }
+
+  const outcomes = await Promise.allSettled(addresses.map((address) => relayToPeer(address, rawBody)));
+  const failed = outcomes.filter((outcome) => outcome.status === 'rejected');
+  failed.forEach((outcome) =>
+    logger.warn('cache:peer-relay-failed', { requestId, message: outcome.reason && outcome.reason.message })
+  );
+  return { notified: outcomes.length - failed.length, failed: failed.length };
+}
+
+module.exports = { relayInvalidationToPeers, isRelayedInvalidation };
@@ -62,9 +62,19 @@ function resolveQrValue(element, labelData) {
   return isBlank(participantId) ? '' : String(participantId);
 }
 
+/**
+ * Conteúdo do código de barras: participant.id ou um campo personalizado,
+ * como o QR — nunca texto estático nem outro dado do evento/participante.
+ */
+function resolveBarcodeValue(element, labelData) {
+  const allowed = element.dataSource === 'participant.id' || CUSTOM_FIELD_PATTERN.test(element.dataSource);
+  const raw = allowed ? resolveDataSource(element.dataSource, labelData) : undefined;
+  return isBlank(raw) ? '' : String(raw).trim();
+}
+
 function resolveImageUrl(element, labelData) {
   const value = resolveDataSource(element.dataSource, labelData);
   return typeof value === 'string' && value.trim() ? value.trim() : null;
 }
 
-module.exports = { resolveDataSource, resolveTextValue, resolveQrValue, resolveImageUrl };
+module.exports = { resolveDataSource, resolveTextValue, resolveQrValue, resolveBarcodeValue, resolveImageUrl };
@@ -6,6 +6,7 @@ const { env } = require('../config/env');
 const { LogoFetchError } = require('../utils/errors');
 const { isPrivateOrReservedIp } = require('../utils/ipSafety');
 const { loadImage } = require('../renderers/canvasRuntime');
+const { traceSpan } = require('../utils/tracing');
 const { LOGO_FETCH_TIMEOUT_MS, LOGO_MAX_BYTES, LOGO_MAX_DIMENSION_PX } = require('../config/constants');
 
 const MAX_REDIRECTS = 1;
@@ -35,21 +36,24 @@ function getAllowedHosts() {
 async function assertHostIsSafe(hostname, dnsLookup) {
   const allowed = getAllowedHosts();
   if (allowed.length === 0 || !allowed.includes(hostname.toLowerCase())) {
-    throw new LogoFetchError(`host "${hostname}" is not in the logo allowlist`);
+    throw new LogoFetchError(`host "${hostname}" is not in the logo allowlist`, 'LOGO_HOST_NOT_ALLOWED');
   }
 
   let addresses;
   try {
     addresses = await dnsLookup(hostname, { all: true, verbatim: true });
   } catch (e) {
-    throw new LogoFetchError(`DNS lookup failed for host "${hostname}": ${e.message}`);
+    throw new LogoFetchError(`DNS lookup failed for host "${hostname}": ${e.message}`, 'LOGO_DNS_FAILED');
   }
   if (!addresses || addresses.length === 0) {
-    throw new LogoFetchError(`DNS lookup returned no addresses for "${hostname}"`);
+    throw new LogoFetchError(`DNS lookup returned no addresses for "${hostname}"`, 'LOGO_DNS_FAILED');
   }
   for (const { address } of addresses) {
     if (isPrivateOrReservedIp(address)) {
-      throw new LogoFetchError(`host "${hostname}" resolves to a private/reserved IP (${address})`);
+      throw new LogoFetchError(
+        `host "${hostname}" resolves to a private/reserved IP (${address})`,
+        'LOGO_PRIVATE_IP'
+      );
     }
   }
 }
@@ -70,7 +74,7 @@ function detectImageMime(buffer) {
 async function fetchOnce(url, dnsLookup, fetchImpl) {
   const parsed = new URL(url);
   if (parsed.protocol !== 'https:') {
-    throw new LogoFetchError(`logo URL must use https (got "${parsed.protocol}")`);
+    throw new LogoFetchError(`logo URL must use https (got "${parsed.protocol}")`, 'LOGO_INSECURE_URL');
   }
   await assertHostIsSafe(parsed.hostname, dnsLookup);
 
@@ -79,7 +83,8 @@ async function fetchOnce(url, dnsLookup, fetchImpl) {
   try {
     return await fetchImpl(url, { redirect: 'manual', signal: controller.signal });
   } catch (e) {
-    throw new LogoFetchError(`failed to fetch logo: ${e.message}`);
+    const code = controller.signal.aborted ? 'LOGO_TIMEOUT' : 'LOGO_NETWORK_ERROR';
+    throw new LogoFetchError(`failed to fetch logo: ${e.message}`, code);
   } finally {
     clearTimeout(timer);
   }
@@ -89,7 +94,9 @@ async function readBodyWithLimit(response) {
   const reader = response.body && typeof response.body.getReader === 'function' ? response.body.getReader() : null;
   if (!reader) {
     const buf = Buffer.from(await response.arrayBuffer());
-    if (buf.length > LOGO_MAX_BYTES) throw new LogoFetchError('logo exceeds the maximum allowed size');
+    if (buf.length > LOGO_MAX_BYTES) {
+      throw new LogoFetchError('logo exceeds the maximum allowed size', 'LOGO_TOO_LARGE');
+    }
     return buf;
   }
 
@@ -101,52 +108,77 @@ async function readBodyWithLimit(response) {
     total += value.length;
     if (total > LOGO_MAX_BYTES) {
       await reader.cancel().catch(() => {});
-      throw new LogoFetchError('logo exceeds the maximum allowed size');
+      throw new LogoFetchError('logo exceeds the maximum allowed size', 'LOGO_TOO_LARGE');
     }
     chunks.push(Buffer.from(value));
   }
   return Buffer.concat(chunks);
 }
 
-async function fetchLogoImage(url, deps = {}) {
+/** Só o host vai para o span: path e query da URL podem carregar tokens. */
+function logoHostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function fetchLogoImage(url, deps = {}) {
+  return traceSpan('logo.fetch', { 'logo.host': logoHostOf(url) }, async (span) => {
+    const logo = await fetchAndDecodeLogo(url, deps);
+    span.setAttributes({ 'logo.mime_type': logo.mimeType, 'logo.bytes': logo.buffer.length });
+    return logo;
+  });
+}
+
+async function fetchAndDecodeLogo(url, deps) {
   const dnsLookup = deps.dnsLookup || dns.lookup;
   const fetchImpl = deps.fetch || fetch;
 
-  if (typeof url !== 'string' || !url) throw new LogoFetchError('logo URL is empty');
+  if (typeof url !== 'string' || !url) throw new LogoFetchError('logo URL is empty', 'LOGO_URL_EMPTY');
 
   let response = await fetchOnce(url, dnsLookup, fetchImpl);
   let redirects = 0;
   while (REDIRECT_STATUSES.has(response.status)) {
-    if (redirects >= MAX_REDIRECTS) throw new LogoFetchError('too many redirects while fetching logo');
+    if (redirects >= MAX_REDIRECTS) {
+      throw new LogoFetchError('too many redirects while fetching logo', 'LOGO_TOO_MANY_REDIRECTS');
+    }
     const location = response.headers.get('location');
-    if (!location) throw new LogoFetchError('redirect response missing Location header');
+    if (!location) throw new LogoFetchError('redirect response missing Location header', 'LOGO_BAD_REDIRECT');
     const nextUrl = new URL(location, url).toString();
     response = await fetchOnce(nextUrl, dnsLookup, fetchImpl);
     redirects += 1;
   }
 
-  if (!response.ok) throw new LogoFetchError(`logo fetch failed with status ${response.status}`);
+  if (!response.ok) throw new LogoFetchError(`logo fetch failed with status ${response.status}`, 'LOGO_HTTP_STATUS');
 
   const buffer = await readBodyWithLimit(response);
-  if (buffer.length === 0) throw new LogoFetchError('logo response body is empty');
+  if (buffer.length === 0) throw new LogoFetchError('logo response body is empty', 'LOGO_EMPTY_BODY');
 
   const detectedMime = detectImageMime(buffer);
-  if (!detectedMime) throw new LogoFetchError('logo content is not a recognized PNG/JPEG/WebP image');
+  if (!detectedMime) {
+    throw new LogoFetchError('logo content is not a recognized PNG/JPEG/WebP image', 'LOGO_UNSUPPORTED_TYPE');
+  }
 
   const declaredContentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
   if (declaredContentType && declaredContentType !== detectedMime) {
-    throw new LogoFetchError(`declared Content-Type "${declaredContentType}" does not match actual image data`);
+    throw new LogoFetchError(
+      `declared Content-Type "${declaredContentType}" does not match actual image data`,
+      'LOGO_CONTENT_TYPE_MISMATCH'
+    );
   }
 
   let image;
   try {
     image = await loadImage(buffer);
   } catch (e) {
-    throw new LogoFetchError(`failed to decode logo image: ${e.message}`);
+    throw new LogoFetchError(`failed to decode logo image: ${e.message}`, 'LOGO_DECODE_FAILED');
   }
   if (image.width > LOGO_MAX_DIMENSION_PX || image.height > LOGO_MAX_DIMENSION_PX) {
     throw new LogoFetchError(
-      `logo dimensions ${image.width}x${image.height} exceed the maximum of ${LOGO_MAX_DIMENSION_PX}px`
+      `logo dimensions ${image.width}x${image.height} exceed the maximum of ${LOGO_MAX_DIMENSION_PX}px`,
+      'LOGO_DIMENSIONS_EXCEEDED'
     );
   }
 
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Fila de jobs em processo de `/v2/jobs`, para lotes que não cabem no
+ * timeout de 10s das rotas síncronas. Um job roda por vez, em ordem de
+ * chegada; o trabalho de cada job é quem disputa o limiter global (ver
+ * `mapInBackground`), nunca a fila. Registros e resultados ficam no
+ * store plugável (`InMemoryJobStore` por padrão); a lista de pendentes,
+ * por guardar a função do job, é sempre local a esta instância.
+ */
+
+const crypto = require('node:crypto');
+const { env } = require('../config/env');
+const { InMemoryJobStore } = require('../repositories/jobStore');
+const { ConcurrencyLimitExceededError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const UNEXPECTED_FAILURE = { http_status: 500, error: 'Internal Server Error' };
+
+class JobQueue {
+  constructor({ store, maxPending, resultTtlSeconds }) {
+    this.store = store;
+    this.maxPending = Math.max(1, Number(maxPending) || 1);
+    this.resultTtlMs = Math.max(0, Number(resultTtlSeconds) || 0) * 1000;
+    this.pending = [];
+    this.running = false;
+  }
+
+  /**
+   * Enfileira `run(reportProgress)`, que deve resolver para
+   * `{ result: Buffer }` ou `{ failure: { http_status, error, code? } }`.
+   * Fila cheia é `ConcurrencyLimitExceededError` (503), como o limiter.
+   */
+  async enqueue(type, run, requestId) {
+    await this.store.purgeExpired(Date.now());
+    if (this.pending.length >= this.maxPending) {
+      throw new ConcurrencyLimitExceededError('job queue is full, please retry later', 'JobQueueFull');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: { total: null, done: 0, failed: 0 },
+      failure: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+    };
+    await this.store.save(job);
+    this.pending.push({ id: job.id, run });
+    this.drain();
+    logger.info('jobs:queued', { requestId, jobId: job.id, type, pending: this.pending.length });
+    return job;
+  }
+
+  /** Registro do job, ou `null` se não existe ou já expirou. */
+  async get(id) {
+    await this.store.purgeExpired(Date.now());
+    return this.store.get(id);
+  }
+
+  async getResult(id) {
+    return this.store.getResult(id);
+  }
+
+  drain() {
+    if (this.running || this.pending.length === 0) return;
+    this.running = true;
+    const next = this.pending.shift();
+    this.execute(next).finally(() => {
+      this.running = false;
+      this.drain();
+    });
+  }
+
+  async execute({ id, run }) {
+    let job = { ...(await this.store.get(id)), status: 'running', startedAt: Date.now() };
+    // Gravações em série: com store assíncrono, um progresso antigo nunca
+    // sobrescreve um mais novo.
+    let writes = Promise.resolve();
+    const update = (patch) => {
+      job = { ...job, ...patch };
+      const snapshot = job;
+      writes = writes
+        .then(() => this.store.save(snapshot))
+        .catch((err) => logger.error('jobs:store-error', { jobId: id, message: err && err.message }));
+      return writes;
+    };
+    update({});
+
+    let outcome;
+    try {
+      outcome = await run((progress) => update({ progress }));
+      if (outcome.result) await this.store.saveResult(id, outcome.result);
+    } catch (err) {
+      logger.error('jobs:unexpected-error', { jobId: id, message: err && err.message });
+      outcome = { failure: UNEXPECTED_FAILURE };
+    }
+
+    const finishedAt = Date.now();
+    await update({
+      status: outcome.result ? 'completed' : 'failed',
+      failure: outcome.result ? null : outcome.failure || UNEXPECTED_FAILURE,
+      finishedAt,
+      expiresAt: finishedAt + this.resultTtlMs,
+    });
+    logger.info('jobs:finished', {
+      jobId: id,
+      type: job.type,
+      status: job.status,
+      ...job.progress,
+      durationMs: finishedAt - job.startedAt,
+    });
+  }
+}
+
+const jobQueue = new JobQueue({
+  store: new InMemoryJobStore(),
+  maxPending: env.LABEL_JOB_MAX_PENDING,
+  resultTtlSeconds: env.LABEL_JOB_RESULT_TTL_SECONDS,
+});
+
+module.exports = { JobQueue, jobQueue };
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Codificação do canvas final no formato pedido pelo cliente. PNG e
+ * Base64 continuam usando exatamente o `encodePng` de sempre (contrato
+ * legado/golden intacto); os formatos de impressora reaproveitam o
+ * tamanho da bobina e o DPI de `LABEL_BADGE_OUTPUT_*_MM` /
+ * `LABEL_BADGE_PRINTER_DPI`, os mesmos usados pelo `/badge` dinâmico.
+ *
+ * O estágio monocromático (limiar/Floyd–Steinberg/Bayer) roda sempre por
+ * último, sobre o canvas já rotacionado e redimensionado: é obrigatório
+ * em TSPL/ZPL e opcional no PNG (`monochrome.mode` diferente de `none`).
+ *
+ * PDF a partir de um canvas pronto (caminho legado) embute a imagem no
+ * tamanho físico que ela tem no DPI de renderização; o motor dinâmico
+ * gera PDF vetorial direto (`renderDynamicLabelPdf`) e não passa por aqui.
+ */
+
+const { env, mmToPrinterDots } = require('../config/env');
+const { encodePng } = require('../renderers/canvasRuntime');
+const { applyRotation, scaleCanvasToSize } = require('../renderers/dynamicLabelRenderer');
+const { canvasToMonochromeBitmap } = require('../renderers/monochromeBitmap');
+const { encodeMonochromePng } = require('../renderers/monochromePngEncoder');
+const { encodeTspl } = require('../renderers/tsplEncoder');
+const { encodeZpl } = require('../renderers/zplEncoder');
+const { encodeCanvasPdf } = require('../renderers/pdfEncoder');
+
+const OUTPUT_FORMATS = {
+  png: { contentType: 'image/png', filename: 'badge.png' },
+  base64: { contentType: 'image/png', filename: 'badge.png' },
+  tspl: { contentType: 'application/octet-stream', filename: 'badge.tspl' },
+  zpl: { contentType: 'application/octet-stream', filename: 'badge.zpl' },
+  pdf: { contentType: 'application/pdf', filename: 'badge.pdf' },
+};
+
+/** Dots da bobina @ DPI da impressora; `null` quando o rescale está desligado. */
+function getPrinterDots() {
+  const printerDpi = env.LABEL_BADGE_PRINTER_DPI;
+  const widthPx = mmToPrinterDots(env.LABEL_BADGE_OUTPUT_WIDTH_MM, printerDpi);
+  const heightPx = mmToPrinterDots(env.LABEL_BADGE_OUTPUT_HEIGHT_MM, printerDpi);
+  return widthPx && heightPx ? { widthPx, heightPx } : null;
+}
+
+const isLandscape = (width, height) => width > height;
+
+/**
+ * Leva o canvas aos dots da bobina. Quando a orientação do canvas não é a
+ * da bobina (ex. `/badge` legado com `rotation=0`, 80x50 paisagem, numa
+ * bobina 50x80 retrato), gira um quarto de volta — pelo
+ * `LABEL_BADGE_OUTPUT_ROTATION` se ele for 90/270 — antes do rescale, em
+ * vez de esticar a etiqueta para o outro formato.
+ */
+function fitCanvasToPrinter(canvas) {
+  const dots = getPrinterDots();
+  if (!dots) return canvas;
+  let fitted = canvas;
+  if (isLandscape(canvas.width, canvas.height) !== isLandscape(dots.widthPx, dots.heightPx)) {
+    const quarterTurn = [90, 270].includes(env.LABEL_BADGE_OUTPUT_ROTATION) ? env.LABEL_BADGE_OUTPUT_ROTATION : 90;
+    fitted = applyRotation(canvas, canvas.width, canvas.height, quarterTurn);
+  }
+  return scaleCanvasToSize(fitted, dots.widthPx, dots.heightPx);
+}
+
+/** Impressora é sempre 1-bit: sem modo pedido (ou `none`), usa limiar fixo. */
+function toPrinterBitmap(canvas, monochrome) {
+  const mode = monochrome.mode && monochrome.mode !== 'none' ? monochrome.mode : 'threshold';
+  return canvasToMonochromeBitmap(fitCanvasToPrinter(canvas), { ...monochrome, mode });
+}
+
+function encodeTsplLabel(canvas, monochrome) {
+  return encodeTspl(toPrinterBitmap(canvas, monochrome), {
+    widthMm: env.LABEL_BADGE_OUTPUT_WIDTH_MM,
+    heightMm: env.LABEL_BADGE_OUTPUT_HEIGHT_MM,
+    gapMm: env.LABEL_BADGE_GAP_MM,
+  });
+}
+
+/** ^PW/^LL saem dos dots do próprio bitmap, já na bobina da impressora. */
+function encodeZplLabel(canvas, monochrome) {
+  return encodeZpl(toPrinterBitmap(canvas, monochrome));
+}
+
+/**
+ * `options.monochrome` = `{ mode?, threshold? }` (ver
+ * `MONOCHROME_DITHER_MODES`). Sem modo (ou `none`), PNG/Base64 saem pelo
+ * `encodePng` RGBA de sempre. `options.dpi` é o DPI em que o canvas foi
+ * desenhado, usado só pelo PDF para chegar ao tamanho físico.
+ */
+async function encodeLabelOutput(canvas, outputFormat = 'png', { monochrome = {}, dpi } = {}) {
+  if (outputFormat === 'tspl') return encodeTsplLabel(canvas, monochrome);
+  if (outputFormat === 'zpl') return encodeZplLabel(canvas, monochrome);
+  if (outputFormat === 'pdf') return encodeCanvasPdf(canvas, dpi);
+  if (monochrome.mode && monochrome.mode !== 'none') {
+    return encodeMonochromePng(canvasToMonochromeBitmap(canvas, monochrome));
+  }
+  return encodePng(canvas);
+}
+
+/** Formatos enviados direto à impressora: seguem o contrato de bobina. */
+function isPrinterFormat(outputFormat) {
+  return outputFormat === 'tspl' || outputFormat === 'zpl';
+}
+
+module.exports = { encodeLabelOutput, getPrinterDots, isPrinterFormat, OUTPUT_FORMATS };
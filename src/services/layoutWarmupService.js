@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Pré-aquecimento do layout publicado: no boot, e depois a cada
+ * `LAYOUT_WARMUP_TTL_FRACTION` do TTL do cache, busca e valida o layout de
+ * cada evento configurado, para que o primeiro check-in do balcão nunca
+ * pague a RPC com o cache frio. Os eventos vêm de
+ * `LABEL_LAYOUT_WARMUP_EVENT_IDS` ou, se vazio, de `LABEL_DYNAMIC_EVENT_IDS`
+ * (allowlist vazia = nada a aquecer).
+ *
+ * O resultado por evento fica em memória e sai em `GET /health` →
+ * `layout_warmup`: layout publicado que não passa no
+ * `validateLayoutResponse` aparece como `invalid` antes de algum
+ * participante cair no fallback legado por causa dele.
+ */
+
+const { env } = require('../config/env');
+const { refreshPublishedLayout } = require('../repositories/labelRpcRepository');
+const { validateLayoutResponse } = require('../validators/layoutContractValidator');
+const { isDynamicEngineConfigured } = require('./badgeService');
+const { LayoutInvalidError } = require('../utils/errors');
+const { LAYOUT_WARMUP_TTL_FRACTION } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// event_id → `{ status, version_id?, code?, message?, checked_at }`.
+const eventStatuses = new Map();
+let lastRunAt = null;
+let running = null;
+let timer = null;
+
+function getWarmupEventIds() {
+  return env.LABEL_LAYOUT_WARMUP_EVENT_IDS.length > 0
+    ? env.LABEL_LAYOUT_WARMUP_EVENT_IDS
+    : env.LABEL_DYNAMIC_EVENT_IDS;
+}
+
+function isLayoutWarmupEnabled() {
+  return env.LABEL_LAYOUT_WARMUP_ENABLED && isDynamicEngineConfigured() && getWarmupEventIds().length > 0;
+}
+
+/** Intervalo do refresh, ou 0 sem cache de layout (TTL 0: só o boot). */
+function getWarmupIntervalSeconds() {
+  if (env.LABEL_LAYOUT_CACHE_TTL_SECONDS <= 0) return 0;
+  return Math.max(1, Math.floor(env.LABEL_LAYOUT_CACHE_TTL_SECONDS * LAYOUT_WARMUP_TTL_FRACTION));
+}
+
+async function warmEventLayout(eventId) {
+  const checkedAt = new Date().toISOString();
+  try {
+    const layout = validateLayoutResponse(await refreshPublishedLayout(eventId));
+    eventStatuses.set(eventId, { status: 'ok', version_id: layout.version_id, checked_at: checkedAt });
+    return true;
+  } catch (err) {
+    // Só a mensagem de validação vai para o /health: descreve o layout,
+    // nunca um participante. Erro de Supabase fica só com o código.
+    const invalid = err instanceof LayoutInvalidError;
+    eventStatuses.set(eventId, {
+      status: invalid ? 'invalid' : 'error',
+      code: (err && err.code) || 'UnexpectedError',
+      ...(invalid ? { message: err.message } : {}),
+      checked_at: checkedAt,
+    });
+    logger.warn('layout-warmup:failed', { eventId, status: invalid ? 'invalid' : 'error', reason: err && err.code });
+    return false;
+  }
+}
+
+/**
+ * Uma rodada sobre todos os eventos, em sequência (uma RPC por vez, para
+ * não disputar o Supabase com o balcão). Rodadas não se sobrepõem: quem
+ * chama durante uma rodada recebe a mesma promise.
+ */
+function warmPublishedLayouts() {
+  if (running) return running;
+  running = (async () => {
+    const startedAt = Date.now();
+    const eventIds = getWarmupEventIds();
+    let failed = 0;
+    for (const eventId of eventIds) {
+      if (!(await warmEventLayout(eventId))) failed += 1;
+    }
+    lastRunAt = Date.now();
+    logger.info('layout-warmup:completed', { events: eventIds.length, failed, durationMs: lastRunAt - startedAt });
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/** Rodada no boot + agendamento; no-op se o motor ou a lista estão vazios. */
+function startLayoutWarmup() {
+  if (timer || !isLayoutWarmupEnabled()) return false;
+
+  warmPublishedLayouts();
+  const intervalSeconds = getWarmupIntervalSeconds();
+  if (intervalSeconds > 0) {
+    timer = setInterval(warmPublishedLayouts, intervalSeconds * 1000);
+    // O agendamento nunca segura o processo vivo.
+    timer.unref();
+  }
+  return true;
+}
+
+function stopLayoutWarmup() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/** Bloco `layout_warmup` do `/health`. */
+function getLayoutWarmupStatus() {
+  const events = {};
+  for (const [eventId, status] of eventStatuses) events[eventId] = status;
+  return {
+    enabled: isLayoutWarmupEnabled(),
+    interval_seconds: getWarmupIntervalSeconds(),
+    last_run_at: lastRunAt === null ? null : new Date(lastRunAt).toISOString(),
+    events,
+  };
+}
+
+module.exports = {
+  warmPublishedLayouts,
+  startLayoutWarmup,
+  stopLayoutWarmup,
+  getLayoutWarmupStatus,
+};
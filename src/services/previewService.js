@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Preview de layout em edição (`POST /v2/badges/preview`): o layout vem
+ * inline, passa pelo mesmo `validateLayoutResponse` do publicado e é
+ * desenhado pelo mesmo `renderDynamicLabelPng` de `/v2/badges/render`,
+ * sempre com marca d'água. Nunca lê nem grava o cache de layout
+ * publicado — o draft não tem evento nem versão.
+ */
+
+const { fetchParticipantContext } = require('../repositories/participantRepository');
+const { resolveParticipantLabelData } = require('../repositories/labelRpcRepository');
+const { validateLayoutResponse } = require('../validators/layoutContractValidator');
+const { renderDynamicLabelPng } = require('../renderers/dynamicLabelRenderer');
+const { isEventAllowlisted } = require('./badgeService');
+const { EventNotAllowlistedError, InvalidRequestError, LayoutInvalidError } = require('../utils/errors');
+const { PREVIEW_WATERMARK_TEXT } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Draft não tem versão publicada; o contrato exige um número.
+const DRAFT_VERSION_ID = 0;
+
+/** Layout enviado pelo editor é erro do cliente (400), não do backend. */
+function validateDraftLayout(layoutConfig, printProfile) {
+  const layoutResponse = { version_id: DRAFT_VERSION_ID, layout_config: layoutConfig, print_profile: printProfile };
+  try {
+    return validateLayoutResponse(layoutResponse);
+  } catch (err) {
+    if (err instanceof LayoutInvalidError) throw new InvalidRequestError(err.message, err.code);
+    throw err;
+  }
+}
+
+/** Dados reais de um participante, com a mesma allowlist do render. */
+async function resolvePreviewParticipantData(participantId) {
+  const ctx = await fetchParticipantContext(participantId);
+  if (!isEventAllowlisted(ctx.event_id)) {
+    throw new EventNotAllowlistedError(`event_id=${ctx.event_id} is not in LABEL_DYNAMIC_EVENT_IDS`);
+  }
+  return resolveParticipantLabelData(participantId, ctx.event_id);
+}
+
+/** PNG na orientação de design, com a marca d'água de preview. */
+async function renderLayoutPreview(preview, requestId) {
+  const startedAt = Date.now();
+  const layoutResponse = validateDraftLayout(preview.layoutConfig, preview.printProfile);
+  const labelData =
+    preview.participantId !== undefined
+      ? await resolvePreviewParticipantData(preview.participantId)
+      : preview.sampleData;
+
+  const buffer = await renderDynamicLabelPng(layoutResponse, labelData, {
+    requestId,
+    watermark: PREVIEW_WATERMARK_TEXT,
+  });
+
+  logger.info('badge-preview:rendered', {
+    requestId,
+    dataSource: preview.participantId !== undefined ? 'participant' : 'sample',
+    elements: layoutResponse.layout_config.elements.length,
+    durationMs: Date.now() - startedAt,
+  });
+  return buffer;
+}
+
+module.exports = { renderLayoutPreview };
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Checagens de prontidão de `GET /health/ready`. Diferente do `/health`
+ * (estático), aqui cada dependência de que a instância precisa para
+ * imprimir é exercitada de verdade: fonte registrada, canvas codificando
+ * PNG, QR desenhado, as duas conexões Supabase respondendo (com o timeout
+ * de 2s) e a configuração do motor dinâmico coerente.
+ *
+ * Cada checagem vira `{ status, critical, duration_ms, detail?, error? }`,
+ * com `status` `ok` | `warn` | `fail` | `skipped`. Basta uma checagem
+ * crítica em `fail` para a instância ficar `not_ready` (503) e o health
+ * check do Render parar de mandar tráfego para ela.
+ *
+ * Supabase só é crítico para o cliente em uso (o legado quando
+ * configurado, o dinâmico quando a flag do motor está ligada) e só falha
+ * quando a chave é recusada (401/403). Timeout ou erro do servidor é
+ * `warn`: o `/badge` continua imprimindo pelo legado durante a queda, e
+ * tirar todas as instâncias do ar por isso derrubaria o balcão inteiro.
+ */
+
+const { env } = require('../config/env');
+const { createCanvas, getContext2d, encodePng, registeredFontFamily } = require('../renderers/canvasRuntime');
+const { renderQrElement } = require('../renderers/qrRenderer');
+const {
+  getLegacyClient,
+  getDynamicClient,
+  isDynamicSupabaseConfigured,
+} = require('../repositories/supabaseClients');
+const { withTimeout } = require('../utils/withTimeout');
+const { SUPABASE_OPERATION_TIMEOUT_MS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const CREDENTIAL_REJECTED_STATUSES = [401, 403];
+
+function checkFonts() {
+  if (!registeredFontFamily) throw new Error('no bundled font was registered');
+  return { detail: { family: registeredFontFamily } };
+}
+
+async function checkCanvas() {
+  const canvas = createCanvas(16, 16);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, 8, 8);
+  const png = await encodePng(canvas);
+  if (!Buffer.isBuffer(png) || !png.subarray(0, 4).equals(PNG_SIGNATURE)) {
+    throw new Error('canvas did not encode a PNG');
+  }
+  return {};
+}
+
+async function checkQr() {
+  const canvas = createCanvas(64, 64);
+  await renderQrElement(getContext2d(canvas), { x: 0, y: 0, width: 64, height: 64 }, 'readiness-check', {
+    scaleX: 1,
+    scaleY: 1,
+  });
+  return {};
+}
+
+/** Flag do motor sem service role é erro; allowlist vazia só alerta. */
+function checkDynamicConfig() {
+  const detail = { dynamic_enabled: env.LABEL_DYNAMIC_LAYOUT_ENABLED, event_ids: env.LABEL_DYNAMIC_EVENT_IDS };
+  if (!env.LABEL_DYNAMIC_LAYOUT_ENABLED) return { detail };
+  if (!isDynamicSupabaseConfigured()) {
+    throw new Error('LABEL_DYNAMIC_LAYOUT_ENABLED=true requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  if (env.LABEL_DYNAMIC_EVENT_IDS.length === 0) {
+    return { status: 'warn', detail: { ...detail, warning: 'LABEL_DYNAMIC_EVENT_IDS is empty: every event is eligible' } };
+  }
+  return { detail };
+}
+
+/**
+ * Consulta mínima (um `id`, sem filtro) direto no cliente, fora do circuit
+ * breaker: a prontidão mede o Supabase agora, não o histórico do breaker.
+ */
+function probeSupabase(getClient) {
+  return async () => {
+    const client = getClient();
+    if (!client) return { status: 'skipped' };
+
+    let response;
+    try {
+      response = await withTimeout(
+        (signal) => client.from(env.SUPABASE_PARTICIPANTS_TABLE).select('id').limit(1).abortSignal(signal),
+        SUPABASE_OPERATION_TIMEOUT_MS,
+        'readiness probe timed out'
+      );
+    } catch (err) {
+      return { status: 'warn', error: err && err.message };
+    }
+    if (!response.error) return {};
+    if (CREDENTIAL_REJECTED_STATUSES.includes(response.status)) {
+      throw new Error(`credentials rejected (HTTP ${response.status}): ${response.error.message}`);
+    }
+    return { status: 'warn', error: response.error.message };
+  };
+}
+
+const CHECKS = [
+  { name: 'fonts', critical: () => true, run: checkFonts },
+  { name: 'canvas', critical: () => true, run: checkCanvas },
+  { name: 'qr', critical: () => true, run: checkQr },
+  { name: 'dynamic_config', critical: () => true, run: checkDynamicConfig },
+  { name: 'supabase_legacy', critical: () => getLegacyClient() !== null, run: probeSupabase(getLegacyClient) },
+  {
+    name: 'supabase_dynamic',
+    critical: () => env.LABEL_DYNAMIC_LAYOUT_ENABLED && isDynamicSupabaseConfigured(),
+    run: probeSupabase(getDynamicClient),
+  },
+];
+
+async function runCheck({ critical, run }) {
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    const { status = 'ok', detail, error } = await run();
+    outcome = { status, ...(detail ? { detail } : {}), ...(error ? { error } : {}) };
+  } catch (err) {
+    outcome = { status: 'fail', error: (err && err.message) || 'check failed' };
+  }
+  return { ...outcome, critical: critical(), duration_ms: Date.now() - startedAt };
+}
+
+/** `{ ready, report }`; as checagens rodam em paralelo e nunca lançam. */
+async function runReadinessChecks() {
+  const results = await Promise.all(CHECKS.map(runCheck));
+  const checks = {};
+  CHECKS.forEach(({ name }, index) => {
+    checks[name] = results[index];
+  });
+  const ready = results.every((check) => !check.critical || check.status !== 'fail');
+  if (!ready) {
+    const failed = Object.keys(checks).filter((name) => checks[name].status === 'fail');
+    logger.warn('health:not-ready', {
+      failed: failed.map((name) => ({ check: name, critical: checks[name].critical, error: checks[name].error })),
+    });
+  }
+  return { ready, report: { status: ready ? 'ready' : 'not_ready', checks } };
+}
+
+// Última rodada (ou a que está em andamento): a rota é pública e o health
+// check do Render a consulta sem parar, então no máximo uma rodada de
+// consultas ao Supabase por `LABEL_READINESS_CACHE_SECONDS`.
+let lastRun = null;
+
+/** `runReadinessChecks` memoizado; chamadas simultâneas compartilham a mesma rodada. */
+function getReadiness() {
+  const maxAgeMs = env.LABEL_READINESS_CACHE_SECONDS * 1000;
+  if (lastRun && (!lastRun.settledAt || Date.now() - lastRun.settledAt < maxAgeMs)) return lastRun.promise;
+
+  const run = { settledAt: null };
+  run.promise = runReadinessChecks().then((result) => {
+    run.settledAt = Date.now();
+    return result;
+  });
+  lastRun = run;
+  return run.promise;
+}
+
+/**
+ * Versão pública do relatório: só `ok`/`fail` por checagem, sem detalhe
+ * de configuração nem mensagem de erro do Supabase (que vão para o log e
+ * para quem tem o token de métricas).
+ */
+function toPublicReport(report) {
+  const checks = {};
+  for (const [name, check] of Object.entries(report.checks)) {
+    checks[name] = check.status === 'fail' ? 'fail' : 'ok';
+  }
+  return { status: report.status, checks };
+}
+
+module.exports = { runReadinessChecks, getReadiness, toPublicReport };
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Placar por evento do motor dinâmico no `/badge`. O fallback silencioso
+ * de `tryRenderDynamic` protege o participante no balcão, mas esconde do
+ * organizador um layout quebrado: aqui cada tentativa conta como sucesso
+ * ou fallback (com o código do erro) do seu evento, consultável em
+ * `GET /v2/events/:eventId/render-stats`, e a taxa de fallback acima do
+ * limite dispara o webhook `LABEL_FALLBACK_ALERT_WEBHOOK_URL`.
+ *
+ * Só entram tentativas com `event_id` conhecido e evento na allowlist:
+ * participante sem contexto ou evento fora do piloto não dizem nada sobre
+ * o layout publicado. O placar é por instância, como as métricas.
+ */
+
+const { env } = require('../config/env');
+const { RenderStatsAggregator } = require('../utils/renderStats');
+const { signWebhookPayload } = require('../middleware/webhookSignature');
+const {
+  RENDER_STATS_BUCKET_SECONDS,
+  RENDER_STATS_WINDOWS_SECONDS,
+  FALLBACK_ALERT_WEBHOOK_TIMEOUT_MS,
+} = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Corpo do webhook: só ids, contagens e códigos de erro. Assinado como os
+ * webhooks recebidos (`X-Label-Signature`/`X-Label-Timestamp`) quando
+ * `LABEL_WEBHOOK_SECRET` está configurado. Falha de entrega só é logada.
+ */
+async function sendFallbackAlert({ eventId, thresholdPercent, window, firedAt }) {
+  const payload = {
+    type: 'label.fallback_rate_exceeded',
+    event_id: eventId,
+    threshold_percent: thresholdPercent,
+    ...window,
+    fired_at: firedAt,
+  };
+  logger.warn('render-stats:fallback-alert', {
+    eventId,
+    fallbackRate: window.fallback_rate,
+    total: window.total,
+    webhook: Boolean(env.LABEL_FALLBACK_ALERT_WEBHOOK_URL),
+  });
+  if (!env.LABEL_FALLBACK_ALERT_WEBHOOK_URL) return;
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.LABEL_WEBHOOK_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['X-Label-Timestamp'] = timestamp;
+    headers['X-Label-Signature'] = signWebhookPayload(env.LABEL_WEBHOOK_SECRET, timestamp, body);
+  }
+  try {
+    const response = await fetch(env.LABEL_FALLBACK_ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(FALLBACK_ALERT_WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`webhook responded ${response.status}`);
+  } catch (err) {
+    logger.warn('render-stats:fallback-alert-webhook-failed', { eventId, message: err && err.message });
+  }
+}
+
+const renderStats = new RenderStatsAggregator({
+  bucketSeconds: RENDER_STATS_BUCKET_SECONDS,
+  windowsSeconds: RENDER_STATS_WINDOWS_SECONDS,
+  alert: {
+    thresholdPercent: env.LABEL_FALLBACK_ALERT_THRESHOLD_PERCENT,
+    windowSeconds: env.LABEL_FALLBACK_ALERT_WINDOW_SECONDS,
+    minRenders: env.LABEL_FALLBACK_ALERT_MIN_RENDERS,
+    cooldownSeconds: env.LABEL_FALLBACK_ALERT_COOLDOWN_SECONDS,
+  },
+  onAlert: sendFallbackAlert,
+});
+
+/** `fallbackReason` ausente = sucesso do motor dinâmico. */
+function recordDynamicRenderOutcome(eventId, fallbackReason) {
+  if (fallbackReason) {
+    renderStats.record(eventId, 'fallback', fallbackReason);
+  } else {
+    renderStats.record(eventId, 'success');
+  }
+}
+
+function getEventRenderStats(eventId) {
+  return renderStats.stats(eventId);
+}
+
+module.exports = { recordDynamicRenderOutcome, getEventRenderStats, sendFallbackAlert };
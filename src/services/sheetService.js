@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Folha multi-up de `POST /v2/badges/sheet`: renderiza cada participante
+ * pelo mesmo `renderDynamicLabel` de `/v2/badges/render` (PNG na
+ * orientação de design) e monta as etiquetas no grid do template. Falha
+ * de um participante nunca derruba a folha: o slot dele é simplesmente
+ * pulado e o erro volta em `placements` para o manifesto.
+ */
+
+const { renderDynamicLabel, createSharedLayoutLoader } = require('./badgeService');
+const { limiter } = require('../middleware/concurrencyLimit');
+const { mapWithLimiter } = require('../utils/concurrency');
+const { createCanvas, getContext2d, loadImage, encodePng } = require('../renderers/canvasRuntime');
+const { renderPdf, mmToPt } = require('../renderers/pdfEncoder');
+const { drawSheetPage } = require('../renderers/sheetImposition');
+const { MULTI_LABEL_MAX_PARALLEL_RENDERS, SHEET_PNG_DPI } = require('../config/constants');
+const logger = require('../utils/logger');
+
+async function renderSheetLabel(participantId, requestId, loadLayout) {
+  try {
+    const { buffer } = await renderDynamicLabel(participantId, requestId, { outputFormat: 'png', loadLayout });
+    return { participantId, image: await loadImage(buffer) };
+  } catch (err) {
+    return { participantId, error: err };
+  }
+}
+
+function paginate(images, perPage) {
+  const pages = [];
+  for (let i = 0; i < images.length; i += perPage) {
+    pages.push(images.slice(i, i + perPage));
+  }
+  return pages;
+}
+
+async function encodeSheet(pages, grid, outputFormat) {
+  if (outputFormat === 'png') {
+    const unitsPerMm = SHEET_PNG_DPI / 25.4;
+    const canvas = createCanvas(
+      Math.round(grid.pageWidthMm * unitsPerMm),
+      Math.round(grid.pageHeightMm * unitsPerMm)
+    );
+    drawSheetPage(getContext2d(canvas), grid, pages[0], unitsPerMm);
+    return encodePng(canvas);
+  }
+
+  return renderPdf(
+    pages.map((labels) => ({
+      widthPt: mmToPt(grid.pageWidthMm),
+      heightPt: mmToPt(grid.pageHeightMm),
+      draw: (ctx) => drawSheetPage(ctx, grid, labels, mmToPt(1)),
+    }))
+  );
+}
+
+/**
+ * Renderiza as etiquetas respeitando o limiter global (ver
+ * `mapWithLimiter`), com o layout de cada evento buscado uma vez só
+ * para a folha inteira, e as encaixa, na ordem pedida, nos slots livres —
+ * participantes que falharam não deixam buraco na folha. `outputFormat`
+ * é `pdf` (uma página por folha) ou `png` (folha única, a
+ * `SHEET_PNG_DPI`). `buffer` é `null` quando nenhuma etiqueta saiu.
+ */
+async function renderBadgeSheet(participantIds, grid, outputFormat, requestId) {
+  const startedAt = Date.now();
+  const loadLayout = createSharedLayoutLoader();
+  const results = await mapWithLimiter(participantIds, limiter, MULTI_LABEL_MAX_PARALLEL_RENDERS, (participantId) =>
+    renderSheetLabel(participantId, requestId, loadLayout)
+  );
+
+  const perPage = grid.slots.length;
+  const images = [];
+  const placements = results.map(({ participantId, image, error }) => {
+    if (error) return { participantId, error };
+    const index = images.length;
+    images.push(image);
+    const slot = grid.slots[index % perPage];
+    return { participantId, page: Math.floor(index / perPage) + 1, row: slot.row, column: slot.column };
+  });
+
+  const pages = paginate(images, perPage);
+  const buffer = pages.length > 0 ? await encodeSheet(pages, grid, outputFormat) : null;
+
+  logger.info('badge-sheet:rendered', {
+    requestId,
+    requested: participantIds.length,
+    rendered: images.length,
+    failed: participantIds.length - images.length,
+    pages: pages.length,
+    outputFormat,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return { buffer, pageCount: pages.length, placements };
+}
+
+module.exports = { renderBadgeSheet };
@@ -1,27 +1,103 @@
 'use strict';
 
 /**
- * Cache TTL simples em memória do processo (sem Redis nesta fase).
+ * Cache LRU + TTL em memória do processo (sem Redis nesta fase).
  * Nunca deve guardar dado pessoal — apenas metadados de contexto/layout
  * (ver docs/plano-motor-dinamico-etiquetas.md §3.6).
+ *
+ * Limitado a `maxEntries` (descarta a entrada menos usada recentemente) e
+ * varrido a cada `sweepIntervalMs`, para que entradas expiradas não
+ * dependam de uma leitura para sair da memória — em eventos de vários
+ * dias o cache de contexto vê dezenas de milhares de UUIDs distintos.
+ * Caches com `name` entram no registro de `getCacheStats()` (`/health`).
  */
+
+const { registry: metricsRegistry } = require('./metrics');
+
+const registry = new Map();
+
+function collectCacheSamples(pick) {
+  const samples = [];
+  for (const [name, cache] of registry) samples.push(...pick(name, cache.stats()));
+  return samples;
+}
+
+metricsRegistry.collected({
+  name: 'cache_lookups_total',
+  help: 'In-memory cache lookups by cache and result (hit or miss).',
+  type: 'counter',
+  collect: () =>
+    collectCacheSamples((cache, stats) => [
+      { labels: { cache, result: 'hit' }, value: stats.hits },
+      { labels: { cache, result: 'miss' }, value: stats.misses },
+    ]),
+});
+metricsRegistry.collected({
+  name: 'cache_evictions_total',
+  help: 'Entries dropped by the LRU limit, by cache.',
+  type: 'counter',
+  collect: () => collectCacheSamples((cache, stats) => [{ labels: { cache }, value: stats.evictions }]),
+});
+metricsRegistry.collected({
+  name: 'cache_entries',
+  help: 'Entries currently held, by cache.',
+  collect: () => collectCacheSamples((cache, stats) => [{ labels: { cache }, value: stats.size }]),
+});
+
 class TtlCache {
-  constructor() {
+  constructor({ name, maxEntries, sweepIntervalMs = 0 } = {}) {
+    this.name = name;
+    this.maxEntries = maxEntries > 0 ? maxEntries : Infinity;
     this.store = new Map();
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+    this.sweepTimer = null;
+
+    if (sweepIntervalMs > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+      // A varredura nunca segura o processo vivo.
+      this.sweepTimer.unref();
+    }
+    if (name) registry.set(name, this);
   }
 
   get(key) {
     const entry = this.store.get(key);
-    if (!entry) return undefined;
+    if (!entry) {
+      this.counters.misses += 1;
+      return undefined;
+    }
+    this.store.delete(key);
     if (Date.now() > entry.expiresAt) {
-      this.store.delete(key);
+      this.counters.expirations += 1;
+      this.counters.misses += 1;
       return undefined;
     }
+    // Reinsere no fim: a ordem do Map é a ordem de uso (LRU no início).
+    this.store.set(key, entry);
+    this.counters.hits += 1;
     return entry.value;
   }
 
   set(key, value, ttlSeconds) {
+    this.store.delete(key);
     this.store.set(key, { value, expiresAt: Date.now() + Math.max(0, ttlSeconds) * 1000 });
+    while (this.store.size > this.maxEntries) {
+      this.store.delete(this.store.keys().next().value);
+      this.counters.evictions += 1;
+    }
+  }
+
+  /** Remove as entradas expiradas; devolve quantas saíram. */
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entry] of this.store) {
+      if (now > entry.expiresAt) {
+        this.store.delete(key);
+        removed += 1;
+      }
+    }
+    this.counters.expirations += removed;
+    return removed;
   }
 
   delete(key) {
@@ -32,9 +108,30 @@ class TtlCache {
     this.store.clear();
   }
 
+  stopSweeping() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /** Contadores acumulados desde o início do processo (`clear` não zera). */
+  stats() {
+    return {
+      size: this.store.size,
+      max_entries: Number.isFinite(this.maxEntries) ? this.maxEntries : null,
+      ...this.counters,
+    };
+  }
+
   get size() {
     return this.store.size;
   }
 }
 
-module.exports = { TtlCache };
+/** `{ [name]: stats }` de todos os caches nomeados. */
+function getCacheStats() {
+  const stats = {};
+  for (const [name, cache] of registry) stats[name] = cache.stats();
+  return stats;
+}
+
+module.exports = { TtlCache, getCacheStats };
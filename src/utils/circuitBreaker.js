@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Circuit breaker em memória do processo. Fechado, conta falhas
+ * consecutivas; ao atingir `failureThreshold` abre e, por `openSeconds`,
+ * rejeita na hora com `createOpenError()` — sem esperar timeout nenhum.
+ * Depois disso fica meio-aberto: até `halfOpenProbes` chamadas passam como
+ * sonda (as demais continuam rejeitadas); sucesso fecha, falha reabre.
+ *
+ * `isFailure(err)` decide o que conta como falha: erro de negócio (ex.
+ * participante inexistente) é resposta válida do backend, não queda.
+ * `failureThreshold <= 0` desliga o breaker.
+ */
+
+const logger = require('./logger');
+
+class CircuitBreaker {
+  constructor({ name, failureThreshold, openSeconds, halfOpenProbes = 1, isFailure, createOpenError, now = Date.now }) {
+    this.name = name;
+    this.failureThreshold = Number(failureThreshold) || 0;
+    this.openMs = Math.max(0, Number(openSeconds) || 0) * 1000;
+    this.halfOpenProbes = Math.max(1, Number(halfOpenProbes) || 1);
+    this.isFailure = isFailure;
+    this.createOpenError = createOpenError;
+    this.now = now;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.counters = { opens: 0, short_circuited: 0 };
+  }
+
+  async execute(fn) {
+    if (this.failureThreshold <= 0) return fn();
+
+    const isProbe = this.admit();
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (err) {
+      if (this.isFailure(err)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
+      throw err;
+    } finally {
+      if (isProbe) this.probesInFlight -= 1;
+    }
+  }
+
+  /** Deixa a chamada passar (devolve se é sonda) ou lança o erro de aberto. */
+  admit() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.openMs) {
+      this.transition('half-open');
+    }
+    if (this.state === 'closed') return false;
+    if (this.state === 'half-open' && this.probesInFlight < this.halfOpenProbes) {
+      this.probesInFlight += 1;
+      return true;
+    }
+    this.counters.short_circuited += 1;
+    throw this.createOpenError(`${this.name} circuit is ${this.state}`);
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') this.transition('closed');
+  }
+
+  onFailure() {
+    this.consecutiveFailures += 1;
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') this.counters.opens += 1;
+      this.openedAt = this.now();
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    this.state = state;
+    if (state === 'closed') this.openedAt = null;
+    const log = state === 'open' ? logger.warn : logger.info;
+    log(`circuit-breaker:${state}`, { circuit: this.name, consecutiveFailures: this.consecutiveFailures });
+  }
+
+  stats() {
+    // Um circuito aberto cujo prazo venceu já é meio-aberto para a próxima chamada.
+    const state = this.state === 'open' && this.now() - this.openedAt >= this.openMs ? 'half-open' : this.state;
+    return {
+      state,
+      consecutive_failures: this.consecutiveFailures,
+      opened_at: this.openedAt === null ? null : new Date(this.openedAt).toISOString(),
+      ...this.counters,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
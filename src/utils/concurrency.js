@@ -8,11 +8,18 @@ class ConcurrencyLimiter {
   constructor(limit) {
     this.limit = Math.max(1, Number(limit) || 1);
     this.active = 0;
+    // Maior `active` já visto no processo (dimensionamento do limite).
+    this.peak = 0;
   }
 
-  tryAcquire() {
-    if (this.active >= this.limit) return false;
+  /**
+   * `reservedSlots` deixa essa quantidade de slots livre para outros
+   * chamadores; reserva do tamanho do limite (ou maior) nunca adquire.
+   */
+  tryAcquire(reservedSlots = 0) {
+    if (this.active >= this.limit - reservedSlots) return false;
     this.active += 1;
+    this.peak = Math.max(this.peak, this.active);
     return true;
   }
 
@@ -21,4 +28,65 @@ class ConcurrencyLimiter {
   }
 }
 
-module.exports = { ConcurrencyLimiter };
+/**
+ * Executa `fn(item, index)` para todos os itens com até `maxWorkers`
+ * workers, preservando a ordem dos resultados. O primeiro worker roda no
+ * slot que o chamador já detém (o da própria requisição); cada worker
+ * extra só sobe se `limiter.tryAcquire()` tiver slot livre, e o devolve
+ * ao terminar. Nunca espera por slot: sob carga, vira execução sequencial.
+ */
+async function mapWithLimiter(items, limiter, maxWorkers, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const work = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [work()];
+  const extraWorkers = Math.min(maxWorkers, items.length) - 1;
+  for (let i = 0; i < extraWorkers && limiter.tryAcquire(); i += 1) {
+    workers.push(work().finally(() => limiter.release()));
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Variante de `mapWithLimiter` para trabalho em segundo plano (jobs), que
+ * não detém slot nenhum: cada item adquire o próprio slot antes de rodar
+ * e o devolve logo depois, e só quando sobram mais de `reservedSlots`
+ * livres. Sem slot, o worker espera `pollMs` e tenta de novo — as
+ * requisições interativas sempre passam na frente.
+ */
+async function mapInBackground(items, limiter, { maxWorkers, reservedSlots, pollMs }, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const work = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      while (!limiter.tryAcquire(reservedSlots)) {
+        await sleep(pollMs);
+      }
+      try {
+        results[index] = await fn(items[index], index);
+      } finally {
+        limiter.release();
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(maxWorkers, items.length));
+  await Promise.all(Array.from({ length: workerCount }, work));
+  return results;
+}
+
+module.exports = { ConcurrencyLimiter, mapWithLimiter, mapInBackground };
@@ -21,10 +21,14 @@ class ParticipantContextNotFoundError extends FallbackEligibleError {}
 class EventIdMissingError extends FallbackEligibleError {}
 class EventNotAllowlistedError extends FallbackEligibleError {}
 class LayoutNotPublishedError extends FallbackEligibleError {}
+class LayoutVersionNotFoundError extends FallbackEligibleError {}
 class LayoutInvalidError extends FallbackEligibleError {}
 class LabelDataUnavailableError extends FallbackEligibleError {}
 class SupabaseTimeoutError extends FallbackEligibleError {}
 class SupabaseUnavailableError extends FallbackEligibleError {}
+// Breaker do Supabase aberto: rejeitado sem chamar a rede (mesmo tratamento
+// de indisponibilidade — fallback no /badge, 503 no /v2).
+class SupabaseCircuitOpenError extends SupabaseUnavailableError {}
 class DynamicFlowBudgetExceededError extends FallbackEligibleError {}
 
 class NonFallbackError extends Error {
@@ -61,6 +65,18 @@ class ForbiddenError extends NonFallbackError {
   }
 }
 
+class NotFoundError extends NonFallbackError {
+  constructor(message, code) {
+    super(message, 404, code);
+  }
+}
+
+class ConflictError extends NonFallbackError {
+  constructor(message, code) {
+    super(message, 409, code);
+  }
+}
+
 class RateLimitedError extends NonFallbackError {
   constructor(message, code) {
     super(message, 429, code);
@@ -86,23 +102,41 @@ class LogoFetchError extends Error {
   }
 }
 
+/**
+ * Conteúdo que a simbologia do elemento `barcode` não codifica, ou código
+ * que não cabe na caixa. Como o logo, só omite o elemento (nunca fallback).
+ */
+class BarcodeEncodeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BarcodeEncodeError';
+    this.code = code || 'BARCODE_UNSUPPORTED_CONTENT';
+    this.fallbackEligible = false;
+  }
+}
+
 module.exports = {
   FallbackEligibleError,
   ParticipantContextNotFoundError,
   EventIdMissingError,
   EventNotAllowlistedError,
   LayoutNotPublishedError,
+  LayoutVersionNotFoundError,
   LayoutInvalidError,
   LabelDataUnavailableError,
   SupabaseTimeoutError,
   SupabaseUnavailableError,
+  SupabaseCircuitOpenError,
   DynamicFlowBudgetExceededError,
   NonFallbackError,
   InvalidRequestError,
   PayloadTooLargeError,
   UnauthorizedError,
   ForbiddenError,
+  NotFoundError,
+  ConflictError,
   RateLimitedError,
   ConcurrencyLimitExceededError,
   LogoFetchError,
+  BarcodeEncodeError,
 };
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Métricas em memória do processo no formato texto do Prometheus
+ * (`GET /metrics`), sem dependência externa. Contadores e histogramas são
+ * atualizados pelo código de cada módulo; métricas com `collect` são lidas
+ * na hora do scrape (tamanho de cache, slots de render ativos).
+ *
+ * Labels nunca carregam dado pessoal nem valores sem limite (participant_id,
+ * URL crua): só rota, status, engine, códigos de erro e nomes de operação.
+ */
+
+const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/** Série = combinação de labels; a chave é estável na ordem de `labelNames`. */
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels) {
+    const picked = {};
+    for (const labelName of this.labelNames) {
+      picked[labelName] = labels[labelName] === undefined ? '' : labels[labelName];
+    }
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, ...this.initialState() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  lines() {
+    return [...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+/**
+ * Valor lido no scrape: `collect()` devolve um número (sem labels) ou uma
+ * lista de `{ labels, value }`. `type` permite expor contadores mantidos
+ * por outro módulo (ex. hits do `TtlCache`) com o tipo correto.
+ */
+class CollectedMetric extends Metric {
+  constructor({ collect, type = 'gauge', ...options }) {
+    super(options, type);
+    this.collect = collect;
+  }
+
+  lines() {
+    const collected = this.collect();
+    const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    return samples.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_LATENCY_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialState() {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Mede `fn()` em segundos. `labelsFor(err, result)` completa as labels
+   * no fim (ex. `outcome`), com `err` nulo quando `fn` resolveu.
+   */
+  async time(labels, fn, labelsFor = () => ({})) {
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+    try {
+      const result = await fn();
+      this.observe({ ...labels, ...labelsFor(null, result) }, elapsed());
+      return result;
+    } catch (err) {
+      this.observe({ ...labels, ...labelsFor(err) }, elapsed());
+      throw err;
+    }
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`metric "${metric.name}" is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  collected(options) {
+    return this.register(new CollectedMetric(options));
+  }
+
+  /** Texto de exposição do Prometheus (`text/plain; version=0.0.4`). */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.header(), ...metric.lines());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/** Registro único do processo, exposto em `GET /metrics`. */
+const registry = new MetricsRegistry();
+
+module.exports = { MetricsRegistry, registry, DEFAULT_LATENCY_BUCKETS };
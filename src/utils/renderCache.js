@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Cache de etiquetas já renderizadas (reimpressão no balcão), em memória do
+ * processo. O buffer final contém nome e custom fields do participante,
+ * então nada fica em texto claro (docs/plano-motor-dinamico-etiquetas.md
+ * §3.6): a chave é um HMAC de `(participant_id, opções de saída)`, o
+ * conteúdo é cifrado com AES-256-GCM e os dados de etiqueta só entram como
+ * HMAC (`fingerprint`). A chave criptográfica é aleatória por processo —
+ * reiniciar o processo torna qualquer entrada ilegível, como deve ser.
+ *
+ * Cada entrada guarda a `fingerprint` (versão do layout + hash dos dados)
+ * com que foi gerada; uma leitura com fingerprint diferente invalida a
+ * entrada explicitamente. Limitado por número de entradas e por bytes,
+ * descartando a menos usada recentemente.
+ */
+
+const crypto = require('node:crypto');
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+class EncryptedRenderCache {
+  constructor({ maxEntries, maxBytes, ttlSeconds }) {
+    this.maxEntries = Math.max(1, Number(maxEntries) || 1);
+    this.maxBytes = Math.max(1, Number(maxBytes) || 1);
+    this.ttlMs = Math.max(0, Number(ttlSeconds) || 0) * 1000;
+    this.secret = crypto.randomBytes(32);
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  digest(parts) {
+    return crypto.createHmac('sha256', this.secret).update(JSON.stringify(parts)).digest('base64url');
+  }
+
+  /** Chave opaca: nunca contém o participant_id em claro. */
+  keyFor(participantId, outputOptions) {
+    return this.digest(['key', participantId, outputOptions]);
+  }
+
+  /** Versão do layout + HMAC dos dados de etiqueta resolvidos. */
+  fingerprintFor(versionId, labelData) {
+    return `${versionId}:${this.digest(['data', labelData])}`;
+  }
+
+  /**
+   * Buffer em claro, ou `undefined`. `invalidated: true` indica que havia
+   * entrada, mas de outra versão de layout ou de outros dados.
+   */
+  get(key, fingerprint) {
+    const entry = this.entries.get(key);
+    if (!entry) return { buffer: undefined, invalidated: false };
+    if (Date.now() > entry.expiresAt) {
+      this.delete(key);
+      return { buffer: undefined, invalidated: false };
+    }
+    if (entry.fingerprint !== fingerprint) {
+      this.delete(key);
+      return { buffer: undefined, invalidated: true };
+    }
+    // Reinsere para marcar como usada recentemente.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { buffer: this.decrypt(key, entry), invalidated: false };
+  }
+
+  set(key, fingerprint, buffer) {
+    this.delete(key);
+    if (buffer.length > this.maxBytes) return;
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, this.secret, iv);
+    // A chave entra como AAD: uma entrada não decifra sob outra chave.
+    cipher.setAAD(Buffer.from(key));
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    const entry = { fingerprint, iv, tag: cipher.getAuthTag(), ciphertext, expiresAt: Date.now() + this.ttlMs };
+
+    this.entries.set(key, entry);
+    this.bytes += ciphertext.length;
+    this.evict();
+  }
+
+  decrypt(key, entry) {
+    const decipher = crypto.createDecipheriv(CIPHER, this.secret, entry.iv);
+    decipher.setAAD(Buffer.from(key));
+    decipher.setAuthTag(entry.tag);
+    return Buffer.concat([decipher.update(entry.ciphertext), decipher.final()]);
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) return;
+      this.delete(key);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.ciphertext.length;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { EncryptedRenderCache };
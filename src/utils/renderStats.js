@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Placar em memória do processo de renders dinâmicos por evento: sucessos,
+ * fallbacks e motivos (código do erro) em janelas deslizantes. As
+ * contagens ficam em baldes de `bucketSeconds`, então cada janela tem essa
+ * granularidade; baldes mais velhos que a maior janela são descartados e
+ * um evento sem baldes sai do mapa.
+ *
+ * Alerta por evento: quando a janela `alert.windowSeconds` tem ao menos
+ * `alert.minRenders` renders e a taxa de fallback chega a
+ * `alert.thresholdPercent`, o evento passa a `firing` e `onAlert` é chamado
+ * uma vez. Volta a `ok` quando a taxa cai abaixo do limite; um novo
+ * disparo respeita `alert.cooldownSeconds` desde o anterior (evita rajada
+ * de webhooks num evento oscilando em volta do limite).
+ * `thresholdPercent <= 0` desliga o alerta.
+ */
+
+const logger = require('./logger');
+
+function emptyWindow(windowSeconds) {
+  return { window_seconds: windowSeconds, total: 0, success: 0, fallback: 0, fallback_rate: 0, fallback_reasons: {} };
+}
+
+class RenderStatsAggregator {
+  constructor({ bucketSeconds, windowsSeconds, alert, onAlert = () => {}, now = Date.now }) {
+    this.bucketMs = Math.max(1, Number(bucketSeconds) || 1) * 1000;
+    this.alert = {
+      thresholdPercent: Number(alert.thresholdPercent) || 0,
+      windowSeconds: Math.max(1, Number(alert.windowSeconds) || 1),
+      minRenders: Math.max(1, Number(alert.minRenders) || 1),
+      cooldownMs: Math.max(0, Number(alert.cooldownSeconds) || 0) * 1000,
+    };
+    this.windowsSeconds = [...new Set([...windowsSeconds, this.alert.windowSeconds])].sort((a, b) => a - b);
+    this.retentionMs = this.windowsSeconds[this.windowsSeconds.length - 1] * 1000;
+    this.onAlert = onAlert;
+    this.now = now;
+
+    this.events = new Map();
+    this.lastSweepAt = 0;
+  }
+
+  /** `outcome` é `success` ou `fallback`; `reason` é o código do erro do fallback. */
+  record(eventId, outcome, reason) {
+    const now = this.now();
+    const entry = this.entryFor(eventId);
+    const bucketStart = Math.floor(now / this.bucketMs) * this.bucketMs;
+    let bucket = entry.buckets[entry.buckets.length - 1];
+    if (!bucket || bucket.start !== bucketStart) {
+      bucket = { start: bucketStart, success: 0, fallback: 0, reasons: {} };
+      entry.buckets.push(bucket);
+    }
+    if (outcome === 'fallback') {
+      bucket.fallback += 1;
+      bucket.reasons[reason] = (bucket.reasons[reason] || 0) + 1;
+    } else {
+      bucket.success += 1;
+    }
+
+    this.sweep(now);
+    this.evaluateAlert(eventId, entry, now);
+  }
+
+  entryFor(eventId) {
+    if (!this.events.has(eventId)) {
+      this.events.set(eventId, { buckets: [], alert: { state: 'ok', lastFiredAt: null, fired: 0 } });
+    }
+    return this.events.get(eventId);
+  }
+
+  /** Descarta baldes fora da maior janela, no máximo uma vez por balde. */
+  sweep(now) {
+    if (now - this.lastSweepAt < this.bucketMs) return;
+    this.lastSweepAt = now;
+    for (const [eventId, entry] of this.events) {
+      entry.buckets = entry.buckets.filter((bucket) => bucket.start > now - this.retentionMs - this.bucketMs);
+      if (entry.buckets.length === 0) this.events.delete(eventId);
+    }
+  }
+
+  windowFor(entry, windowSeconds, now) {
+    const window = emptyWindow(windowSeconds);
+    const since = now - windowSeconds * 1000;
+    for (const bucket of entry ? entry.buckets : []) {
+      if (bucket.start + this.bucketMs <= since) continue;
+      window.success += bucket.success;
+      window.fallback += bucket.fallback;
+      for (const [reason, count] of Object.entries(bucket.reasons)) {
+        window.fallback_reasons[reason] = (window.fallback_reasons[reason] || 0) + count;
+      }
+    }
+    window.total = window.success + window.fallback;
+    window.fallback_rate = window.total === 0 ? 0 : Math.round((window.fallback / window.total) * 10000) / 10000;
+    return window;
+  }
+
+  evaluateAlert(eventId, entry, now) {
+    const { thresholdPercent, windowSeconds, minRenders, cooldownMs } = this.alert;
+    if (thresholdPercent <= 0) return;
+
+    const window = this.windowFor(entry, windowSeconds, now);
+    const exceeded = window.total >= minRenders && window.fallback_rate * 100 >= thresholdPercent;
+    const { alert } = entry;
+    if (alert.state === 'firing') {
+      if (!exceeded) {
+        alert.state = 'ok';
+        logger.info('render-stats:fallback-alert-resolved', { eventId, fallbackRate: window.fallback_rate });
+      }
+      return;
+    }
+    if (!exceeded || (alert.lastFiredAt !== null && now - alert.lastFiredAt < cooldownMs)) return;
+
+    alert.state = 'firing';
+    alert.lastFiredAt = now;
+    alert.fired += 1;
+    this.onAlert({ eventId, thresholdPercent, window, firedAt: new Date(now).toISOString() });
+  }
+
+  /** Placar do evento em todas as janelas; evento sem renders recentes vem zerado. */
+  stats(eventId) {
+    const now = this.now();
+    this.sweep(now);
+    const entry = this.events.get(eventId);
+    const alert = entry ? entry.alert : { state: 'ok', lastFiredAt: null, fired: 0 };
+    return {
+      event_id: eventId,
+      windows: this.windowsSeconds.map((windowSeconds) => this.windowFor(entry, windowSeconds, now)),
+      alert: {
+        enabled: this.alert.thresholdPercent > 0,
+        state: alert.state,
+        threshold_percent: this.alert.thresholdPercent,
+        window_seconds: this.alert.windowSeconds,
+        min_renders: this.alert.minRenders,
+        last_fired_at: alert.lastFiredAt === null ? null : new Date(alert.lastFiredAt).toISOString(),
+        fired: alert.fired,
+      },
+    };
+  }
+
+  clear() {
+    this.events.clear();
+  }
+}
+
+module.exports = { RenderStatsAggregator };
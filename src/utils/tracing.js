@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Tracing com o SDK do OpenTelemetry: spans do `@opentelemetry/api` com
+ * contexto em `AsyncLocalStorage`, propagação W3C `traceparent` dos
+ * requests recebidos e exportação OTLP/HTTP em JSON pelo exporter oficial
+ * (`POST <endpoint>/v1/traces`) para qualquer collector. O provider só é
+ * criado quando há endpoint OTLP configurado — sem ele, `traceSpan` só
+ * executa a função.
+ *
+ * Atributos seguem a mesma regra do `logger`: nunca nome, extra_answers,
+ * customFields, participant_id, URL completa, segredo ou Base64. Erros
+ * viram status `ERROR` só com o código (`err.code`/`err.name`): mensagens
+ * de erro podem citar o participant_id.
+ */
+
+const {
+  context,
+  defaultTextMapGetter,
+  trace,
+  INVALID_SPAN_CONTEXT,
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+} = require('@opentelemetry/api');
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+const { ExportResultCode, W3CTraceContextPropagator } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { BasicTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { env } = require('../config/env');
+const logger = require('./logger');
+
+const TRACER_NAME = 'creator-label';
+const SPAN_KIND = { internal: SpanKind.INTERNAL, server: SpanKind.SERVER, client: SpanKind.CLIENT };
+
+const EXPORT_BATCH_SIZE = 512;
+const EXPORT_MAX_QUEUE = 2048;
+const EXPORT_TIMEOUT_MS = 10000;
+
+const traceContextPropagator = new W3CTraceContextPropagator();
+let contextManagerRegistered = false;
+let provider = null;
+let exportFailing = false;
+
+// Entregue a `fn` com tracing desligado: o código instrumentado não testa null.
+const NOOP_SPAN = trace.wrapSpanContext(INVALID_SPAN_CONTEXT);
+
+function isTracingEnabled() {
+  return Boolean(env.OTEL_TRACES_ENDPOINT);
+}
+
+/**
+ * Exporter OTLP que loga a falha uma vez por sequência de falhas; o lote
+ * que falhou é descartado pelo BatchSpanProcessor e o request nunca sente.
+ */
+function withExportFailureLog(exporter) {
+  return {
+    export(spans, resultCallback) {
+      exporter.export(spans, (result) => {
+        if (result.code === ExportResultCode.FAILED) {
+          if (!exportFailing) {
+            const err = result.error;
+            logger.warn('tracing:export-failed', {
+              spans: spans.length,
+              code: err && err.code,
+              message: err && err.message,
+            });
+          }
+          exportFailing = true;
+        } else {
+          exportFailing = false;
+        }
+        resultCallback(result);
+      });
+    },
+    forceFlush: () => exporter.forceFlush(),
+    shutdown: () => exporter.shutdown(),
+  };
+}
+
+function createTracerProvider() {
+  if (!contextManagerRegistered) {
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+    contextManagerRegistered = true;
+  }
+  const exporter = new OTLPTraceExporter({
+    url: env.OTEL_TRACES_ENDPOINT,
+    headers: env.OTEL_EXPORTER_OTLP_HEADERS,
+    timeoutMillis: EXPORT_TIMEOUT_MS,
+  });
+  return new BasicTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': env.OTEL_SERVICE_NAME, 'service.version': env.SERVICE_VERSION }),
+    spanProcessors: [
+      new BatchSpanProcessor(withExportFailureLog(exporter), {
+        scheduledDelayMillis: env.OTEL_BSP_SCHEDULE_DELAY,
+        maxExportBatchSize: EXPORT_BATCH_SIZE,
+        // Collector fora do ar não pode crescer a memória sem limite.
+        maxQueueSize: EXPORT_MAX_QUEUE,
+        exportTimeoutMillis: EXPORT_TIMEOUT_MS,
+      }),
+    ],
+  });
+}
+
+function getTracer() {
+  if (!provider) provider = createTracerProvider();
+  return provider.getTracer(TRACER_NAME);
+}
+
+function definedAttributes(attributes = {}) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/** Marca o span com status `ERROR` levando só o código do erro, nunca a mensagem. */
+function recordSpanError(span, err) {
+  span.setStatus({ code: SpanStatusCode.ERROR, message: (err && (err.code || err.name)) || 'Error' });
+}
+
+function getActiveSpan() {
+  return trace.getActiveSpan();
+}
+
+/**
+ * Executa `fn(span)` dentro de um span filho do span ativo; o span termina
+ * quando `fn` resolve ou lança (com status de erro). `kind` é `internal`
+ * (padrão) ou `client` para chamadas a outro serviço. Sem tracing ligado,
+ * só executa `fn` com um span que ignora atributos.
+ */
+async function traceSpan(name, attributes, fn, kind = 'internal') {
+  if (!isTracingEnabled()) return fn(NOOP_SPAN);
+
+  const options = { kind: SPAN_KIND[kind], attributes: definedAttributes(attributes) };
+  return getTracer().startActiveSpan(name, options, async (span) => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      recordSpanError(span, err);
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/** Contexto remoto do `traceparent` recebido; header ausente ou inválido dá a raiz (trace novo). */
+function extractRemoteContext(headers) {
+  return traceContextPropagator.extract(ROOT_CONTEXT, headers, defaultTextMapGetter);
+}
+
+/**
+ * Abre um span solto (sem ativá-lo), ex. o SERVER de cada request, filho
+ * de `parentContext` (padrão: o contexto ativo). `null` com tracing desligado.
+ */
+function startSpan(name, { parentContext = context.active(), kind, attributes } = {}) {
+  if (!isTracingEnabled()) return null;
+  const options = { kind: SPAN_KIND[kind], attributes: definedAttributes(attributes) };
+  return getTracer().startSpan(name, options, parentContext);
+}
+
+/** Executa `fn` com `span` como span ativo (pai dos `traceSpan` internos). */
+function runWithSpan(span, fn, parentContext = context.active()) {
+  return span ? context.with(trace.setSpan(parentContext, span), fn) : fn();
+}
+
+/** Exporta já os spans pendentes; falha do collector já foi logada pelo exporter e não sobe. */
+async function flushSpans() {
+  if (!provider) return;
+  await provider.forceFlush().catch(() => {});
+}
+
+/** Exporta o que falta e descarta o provider; o próximo span recria com o env atual. */
+async function shutdownTracing() {
+  if (!provider) return;
+  const current = provider;
+  provider = null;
+  await current.shutdown();
+}
+
+module.exports = {
+  traceSpan,
+  startSpan,
+  runWithSpan,
+  getActiveSpan,
+  recordSpanError,
+  extractRemoteContext,
+  flushSpans,
+  shutdownTracing,
+  isTracingEnabled,
+};
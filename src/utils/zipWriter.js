@@ -0,0 +1,81 @@
+'use strict';
+
+const zlib = require('node:zlib');
+
+/**
+ * ZIP mínimo (método STORE, sem compressão) para o lote de
+ * `/v2/badges/batch`, sem dependência externa. PNG já é comprimido, então
+ * deflate só gastaria CPU. Nomes em ASCII; sem ZIP64 (o lote é limitado
+ * por `BATCH_MAX_PARTICIPANTS`, muito abaixo de 65535 entradas / 4 GiB).
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0
+const METHOD_STORE = 0;
+
+/** Data/hora no formato MS-DOS (resolução de 2s, hora local). */
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/** `entries` = `[{ name, data: Buffer }]`, gravadas na ordem recebida. */
+function createZip(entries, modifiedAt = new Date()) {
+  const { time, day } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'ascii');
+    const crc = zlib.crc32(entry.data);
+    const size = entry.data.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(0, 6); // flags
+    local.writeUInt16LE(METHOD_STORE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(size, 18); // tamanho comprimido
+    local.writeUInt32LE(size, 22); // tamanho original
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra field
+    localParts.push(local, name, entry.data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4); // versão que gerou
+    central.writeUInt16LE(ZIP_VERSION, 6); // versão necessária
+    central.writeUInt16LE(0, 8);
+    central.writeUInt16LE(METHOD_STORE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(size, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    // extra, comentário, disco, atributos internos/externos: zero.
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + size;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { createZip };
@@ -5,14 +5,28 @@ const {
   DYNAMIC_VIRTUAL_HEIGHT,
   DYNAMIC_LAYOUT_SCHEMA_VERSION,
   DYNAMIC_LAYOUT_MAX_ELEMENTS,
+  MONOCHROME_DITHER_MODES,
 } = require('../config/constants');
 const { LayoutInvalidError } = require('../utils/errors');
+const { BARCODE_SYMBOLOGIES } = require('../renderers/barcodeSymbology');
+const { DATAMATRIX_SYMBOL_SIZES, DATAMATRIX_SHAPES } = require('../renderers/dataMatrixSymbology');
+const {
+  PDF417_ERROR_CORRECTION_LEVELS,
+  PDF417_COLUMNS_MIN,
+  PDF417_COLUMNS_MAX,
+} = require('../renderers/pdf417Symbology');
+const { DEFAULT_THRESHOLD, survivesThreshold } = require('../renderers/thermalSafeColors');
 
-const ELEMENT_TYPES = ['text', 'qr_code', 'image'];
+const ELEMENT_TYPES = ['text', 'qr_code', 'datamatrix', 'pdf417', 'barcode', 'image', 'shape'];
 const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
 const OVERFLOW_STRATEGIES = ['wrap', 'shrink', 'truncate', 'hide'];
 const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
 const IMAGE_FIT_MODES = ['contain', 'cover'];
+const SHAPE_KINDS = ['rect', 'rounded_rect', 'line', 'ellipse'];
+// Mesma restrição de conteúdo do QR: identificador, nunca texto livre.
+const BARCODE_DATA_SOURCE_PATTERN = /^(?:participant\.id|custom_field\..+)$/;
+// Cor sólida `#RGB` ou `#RRGGBB` (a térmica não tem alfa).
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
 
 const FONT_SIZE_MIN = 10;
 const FONT_SIZE_MAX = 140;
@@ -22,6 +36,18 @@ const MAX_CHARACTERS_MIN = 1;
 const MAX_CHARACTERS_MAX = 250;
 const QR_SIZE_MIN = 100;
 const QR_SIZE_MAX = 360;
+// PDF417 é largo e baixo: a caixa vai até a largura do layout, com a mesma altura máxima do QR.
+const PDF417_WIDTH_MIN = 200;
+const PDF417_WIDTH_MAX = 800;
+const PDF417_HEIGHT_MIN = 60;
+const PDF417_HEIGHT_MAX = 360;
+const DITHER_THRESHOLD_MIN = 1;
+const DITHER_THRESHOLD_MAX = 254;
+const ROTATION_MIN = -360;
+const ROTATION_MAX = 360;
+const BARCODE_QUIET_ZONE_MAX = 50;
+const STROKE_WIDTH_MAX = 50;
+const CORNER_RADIUS_MAX = 250;
 
 // Perfil físico homologado (docs/plano-motor-dinamico-etiquetas.md §2.2).
 // Qualquer print_profile fora disto é tratado como layout inválido.
@@ -47,20 +73,48 @@ function validateCommonElementFields(el, index) {
   if (el.isVisible !== undefined && typeof el.isVisible !== 'boolean') {
     fail(`elements[${index}].isVisible must be boolean`);
   }
-  if (el.rotation !== undefined && el.rotation !== 0) {
-    fail(`elements[${index}].rotation must be 0 (rotation is not supported in the MVP)`);
+  if (
+    el.rotation !== undefined &&
+    (!isFiniteNumber(el.rotation) || el.rotation < ROTATION_MIN || el.rotation > ROTATION_MAX)
+  ) {
+    fail(`elements[${index}].rotation must be a number of degrees between ${ROTATION_MIN} and ${ROTATION_MAX}`);
   }
   if (!isFiniteNumber(el.x) || !isFiniteNumber(el.y) || !isFiniteNumber(el.width) || !isFiniteNumber(el.height)) {
     fail(`elements[${index}] must have finite numeric x, y, width and height`);
   }
-  if (el.x < 0 || el.y < 0 || el.width <= 0 || el.height <= 0) {
+  if (el.width <= 0 || el.height <= 0) {
+    fail(`elements[${index}] has non-positive width/height or negative position`);
+  }
+  // Elemento girado: a regra de posição vale para o retângulo que ele ocupa
+  // depois da rotação (uma faixa lateral vertical tem x negativo sem girar).
+  const { x, y } = placedOrigin(el);
+  if (x < 0 || y < 0) {
     fail(`elements[${index}] has non-positive width/height or negative position`);
   }
-  if (el.x > DYNAMIC_VIRTUAL_WIDTH || el.y > DYNAMIC_VIRTUAL_HEIGHT) {
+  if (x > DYNAMIC_VIRTUAL_WIDTH || y > DYNAMIC_VIRTUAL_HEIGHT) {
     fail(`elements[${index}] is positioned outside the ${DYNAMIC_VIRTUAL_WIDTH}x${DYNAMIC_VIRTUAL_HEIGHT} canvas`);
   }
 }
 
+/**
+ * Canto superior esquerdo do retângulo alinhado aos eixos que envolve a
+ * caixa girada em torno do centro (a própria caixa quando sem rotação),
+ * arredondado ao milésimo para 90°/270° não falharem por 1e-14.
+ */
+function placedOrigin(el) {
+  if (!el.rotation || el.rotation % 360 === 0) return { x: el.x, y: el.y };
+  const radians = (el.rotation * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const placedWidth = el.width * cos + el.height * sin;
+  const placedHeight = el.width * sin + el.height * cos;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return {
+    x: round(el.x + (el.width - placedWidth) / 2),
+    y: round(el.y + (el.height - placedHeight) / 2),
+  };
+}
+
 function validateTextElement(el, index) {
   if (!isFiniteNumber(el.fontSize) || el.fontSize < FONT_SIZE_MIN || el.fontSize > FONT_SIZE_MAX) {
     fail(`elements[${index}].fontSize must be between ${FONT_SIZE_MIN} and ${FONT_SIZE_MAX}`);
@@ -89,6 +143,8 @@ function validateTextElement(el, index) {
   if (el.textAlign !== undefined && !TEXT_ALIGNMENTS.includes(el.textAlign)) {
     fail(`elements[${index}].textAlign "${el.textAlign}" is not supported`);
   }
+  validateOptionalColor(el.color, 'color', index);
+  validateOptionalColor(el.backgroundColor, 'backgroundColor', index);
   if (typeof el.dataSource !== 'string' || el.dataSource.length === 0) {
     fail(`elements[${index}].dataSource must be a non-empty string`);
   }
@@ -104,11 +160,99 @@ function validateQrElement(el, index) {
   if (el.margin !== undefined && (!Number.isInteger(el.margin) || el.margin < 0)) {
     fail(`elements[${index}].margin must be a non-negative integer`);
   }
+  validateOptionalColor(el.color, 'color', index);
+  validateOptionalColor(el.backgroundColor, 'backgroundColor', index);
+  if (typeof el.dataSource !== 'string' || el.dataSource.length === 0) {
+    fail(`elements[${index}].dataSource must be a non-empty string`);
+  }
+}
+
+// Mesmos limites de caixa do QR; o conteúdo também é sempre participant.id.
+function validateDataMatrixElement(el, index) {
+  if (el.width < QR_SIZE_MIN || el.width > QR_SIZE_MAX || el.height < QR_SIZE_MIN || el.height > QR_SIZE_MAX) {
+    fail(`elements[${index}] datamatrix width/height must be between ${QR_SIZE_MIN} and ${QR_SIZE_MAX}`);
+  }
+  if (el.shape !== undefined && !DATAMATRIX_SHAPES.includes(el.shape)) {
+    fail(`elements[${index}].shape must be one of ${DATAMATRIX_SHAPES.join(', ')}`);
+  }
+  if (el.symbolSize !== undefined && el.shape === 'rectangle') {
+    fail(`elements[${index}].symbolSize only applies to square datamatrix symbols`);
+  }
+  if (el.symbolSize !== undefined && !DATAMATRIX_SYMBOL_SIZES.includes(el.symbolSize)) {
+    fail(`elements[${index}].symbolSize must be one of ${DATAMATRIX_SYMBOL_SIZES.join(', ')}`);
+  }
+  // ECC200 não tem nível a escolher: a correção é fixa por tamanho de símbolo.
+  if (el.errorCorrectionLevel !== undefined) {
+    fail(`elements[${index}].errorCorrectionLevel is fixed by the datamatrix symbol size (ECC200)`);
+  }
+  if (el.margin !== undefined && (!Number.isInteger(el.margin) || el.margin < 0)) {
+    fail(`elements[${index}].margin must be a non-negative integer`);
+  }
+  if (typeof el.dataSource !== 'string' || el.dataSource.length === 0) {
+    fail(`elements[${index}].dataSource must be a non-empty string`);
+  }
+}
+
+// Conteúdo sempre participant.id, como o QR e o Data Matrix.
+function validatePdf417Element(el, index) {
+  if (
+    el.width < PDF417_WIDTH_MIN ||
+    el.width > PDF417_WIDTH_MAX ||
+    el.height < PDF417_HEIGHT_MIN ||
+    el.height > PDF417_HEIGHT_MAX
+  ) {
+    fail(
+      `elements[${index}] pdf417 width must be between ${PDF417_WIDTH_MIN} and ${PDF417_WIDTH_MAX} ` +
+        `and height between ${PDF417_HEIGHT_MIN} and ${PDF417_HEIGHT_MAX}`
+    );
+  }
+  if (el.errorCorrectionLevel !== undefined && !PDF417_ERROR_CORRECTION_LEVELS.includes(el.errorCorrectionLevel)) {
+    fail(`elements[${index}].errorCorrectionLevel must be an integer between 0 and 8`);
+  }
+  if (
+    el.columns !== undefined &&
+    (!Number.isInteger(el.columns) || el.columns < PDF417_COLUMNS_MIN || el.columns > PDF417_COLUMNS_MAX)
+  ) {
+    fail(`elements[${index}].columns must be an integer between ${PDF417_COLUMNS_MIN} and ${PDF417_COLUMNS_MAX}`);
+  }
+  if (el.margin !== undefined && (!Number.isInteger(el.margin) || el.margin < 0)) {
+    fail(`elements[${index}].margin must be a non-negative integer`);
+  }
   if (typeof el.dataSource !== 'string' || el.dataSource.length === 0) {
     fail(`elements[${index}].dataSource must be a non-empty string`);
   }
 }
 
+function validateBarcodeElement(el, index) {
+  if (!BARCODE_SYMBOLOGIES.includes(el.symbology)) {
+    fail(`elements[${index}].symbology "${el.symbology}" is not supported`);
+  }
+  if (typeof el.dataSource !== 'string' || !BARCODE_DATA_SOURCE_PATTERN.test(el.dataSource)) {
+    fail(`elements[${index}].dataSource must be participant.id or custom_field.<key>`);
+  }
+  if (el.symbology === 'ean13' && el.dataSource === 'participant.id') {
+    fail(`elements[${index}] ean13 cannot encode participant.id (12 or 13 digits only)`);
+  }
+  if (el.showText !== undefined && typeof el.showText !== 'boolean') {
+    fail(`elements[${index}].showText must be boolean`);
+  }
+  if (el.barHeight !== undefined && (!isFiniteNumber(el.barHeight) || el.barHeight <= 0 || el.barHeight > el.height)) {
+    fail(`elements[${index}].barHeight must be greater than 0 and at most the element height`);
+  }
+  if (
+    el.quietZone !== undefined &&
+    (!Number.isInteger(el.quietZone) || el.quietZone < 0 || el.quietZone > BARCODE_QUIET_ZONE_MAX)
+  ) {
+    fail(`elements[${index}].quietZone must be an integer between 0 and ${BARCODE_QUIET_ZONE_MAX}`);
+  }
+  if (
+    el.fontSize !== undefined &&
+    (!isFiniteNumber(el.fontSize) || el.fontSize < FONT_SIZE_MIN || el.fontSize > FONT_SIZE_MAX)
+  ) {
+    fail(`elements[${index}].fontSize must be between ${FONT_SIZE_MIN} and ${FONT_SIZE_MAX}`);
+  }
+}
+
 function validateImageElement(el, index) {
   if (el.fit !== undefined && !IMAGE_FIT_MODES.includes(el.fit)) {
     fail(`elements[${index}].fit "${el.fit}" is not supported`);
@@ -118,6 +262,32 @@ function validateImageElement(el, index) {
   }
 }
 
+function validateOptionalColor(value, field, index) {
+  if (value !== undefined && value !== null && !(typeof value === 'string' && HEX_COLOR_PATTERN.test(value))) {
+    fail(`elements[${index}].${field} must be a #RGB or #RRGGBB color`);
+  }
+}
+
+function validateShapeElement(el, index) {
+  if (!SHAPE_KINDS.includes(el.shape)) fail(`elements[${index}].shape "${el.shape}" is not supported`);
+  validateOptionalColor(el.fillColor, 'fillColor', index);
+  validateOptionalColor(el.strokeColor, 'strokeColor', index);
+  if (el.shape === 'line' && !el.strokeColor) fail(`elements[${index}] line shape requires strokeColor`);
+  if (!el.fillColor && !el.strokeColor) fail(`elements[${index}] shape requires fillColor or strokeColor`);
+  if (
+    el.strokeWidth !== undefined &&
+    (!isFiniteNumber(el.strokeWidth) || el.strokeWidth <= 0 || el.strokeWidth > STROKE_WIDTH_MAX)
+  ) {
+    fail(`elements[${index}].strokeWidth must be greater than 0 and at most ${STROKE_WIDTH_MAX}`);
+  }
+  if (
+    el.cornerRadius !== undefined &&
+    (!isFiniteNumber(el.cornerRadius) || el.cornerRadius < 0 || el.cornerRadius > CORNER_RADIUS_MAX)
+  ) {
+    fail(`elements[${index}].cornerRadius must be between 0 and ${CORNER_RADIUS_MAX}`);
+  }
+}
+
 function validateLayoutConfig(layoutConfig) {
   if (!layoutConfig || typeof layoutConfig !== 'object') fail('layout_config missing or not an object');
   if (layoutConfig.schemaVersion !== DYNAMIC_LAYOUT_SCHEMA_VERSION) {
@@ -135,7 +305,31 @@ function validateLayoutConfig(layoutConfig) {
     validateCommonElementFields(el, index);
     if (el.type === 'text') validateTextElement(el, index);
     else if (el.type === 'qr_code') validateQrElement(el, index);
+    else if (el.type === 'datamatrix') validateDataMatrixElement(el, index);
+    else if (el.type === 'pdf417') validatePdf417Element(el, index);
+    else if (el.type === 'barcode') validateBarcodeElement(el, index);
     else if (el.type === 'image') validateImageElement(el, index);
+    else if (el.type === 'shape') validateShapeElement(el, index);
+  });
+}
+
+/**
+ * Contraste do QR contra o limiar de impressão do perfil (`dither_threshold`
+ * ou 128): módulos precisam virar preto e o fundo branco, tanto no modo
+ * `thermal_safe` quanto no estágio monocromático do TSPL/ZPL. QR invertido
+ * (claro sobre escuro) também cai aqui — boa parte dos leitores de
+ * credenciamento não o lê.
+ */
+function validateQrContrast(layoutConfig, printProfile) {
+  const threshold = Number.isInteger(printProfile.dither_threshold) ? printProfile.dither_threshold : DEFAULT_THRESHOLD;
+  layoutConfig.elements.forEach((el, index) => {
+    if (el.type !== 'qr_code') return;
+    if (!survivesThreshold(el.color || '#000000', el.backgroundColor || '#FFFFFF', threshold)) {
+      fail(
+        `elements[${index}] QR color must be darker than backgroundColor ` +
+          `and on the opposite side of the print threshold (${threshold})`
+      );
+    }
   });
 }
 
@@ -157,6 +351,21 @@ function validatePrintProfile(printProfile) {
   if (!supportsDefaultRotation) {
     fail('print_profile.default_rotation must be 0 and supported_rotations (if present) must include 0');
   }
+  // Estágio monocromático opcional do perfil (limiar/dithering da térmica).
+  if (printProfile.dither_mode !== undefined && !MONOCHROME_DITHER_MODES.includes(printProfile.dither_mode)) {
+    fail(`print_profile.dither_mode "${printProfile.dither_mode}" is not supported`);
+  }
+  if (
+    printProfile.dither_threshold !== undefined &&
+    (!Number.isInteger(printProfile.dither_threshold) ||
+      printProfile.dither_threshold < DITHER_THRESHOLD_MIN ||
+      printProfile.dither_threshold > DITHER_THRESHOLD_MAX)
+  ) {
+    fail(`print_profile.dither_threshold must be an integer between ${DITHER_THRESHOLD_MIN} and ${DITHER_THRESHOLD_MAX}`);
+  }
+  if (printProfile.thermal_safe !== undefined && typeof printProfile.thermal_safe !== 'boolean') {
+    fail('print_profile.thermal_safe must be boolean');
+  }
 }
 
 /**
@@ -172,6 +381,7 @@ function validateLayoutResponse(layoutResponse) {
 
   validateLayoutConfig(layoutResponse.layout_config);
   validatePrintProfile(layoutResponse.print_profile);
+  validateQrContrast(layoutResponse.layout_config, layoutResponse.print_profile);
 
   return layoutResponse;
 }
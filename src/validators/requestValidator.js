@@ -1,13 +1,29 @@
 'use strict';
 
 const { InvalidRequestError } = require('../utils/errors');
+const {
+  MONOCHROME_DITHER_MODES,
+  SHEET_PAGE_SIZES_MM,
+  SHEET_MAX_PARTICIPANTS,
+  BATCH_MAX_PARTICIPANTS,
+  JOB_MAX_PARTICIPANTS,
+  CACHE_INVALIDATE_MAX_PARTICIPANTS,
+} = require('../config/constants');
 
 const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-const SUPPORTED_FORMATS = ['png', 'base64'];
+const SUPPORTED_FORMATS = ['png', 'base64', 'tspl', 'zpl', 'pdf'];
+const SHEET_FORMATS = ['pdf', 'png'];
+const PREVIEW_FORMATS = ['png', 'base64'];
+const SHEET_ORIENTATIONS = ['portrait', 'landscape'];
+const SHEET_MAX_GRID_SIDE = 20;
+const JOB_TYPES = ['batch'];
 
 /**
  * Valida o payload de `POST /v2/badges/render` (docs
- * /plano-motor-dinamico-etiquetas.md §8): `{ participant_id, format? }`.
+ * /plano-motor-dinamico-etiquetas.md §8):
+ * `{ participant_id, format?, dither?, layout_version_id? }`. `dither`
+ * sobrepõe o `print_profile.dither_mode` do layout publicado, e
+ * `layout_version_id` troca o publicado por uma versão específica.
  * Qualquer violação é `InvalidRequestError` (400), nunca fallback.
  */
 function validateBadgeV2Payload(body) {
@@ -15,17 +31,263 @@ function validateBadgeV2Payload(body) {
     throw new InvalidRequestError('request body must be a JSON object');
   }
 
-  const { participant_id: participantId, format } = body;
+  const { participant_id: participantId, format, dither, layout_version_id: layoutVersionId } = body;
   if (typeof participantId !== 'string' || !UUID_PATTERN.test(participantId.trim())) {
     throw new InvalidRequestError('participant_id must be a valid UUID string');
   }
 
   const outputFormat = format === undefined ? 'base64' : format;
   if (typeof outputFormat !== 'string' || !SUPPORTED_FORMATS.includes(outputFormat.toLowerCase())) {
+    throw new InvalidRequestError('format must be "png", "base64", "tspl", "zpl" or "pdf"');
+  }
+
+  const ditherMode = typeof dither === 'string' ? dither.toLowerCase() : dither;
+  if (ditherMode !== undefined && !MONOCHROME_DITHER_MODES.includes(ditherMode)) {
+    throw new InvalidRequestError(`dither must be one of: ${MONOCHROME_DITHER_MODES.join(', ')}`);
+  }
+
+  if (layoutVersionId !== undefined && (!Number.isInteger(layoutVersionId) || layoutVersionId <= 0)) {
+    throw new InvalidRequestError('layout_version_id must be a positive integer');
+  }
+
+  return {
+    participantId: participantId.trim(),
+    outputFormat: outputFormat.toLowerCase(),
+    ...(ditherMode !== undefined ? { ditherMode } : {}),
+    ...(layoutVersionId !== undefined ? { layoutVersionId } : {}),
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readSheetNumber(template, key, { defaultValue, min, integer = false, max = Infinity }) {
+  const value = template[key];
+  if (value === undefined) return defaultValue;
+  const valid = typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  if (!valid || (integer && !Number.isInteger(value))) {
+    const kind = integer ? 'an integer' : 'a number';
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new InvalidRequestError(`template.${key} must be ${kind} ${range}`);
+  }
+  return value;
+}
+
+function validateSheetTemplate(template) {
+  if (!isPlainObject(template)) {
+    throw new InvalidRequestError('template must be an object');
+  }
+
+  const pageSize = template.page_size === undefined ? 'A4' : template.page_size;
+  if (!Object.prototype.hasOwnProperty.call(SHEET_PAGE_SIZES_MM, pageSize)) {
+    throw new InvalidRequestError(`template.page_size must be one of: ${Object.keys(SHEET_PAGE_SIZES_MM).join(', ')}`);
+  }
+
+  const orientation = template.orientation === undefined ? 'portrait' : template.orientation;
+  if (!SHEET_ORIENTATIONS.includes(orientation)) {
+    throw new InvalidRequestError('template.orientation must be "portrait" or "landscape"');
+  }
+
+  if (template.rows === undefined || template.columns === undefined) {
+    throw new InvalidRequestError('template.rows and template.columns are required');
+  }
+
+  if (template.crop_marks !== undefined && typeof template.crop_marks !== 'boolean') {
+    throw new InvalidRequestError('template.crop_marks must be a boolean');
+  }
+
+  const marginTopMm = readSheetNumber(template, 'margin_top_mm', { min: 0 });
+  const marginLeftMm = readSheetNumber(template, 'margin_left_mm', { min: 0 });
+
+  return {
+    pageSize,
+    orientation,
+    rows: readSheetNumber(template, 'rows', { min: 1, max: SHEET_MAX_GRID_SIDE, integer: true }),
+    columns: readSheetNumber(template, 'columns', { min: 1, max: SHEET_MAX_GRID_SIDE, integer: true }),
+    labelWidthMm: readSheetNumber(template, 'label_width_mm', { defaultValue: 80, min: 1 }),
+    labelHeightMm: readSheetNumber(template, 'label_height_mm', { defaultValue: 50, min: 1 }),
+    gutterXMm: readSheetNumber(template, 'gutter_x_mm', { defaultValue: 0, min: 0 }),
+    gutterYMm: readSheetNumber(template, 'gutter_y_mm', { defaultValue: 0, min: 0 }),
+    ...(marginTopMm !== undefined ? { marginTopMm } : {}),
+    ...(marginLeftMm !== undefined ? { marginLeftMm } : {}),
+    cropMarks: template.crop_marks === true,
+  };
+}
+
+function validateParticipantIds(participantIds, maxEntries, unit) {
+  if (!Array.isArray(participantIds) || participantIds.length === 0) {
+    throw new InvalidRequestError('participant_ids must be a non-empty array');
+  }
+  if (participantIds.length > maxEntries) {
+    throw new InvalidRequestError(`participant_ids accepts at most ${maxEntries} entries per ${unit}`);
+  }
+  if (!participantIds.every((id) => typeof id === 'string' && UUID_PATTERN.test(id.trim()))) {
+    throw new InvalidRequestError('every participant_ids entry must be a valid UUID string');
+  }
+  return participantIds.map((id) => id.trim());
+}
+
+/**
+ * Valida o payload de `POST /v2/badges/sheet`:
+ * `{ participant_ids, template, format? }`. `format` é `pdf` (padrão) ou
+ * `png`; o template descreve a folha pré-picotada (página, grid,
+ * gutters, margens e marcas de corte), em mm. Se o grid cabe na página é
+ * checado depois, por `computeSheetGrid`.
+ */
+function validateBadgeSheetPayload(body) {
+  if (!isPlainObject(body)) {
+    throw new InvalidRequestError('request body must be a JSON object');
+  }
+
+  const { format } = body;
+  const participantIds = validateParticipantIds(body.participant_ids, SHEET_MAX_PARTICIPANTS, 'sheet');
+
+  const outputFormat = format === undefined ? 'pdf' : format;
+  if (typeof outputFormat !== 'string' || !SHEET_FORMATS.includes(outputFormat.toLowerCase())) {
+    throw new InvalidRequestError('format must be "pdf" or "png"');
+  }
+
+  return {
+    participantIds,
+    outputFormat: outputFormat.toLowerCase(),
+    template: validateSheetTemplate(body.template),
+  };
+}
+
+function validateBatchSelection(body, maxEntries, unit) {
+  const { participant_ids: participantIds, event_id: eventId, offset } = body;
+  if ((participantIds === undefined) === (eventId === undefined)) {
+    throw new InvalidRequestError('provide exactly one of participant_ids or event_id');
+  }
+
+  if (participantIds !== undefined) {
+    if (offset !== undefined) {
+      throw new InvalidRequestError('offset is only accepted together with event_id');
+    }
+    return {
+      participantIds: [...new Set(validateParticipantIds(participantIds, maxEntries, unit))],
+    };
+  }
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    throw new InvalidRequestError('event_id must be a positive integer');
+  }
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    throw new InvalidRequestError('offset must be a non-negative integer');
+  }
+  return { eventId, offset: offset === undefined ? 0 : offset };
+}
+
+/**
+ * Valida o payload de `POST /v2/badges/batch`: exatamente um entre
+ * `participant_ids` (ids repetidos são renderizados uma vez só) e
+ * `event_id` (+ `offset` opcional para paginar eventos maiores que
+ * `BATCH_MAX_PARTICIPANTS`).
+ */
+function validateBadgeBatchPayload(body) {
+  if (!isPlainObject(body)) {
+    throw new InvalidRequestError('request body must be a JSON object');
+  }
+  return validateBatchSelection(body, BATCH_MAX_PARTICIPANTS, 'batch');
+}
+
+/**
+ * Valida o payload de `POST /v2/jobs`: `{ type?, ...seleção }`. Hoje o
+ * único `type` é `batch` (padrão), com a mesma seleção de
+ * `/v2/badges/batch`, mas até `JOB_MAX_PARTICIPANTS` por job.
+ */
+function validateJobPayload(body) {
+  if (!isPlainObject(body)) {
+    throw new InvalidRequestError('request body must be a JSON object');
+  }
+
+  const { type = 'batch', ...selection } = body;
+  if (!JOB_TYPES.includes(type)) {
+    throw new InvalidRequestError(`type must be one of: ${JOB_TYPES.join(', ')}`);
+  }
+  return { type, ...validateBatchSelection(selection, JOB_MAX_PARTICIPANTS, 'job') };
+}
+
+/**
+ * Valida o payload de `POST /v2/badges/preview`: `layout_config` e
+ * `print_profile` inline (o contrato em si é checado depois, por
+ * `validateLayoutResponse`), exatamente um entre `participant_id` e
+ * `sample_data` (mesmo formato de `resolve_participant_label_data`) e
+ * `format` `png` ou `base64` (padrão).
+ */
+function validateBadgePreviewPayload(body) {
+  if (!isPlainObject(body)) {
+    throw new InvalidRequestError('request body must be a JSON object');
+  }
+
+  const { layout_config: layoutConfig, print_profile: printProfile, participant_id: participantId, format } = body;
+  const sampleData = body.sample_data;
+  if (!isPlainObject(layoutConfig) || !isPlainObject(printProfile)) {
+    throw new InvalidRequestError('layout_config and print_profile must be objects');
+  }
+  if ((participantId === undefined) === (sampleData === undefined)) {
+    throw new InvalidRequestError('provide exactly one of participant_id or sample_data');
+  }
+  if (participantId !== undefined && (typeof participantId !== 'string' || !UUID_PATTERN.test(participantId.trim()))) {
+    throw new InvalidRequestError('participant_id must be a valid UUID string');
+  }
+  if (sampleData !== undefined && !isPlainObject(sampleData)) {
+    throw new InvalidRequestError('sample_data must be an object');
+  }
+
+  const outputFormat = format === undefined ? 'base64' : format;
+  if (typeof outputFormat !== 'string' || !PREVIEW_FORMATS.includes(outputFormat.toLowerCase())) {
     throw new InvalidRequestError('format must be "png" or "base64"');
   }
 
-  return { participantId: participantId.trim(), outputFormat: outputFormat.toLowerCase() };
+  return {
+    layoutConfig,
+    printProfile,
+    ...(participantId !== undefined ? { participantId: participantId.trim() } : { sampleData }),
+    outputFormat: outputFormat.toLowerCase(),
+  };
+}
+
+/**
+ * Valida o payload de `POST /v2/cache/invalidate`:
+ * `{ event_id?, participant_ids? }`, ao menos um dos dois.
+ */
+function validateCacheInvalidatePayload(body) {
+  if (!isPlainObject(body)) {
+    throw new InvalidRequestError('request body must be a JSON object');
+  }
+  const { event_id: eventId, participant_ids: participantIds } = body;
+  if (eventId === undefined && participantIds === undefined) {
+    throw new InvalidRequestError('provide event_id and/or participant_ids');
+  }
+  if (eventId !== undefined && (!Number.isInteger(eventId) || eventId <= 0)) {
+    throw new InvalidRequestError('event_id must be a positive integer');
+  }
+  return {
+    ...(eventId !== undefined ? { eventId } : {}),
+    participantIds:
+      participantIds === undefined
+        ? []
+        : [...new Set(validateParticipantIds(participantIds, CACHE_INVALIDATE_MAX_PARTICIPANTS, 'request'))],
+  };
+}
+
+/** `:eventId` da rota (string): só inteiro positivo em decimal. */
+function validateEventIdParam(value) {
+  const eventId = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!Number.isSafeInteger(eventId) || eventId <= 0) {
+    throw new InvalidRequestError('eventId must be a positive integer');
+  }
+  return eventId;
 }
 
-module.exports = { validateBadgeV2Payload };
+module.exports = {
+  validateBadgeV2Payload,
+  validateBadgePreviewPayload,
+  validateBadgeSheetPayload,
+  validateBadgeBatchPayload,
+  validateJobPayload,
+  validateCacheInvalidatePayload,
+  validateEventIdParam,
+};
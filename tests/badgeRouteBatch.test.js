@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const { readZipEntries } = require('./fakes/readZipEntries');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'test-batch-api-key';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const OK_1 = 'aaaaaaaa-0000-0000-0000-000000000001';
+const OK_2 = 'aaaaaaaa-0000-0000-0000-000000000002';
+const NO_LAYOUT = 'aaaaaaaa-0000-0000-0000-000000000003';
+// Segundo participante do evento 6, para exercitar o layout compartilhado.
+const OK_5 = 'aaaaaaaa-0000-0000-0000-000000000005';
+
+test('POST /v2/badges/batch', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: [...contextParticipants, { id: OK_5, event_id: 6 }],
+    layoutsByEventId,
+    labelDataByParticipantId: {
+      ...labelDataByParticipantId,
+      [OK_5]: {
+        ...labelDataByParticipantId[OK_1],
+        participant: { id: OK_5, name: 'Ciclano Sintético', category: 'Vendas' },
+      },
+    },
+    apiKey: API_KEY,
+    // Sem cache TTL de layout: só o carregador compartilhado do lote evita refetch.
+    layoutCacheTtlSeconds: 0,
+  });
+  t.after(() => server.close());
+
+  await t.test('requires the Bearer token', async () => {
+    const res = await server.requestPostPath('/v2/badges/batch', { participant_ids: [OK_1] });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('rejects a payload with both participant_ids and event_id', async () => {
+    const res = await server.requestPostPath('/v2/badges/batch', { participant_ids: [OK_1], event_id: 6 }, AUTH);
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('returns a ZIP of PNGs plus a manifest with per-item status codes', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/batch',
+      { participant_ids: [OK_1, NO_LAYOUT, OK_2, OK_1] },
+      AUTH
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/zip');
+    assert.equal(res.headers['content-disposition'], 'attachment; filename="badges.zip"');
+
+    const entries = readZipEntries(res.body);
+    assert.deepEqual(Object.keys(entries).sort(), [
+      `badges/${OK_1}.png`,
+      `badges/${OK_2}.png`,
+      'manifest.json',
+    ]);
+    const png = entries[`badges/${OK_1}.png`];
+    assert.deepEqual({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) }, { width: 945, height: 591 });
+
+    const manifest = JSON.parse(entries['manifest.json'].toString('utf8'));
+    assert.equal(manifest.requested, 3, 'duplicate ids are rendered once');
+    assert.equal(manifest.rendered, 2);
+    assert.equal(manifest.failed, 1);
+    assert.deepEqual(manifest.items[0], {
+      participant_id: OK_1,
+      status: 'rendered',
+      http_status: 200,
+      file: `badges/${OK_1}.png`,
+    });
+    assert.equal(manifest.items[1].http_status, 404);
+    assert.equal(manifest.items[1].code, 'LayoutNotPublishedError');
+  });
+
+  await t.test('event_id renders every participant of the event with the layout fetched once', async () => {
+    const layoutCallsBefore = server.getRpcCallCount('get_published_event_label_layout');
+    const res = await server.requestPostPath('/v2/badges/batch', { event_id: 6 }, AUTH);
+    assert.equal(res.status, 200);
+
+    const manifest = JSON.parse(readZipEntries(res.body)['manifest.json'].toString('utf8'));
+    assert.equal(manifest.event_id, 6);
+    assert.equal(manifest.next_offset, null);
+    assert.deepEqual(
+      manifest.items.map((item) => [item.participant_id, item.status]),
+      [
+        [OK_1, 'rendered'],
+        [OK_5, 'rendered'],
+      ]
+    );
+    assert.equal(server.getRpcCallCount('get_published_event_label_layout') - layoutCallsBefore, 1);
+  });
+
+  await t.test('rejects a negative offset', async () => {
+    const res = await server.requestPostPath('/v2/badges/batch', { event_id: 6, offset: -1 }, AUTH);
+    assert.equal(res.status, 400);
+  });
+});
+
+test('POST /v2/badges/batch rejects an event_id outside LABEL_DYNAMIC_EVENT_IDS', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+    eventIdAllowlist: '33',
+  });
+  t.after(() => server.close());
+
+  const res = await server.requestPostPath('/v2/badges/batch', { event_id: 6 }, AUTH);
+  assert.equal(res.status, 404);
+  assert.equal(JSON.parse(res.body.toString('utf8')).code, 'EventNotAllowlistedError');
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const { readZipEntries } = require('./fakes/readZipEntries');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'test-jobs-api-key';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const OK_1 = 'aaaaaaaa-0000-0000-0000-000000000001';
+const OK_2 = 'aaaaaaaa-0000-0000-0000-000000000002';
+const NO_LAYOUT = 'aaaaaaaa-0000-0000-0000-000000000003';
+const UNKNOWN_JOB = 'ffffffff-0000-0000-0000-000000000000';
+
+function json(res) {
+  return JSON.parse(res.body.toString('utf8'));
+}
+
+async function waitForJob(server, statusUrl) {
+  for (let i = 0; i < 100; i += 1) {
+    const job = json(await server.requestGetPath(statusUrl, AUTH));
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('job did not finish in time');
+}
+
+test('/v2/jobs', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+  });
+  t.after(() => server.close());
+
+  await t.test('requires the Bearer token on every job route', async () => {
+    assert.equal((await server.requestPostPath('/v2/jobs', { participant_ids: [OK_1] })).status, 401);
+    assert.equal((await server.requestGetPath(`/v2/jobs/${UNKNOWN_JOB}`)).status, 401);
+    assert.equal((await server.requestGetPath(`/v2/jobs/${UNKNOWN_JOB}/result`)).status, 401);
+  });
+
+  await t.test('rejects an unknown job type', async () => {
+    const res = await server.requestPostPath('/v2/jobs', { type: 'sheet', participant_ids: [OK_1] }, AUTH);
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('enqueues a batch job, reports progress and serves the ZIP once completed', async () => {
+    const res = await server.requestPostPath('/v2/jobs', { participant_ids: [OK_1, NO_LAYOUT, OK_2] }, AUTH);
+    assert.equal(res.status, 202);
+    const created = json(res);
+    assert.equal(created.type, 'batch');
+    assert.equal(created.status, 'queued');
+    assert.equal(res.headers.location, `/v2/jobs/${created.job_id}`);
+    assert.equal(created.status_url, `/v2/jobs/${created.job_id}`);
+    assert.equal(created.result_url, `/v2/jobs/${created.job_id}/result`);
+
+    const job = await waitForJob(server, created.status_url);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { total: 3, done: 2, failed: 1 });
+    assert.ok(job.finished_at && job.expires_at);
+
+    const result = await server.requestGetPath(created.result_url, AUTH);
+    assert.equal(result.status, 200);
+    assert.equal(result.headers['content-type'], 'application/zip');
+    const entries = readZipEntries(result.body);
+    assert.deepEqual(Object.keys(entries).sort(), [`badges/${OK_1}.png`, `badges/${OK_2}.png`, 'manifest.json']);
+    const manifest = JSON.parse(entries['manifest.json'].toString('utf8'));
+    assert.equal(manifest.items[1].code, 'LayoutNotPublishedError');
+  });
+
+  await t.test('returns 404 for an unknown or malformed job id', async () => {
+    const unknown = await server.requestGetPath(`/v2/jobs/${UNKNOWN_JOB}`, AUTH);
+    assert.equal(unknown.status, 404);
+    assert.equal(json(unknown).code, 'JobNotFound');
+    assert.equal((await server.requestGetPath('/v2/jobs/not-a-uuid/result', AUTH)).status, 404);
+  });
+});
+
+test('/v2/jobs records a failed job when the event is outside LABEL_DYNAMIC_EVENT_IDS', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+    eventIdAllowlist: '33',
+  });
+  t.after(() => server.close());
+
+  const created = json(await server.requestPostPath('/v2/jobs', { event_id: 6 }, AUTH));
+  const job = await waitForJob(server, created.status_url);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.failure.http_status, 404);
+  assert.equal(job.failure.code, 'EventNotAllowlistedError');
+
+  const result = await server.requestGetPath(created.result_url, AUTH);
+  assert.equal(result.status, 409);
+  assert.equal(json(result).code, 'JobNotCompleted');
+});
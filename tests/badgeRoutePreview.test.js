@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'test-preview-api-key';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const OK_2 = 'aaaaaaaa-0000-0000-0000-000000000002';
+const UNKNOWN = 'ffffffff-0000-0000-0000-000000000000';
+const DRAFT = layoutsByEventId['33'];
+
+function draftPayload(overrides = {}) {
+  return {
+    layout_config: DRAFT.layout_config,
+    print_profile: DRAFT.print_profile,
+    sample_data: labelDataByParticipantId[OK_2],
+    ...overrides,
+  };
+}
+
+test('POST /v2/badges/preview', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+  });
+  t.after(() => server.close());
+
+  await t.test('requires the Bearer token', async () => {
+    const res = await server.requestPostPath('/v2/badges/preview', draftPayload());
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('renders sample data as a watermarked PNG that is never cached', async () => {
+    const res = await server.requestPostPath('/v2/badges/preview', draftPayload({ format: 'png' }), AUTH);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.deepEqual({ width: res.body.readUInt32BE(16), height: res.body.readUInt32BE(20) }, { width: 945, height: 591 });
+  });
+
+  await t.test('renders a real participant without touching the published layout', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/preview',
+      draftPayload({ sample_data: undefined, participant_id: OK_2 }),
+      AUTH
+    );
+    assert.equal(res.status, 200);
+    const body = JSON.parse(res.body.toString('utf8'));
+    assert.equal(body.format, 'base64');
+    assert.equal(server.getRpcCallCount('get_published_event_label_layout'), 0);
+  });
+
+  await t.test('answers 400 with the contract violation for an invalid draft layout', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/preview',
+      draftPayload({ print_profile: { ...DRAFT.print_profile, dpi: 203 } }),
+      AUTH
+    );
+    assert.equal(res.status, 400);
+    const body = JSON.parse(res.body.toString('utf8'));
+    assert.equal(body.code, 'LayoutInvalidError');
+    assert.match(body.error, /print_profile\.dpi must be 300/);
+  });
+
+  await t.test('rejects a payload with both participant_id and sample_data', async () => {
+    const res = await server.requestPostPath('/v2/badges/preview', draftPayload({ participant_id: OK_2 }), AUTH);
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('maps an unknown participant like /v2/badges/render', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/preview',
+      draftPayload({ sample_data: undefined, participant_id: UNKNOWN }),
+      AUTH
+    );
+    assert.equal(res.status, 404);
+    assert.equal(JSON.parse(res.body.toString('utf8')).code, 'ParticipantContextNotFoundError');
+  });
+});
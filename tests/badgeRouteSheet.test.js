@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'test-sheet-api-key';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const OK_1 = 'aaaaaaaa-0000-0000-0000-000000000001';
+const OK_2 = 'aaaaaaaa-0000-0000-0000-000000000002';
+const NO_LAYOUT = 'aaaaaaaa-0000-0000-0000-000000000003';
+const TEMPLATE = { page_size: 'A4', rows: 5, columns: 2, gutter_x_mm: 10, gutter_y_mm: 5, crop_marks: true };
+
+function readPdfMediaBoxes(buffer) {
+  return [...buffer.toString('latin1').matchAll(/\/MediaBox \[\s*([^\]]+?)\s*\]/g)].map((m) => m[1].split(/\s+/).map(Number));
+}
+
+test('POST /v2/badges/sheet', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+  });
+  t.after(() => server.close());
+
+  await t.test('requires the same Bearer token as /v2/badges/render', async () => {
+    const res = await server.requestPostPath('/v2/badges/sheet', { participant_ids: [OK_1], template: TEMPLATE });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('lays out an A4 PDF and reports per-participant failures without failing the sheet', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [OK_1, NO_LAYOUT, OK_2], template: TEMPLATE },
+      AUTH
+    );
+    assert.equal(res.status, 200);
+    const payload = JSON.parse(res.body.toString('utf8'));
+    assert.equal(payload.success, true);
+    assert.equal(payload.format, 'pdf');
+    assert.equal(payload.mimeType, 'application/pdf');
+    assert.equal(payload.pages, 1);
+    assert.deepEqual(payload.manifest, [
+      { participant_id: OK_1, status: 'rendered', page: 1, row: 1, column: 1 },
+      {
+        participant_id: NO_LAYOUT,
+        status: 'failed',
+        http_status: 404,
+        error: payload.manifest[1].error,
+        code: 'LayoutNotPublishedError',
+      },
+      // O participante que falhou não deixa buraco: o próximo ocupa o slot seguinte.
+      { participant_id: OK_2, status: 'rendered', page: 1, row: 1, column: 2 },
+    ]);
+
+    const pdf = Buffer.from(payload.data, 'base64');
+    assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+    const [[x0, y0, x1, y1]] = readPdfMediaBoxes(pdf);
+    assert.ok(Math.abs((x1 - x0) * (25.4 / 72) - 210) < 0.01);
+    assert.ok(Math.abs((y1 - y0) * (25.4 / 72) - 297) < 0.01);
+  });
+
+  await t.test('starts a new page once every slot of the template is used', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [OK_1, OK_2, OK_1], template: { rows: 1, columns: 2 } },
+      AUTH
+    );
+    assert.equal(res.status, 200);
+    const payload = JSON.parse(res.body.toString('utf8'));
+    assert.equal(payload.pages, 2);
+    assert.deepEqual(payload.manifest[2], { participant_id: OK_1, status: 'rendered', page: 2, row: 1, column: 1 });
+    assert.equal(readPdfMediaBoxes(Buffer.from(payload.data, 'base64')).length, 2);
+  });
+
+  await t.test('format=png renders a single 300 DPI sheet', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [OK_1], template: { page_size: 'Letter', rows: 4, columns: 2 }, format: 'png' },
+      AUTH
+    );
+    assert.equal(res.status, 200);
+    const png = Buffer.from(JSON.parse(res.body.toString('utf8')).data, 'base64');
+    assert.deepEqual({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) }, { width: 2550, height: 3300 });
+  });
+
+  await t.test('rejects png when the participants do not fit on one page', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [OK_1, OK_2], template: { rows: 1, columns: 1 }, format: 'png' },
+      AUTH
+    );
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('rejects a template whose grid does not fit on the page', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [OK_1], template: { rows: 6, columns: 3 } },
+      AUTH
+    );
+    assert.equal(res.status, 400);
+    assert.match(JSON.parse(res.body.toString('utf8')).error, /does not fit/);
+  });
+
+  await t.test('returns 422 with the manifest when no participant could be rendered', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/sheet',
+      { participant_ids: [NO_LAYOUT], template: TEMPLATE },
+      AUTH
+    );
+    assert.equal(res.status, 422);
+    const payload = JSON.parse(res.body.toString('utf8'));
+    assert.equal(payload.manifest[0].code, 'LayoutNotPublishedError');
+  });
+});
@@ -9,14 +9,32 @@ const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
 
 const API_KEY = 'test-v2-api-key';
 
+// Versão arquivada do layout do evento 6: só o nome, sem QR nem logo.
+const ARCHIVED_VERSION_ID = 15;
+const archivedLayout = {
+  ...layoutsByEventId['6'],
+  version_id: ARCHIVED_VERSION_ID,
+  version_number: 2,
+  layout_config: {
+    ...layoutsByEventId['6'].layout_config,
+    elements: layoutsByEventId['6'].layout_config.elements.filter((el) => el.id === 'el-name'),
+  },
+};
+
 function readPngDimensions(buffer) {
   return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
 }
 
+function readPdfMediaBox(buffer) {
+  const match = /\/MediaBox \[\s*([^\]]+?)\s*\]/.exec(buffer.toString('latin1'));
+  return match[1].split(/\s+/).map(Number);
+}
+
 test('POST /v2/badges/render', async (t) => {
   const server = await startDynamicEnabledServer({
     participants: contextParticipants,
     layoutsByEventId,
+    layoutVersionsByEventId: { 6: { [ARCHIVED_VERSION_ID]: archivedLayout } },
     labelDataByParticipantId,
     apiKey: API_KEY,
   });
@@ -62,6 +80,40 @@ test('POST /v2/badges/render', async (t) => {
     const dims = readPngDimensions(Buffer.from(payload.data, 'base64'));
     assert.equal(dims.width, 945);
     assert.equal(dims.height, 591);
+    assert.equal(payload.layoutVersionId, 16, 'echoes the published version');
+    assert.equal(res.headers['x-label-layout-version'], '16');
+    assert.equal(payload.engine, 'dynamic');
+    assert.equal(res.headers['x-label-engine'], 'dynamic');
+    assert.equal(res.headers['x-label-fallback-reason'], undefined);
+  });
+
+  await t.test('layout_version_id renders that specific (archived) version and echoes it', async () => {
+    const request = (extra) =>
+      server.requestPostPath(
+        '/v2/badges/render',
+        { participant_id: 'aaaaaaaa-0000-0000-0000-000000000001', format: 'png', ...extra },
+        { Authorization: `Bearer ${API_KEY}` }
+      );
+    const published = await request({});
+    const archived = await request({ layout_version_id: ARCHIVED_VERSION_ID });
+    const again = await request({ layout_version_id: ARCHIVED_VERSION_ID });
+
+    assert.equal(archived.status, 200);
+    assert.equal(archived.headers['x-label-layout-version'], String(ARCHIVED_VERSION_ID));
+    assert.deepEqual(readPngDimensions(archived.body), { width: 945, height: 591 });
+    assert.ok(!archived.body.equals(published.body), 'the archived layout draws different content');
+    assert.ok(again.body.equals(archived.body));
+    assert.equal(server.getRpcCallCount('get_event_label_layout_version'), 1, 'cached by (event_id, version_id)');
+  });
+
+  await t.test('layout_version_id of another event is 404 LayoutVersionNotFoundError', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000001', layout_version_id: 19 },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 404);
+    assert.equal(JSON.parse(res.body.toString('utf8')).code, 'LayoutVersionNotFoundError');
   });
 
   await t.test('renders raw PNG bytes when format=png', async () => {
@@ -77,6 +129,72 @@ test('POST /v2/badges/render', async (t) => {
     assert.equal(dims.height, 591);
   });
 
+  await t.test('format=tspl applies the printer roll contract instead of the design orientation', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000001', format: 'tspl' },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/octet-stream');
+    const text = res.body.toString('latin1');
+    assert.ok(text.startsWith('SIZE 50 mm,80 mm\r\n'));
+    assert.ok(text.includes('BITMAP 0,0,50,639,0,'));
+  });
+
+  await t.test('format=zpl returns a ^GFA label sized to the printer roll', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000002', format: 'zpl' },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/octet-stream');
+    const text = res.body.toString('ascii');
+    assert.ok(text.startsWith('^XA\n^PW400\n^LL639\n'));
+    assert.ok(text.includes('^GFA,31950,31950,50,'));
+    assert.ok(text.endsWith('^XZ\n'));
+  });
+
+  await t.test('format=pdf returns a vector PDF page at the print_profile size (80x50 mm)', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000001', format: 'pdf' },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.equal(res.headers['content-disposition'], 'inline; filename="badge.pdf"');
+    assert.equal(res.body.subarray(0, 5).toString('latin1'), '%PDF-');
+    const [x0, y0, x1, y1] = readPdfMediaBox(res.body);
+    assert.ok(Math.abs((x1 - x0) * (25.4 / 72) - 80) < 0.01);
+    assert.ok(Math.abs((y1 - y0) * (25.4 / 72) - 50) < 0.01);
+    assert.ok(res.body.toString('latin1').includes('/Type /Font'), 'expected text drawn as PDF text, not a bitmap');
+  });
+
+  await t.test('format=pdf keeps the same error taxonomy as PNG', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000003', format: 'pdf' },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 404);
+    assert.equal(JSON.parse(res.body.toString('utf8')).code, 'LayoutNotPublishedError');
+  });
+
+  await t.test('dither=floyd-steinberg returns a 1-bit grayscale PNG', async () => {
+    const res = await server.requestPostPath(
+      '/v2/badges/render',
+      { participant_id: 'aaaaaaaa-0000-0000-0000-000000000001', format: 'png', dither: 'floyd-steinberg' },
+      { Authorization: `Bearer ${API_KEY}` }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.deepEqual(readPngDimensions(res.body), { width: 945, height: 591 });
+    assert.equal(res.body[24], 1, 'expected bit depth 1');
+    assert.equal(res.body[25], 0, 'expected grayscale color type');
+  });
+
   await t.test('returns 404 for a participant with no context (never falls back to legacy)', async () => {
     const res = await server.requestPostPath(
       '/v2/badges/render',
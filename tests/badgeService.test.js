@@ -78,11 +78,14 @@ test('badgeService.tryRenderDynamic orchestration', async (t) => {
     env.LABEL_BADGE_PRINTER_DPI = 203;
     env.LABEL_BADGE_OUTPUT_WIDTH_MM = 50;
     env.LABEL_BADGE_OUTPUT_HEIGHT_MM = 80;
-    const png = await badgeService.tryRenderDynamic(
+    const result = await badgeService.tryRenderDynamic(
       { qr: 'aaaaaaaa-0000-0000-0000-000000000001' },
       'req-happy-path'
     );
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = false;
+    assert.equal(result.eventId, 6);
+    assert.equal(result.versionId, 16);
+    const png = result.buffer;
     assert.ok(Buffer.isBuffer(png));
     const dims = readPngDimensions(png);
     assert.equal(dims.width, 400);
@@ -93,7 +96,7 @@ test('badgeService.tryRenderDynamic orchestration', async (t) => {
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = true;
     env.LABEL_BADGE_OUTPUT_ROTATION = 0;
     env.LABEL_BADGE_PRINTER_DPI = 0;
-    const png = await badgeService.tryRenderDynamic(
+    const { buffer: png } = await badgeService.tryRenderDynamic(
       { qr: 'aaaaaaaa-0000-0000-0000-000000000001' },
       'req-no-badge-rotation'
     );
@@ -106,27 +109,57 @@ test('badgeService.tryRenderDynamic orchestration', async (t) => {
     assert.equal(dims.height, 591);
   });
 
-  await t.test('falls back (returns null) when the participant is not found', async () => {
+  await t.test('falls back (no buffer, with the reason) when the participant is not found', async () => {
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = true;
     const result = await badgeService.tryRenderDynamic(
       { qr: '00000000-0000-0000-0000-000000000000' },
       'req-unknown-participant'
     );
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = false;
-    assert.equal(result, null);
+    assert.deepEqual(result, { buffer: null, fallbackReason: 'ParticipantContextNotFoundError' });
   });
 
   await t.test('falls back when the event is outside LABEL_DYNAMIC_EVENT_IDS', () => {
     assert.equal(badgeService.isEventAllowlisted(6), true); // allowlist vazia -> tudo permitido
   });
 
-  await t.test('falls back (returns null) when event_id has no published layout', async () => {
+  await t.test('falls back (no buffer, with the reason) when event_id has no published layout', async () => {
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = true;
     const result = await badgeService.tryRenderDynamic(
       { qr: 'aaaaaaaa-0000-0000-0000-000000000003' }, // event_id sem layout (fixture)
       'req-no-layout'
     );
     env.LABEL_DYNAMIC_LAYOUT_ENABLED = false;
-    assert.equal(result, null);
+    assert.deepEqual(result, { buffer: null, fallbackReason: 'LayoutNotPublishedError' });
+  });
+
+  await t.test('LABEL_RENDER_CACHE_ENABLED serves reprints from the cache until the label data change', async () => {
+    const participantId = 'aaaaaaaa-0000-0000-0000-000000000001';
+    const participant = labelDataByParticipantId[participantId].participant;
+    const originalName = participant.name;
+    const renderCacheStatuses = [];
+    const originalLog = console.log;
+    console.log = (line) => {
+      const entry = JSON.parse(line);
+      if (entry.event === 'badge-service:dynamic-render-success') renderCacheStatuses.push(entry.renderCache);
+    };
+    env.LABEL_DYNAMIC_LAYOUT_ENABLED = true;
+    env.LABEL_RENDER_CACHE_ENABLED = true;
+    try {
+      const first = await badgeService.renderDynamicLabel(participantId, 'req-cache-1', { outputFormat: 'png' });
+      const second = await badgeService.renderDynamicLabel(participantId, 'req-cache-2', { outputFormat: 'png' });
+      participant.name = 'Nome Alterado Sintético';
+      const renamed = await badgeService.renderDynamicLabel(participantId, 'req-cache-3', { outputFormat: 'png' });
+
+      assert.deepEqual(renderCacheStatuses, ['miss', 'hit', 'invalidated']);
+      assert.ok(second.buffer.equals(first.buffer));
+      assert.ok(!renamed.buffer.equals(first.buffer));
+    } finally {
+      console.log = originalLog;
+      participant.name = originalName;
+      env.LABEL_RENDER_CACHE_ENABLED = false;
+      env.LABEL_DYNAMIC_LAYOUT_ENABLED = false;
+      badgeService.clearRenderCache();
+    }
   });
 });
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBarcodeElement } = require('../src/renderers/barcodeRenderer');
+const { encodeBarcode } = require('../src/renderers/barcodeSymbology');
+const { createCanvas, getContext2d, registeredFontFamily } = require('../src/renderers/canvasRuntime');
+
+const IDENTITY_SCALE = { scaleX: 1, scaleY: 1, uniformScale: 1 };
+
+function renderOnGray(width, height, element, value) {
+  const canvas = createCanvas(width, height);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, width, height);
+  renderBarcodeElement(ctx, element, value, IDENTITY_SCALE, registeredFontFamily);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const grayAt = (x, y) => data[(y * width + x) * 4];
+  return { grayAt };
+}
+
+test('renderBarcodeElement draws whole-pixel modules centered with a white quiet zone', () => {
+  const element = { x: 0, y: 0, width: 300, height: 60, symbology: 'ean13', showText: false, quietZone: 10 };
+  const { modules } = encodeBarcode('ean13', '400638133393');
+  const { grayAt } = renderOnGray(300, 60, element, '400638133393');
+
+  // 95 + 2*10 módulos em 300px → módulo de 2px, símbolo de 190px a partir de x=55.
+  const startX = 55;
+  for (let i = 0; i < modules.length; i += 1) {
+    const expected = modules[i] === '1' ? 0 : 255;
+    assert.equal(grayAt(startX + i * 2, 30), expected, `module ${i}`);
+    assert.equal(grayAt(startX + i * 2 + 1, 30), expected, `module ${i}`);
+  }
+  assert.equal(grayAt(startX - 19, 30), 255, 'quiet zone is painted white');
+  assert.equal(grayAt(startX - 21, 30), 128, 'outside the quiet zone stays untouched');
+});
+
+test('renderBarcodeElement reserves room for the human-readable text below the bars', () => {
+  const element = { x: 0, y: 0, width: 400, height: 100, symbology: 'code128', fontSize: 20 };
+  const { grayAt } = renderOnGray(400, 100, element, 'AB1234');
+  const textTop = 100 - 24;
+  let darkInTextArea = 0;
+  for (let y = textTop; y < 100; y += 1) {
+    for (let x = 150; x < 250; x += 1) if (grayAt(x, y) < 128) darkInTextArea += 1;
+  }
+  assert.ok(darkInTextArea > 0, 'digits are drawn under the bars');
+  // 90 + 2*10 módulos em 400px → módulo de 3px; o símbolo começa em x=65 pelo start bar.
+  assert.equal(grayAt(65, textTop - 1), 0, 'bars end right above the text');
+  assert.equal(grayAt(65, textTop + 2), 255, 'text background is white');
+});
+
+test('renderBarcodeElement throws BARCODE_DOES_NOT_FIT when a module would be under one pixel', () => {
+  const element = { x: 0, y: 0, width: 100, height: 60, symbology: 'code128' };
+  assert.throws(
+    () => renderOnGray(100, 60, element, 'aaaaaaaa-0000-0000-0000-000000000001'),
+    (e) => e.code === 'BARCODE_DOES_NOT_FIT'
+  );
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeBarcode } = require('../src/renderers/barcodeSymbology');
+const { BarcodeEncodeError } = require('../src/utils/errors');
+
+// Padrões publicados da Code 128.
+const CODE128_START_B = '11010010000';
+const CODE128_B_A = '10100011000';
+const CODE128_B_B = '10001011000';
+const CODE128_VALUE_102 = '11110101110';
+const CODE128_STOP = '1100011101011';
+
+test('encodeBarcode code128 uses set B with the mod-103 checksum and the stop pattern', () => {
+  // Checksum de "AB": (104 + 33*1 + 34*2) % 103 = 102.
+  const { modules, text } = encodeBarcode('code128', 'AB');
+  assert.equal(modules, CODE128_START_B + CODE128_B_A + CODE128_B_B + CODE128_VALUE_102 + CODE128_STOP);
+  assert.equal(text, 'AB');
+});
+
+test('encodeBarcode code128 packs digit runs in set C', () => {
+  // Só dígitos: start C + 4 pares + checksum + stop (13 módulos).
+  assert.equal(encodeBarcode('code128', '12345678').modules.length, 11 * 6 + 13);
+  // "AB" em B, troca para C (1 símbolo) e "1234" em 2 pares.
+  assert.equal(encodeBarcode('code128', 'AB1234').modules.length, 11 * 7 + 13);
+  // Sequência ímpar: o primeiro dígito fica em B.
+  assert.equal(encodeBarcode('code128', '12345').modules.length, 11 * 6 + 13);
+  assert.throws(() => encodeBarcode('code128', 'ação'), BarcodeEncodeError);
+});
+
+test('encodeBarcode ean13 computes or checks the check digit and lays out the guards', () => {
+  const { modules, text } = encodeBarcode('ean13', '400638133393');
+  assert.equal(text, '4006381333931');
+  assert.equal(modules.length, 95);
+  assert.equal(modules.slice(0, 3), '101');
+  assert.equal(modules.slice(45, 50), '01010');
+  assert.equal(modules.slice(92), '101');
+  // 1º dígito 4 → paridade LGLLGG: o 2º dígito (0) em L, o 3º (0) em G.
+  assert.equal(modules.slice(3, 10), '0001101');
+  assert.equal(modules.slice(10, 17), '0100111');
+
+  assert.equal(encodeBarcode('ean13', '4006381333931').modules, modules);
+  assert.throws(() => encodeBarcode('ean13', '4006381333932'), /invalid check digit/);
+  assert.throws(() => encodeBarcode('ean13', 'aaaaaaaa-0000'), /expected 12 or 13 digits/);
+});
+
+test('encodeBarcode code39 wraps the value in start/stop and upper-cases it', () => {
+  const { modules, text } = encodeBarcode('code39', 'ab-1');
+  assert.equal(text, 'AB-1');
+  // 6 caracteres (com os *) de 15 módulos + 5 espaços entre caracteres.
+  assert.equal(modules.length, 6 * 15 + 5);
+  // "*" = n w n n w n w n n, largo = 3 módulos.
+  assert.equal(modules.slice(0, 15), '100010111011101', 'start character *');
+  assert.throws(() => encodeBarcode('code39', 'a@b'), BarcodeEncodeError);
+  assert.throws(() => encodeBarcode('code39', 'a*b'), BarcodeEncodeError);
+});
+
+test('encodeBarcode errors never echo the encoded value', () => {
+  try {
+    encodeBarcode('ean13', 'Fulano de Tal');
+    assert.fail('expected to throw');
+  } catch (e) {
+    assert.equal(e.code, 'BARCODE_UNSUPPORTED_CONTENT');
+    assert.ok(!e.message.includes('Fulano'));
+  }
+});
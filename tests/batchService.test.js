@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDynamicSupabaseServer } = require('./fakes/fakeDynamicSupabaseServer');
+
+test('listBatchParticipantIds pages through an event larger than the PostgREST max-rows', async (t) => {
+  const participants = Array.from({ length: 1005 }, (_, i) => ({
+    id: `aaaaaaaa-0000-0000-0000-${String(i).padStart(12, '0')}`,
+    event_id: 6,
+  }));
+  const fake = await createFakeDynamicSupabaseServer({ participants, maxRows: 1000 });
+  t.after(() => fake.close());
+
+  process.env.SUPABASE_URL = fake.url;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'fake-service-role-key';
+  process.env.SUPABASE_KEY = '';
+  process.env.LABEL_DYNAMIC_EVENT_IDS = '';
+
+  // Processo isolado por arquivo: os módulos leem o env configurado acima.
+  const { listBatchParticipantIds } = require('../src/services/batchService');
+  const { JOB_EVENT_PAGE_SIZE, POSTGREST_MAX_ROWS } = require('../src/config/constants');
+
+  const first = await listBatchParticipantIds(6, 0, JOB_EVENT_PAGE_SIZE);
+  assert.equal(first.participantIds.length, JOB_EVENT_PAGE_SIZE);
+  assert.equal(first.nextOffset, JOB_EVENT_PAGE_SIZE);
+
+  const last = await listBatchParticipantIds(6, first.nextOffset, JOB_EVENT_PAGE_SIZE);
+  assert.equal(last.participantIds.length, 1005 - JOB_EVENT_PAGE_SIZE);
+  assert.equal(last.nextOffset, null);
+  assert.equal(new Set([...first.participantIds, ...last.participantIds]).size, 1005);
+
+  // Página pedida no próprio max-rows: encolhe para a sonda ainda caber.
+  const oversized = await listBatchParticipantIds(6, 0, POSTGREST_MAX_ROWS);
+  assert.equal(oversized.participantIds.length, POSTGREST_MAX_ROWS - 1);
+  assert.equal(oversized.nextOffset, POSTGREST_MAX_ROWS - 1);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TtlCache, getCacheStats } = require('../src/utils/cache');
+
+test('TtlCache evicts the least recently used entry past maxEntries', () => {
+  const cache = new TtlCache({ maxEntries: 2 });
+  cache.set('a', 1, 60);
+  cache.set('b', 2, 60);
+  assert.equal(cache.get('a'), 1);
+  cache.set('c', 3, 60);
+
+  assert.equal(cache.get('b'), undefined, 'b was the least recently used');
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+  assert.equal(cache.size, 2);
+  assert.deepEqual(cache.stats(), { size: 2, max_entries: 2, hits: 3, misses: 1, evictions: 1, expirations: 0 });
+});
+
+test('TtlCache treats expired entries as misses and sweep() removes them without a read', () => {
+  const cache = new TtlCache();
+  cache.set('stale', 1, 0);
+  cache.set('fresh', 2, 60);
+  cache.store.get('stale').expiresAt = Date.now() - 1;
+
+  assert.equal(cache.sweep(), 1);
+  assert.equal(cache.size, 1);
+  assert.equal(cache.get('fresh'), 2);
+
+  cache.set('stale', 1, 0);
+  cache.store.get('stale').expiresAt = Date.now() - 1;
+  assert.equal(cache.get('stale'), undefined);
+  assert.deepEqual(cache.stats(), { size: 1, max_entries: null, hits: 1, misses: 1, evictions: 0, expirations: 2 });
+});
+
+test('TtlCache sweeps periodically when sweepIntervalMs is set', async () => {
+  const cache = new TtlCache({ sweepIntervalMs: 5 });
+  cache.set('stale', 1, 0);
+  cache.store.get('stale').expiresAt = Date.now() - 1;
+  for (let i = 0; i < 40 && cache.size > 0; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  cache.stopSweeping();
+  assert.equal(cache.size, 0);
+  assert.equal(cache.stats().expirations, 1);
+});
+
+test('getCacheStats reports every named cache, and clear() keeps the counters', () => {
+  const cache = new TtlCache({ name: 'test_cache', maxEntries: 10 });
+  cache.set('k', 'v', 60);
+  cache.get('k');
+  cache.clear();
+
+  assert.deepEqual(getCacheStats().test_cache, {
+    size: 0,
+    max_entries: 10,
+    hits: 1,
+    misses: 0,
+    evictions: 0,
+    expirations: 0,
+  });
+});
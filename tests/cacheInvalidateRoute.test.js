@@ -0,0 +1,153 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const { signWebhookPayload } = require('../src/middleware/webhookSignature');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'test-invalidate-api-key';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const PARTICIPANT = 'aaaaaaaa-0000-0000-0000-000000000001';
+
+function signedHeaders(payload, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const body = Buffer.from(JSON.stringify(payload));
+  return {
+    'X-Label-Timestamp': String(timestamp),
+    'X-Label-Signature': signWebhookPayload(secret, String(timestamp), body),
+  };
+}
+
+test('POST /v2/cache/invalidate', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+    webhookSecret: WEBHOOK_SECRET,
+  });
+  t.after(() => server.close());
+
+  const invalidate = (payload, headers = signedHeaders(payload)) =>
+    server.requestPostPath('/v2/cache/invalidate', payload, headers);
+  const render = () =>
+    server.requestPostPath('/v2/badges/render', { participant_id: PARTICIPANT }, { Authorization: `Bearer ${API_KEY}` });
+
+  await t.test('rejects missing, forged and stale signatures', async () => {
+    const payload = { event_id: 6 };
+    assert.equal((await invalidate(payload, {})).status, 401);
+    assert.equal((await invalidate(payload, signedHeaders(payload, { secret: 'wrong-secret' }))).status, 401);
+    assert.equal((await invalidate(payload, signedHeaders({ event_id: 33 }))).status, 401, 'signature of another body');
+    const stale = await invalidate(payload, signedHeaders(payload, { timestamp: Math.floor(Date.now() / 1000) - 301 }));
+    assert.equal(stale.status, 401);
+    assert.equal(JSON.parse(stale.body.toString('utf8')).code, 'UnauthorizedError');
+  });
+
+  await t.test('validates the payload once the signature is valid', async () => {
+    assert.equal((await invalidate({})).status, 400);
+    assert.equal((await invalidate({ event_id: 'six' })).status, 400);
+    assert.equal((await invalidate({ participant_ids: ['not-a-uuid'] })).status, 400);
+  });
+
+  await t.test('evicts the published layout so the next render fetches it again', async () => {
+    assert.equal((await render()).status, 200);
+    assert.equal((await render()).status, 200);
+    const callsBefore = server.getRpcCallCount('get_published_event_label_layout');
+
+    const res = await invalidate({ event_id: 6, participant_ids: [PARTICIPANT, PARTICIPANT] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.body.toString('utf8')), {
+      invalidated: { event_id: 6, participants: 1 },
+      peers: { notified: 0, failed: 0 },
+    });
+
+    assert.equal((await render()).status, 200);
+    assert.equal(server.getRpcCallCount('get_published_event_label_layout'), callsBefore + 1);
+  });
+});
+
+test('POST /v2/cache/invalidate empties the render cache, so a logo replaced at the same URL is fetched again', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    apiKey: API_KEY,
+    webhookSecret: WEBHOOK_SECRET,
+    renderCacheEnabled: true,
+  });
+  t.after(() => server.close());
+
+  const render = () =>
+    server.requestPostPath('/v2/badges/render', { participant_id: PARTICIPANT }, { Authorization: `Bearer ${API_KEY}` });
+  const renderCacheStatuses = () =>
+    server
+      .getStdout()
+      .split('\n')
+      .filter((line) => line.includes('badge-service:dynamic-render-success'))
+      .map((line) => JSON.parse(line).renderCache);
+
+  assert.equal((await render()).status, 200);
+  assert.equal((await render()).status, 200);
+  const payload = { event_id: 6 };
+  assert.equal((await server.requestPostPath('/v2/cache/invalidate', payload, signedHeaders(payload))).status, 200);
+  assert.equal((await render()).status, 200);
+
+  assert.deepEqual(renderCacheStatuses(), ['miss', 'hit', 'miss']);
+});
+
+test('POST /v2/cache/invalidate fails closed without LABEL_WEBHOOK_SECRET', async (t) => {
+  const server = await startDynamicEnabledServer({ participants: contextParticipants, layoutsByEventId });
+  t.after(() => server.close());
+
+  const payload = { event_id: 6 };
+  const res = await server.requestPostPath('/v2/cache/invalidate', payload, signedHeaders(payload));
+  assert.equal(res.status, 401);
+});
+
+test('POST /v2/cache/invalidate relays the eviction to every instance behind LABEL_CACHE_PEERS_HOST', async (t) => {
+  const options = { participants: contextParticipants, layoutsByEventId, labelDataByParticipantId, apiKey: API_KEY };
+  const peer = await startDynamicEnabledServer({ ...options, webhookSecret: WEBHOOK_SECRET });
+  t.after(() => peer.close());
+  const receiver = await startDynamicEnabledServer({
+    ...options,
+    webhookSecret: WEBHOOK_SECRET,
+    cachePeers: { host: '127.0.0.1', port: peer.port },
+  });
+  t.after(() => receiver.close());
+
+  const renderOn = (server) =>
+    server.requestPostPath('/v2/badges/render', { participant_id: PARTICIPANT }, { Authorization: `Bearer ${API_KEY}` });
+  assert.equal((await renderOn(peer)).status, 200);
+  const peerCallsBefore = peer.getRpcCallCount('get_published_event_label_layout');
+
+  const payload = { event_id: 6 };
+  const res = await receiver.requestPostPath('/v2/cache/invalidate', payload, signedHeaders(payload));
+  assert.equal(res.status, 200);
+  assert.deepEqual(JSON.parse(res.body.toString('utf8')).peers, { notified: 1, failed: 0 });
+
+  assert.equal((await renderOn(peer)).status, 200);
+  assert.equal(peer.getRpcCallCount('get_published_event_label_layout'), peerCallsBefore + 1, 'the peer refetched');
+});
+
+test('POST /v2/cache/invalidate answers 502 when an instance could not be reached, so the sender retries', async (t) => {
+  const unreachable = await startDynamicEnabledServer({ participants: contextParticipants, layoutsByEventId });
+  const unreachablePort = unreachable.port;
+  await unreachable.close();
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    webhookSecret: WEBHOOK_SECRET,
+    cachePeers: { host: '127.0.0.1', port: unreachablePort },
+  });
+  t.after(() => server.close());
+
+  const payload = { event_id: 6 };
+  const res = await server.requestPostPath('/v2/cache/invalidate', payload, signedHeaders(payload));
+  assert.equal(res.status, 502);
+  const body = JSON.parse(res.body.toString('utf8'));
+  assert.equal(body.code, 'CachePeerRelayFailed');
+  assert.deepEqual(body.peers, { notified: 0, failed: 1 });
+  assert.deepEqual(body.invalidated, { event_id: 6, participants: 0 }, 'the local caches were still evicted');
+});
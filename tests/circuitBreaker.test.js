@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('../src/utils/circuitBreaker');
+
+class OutageError extends Error {}
+class OpenError extends Error {}
+class NotFound extends Error {}
+
+function newBreaker(overrides = {}) {
+  const clock = { nowMs: 1_000_000 };
+  const breaker = new CircuitBreaker({
+    name: 'test',
+    failureThreshold: 3,
+    openSeconds: 10,
+    isFailure: (err) => err instanceof OutageError,
+    createOpenError: (message) => new OpenError(message),
+    now: () => clock.nowMs,
+    ...overrides,
+  });
+  return { breaker, clock };
+}
+
+const fail = () => Promise.reject(new OutageError('down'));
+const succeed = () => Promise.resolve('ok');
+
+test('CircuitBreaker opens after consecutive failures and short-circuits without calling fn', async () => {
+  const { breaker } = newBreaker();
+  await assert.rejects(breaker.execute(fail), OutageError);
+  await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(breaker.stats().state, 'closed');
+  await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(breaker.stats().state, 'open');
+
+  let called = false;
+  await assert.rejects(
+    breaker.execute(async () => {
+      called = true;
+    }),
+    (err) => err instanceof OpenError && err.message === 'test circuit is open'
+  );
+  assert.equal(called, false);
+  assert.equal(breaker.stats().short_circuited, 1);
+  assert.equal(breaker.stats().opens, 1);
+});
+
+test('CircuitBreaker resets the count on success and ignores non-outage errors', async () => {
+  const { breaker } = newBreaker();
+  await assert.rejects(breaker.execute(fail), OutageError);
+  await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(await breaker.execute(succeed), 'ok');
+  await assert.rejects(breaker.execute(() => Promise.reject(new NotFound('nope'))), NotFound);
+  await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(breaker.stats().state, 'closed');
+  assert.equal(breaker.stats().consecutive_failures, 1);
+});
+
+test('CircuitBreaker half-opens after openSeconds with a single probe, closing on success', async () => {
+  const { breaker, clock } = newBreaker();
+  for (let i = 0; i < 3; i += 1) await assert.rejects(breaker.execute(fail), OutageError);
+
+  clock.nowMs += 10_000;
+  assert.equal(breaker.stats().state, 'half-open');
+  let release;
+  const probe = breaker.execute(
+    () =>
+      new Promise((resolve) => {
+        release = resolve;
+      })
+  );
+  await assert.rejects(breaker.execute(succeed), OpenError, 'only one probe at a time');
+  release('probe-ok');
+  assert.equal(await probe, 'probe-ok');
+  assert.deepEqual(breaker.stats(), {
+    state: 'closed',
+    consecutive_failures: 0,
+    opened_at: null,
+    opens: 1,
+    short_circuited: 1,
+  });
+});
+
+test('CircuitBreaker reopens when the half-open probe fails', async () => {
+  const { breaker, clock } = newBreaker();
+  for (let i = 0; i < 3; i += 1) await assert.rejects(breaker.execute(fail), OutageError);
+
+  clock.nowMs += 10_000;
+  await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(breaker.stats().state, 'open');
+  assert.equal(breaker.stats().opened_at, new Date(clock.nowMs).toISOString());
+  await assert.rejects(breaker.execute(succeed), OpenError);
+  assert.equal(breaker.stats().opens, 2);
+});
+
+test('CircuitBreaker with failureThreshold 0 never opens', async () => {
+  const { breaker } = newBreaker({ failureThreshold: 0 });
+  for (let i = 0; i < 10; i += 1) await assert.rejects(breaker.execute(fail), OutageError);
+  assert.equal(await breaker.execute(succeed), 'ok');
+  assert.equal(breaker.stats().state, 'closed');
+});
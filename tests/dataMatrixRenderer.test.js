@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderDataMatrixElement } = require('../src/renderers/dataMatrixRenderer');
+const { encodeDataMatrix } = require('../src/renderers/dataMatrixSymbology');
+const { createCanvas, getContext2d } = require('../src/renderers/canvasRuntime');
+
+const IDENTITY_SCALE = { scaleX: 1, scaleY: 1, uniformScale: 1 };
+
+test('renderDataMatrixElement draws whole-pixel modules centered in the box', () => {
+  const canvas = createCanvas(120, 100);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, 120, 100);
+
+  renderDataMatrixElement(ctx, { x: 0, y: 0, width: 120, height: 100, margin: 2 }, '123456', IDENTITY_SCALE);
+
+  // 10x10 + 2 módulos de margem de cada lado em 100px → módulo de 7px; símbolo de 70px.
+  const { modules } = encodeDataMatrix('123456');
+  const { data } = ctx.getImageData(0, 0, 120, 100);
+  const grayAt = (x, y) => data[(y * 120 + x) * 4];
+  const startX = 25;
+  const startY = 15;
+  for (let row = 0; row < 10; row += 1) {
+    for (let col = 0; col < 10; col += 1) {
+      const expected = modules[row][col] ? 0 : 255;
+      assert.equal(grayAt(startX + col * 7, startY + row * 7), expected, `module ${row},${col} top-left`);
+      assert.equal(grayAt(startX + col * 7 + 6, startY + row * 7 + 6), expected, `module ${row},${col} bottom-right`);
+    }
+  }
+  assert.equal(grayAt(startX - 14, startY - 14), 255, 'quiet zone is white');
+  assert.equal(grayAt(startX - 15, 50), 128, 'outside the quiet zone stays untouched');
+});
+
+test('renderDataMatrixElement throws BARCODE_DOES_NOT_FIT when a module would be under one pixel', () => {
+  const ctx = getContext2d(createCanvas(40, 40));
+  const element = { x: 0, y: 0, width: 40, height: 40, symbolSize: 104 };
+  assert.throws(
+    () => renderDataMatrixElement(ctx, element, '123456', IDENTITY_SCALE),
+    (e) => e.code === 'BARCODE_DOES_NOT_FIT'
+  );
+});
+
+test('renderDataMatrixElement fits a rectangular symbol to a wide, short box', () => {
+  const canvas = createCanvas(200, 60);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, 200, 60);
+
+  renderDataMatrixElement(ctx, { x: 0, y: 0, width: 200, height: 60, shape: 'rectangle' }, '123456', IDENTITY_SCALE);
+
+  // 8x18 + 2 módulos de margem: a altura (60 / 12) limita o módulo a 5px; símbolo de 90x40.
+  const { rows, cols, modules } = encodeDataMatrix('123456', { shape: 'rectangle' });
+  assert.deepEqual([rows, cols], [8, 18]);
+  const { data } = ctx.getImageData(0, 0, 200, 60);
+  const grayAt = (x, y) => data[(y * 200 + x) * 4];
+  const startX = 55;
+  const startY = 10;
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const expected = modules[row][col] ? 0 : 255;
+      assert.equal(grayAt(startX + col * 5 + 2, startY + row * 5 + 2), expected, `module ${row},${col}`);
+    }
+  }
+  assert.equal(grayAt(startX - 10, startY - 10), 255, 'quiet zone is white');
+  assert.equal(grayAt(startX - 11, 30), 128, 'outside the quiet zone stays untouched');
+});
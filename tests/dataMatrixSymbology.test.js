@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeDataMatrix } = require('../src/renderers/dataMatrixSymbology');
+const { BarcodeEncodeError } = require('../src/utils/errors');
+
+const PARTICIPANT_ID = 'aaaaaaaa-0000-0000-0000-000000000001';
+
+function assertFinderPattern(modules) {
+  const rows = modules.length;
+  const cols = modules[0].length;
+  for (let i = 0; i < rows; i += 1) {
+    assert.equal(modules[i][0], true, `left edge row ${i}`);
+    assert.equal(modules[i][cols - 1], i % 2 === 1, `right clock row ${i}`);
+  }
+  for (let i = 0; i < cols; i += 1) {
+    assert.equal(modules[rows - 1][i], true, `bottom edge col ${i}`);
+    assert.equal(modules[0][i], i % 2 === 0, `top clock col ${i}`);
+  }
+}
+
+test('encodeDataMatrix picks the smallest square symbol, or at least symbolSize', () => {
+  const smallest = encodeDataMatrix(PARTICIPANT_ID);
+  assert.deepEqual([smallest.rows, smallest.cols], [22, 22]);
+  assert.equal(smallest.modules.length, 22);
+  assertFinderPattern(smallest.modules);
+
+  // C40/Text compactam minúsculas repetidas: cabe no 22x22, não no 26x26 do ASCII puro.
+  const lowercase = encodeDataMatrix('a'.repeat(40));
+  assert.deepEqual([lowercase.rows, lowercase.cols], [22, 22]);
+
+  const forced = encodeDataMatrix(PARTICIPANT_ID, { symbolSize: 26 });
+  assert.deepEqual([forced.rows, forced.cols], [26, 26]);
+  assertFinderPattern(forced.modules);
+  assert.equal(encodeDataMatrix(PARTICIPANT_ID, { symbolSize: 10 }).rows, 22, 'symbolSize is only a minimum');
+});
+
+test('encodeDataMatrix builds rectangular symbols for wide, short boxes', () => {
+  const rectangle = encodeDataMatrix(PARTICIPANT_ID, { shape: 'rectangle' });
+  assert.deepEqual([rectangle.rows, rectangle.cols], [16, 36]);
+  assertFinderPattern(rectangle.modules);
+  const digits = encodeDataMatrix('123456', { shape: 'rectangle' });
+  assert.deepEqual([digits.rows, digits.cols], [8, 18]);
+});
+
+test('encodeDataMatrix encodes non-ASCII values as UTF-8 bytes', () => {
+  const accented = encodeDataMatrix('Conceição');
+  assert.notDeepEqual(accented.modules, encodeDataMatrix('Conceicao').modules);
+  assertFinderPattern(accented.modules);
+});
+
+test('encodeDataMatrix rejects content above the largest symbol without echoing it', () => {
+  for (const [value, options] of [
+    ['Fulano'.repeat(400), {}],
+    ['9'.repeat(200), { shape: 'rectangle' }],
+  ]) {
+    assert.throws(
+      () => encodeDataMatrix(value, options),
+      (e) =>
+        e instanceof BarcodeEncodeError && e.code === 'BARCODE_UNSUPPORTED_CONTENT' && !e.message.includes('Fulano')
+    );
+  }
+});
@@ -2,7 +2,13 @@
 
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { resolveDataSource, resolveTextValue, resolveQrValue, resolveImageUrl } = require('../src/services/dataResolver');
+const {
+  resolveDataSource,
+  resolveTextValue,
+  resolveQrValue,
+  resolveBarcodeValue,
+  resolveImageUrl,
+} = require('../src/services/dataResolver');
 const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
 
 const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000001'];
@@ -46,6 +52,14 @@ test('resolveQrValue always returns participant.id, ignoring the element dataSou
   assert.equal(resolveQrValue(element, null), '');
 });
 
+test('resolveBarcodeValue only reads participant.id or a custom field, never free text', () => {
+  assert.equal(resolveBarcodeValue({ dataSource: 'participant.id' }, labelData), 'aaaaaaaa-0000-0000-0000-000000000001');
+  assert.equal(resolveBarcodeValue({ dataSource: 'custom_field.91' }, labelData), 'Unidade Teste');
+  assert.equal(resolveBarcodeValue({ dataSource: 'custom_field.404' }, labelData), '');
+  assert.equal(resolveBarcodeValue({ dataSource: 'participant.name' }, labelData), '');
+  assert.equal(resolveBarcodeValue({ dataSource: 'static_text', staticValue: 'https://x' }, labelData), '');
+});
+
 test('resolveImageUrl returns null when the logo field is empty', () => {
   const element = { dataSource: 'event.label_logo' };
   assert.equal(resolveImageUrl(element, labelData), labelData.event.label_logo);
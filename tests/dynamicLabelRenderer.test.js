@@ -9,7 +9,12 @@ const assert = require('node:assert/strict');
 process.env.LABEL_LOGO_ALLOWED_HOSTS = '';
 process.env.SUPABASE_URL = '';
 
-const { renderDynamicLabelPng, computeScale } = require('../src/renderers/dynamicLabelRenderer');
+const {
+  renderDynamicLabelPng,
+  renderDynamicLabelCanvas,
+  computeScale,
+} = require('../src/renderers/dynamicLabelRenderer');
+const { getContext2d } = require('../src/renderers/canvasRuntime');
 const { validateLayoutResponse } = require('../src/validators/layoutContractValidator');
 const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
 const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
@@ -77,3 +82,167 @@ test('renderDynamicLabelPng skips isVisible:false elements without failing', asy
   assert.equal(dims.width, 945);
   assert.equal(dims.height, 591);
 });
+
+test('renderDynamicLabelCanvas overlays the preview watermark only when asked', async () => {
+  const base = validateLayoutResponse(layoutsByEventId['33']);
+  const blank = { ...base, layout_config: { ...base.layout_config, elements: [] } };
+  const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000002'];
+  const countReddishPixels = (canvas) => {
+    const { data } = getContext2d(canvas).getImageData(0, 0, canvas.width, canvas.height);
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i] - data[i + 1] > 40) count += 1;
+    }
+    return count;
+  };
+
+  const plain = await renderDynamicLabelCanvas(blank, labelData);
+  const marked = await renderDynamicLabelCanvas(blank, labelData, { watermark: 'PREVIEW' });
+
+  assert.deepEqual([marked.width, marked.height], [plain.width, plain.height]);
+  assert.equal(countReddishPixels(plain), 0);
+  assert.ok(countReddishPixels(marked) > plain.width * plain.height * 0.05, 'watermark covers a visible area');
+});
+
+test('renderDynamicLabelCanvas draws shape elements in array order with the other elements', async () => {
+  const base = validateLayoutResponse(layoutsByEventId['6']);
+  const shape = { type: 'shape', shape: 'rect', y: 440, height: 60 };
+  const layoutResponse = validateLayoutResponse({
+    ...base,
+    layout_config: {
+      ...base.layout_config,
+      elements: [
+        ...base.layout_config.elements,
+        { ...shape, id: 'footer-band', x: 300, width: 500, fillColor: '#0000FF' },
+        { ...shape, id: 'footer-corner', x: 700, width: 100, fillColor: '#FF0000' },
+      ],
+    },
+  });
+  const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000001'];
+
+  const canvas = await renderDynamicLabelCanvas(layoutResponse, labelData);
+  const { scaleX, scaleY } = computeScale(layoutResponse.print_profile);
+  const ctx = getContext2d(canvas);
+  const colorAt = (x, y) => Array.from(ctx.getImageData(Math.round(x * scaleX), Math.round(y * scaleY), 1, 1).data);
+
+  assert.deepEqual(colorAt(500, 470), [0, 0, 255, 255]);
+  assert.deepEqual(colorAt(750, 470), [255, 0, 0, 255], 'later elements paint over earlier ones');
+  assert.deepEqual(colorAt(500, 420), [255, 255, 255, 255]);
+});
+
+test('renderDynamicLabelCanvas draws barcodes and 2D codes, skipping only what cannot be encoded', async (t) => {
+  const base = validateLayoutResponse(layoutsByEventId['6']);
+  const barcode = { type: 'barcode', x: 200, width: 560, height: 60, showText: false };
+  const pdf417 = { type: 'pdf417', dataSource: 'participant.id' };
+  const layoutResponse = validateLayoutResponse({
+    ...base,
+    layout_config: {
+      ...base.layout_config,
+      elements: [
+        ...base.layout_config.elements,
+        { ...barcode, id: 'bc-id', y: 300, symbology: 'code128', dataSource: 'participant.id' },
+        // customFields["91"] é "Unidade Teste": não cabe numa EAN-13.
+        { ...barcode, id: 'bc-ean', y: 200, symbology: 'ean13', dataSource: 'custom_field.91' },
+        { id: 'dm', type: 'datamatrix', dataSource: 'participant.id', x: 20, y: 180, width: 120, height: 120 },
+        { ...pdf417, id: 'pdf', x: 200, y: 390, width: 560, height: 90, columns: 4 },
+        // Uma coluna com correção 8 passa de 90 linhas: o encoder recusa.
+        { ...pdf417, id: 'pdf-tight', x: 0, y: 0, width: 200, height: 60, columns: 1, errorCorrectionLevel: 8 },
+      ],
+    },
+  });
+  const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000001'];
+  const warnings = [];
+  t.mock.method(console, 'warn', (line) => warnings.push(JSON.parse(line)));
+
+  const canvas = await renderDynamicLabelCanvas(layoutResponse, labelData);
+  const { scaleX, scaleY } = computeScale(layoutResponse.print_profile);
+  const ctx = getContext2d(canvas);
+  // Pixels escuros num retângulo em unidades virtuais.
+  const darkPixelsIn = (x, y, width, height) => {
+    const { data } = ctx.getImageData(
+      Math.round(x * scaleX),
+      Math.round(y * scaleY),
+      Math.round(width * scaleX),
+      Math.round(height * scaleY)
+    );
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) if (data[i] < 128) count += 1;
+    return count;
+  };
+
+  assert.ok(darkPixelsIn(200, 300, 560, 60) > 0, 'code128 bars are drawn');
+  assert.ok(darkPixelsIn(20, 180, 120, 120) > 0, 'the Data Matrix is drawn');
+  assert.ok(darkPixelsIn(200, 390, 560, 90) > 0, 'the PDF417 is drawn');
+  assert.equal(darkPixelsIn(200, 200, 560, 60), 0, 'the ean13 element is left blank');
+  const skipped = warnings.filter((w) => w.event === 'dynamic-label:barcode-element-skipped');
+  assert.deepEqual(skipped.map((w) => w.elementId).sort(), ['bc-ean', 'pdf-tight']);
+  assert.ok(!JSON.stringify(skipped).includes('Unidade Teste'), 'the value is never logged');
+});
+
+test('renderDynamicLabelCanvas with print_profile.thermal_safe prints layout colors as pure black/white', async () => {
+  const base = validateLayoutResponse(layoutsByEventId['6']);
+  const layoutResponse = validateLayoutResponse({
+    ...base,
+    layout_config: {
+      ...base.layout_config,
+      elements: [
+        ...base.layout_config.elements,
+        { id: 'vip-band', type: 'shape', shape: 'rect', x: 0, y: 440, width: 400, height: 60, fillColor: '#1A237E' },
+        { id: 'faint', type: 'shape', shape: 'rect', x: 400, y: 440, width: 400, height: 60, fillColor: '#D0D0D0' },
+      ],
+    },
+  });
+  const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000001'];
+  const { scaleX, scaleY } = computeScale(layoutResponse.print_profile);
+  const colorsAt = async (response) => {
+    const ctx = getContext2d(await renderDynamicLabelCanvas(response, labelData));
+    const colorAt = (x, y) => Array.from(ctx.getImageData(Math.round(x * scaleX), Math.round(y * scaleY), 1, 1).data);
+    return [colorAt(200, 470), colorAt(600, 470)];
+  };
+
+  assert.deepEqual(await colorsAt(layoutResponse), [
+    [26, 35, 126, 255],
+    [208, 208, 208, 255],
+  ]);
+  const thermalSafe = { ...layoutResponse, print_profile: { ...layoutResponse.print_profile, thermal_safe: true } };
+  assert.deepEqual(await colorsAt(thermalSafe), [
+    [0, 0, 0, 255],
+    [255, 255, 255, 255],
+  ]);
+  assert.equal(layoutResponse.layout_config.elements.at(-2).fillColor, '#1A237E', 'the cached layout is not mutated');
+});
+
+test('a grey QR accepted by the validator still prints dark modules in thermal_safe mode', async () => {
+  const labelData = labelDataByParticipantId['aaaaaaaa-0000-0000-0000-000000000001'];
+  const withQrColor = (color, printProfile) => {
+    const layout = JSON.parse(JSON.stringify(layoutsByEventId['6']));
+    layout.layout_config.elements.find((e) => e.type === 'qr_code').color = color;
+    Object.assign(layout.print_profile, printProfile);
+    return layout;
+  };
+
+  // '#999999' (luminância 153) é mais escuro que o fundo branco, mas os dois viram branco no limiar 128.
+  assert.throws(
+    () => validateLayoutResponse(withQrColor('#999999', { thermal_safe: true })),
+    /QR color must be darker than backgroundColor and on the opposite side of the print threshold \(128\)/
+  );
+
+  for (const [color, printProfile] of [
+    ['#707070', { thermal_safe: true }],
+    ['#999999', { thermal_safe: true, dither_threshold: 160 }],
+  ]) {
+    const layoutResponse = validateLayoutResponse(withQrColor(color, printProfile));
+    const { scaleX, scaleY } = computeScale(layoutResponse.print_profile);
+    const ctx = getContext2d(await renderDynamicLabelCanvas(layoutResponse, labelData));
+    const qr = layoutResponse.layout_config.elements.find((e) => e.type === 'qr_code');
+    const { data } = ctx.getImageData(
+      Math.round(qr.x * scaleX),
+      Math.round(qr.y * scaleY),
+      Math.round(qr.width * scaleX),
+      Math.round(qr.height * scaleY)
+    );
+    let dark = 0;
+    for (let i = 0; i < data.length; i += 4) if (data[i] === 0) dark += 1;
+    assert.ok(dark > 0, `${color} QR modules print black`);
+  }
+});
@@ -65,14 +65,30 @@ function requestJson(options, body) {
 async function startDynamicEnabledServer({
   participants = [],
   layoutsByEventId = {},
+  layoutVersionsByEventId = {},
   labelDataByParticipantId = {},
   eventIdAllowlist = '',
   apiKey = '',
+  webhookSecret = '',
+  metricsToken = '',
   dynamicEnabled = true,
   badgeOutputRotation,
   badgePrinterDpi,
+  layoutCacheTtlSeconds,
+  breakerFailureThreshold,
+  breakerOpenSeconds,
+  otlpEndpoint = '',
+  fallbackAlert,
+  cachePeers,
+  readinessCacheSeconds,
+  renderCacheEnabled = false,
 } = {}) {
-  const fakeDb = await createFakeDynamicSupabaseServer({ participants, layoutsByEventId, labelDataByParticipantId });
+  const fakeDb = await createFakeDynamicSupabaseServer({
+    participants,
+    layoutsByEventId,
+    layoutVersionsByEventId,
+    labelDataByParticipantId,
+  });
   const port = await getFreePort();
 
   const childEnv = {
@@ -87,6 +103,13 @@ async function startDynamicEnabledServer({
     LABEL_DYNAMIC_EVENT_IDS: eventIdAllowlist,
     LABEL_LOGO_ALLOWED_HOSTS: '',
     LABEL_API_KEY: apiKey,
+    LABEL_WEBHOOK_SECRET: webhookSecret,
+    LABEL_METRICS_TOKEN: metricsToken,
+    LABEL_RENDER_CACHE_ENABLED: renderCacheEnabled ? 'true' : 'false',
+    // Tracing só com collector local (ver fakeOtlpCollector), exportando rápido.
+    OTEL_EXPORTER_OTLP_ENDPOINT: otlpEndpoint,
+    OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: '',
+    OTEL_BSP_SCHEDULE_DELAY: '100',
   };
   // Rotação de saída do /badge dinâmico (TSPL 50x80). Omitir = default do serviço.
   if (badgeOutputRotation !== undefined && badgeOutputRotation !== null) {
@@ -95,6 +118,28 @@ async function startDynamicEnabledServer({
   if (badgePrinterDpi !== undefined && badgePrinterDpi !== null) {
     childEnv.LABEL_BADGE_PRINTER_DPI = String(badgePrinterDpi);
   }
+  if (layoutCacheTtlSeconds !== undefined && layoutCacheTtlSeconds !== null) {
+    childEnv.LABEL_LAYOUT_CACHE_TTL_SECONDS = String(layoutCacheTtlSeconds);
+  }
+  if (breakerFailureThreshold !== undefined && breakerFailureThreshold !== null) {
+    childEnv.LABEL_SUPABASE_BREAKER_FAILURE_THRESHOLD = String(breakerFailureThreshold);
+  }
+  if (breakerOpenSeconds !== undefined && breakerOpenSeconds !== null) {
+    childEnv.LABEL_SUPABASE_BREAKER_OPEN_SECONDS = String(breakerOpenSeconds);
+  }
+  // `{ webhookUrl, thresholdPercent, minRenders }` do alerta de taxa de fallback.
+  if (fallbackAlert) {
+    childEnv.LABEL_FALLBACK_ALERT_WEBHOOK_URL = fallbackAlert.webhookUrl || '';
+    childEnv.LABEL_FALLBACK_ALERT_THRESHOLD_PERCENT = String(fallbackAlert.thresholdPercent);
+    childEnv.LABEL_FALLBACK_ALERT_MIN_RENDERS = String(fallbackAlert.minRenders);
+  }
+
+  if (readinessCacheSeconds !== undefined && readinessCacheSeconds !== null) {
+    childEnv.LABEL_READINESS_CACHE_SECONDS = String(readinessCacheSeconds);
+  }
+  // `{ host, port }` das demais instâncias para o repasse da invalidação.
+  childEnv.LABEL_CACHE_PEERS_HOST = cachePeers ? cachePeers.host : '';
+  if (cachePeers) childEnv.LABEL_CACHE_PEERS_PORT = String(cachePeers.port);
 
   const child = spawn(process.execPath, ['index.js'], {
     cwd: REPO_ROOT,
@@ -117,6 +162,9 @@ async function startDynamicEnabledServer({
       ).toString();
       return requestJson({ host: '127.0.0.1', port, path: `/badge?${qs}`, method: 'GET' });
     },
+    async requestGetPath(urlPath, headers = {}) {
+      return requestJson({ host: '127.0.0.1', port, path: urlPath, method: 'GET', headers });
+    },
     async requestPostPath(urlPath, payload, headers = {}) {
       const body = Buffer.from(JSON.stringify(payload));
       return requestJson(
@@ -130,6 +178,15 @@ async function startDynamicEnabledServer({
         body
       );
     },
+    getRpcCallCount(fnName) {
+      return fakeDb.getRpcCallCount(fnName);
+    },
+    setRpcFailure(fnName, mode) {
+      fakeDb.setRpcFailure(fnName, mode);
+    },
+    setTableFailure(mode) {
+      fakeDb.setTableFailure(mode);
+    },
     async close() {
       child.kill();
       await fakeDb.close();
@@ -18,13 +18,71 @@ function readBody(req) {
   });
 }
 
-function createFakeDynamicSupabaseServer({ participants = [], layoutsByEventId = {}, labelDataByParticipantId = {} }) {
+/**
+ * `layoutVersionsByEventId` = `{ [eventId]: { [versionId]: layout } }`
+ * (versões arquivadas); a versão publicada de `layoutsByEventId` também é
+ * encontrada pelo próprio `version_id`. `maxRows` imita o max-rows do
+ * PostgREST: a listagem nunca devolve mais linhas que isso.
+ */
+function createFakeDynamicSupabaseServer({
+  participants = [],
+  layoutsByEventId = {},
+  layoutVersionsByEventId = {},
+  labelDataByParticipantId = {},
+  maxRows = Infinity,
+}) {
   const participantsById = new Map(participants.map((p) => [p.id, p]));
+  const rpcCallCounts = {};
+  // fnName → 'error' (500 genérico) ou 'hang' (nunca responde) enquanto a
+  // queda simulada durar.
+  const rpcFailures = {};
+  // Mesmos modos (e 'unauthorized', chave recusada) para as consultas à
+  // tabela `participants`.
+  let tableFailure = null;
 
   const server = http.createServer(async (req, res) => {
     const url = new URL(req.url, 'http://localhost');
     res.setHeader('Content-Type', 'application/json');
 
+    if (req.method === 'POST' && url.pathname.startsWith('/rest/v1/rpc/')) {
+      const fnName = url.pathname.slice('/rest/v1/rpc/'.length);
+      rpcCallCounts[fnName] = (rpcCallCounts[fnName] || 0) + 1;
+      if (rpcFailures[fnName] === 'hang') return;
+      if (rpcFailures[fnName] === 'error') {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ message: 'internal error', code: 'XX000' }));
+        return;
+      }
+    }
+
+    if (req.method === 'GET' && url.pathname === '/rest/v1/participants' && tableFailure) {
+      if (tableFailure === 'hang') return;
+      if (tableFailure === 'unauthorized') {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ message: 'Invalid API key' }));
+        return;
+      }
+      res.statusCode = 500;
+      res.end(JSON.stringify({ message: 'internal error', code: 'XX000' }));
+      return;
+    }
+
+    const eventIdParam = url.searchParams.get('event_id') || '';
+    if (req.method === 'GET' && url.pathname === '/rest/v1/participants' && eventIdParam.startsWith('eq.')) {
+      // Listagem paginada por evento (select=id, order=id, offset/limit).
+      const eventId = eventIdParam.slice(3);
+      const offset = Number(url.searchParams.get('offset') || 0);
+      const limit = Number(url.searchParams.get('limit') || participants.length);
+      const rows = participants
+        .filter((p) => String(p.event_id) === eventId)
+        .map((p) => ({ id: p.id }))
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .slice(offset, offset + Math.min(limit, maxRows));
+      res.statusCode = 200;
+      res.end(JSON.stringify(rows));
+      return;
+    }
+
     if (req.method === 'GET' && url.pathname === '/rest/v1/participants') {
       const idParam = url.searchParams.get('id') || '';
       const id = idParam.startsWith('eq.') ? idParam.slice(3) : undefined;
@@ -75,6 +133,18 @@ function createFakeDynamicSupabaseServer({ participants = [], layoutsByEventId =
       return;
     }
 
+    if (req.method === 'POST' && url.pathname === '/rest/v1/rpc/get_event_label_layout_version') {
+      const args = JSON.parse((await readBody(req)) || '{}');
+      const published = layoutsByEventId[String(args.p_event_id)];
+      const versions = layoutVersionsByEventId[String(args.p_event_id)] || {};
+      const layout =
+        versions[String(args.p_version_id)] ||
+        (published && published.version_id === Number(args.p_version_id) ? published : null);
+      res.statusCode = 200;
+      res.end(JSON.stringify(layout));
+      return;
+    }
+
     if (req.method === 'POST' && url.pathname === '/rest/v1/rpc/resolve_participant_label_data') {
       const args = JSON.parse((await readBody(req)) || '{}');
       const data = labelDataByParticipantId[String(args.p_participant_id)];
@@ -93,6 +163,13 @@ function createFakeDynamicSupabaseServer({ participants = [], layoutsByEventId =
       resolve({
         server,
         url: `http://127.0.0.1:${port}`,
+        getRpcCallCount: (fnName) => rpcCallCounts[fnName] || 0,
+        setRpcFailure: (fnName, mode) => {
+          rpcFailures[fnName] = mode;
+        },
+        setTableFailure: (mode) => {
+          tableFailure = mode;
+        },
         close: () => new Promise((res2) => server.close(() => res2())),
       });
     });
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Collector OTLP/HTTP local: aceita `POST /v1/traces` em JSON e guarda cada
+ * `ExportTraceServiceRequest` recebido, para os testes inspecionarem os
+ * spans exportados sem um collector de verdade.
+ */
+
+const http = require('node:http');
+
+async function createFakeOtlpCollector() {
+  const requests = [];
+  let failWithStatus = null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/v1/traces') {
+        res.statusCode = 404;
+        return res.end();
+      }
+      if (failWithStatus) {
+        res.statusCode = failWithStatus;
+        return res.end();
+      }
+      requests.push({ headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  /** Spans de todos os exports, já achatados. */
+  function getSpans() {
+    return requests.flatMap(({ body }) =>
+      body.resourceSpans.flatMap((resourceSpan) => resourceSpan.scopeSpans.flatMap((scope) => scope.spans))
+    );
+  }
+
+  /** Espera até `predicate(spans)` ficar verdadeiro (exports são em lote). */
+  async function waitForSpans(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate(getSpans())) {
+      if (Date.now() > deadline) throw new Error('timed out waiting for exported spans');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    return getSpans();
+  }
+
+  return {
+    url,
+    requests,
+    getSpans,
+    waitForSpans,
+    setFailure(status) {
+      failWithStatus = status;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { createFakeOtlpCollector };
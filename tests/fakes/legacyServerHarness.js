@@ -94,8 +94,8 @@ async function startLegacyServer(extraEnv = {}) {
       ).toString();
       return requestJson({ host: '127.0.0.1', port, path: `/badge?${qs}`, method: 'GET' });
     },
-    async requestGetPath(urlPath) {
-      return requestJson({ host: '127.0.0.1', port, path: urlPath, method: 'GET' });
+    async requestGetPath(urlPath, headers = {}) {
+      return requestJson({ host: '127.0.0.1', port, path: urlPath, method: 'GET', headers });
     },
     async requestPost(params) {
       const payload = Buffer.from(JSON.stringify(params));
@@ -0,0 +1,18 @@
+'use strict';
+
+/** Lê um ZIP STORE (como o gerado por zipWriter) em { nome: Buffer }. */
+function readZipEntries(zip) {
+  const entries = {};
+  let offset = 0;
+  while (zip.readUInt32LE(offset) === 0x04034b50) {
+    const size = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    const name = zip.toString('ascii', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+    entries[name] = zip.subarray(dataStart, dataStart + size);
+    offset = dataStart + size;
+  }
+  return entries;
+}
+
+module.exports = { readZipEntries };
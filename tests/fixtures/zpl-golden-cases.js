@@ -0,0 +1,62 @@
+'use strict';
+
+const { createCanvas, getContext2d } = require('../../src/renderers/canvasRuntime');
+const { canvasToMonochromeBitmap } = require('../../src/renderers/monochromeBitmap');
+const { encodeZpl } = require('../../src/renderers/zplEncoder');
+
+/**
+ * Matriz golden do encoder ZPL (`^GFA` comprimido). Cada caso desenha só
+ * retângulos pretos em coordenadas inteiras, sem texto nem anti-alias,
+ * para que o bitmap — e portanto o ZPL — seja idêntico em qualquer
+ * plataforma/versão do canvas. O render completo de etiqueta não entra
+ * aqui: depende da rasterização de fonte, que já é coberta pelo golden PNG.
+ */
+const CASES = [
+  {
+    name: 'branco-total',
+    width: 64,
+    height: 8,
+    rects: [],
+  },
+  {
+    name: 'preto-total',
+    width: 64,
+    height: 8,
+    rects: [[0, 0, 64, 8]],
+  },
+  {
+    name: 'moldura',
+    width: 96,
+    height: 40,
+    rects: [
+      [0, 0, 96, 3],
+      [0, 37, 96, 3],
+      [0, 0, 3, 40],
+      [93, 0, 3, 40],
+    ],
+  },
+  {
+    name: 'faixa-e-barras',
+    width: 203,
+    height: 30,
+    rects: [
+      [0, 0, 203, 10],
+      [10, 14, 5, 16],
+      [40, 14, 1, 16],
+      [120, 14, 60, 16],
+    ],
+  },
+];
+
+/** Desenha o caso num canvas branco e devolve o ZPL final (Buffer ASCII). */
+function renderCaseToZpl(testCase) {
+  const canvas = createCanvas(testCase.width, testCase.height);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, testCase.width, testCase.height);
+  ctx.fillStyle = '#000000';
+  for (const [x, y, w, h] of testCase.rects) ctx.fillRect(x, y, w, h);
+  return encodeZpl(canvasToMonochromeBitmap(canvas));
+}
+
+module.exports = { CASES, renderCaseToZpl };
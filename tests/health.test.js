@@ -4,15 +4,50 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const { startLegacyServer } = require('./fakes/legacyServerHarness');
 
+const METRICS_TOKEN = 'test-health-metrics-token';
+
 test('GET /health reports service status and dynamic flag', async (t) => {
-  const server = await startLegacyServer();
+  const server = await startLegacyServer({ LABEL_METRICS_TOKEN: METRICS_TOKEN });
   t.after(() => server.close());
 
-  const res = await server.requestGetPath('/health');
+  const res = await server.requestGetPath('/health', { Authorization: `Bearer ${METRICS_TOKEN}` });
   assert.equal(res.status, 200);
   const json = JSON.parse(res.body.toString('utf8'));
   assert.equal(json.status, 'ok');
   assert.equal(json.service, 'creator-label');
   assert.equal(typeof json.version, 'string');
   assert.equal(json.dynamic_layout_enabled, false);
+  assert.deepEqual(Object.keys(json.caches).sort(), [
+    'layout_version',
+    'participant_context',
+    'published_layout',
+    'published_layout_last_good',
+  ]);
+  assert.deepEqual(json.caches.participant_context, {
+    size: 0,
+    max_entries: 50000,
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    expirations: 0,
+  });
+  assert.equal(json.supabase_circuit.state, 'closed');
+  assert.equal(json.supabase_circuit.opens, 0);
+  assert.deepEqual(json.layout_warmup, { enabled: false, interval_seconds: 48, last_run_at: null, events: {} });
+});
+
+test('GET /health keeps caches, circuit state and layout warmup behind the metrics token', async (t) => {
+  const server = await startLegacyServer({ LABEL_METRICS_TOKEN: METRICS_TOKEN });
+  t.after(() => server.close());
+
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }]) {
+    const res = await server.requestGetPath('/health', headers);
+    assert.equal(res.status, 200);
+    const json = JSON.parse(res.body.toString('utf8'));
+    assert.equal(json.status, 'ok');
+    assert.equal(json.caches, undefined, JSON.stringify(headers));
+    assert.equal(json.supabase_circuit, undefined, JSON.stringify(headers));
+    assert.equal(json.layout_warmup, undefined, JSON.stringify(headers));
+    assert.deepEqual(Object.keys(json).sort(), ['dynamic_layout_enabled', 'service', 'status', 'version']);
+  }
 });
@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startLegacyServer } = require('./fakes/legacyServerHarness');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+
+const CHECK_NAMES = ['canvas', 'dynamic_config', 'fonts', 'qr', 'supabase_dynamic', 'supabase_legacy'];
+const METRICS_TOKEN = 'test-readiness-metrics-token';
+const DETAILS = { Authorization: `Bearer ${METRICS_TOKEN}` };
+
+function parse(res) {
+  return JSON.parse(res.body.toString('utf8'));
+}
+
+test('GET /health/ready publicly shows only ok/fail per check, without config or error details', async (t) => {
+  const server = await startLegacyServer({
+    LABEL_METRICS_TOKEN: METRICS_TOKEN,
+    LABEL_DYNAMIC_LAYOUT_ENABLED: 'true',
+    LABEL_DYNAMIC_EVENT_IDS: '6,33',
+    SUPABASE_SERVICE_ROLE_KEY: '',
+  });
+  t.after(() => server.close());
+
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }]) {
+    const res = await server.requestGetPath('/health/ready', headers);
+    assert.equal(res.status, 503);
+    assert.deepEqual(parse(res), {
+      status: 'not_ready',
+      checks: { fonts: 'ok', canvas: 'ok', qr: 'ok', dynamic_config: 'fail', supabase_legacy: 'ok', supabase_dynamic: 'ok' },
+    });
+  }
+  assert.match(server.getStderr(), /"event":"health:not-ready".*SUPABASE_SERVICE_ROLE_KEY/, 'the details go to the log');
+
+  const detailed = parse(await server.requestGetPath('/health/ready', DETAILS));
+  assert.match(detailed.checks.dynamic_config.error, /SUPABASE_SERVICE_ROLE_KEY/, 'the metrics token sees the report');
+});
+
+test('GET /health/ready reports every check and is ready on the legacy-only setup', async (t) => {
+  const server = await startLegacyServer({ LABEL_METRICS_TOKEN: METRICS_TOKEN });
+  t.after(() => server.close());
+
+  const res = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(res.status, 200);
+  const json = parse(res);
+  assert.equal(json.status, 'ready');
+  assert.deepEqual(Object.keys(json.checks).sort(), CHECK_NAMES);
+  for (const name of ['fonts', 'canvas', 'qr', 'supabase_legacy']) {
+    assert.equal(json.checks[name].status, 'ok', name);
+    assert.equal(json.checks[name].critical, true, name);
+    assert.equal(typeof json.checks[name].duration_ms, 'number');
+  }
+  assert.equal(typeof json.checks.fonts.detail.family, 'string');
+  assert.deepEqual(json.checks.supabase_dynamic, { status: 'skipped', critical: false, duration_ms: json.checks.supabase_dynamic.duration_ms });
+  assert.deepEqual(json.checks.dynamic_config.detail, { dynamic_enabled: false, event_ids: [] });
+});
+
+test('GET /health/ready is 503 when the dynamic engine is enabled without a service role key', async (t) => {
+  const server = await startLegacyServer({
+    LABEL_METRICS_TOKEN: METRICS_TOKEN,
+    LABEL_DYNAMIC_LAYOUT_ENABLED: 'true',
+    SUPABASE_SERVICE_ROLE_KEY: '',
+  });
+  t.after(() => server.close());
+
+  const res = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(res.status, 503);
+  const json = parse(res);
+  assert.equal(json.status, 'not_ready');
+  assert.equal(json.checks.dynamic_config.status, 'fail');
+  assert.match(json.checks.dynamic_config.error, /SUPABASE_SERVICE_ROLE_KEY/);
+  assert.equal(json.checks.fonts.status, 'ok');
+
+  const health = await server.requestGetPath('/health');
+  assert.equal(health.status, 200, '/health stays a liveness probe');
+});
+
+test('GET /health/ready fails on a rejected service role key and only warns while Supabase is down', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    eventIdAllowlist: '6',
+    metricsToken: METRICS_TOKEN,
+    readinessCacheSeconds: 0,
+  });
+  t.after(() => server.close());
+
+  const ready = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(ready.status, 200);
+  const json = parse(ready);
+  assert.equal(json.checks.supabase_dynamic.status, 'ok');
+  assert.equal(json.checks.supabase_dynamic.critical, true);
+  assert.equal(json.checks.supabase_legacy.status, 'skipped');
+  assert.deepEqual(json.checks.dynamic_config.detail, { dynamic_enabled: true, event_ids: [6] });
+
+  server.setTableFailure('unauthorized');
+  const rejected = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(rejected.status, 503);
+  assert.equal(parse(rejected).status, 'not_ready');
+  assert.equal(parse(rejected).checks.supabase_dynamic.status, 'fail');
+  assert.match(parse(rejected).checks.supabase_dynamic.error, /credentials rejected \(HTTP 401\)/);
+
+  // Queda do Supabase: o /badge segue pelo legado, então só alerta.
+  server.setTableFailure('error');
+  const down = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(down.status, 200);
+  assert.equal(parse(down).checks.supabase_dynamic.status, 'warn');
+
+  server.setTableFailure('hang');
+  const startedAt = Date.now();
+  const hanging = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(hanging.status, 200);
+  assert.ok(Date.now() - startedAt < 3000, 'the probe is bounded by the Supabase timeout');
+  assert.match(parse(hanging).checks.supabase_dynamic.error, /timed out/);
+
+  server.setTableFailure(null);
+  assert.equal((await server.requestGetPath('/health/ready')).status, 200);
+});
+
+test('GET /health/ready warns, without failing, when the dynamic allowlist is empty', async (t) => {
+  const server = await startDynamicEnabledServer({ participants: contextParticipants, metricsToken: METRICS_TOKEN });
+  t.after(() => server.close());
+
+  const res = await server.requestGetPath('/health/ready', DETAILS);
+  assert.equal(res.status, 200);
+  const { dynamic_config: config } = parse(res).checks;
+  assert.equal(config.status, 'warn');
+  assert.match(config.detail.warning, /LABEL_DYNAMIC_EVENT_IDS/);
+});
+
+test('GET /health/ready reuses its last result for LABEL_READINESS_CACHE_SECONDS instead of querying Supabase again', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    eventIdAllowlist: '6',
+    readinessCacheSeconds: 60,
+  });
+  t.after(() => server.close());
+
+  assert.equal((await server.requestGetPath('/health/ready')).status, 200);
+  server.setTableFailure('unauthorized');
+  const burst = await Promise.all(Array.from({ length: 5 }, () => server.requestGetPath('/health/ready')));
+  assert.deepEqual(
+    burst.map((res) => res.status),
+    [200, 200, 200, 200, 200],
+    'the rejected key is only seen on the next round'
+  );
+});
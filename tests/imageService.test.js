@@ -126,6 +126,11 @@ function makePrivateDnsLookup() {
   return async () => [{ address: '127.0.0.1', family: 4 }];
 }
 
+// Cada falha leva o código que vira `reason` em logo_fetch_failures_total.
+function rejectedWith(code) {
+  return (err) => err instanceof LogoFetchError && err.code === code;
+}
+
 test('imageService.fetchLogoImage', async (t) => {
   const origin = await startFakeOriginServer();
   t.after(() => origin.close());
@@ -152,36 +157,57 @@ test('imageService.fetchLogoImage', async (t) => {
   }
 
   await t.test('rejects http:// (non-https) URLs', async () => {
-    await assert.rejects(() => fetchLogoImage('http://cdn.example.com/good.png', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('http://cdn.example.com/good.png', deps),
+      rejectedWith('LOGO_INSECURE_URL')
+    );
   });
 
   await t.test('rejects hosts outside the allowlist', async () => {
-    await assert.rejects(() => fetchLogoImage('https://not-allowed.example.com/good.png', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://not-allowed.example.com/good.png', deps),
+      rejectedWith('LOGO_HOST_NOT_ALLOWED')
+    );
   });
 
   await t.test('rejects when DNS resolves to a private/reserved IP (SSRF)', async () => {
     const privateDeps = { fetch: makeRewritingFetch(origin.port), dnsLookup: makePrivateDnsLookup() };
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/good.png', privateDeps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/good.png', privateDeps),
+      rejectedWith('LOGO_PRIVATE_IP')
+    );
   });
 
   await t.test('rejects a declared Content-Type that does not match the real bytes', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/mime-mismatch.png', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/mime-mismatch.png', deps),
+      rejectedWith('LOGO_CONTENT_TYPE_MISMATCH')
+    );
   });
 
   await t.test('rejects a fake image (wrong magic bytes) regardless of declared MIME', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/fake-mime.png', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/fake-mime.png', deps),
+      rejectedWith('LOGO_UNSUPPORTED_TYPE')
+    );
   });
 
   await t.test('rejects bodies larger than the 2MB limit', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/too-large', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/too-large', deps),
+      rejectedWith('LOGO_TOO_LARGE')
+    );
   });
 
   await t.test('rejects images with excessive dimensions', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/too-big-dimensions', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/too-big-dimensions', deps),
+      rejectedWith('LOGO_DIMENSIONS_EXCEEDED')
+    );
   });
 
   await t.test('rejects an empty response body', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/empty', deps), LogoFetchError);
+    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/empty', deps), rejectedWith('LOGO_EMPTY_BODY'));
   });
 
   await t.test('follows a single same-host redirect', async () => {
@@ -190,16 +216,22 @@ test('imageService.fetchLogoImage', async (t) => {
   });
 
   await t.test('rejects more than one redirect hop', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/redirect-loop-1', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/redirect-loop-1', deps),
+      rejectedWith('LOGO_TOO_MANY_REDIRECTS')
+    );
   });
 
   await t.test('rejects a redirect to a host outside the allowlist', async () => {
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/redirect-to-disallowed', deps), LogoFetchError);
+    await assert.rejects(
+      () => fetchLogoImage('https://cdn.example.com/redirect-to-disallowed', deps),
+      rejectedWith('LOGO_HOST_NOT_ALLOWED')
+    );
   });
 
   await t.test('times out around LOGO_FETCH_TIMEOUT_MS when the origin never responds', async () => {
     const startedAt = Date.now();
-    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/hang', deps), LogoFetchError);
+    await assert.rejects(() => fetchLogoImage('https://cdn.example.com/hang', deps), rejectedWith('LOGO_TIMEOUT'));
     const elapsedMs = Date.now() - startedAt;
     assert.ok(elapsedMs < 2500, `expected timeout around 2000ms, took ${elapsedMs}ms`);
   });
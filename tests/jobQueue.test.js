@@ -0,0 +1,178 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+const { JobQueue } = require('../src/services/jobQueue');
+const { InMemoryJobStore } = require('../src/repositories/jobStore');
+const { ConcurrencyLimiter, mapInBackground } = require('../src/utils/concurrency');
+const { ConcurrencyLimitExceededError } = require('../src/utils/errors');
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function waitForStatus(queue, id, statuses) {
+  for (let i = 0; i < 200; i += 1) {
+    const job = await queue.get(id);
+    if (job && statuses.includes(job.status)) return job;
+    await wait(5);
+  }
+  throw new Error(`job ${id} never reached ${statuses.join('/')}`);
+}
+
+function newQueue(overrides = {}) {
+  return new JobQueue({ store: new InMemoryJobStore(), maxPending: 5, resultTtlSeconds: 60, ...overrides });
+}
+
+test('ConcurrencyLimiter.tryAcquire always keeps the reserved slots free', () => {
+  const limiter = new ConcurrencyLimiter(3);
+  assert.equal(limiter.tryAcquire(2), true);
+  assert.equal(limiter.tryAcquire(2), false, 'two of three slots stay reserved');
+  assert.equal(limiter.tryAcquire(), true);
+  assert.equal(limiter.tryAcquire(), true);
+  assert.equal(limiter.tryAcquire(), false);
+
+  const single = new ConcurrencyLimiter(1);
+  assert.equal(single.tryAcquire(5), false, 'a reserve as large as the limit never hands out the last slot');
+  assert.equal(single.tryAcquire(1), false);
+  assert.equal(single.tryAcquire(), true);
+});
+
+test('LABEL_JOB_RESERVED_SLOTS is capped at LABEL_CONCURRENCY_LIMIT - 1 so jobs can still run', () => {
+  // O env é lido no require: cada combinação roda num processo novo.
+  const reservedSlotsFor = (concurrencyLimit, reservedSlots) =>
+    Number(
+      execFileSync(
+        process.execPath,
+        ['-e', "process.stdout.write(String(require('./src/config/env').env.LABEL_JOB_RESERVED_SLOTS))"],
+        {
+          cwd: path.join(__dirname, '..'),
+          env: {
+            ...process.env,
+            DOTENV_CONFIG_QUIET: 'true',
+            LABEL_CONCURRENCY_LIMIT: concurrencyLimit,
+            LABEL_JOB_RESERVED_SLOTS: reservedSlots,
+          },
+        }
+      )
+    );
+  assert.equal(reservedSlotsFor('8', '2'), 2);
+  assert.equal(reservedSlotsFor('3', '5'), 2);
+  assert.equal(reservedSlotsFor('1', '2'), 0);
+});
+
+test('mapInBackground waits for free slots above the reserve and releases each one', async () => {
+  const limiter = new ConcurrencyLimiter(3);
+  limiter.tryAcquire(); // requisição interativa em andamento
+  let running = 0;
+  let peak = 0;
+
+  const pending = mapInBackground([1, 2, 3, 4], limiter, { maxWorkers: 4, reservedSlots: 1, pollMs: 2 }, async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await wait(5);
+    running -= 1;
+    return n * 10;
+  });
+
+  assert.deepEqual(await pending, [10, 20, 30, 40]);
+  assert.equal(peak, 1, 'only the one slot above the reserve and the interactive request is used');
+  assert.equal(limiter.active, 1, 'every background slot is released');
+});
+
+test('mapInBackground stalls while the limiter is saturated and resumes when a slot frees up', async () => {
+  const limiter = new ConcurrencyLimiter(2);
+  limiter.tryAcquire();
+  limiter.tryAcquire();
+  let started = false;
+
+  const pending = mapInBackground(['a'], limiter, { maxWorkers: 1, reservedSlots: 0, pollMs: 2 }, async (item) => {
+    started = true;
+    return item;
+  });
+  await wait(20);
+  assert.equal(started, false);
+
+  limiter.release();
+  assert.deepEqual(await pending, ['a']);
+  assert.equal(limiter.active, 1);
+});
+
+test('JobQueue runs jobs in order, records progress and keeps the result', async () => {
+  const queue = newQueue();
+  const order = [];
+  const first = await queue.enqueue('batch', async (reportProgress) => {
+    order.push('first');
+    reportProgress({ total: 2, done: 0, failed: 0 });
+    await wait(10);
+    reportProgress({ total: 2, done: 1, failed: 1 });
+    return { result: Buffer.from('zip-1') };
+  });
+  const second = await queue.enqueue('batch', async () => {
+    order.push('second');
+    return { result: Buffer.from('zip-2') };
+  });
+
+  assert.equal(first.status, 'queued');
+  assert.deepEqual(first.progress, { total: null, done: 0, failed: 0 });
+
+  const done = await waitForStatus(queue, first.id, ['completed', 'failed']);
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.progress, { total: 2, done: 1, failed: 1 });
+  assert.equal(done.failure, null);
+  assert.ok(done.startedAt >= done.createdAt);
+  assert.equal(done.expiresAt, done.finishedAt + 60000);
+  assert.equal((await queue.getResult(first.id)).toString(), 'zip-1');
+
+  await waitForStatus(queue, second.id, ['completed']);
+  assert.deepEqual(order, ['first', 'second']);
+});
+
+test('JobQueue marks a job failed with the reported failure or a generic 500', async () => {
+  const queue = newQueue();
+  const reported = await queue.enqueue('batch', async () => ({
+    failure: { http_status: 404, error: 'nope', code: 'EventNotAllowlistedError' },
+  }));
+  const thrown = await queue.enqueue('batch', async () => {
+    throw new Error('boom');
+  });
+
+  const a = await waitForStatus(queue, reported.id, ['completed', 'failed']);
+  assert.equal(a.status, 'failed');
+  assert.deepEqual(a.failure, { http_status: 404, error: 'nope', code: 'EventNotAllowlistedError' });
+
+  const b = await waitForStatus(queue, thrown.id, ['completed', 'failed']);
+  assert.equal(b.status, 'failed');
+  assert.deepEqual(b.failure, { http_status: 500, error: 'Internal Server Error' });
+  assert.equal(await queue.getResult(thrown.id), null);
+});
+
+test('JobQueue rejects new jobs once maxPending are waiting', async () => {
+  const queue = newQueue({ maxPending: 1 });
+  let unblock;
+  const blocker = new Promise((resolve) => {
+    unblock = resolve;
+  });
+  await queue.enqueue('batch', async () => {
+    await blocker;
+    return { result: Buffer.alloc(0) };
+  });
+  await queue.enqueue('batch', async () => ({ result: Buffer.alloc(0) }));
+
+  await assert.rejects(
+    queue.enqueue('batch', async () => ({ result: Buffer.alloc(0) })),
+    (err) => err instanceof ConcurrencyLimitExceededError && err.code === 'JobQueueFull'
+  );
+  unblock();
+});
+
+test('JobQueue forgets finished jobs after the result TTL', async () => {
+  const queue = newQueue({ resultTtlSeconds: 0 });
+  const job = await queue.enqueue('batch', async () => ({ result: Buffer.from('x') }));
+  for (let i = 0; i < 50 && queue.running; i += 1) await wait(5);
+
+  assert.equal(await queue.get(job.id), null);
+  assert.equal(await queue.getResult(job.id), null);
+});
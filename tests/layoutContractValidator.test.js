@@ -76,10 +76,232 @@ test('layoutContractValidator', async (t) => {
     assert.throws(() => validateLayoutResponse(layout), LayoutInvalidError);
   });
 
-  await t.test('rejects non-zero element rotation', () => {
+  await t.test('accepts element rotation in degrees between -360 and 360', () => {
+    for (const rotation of [90, 45, -90, 360]) {
+      const layout = clone(layoutsByEventId['6']);
+      Object.assign(layout.layout_config.elements[0], { x: 200, y: 200, rotation });
+      assert.doesNotThrow(() => validateLayoutResponse(layout), String(rotation));
+    }
+  });
+
+  await t.test('rejects element rotation outside the range or not numeric', () => {
+    for (const rotation of [400, -361, '90', null]) {
+      const layout = clone(layoutsByEventId['6']);
+      layout.layout_config.elements[0].rotation = rotation;
+      assert.throws(() => validateLayoutResponse(layout), /rotation must be a number of degrees/, String(rotation));
+    }
+  });
+
+  await t.test('checks the position of a rotated element against its placed footprint', () => {
+    // Faixa lateral vertical colada à borda esquerda: 400x60 girada 270° ocupa (0,50)-(60,450).
+    const strip = clone(layoutsByEventId['6']);
+    Object.assign(strip.layout_config.elements[0], { x: -170, y: 220, width: 400, height: 60, rotation: 270 });
+    assert.doesNotThrow(() => validateLayoutResponse(strip));
+
+    const offCanvas = clone(layoutsByEventId['6']);
+    Object.assign(offCanvas.layout_config.elements[0], { x: -200, y: 220, width: 400, height: 60, rotation: 90 });
+    assert.throws(() => validateLayoutResponse(offCanvas), /negative position/);
+  });
+
+  await t.test('accepts datamatrix elements within the QR size limits', () => {
     const layout = clone(layoutsByEventId['6']);
-    layout.layout_config.elements[0].rotation = 90;
-    assert.throws(() => validateLayoutResponse(layout), LayoutInvalidError);
+    layout.layout_config.elements.push({
+      id: 'dm',
+      type: 'datamatrix',
+      dataSource: 'participant.id',
+      x: 600,
+      y: 200,
+      width: 150,
+      height: 150,
+      margin: 1,
+      symbolSize: 24,
+    });
+    layout.layout_config.elements.push({
+      id: 'dm-wide',
+      type: 'datamatrix',
+      dataSource: 'participant.id',
+      x: 400,
+      y: 350,
+      width: 300,
+      height: 100,
+      shape: 'rectangle',
+    });
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects invalid datamatrix elements', () => {
+    const base = { id: 'dm', type: 'datamatrix', dataSource: 'participant.id', x: 0, y: 0, width: 150, height: 150 };
+    const cases = [
+      [{ width: 50 }, /datamatrix width\/height must be between 100 and 360/],
+      [{ symbolSize: 30 }, /symbolSize must be one of 10, 12/],
+      [{ shape: 'circle' }, /shape must be one of square, rectangle/],
+      [{ shape: 'rectangle', symbolSize: 24 }, /symbolSize only applies to square datamatrix symbols/],
+      [{ errorCorrectionLevel: 'H' }, /errorCorrectionLevel is fixed by the datamatrix symbol size/],
+      [{ margin: -1 }, /margin must be a non-negative integer/],
+      [{ dataSource: '' }, /dataSource must be a non-empty string/],
+    ];
+    for (const [overrides, message] of cases) {
+      const layout = clone(layoutsByEventId['6']);
+      layout.layout_config.elements.push({ ...base, ...overrides });
+      assert.throws(() => validateLayoutResponse(layout), message, JSON.stringify(overrides));
+    }
+  });
+
+  await t.test('accepts pdf417 elements with error correction and columns', () => {
+    const layout = clone(layoutsByEventId['6']);
+    layout.layout_config.elements.push({
+      id: 'pdf',
+      type: 'pdf417',
+      dataSource: 'participant.id',
+      x: 200,
+      y: 390,
+      width: 560,
+      height: 90,
+      errorCorrectionLevel: 3,
+      columns: 4,
+      margin: 2,
+    });
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects invalid pdf417 elements', () => {
+    const base = { id: 'pdf', type: 'pdf417', dataSource: 'participant.id', x: 0, y: 0, width: 400, height: 100 };
+    const cases = [
+      [{ width: 150 }, /pdf417 width must be between 200 and 800 and height between 60 and 360/],
+      [{ height: 400 }, /pdf417 width must be between 200 and 800 and height between 60 and 360/],
+      [{ errorCorrectionLevel: 9 }, /errorCorrectionLevel must be an integer between 0 and 8/],
+      [{ errorCorrectionLevel: 'M' }, /errorCorrectionLevel must be an integer between 0 and 8/],
+      [{ columns: 0 }, /columns must be an integer between 1 and 30/],
+      [{ columns: 2.5 }, /columns must be an integer between 1 and 30/],
+      [{ margin: -1 }, /margin must be a non-negative integer/],
+      [{ dataSource: '' }, /dataSource must be a non-empty string/],
+    ];
+    for (const [overrides, message] of cases) {
+      const layout = clone(layoutsByEventId['6']);
+      layout.layout_config.elements.push({ ...base, ...overrides });
+      assert.throws(() => validateLayoutResponse(layout), message, JSON.stringify(overrides));
+    }
+  });
+
+  await t.test('accepts barcode elements bound to participant.id or a custom field', () => {
+    const layout = clone(layoutsByEventId['6']);
+    layout.layout_config.elements.push(
+      {
+        id: 'bc-id',
+        type: 'barcode',
+        symbology: 'code128',
+        dataSource: 'participant.id',
+        x: 20,
+        y: 300,
+        width: 560,
+        height: 90,
+      },
+      {
+        id: 'bc-ean',
+        type: 'barcode',
+        symbology: 'ean13',
+        dataSource: 'custom_field.91',
+        x: 20,
+        y: 200,
+        width: 300,
+        height: 90,
+        showText: false,
+        barHeight: 60,
+        quietZone: 11,
+        fontSize: 14,
+      }
+    );
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects invalid barcode elements', () => {
+    const base = { id: 'bc', type: 'barcode', symbology: 'code39', dataSource: 'participant.id', x: 0, y: 0, width: 400 };
+    const cases = [
+      [{ symbology: 'upc_a' }, /symbology "upc_a" is not supported/],
+      [{ dataSource: 'static_text' }, /dataSource must be participant.id or custom_field.<key>/],
+      [{ dataSource: 'participant.name' }, /dataSource must be participant.id or custom_field.<key>/],
+      [{ symbology: 'ean13' }, /ean13 cannot encode participant.id/],
+      [{ showText: 'yes' }, /showText must be boolean/],
+      [{ barHeight: 120 }, /barHeight must be greater than 0 and at most the element height/],
+      [{ quietZone: 2.5 }, /quietZone must be an integer between 0 and 50/],
+      [{ fontSize: 5 }, /fontSize must be between 10 and 140/],
+    ];
+    for (const [overrides, message] of cases) {
+      const layout = clone(layoutsByEventId['6']);
+      layout.layout_config.elements.push({ ...base, height: 100, ...overrides });
+      assert.throws(() => validateLayoutResponse(layout), message, JSON.stringify(overrides));
+    }
+  });
+
+  await t.test('accepts shape elements with fill/stroke colors, stroke width and corner radius', () => {
+    const layout = clone(layoutsByEventId['6']);
+    layout.layout_config.elements.push(
+      { id: 'band', type: 'shape', shape: 'rect', x: 0, y: 0, width: 800, height: 80, fillColor: '#1A2B3C' },
+      {
+        id: 'frame',
+        type: 'shape',
+        shape: 'rounded_rect',
+        x: 10,
+        y: 10,
+        width: 780,
+        height: 480,
+        strokeColor: '#000',
+        strokeWidth: 4,
+        cornerRadius: 24,
+      },
+      { id: 'divider', type: 'shape', shape: 'line', x: 20, y: 140, width: 760, height: 4, strokeColor: '#000000' },
+      { id: 'dot', type: 'shape', shape: 'ellipse', x: 700, y: 400, width: 40, height: 40, fillColor: '#000000' }
+    );
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects invalid shape elements', () => {
+    const base = { id: 'shape', type: 'shape', shape: 'rect', x: 0, y: 0, width: 100, height: 20, fillColor: '#000' };
+    const cases = [
+      [{ shape: 'triangle' }, /shape "triangle" is not supported/],
+      [{ fillColor: 'red' }, /fillColor must be a #RGB or #RRGGBB color/],
+      [{ fillColor: null }, /requires fillColor or strokeColor/],
+      [{ shape: 'line', fillColor: '#000', strokeColor: undefined }, /line shape requires strokeColor/],
+      [{ strokeColor: '#000', strokeWidth: 0 }, /strokeWidth must be greater than 0/],
+      [{ shape: 'rounded_rect', cornerRadius: -1 }, /cornerRadius must be between 0 and 250/],
+    ];
+    for (const [overrides, message] of cases) {
+      const layout = clone(layoutsByEventId['6']);
+      layout.layout_config.elements.push({ ...base, ...overrides });
+      assert.throws(() => validateLayoutResponse(layout), message, JSON.stringify(overrides));
+    }
+  });
+
+  await t.test('accepts text and QR color/backgroundColor as hex colors', () => {
+    const layout = clone(layoutsByEventId['6']);
+    Object.assign(layout.layout_config.elements[0], { color: '#FFF', backgroundColor: '#000000' });
+    const qrElement = layout.layout_config.elements.find((e) => e.type === 'qr_code');
+    Object.assign(qrElement, { color: '#00008B', backgroundColor: '#FFFF00' });
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects non-hex text colors and a QR lighter than its background', () => {
+    const text = clone(layoutsByEventId['6']);
+    text.layout_config.elements[0].color = 'white';
+    assert.throws(() => validateLayoutResponse(text), /color must be a #RGB or #RRGGBB color/);
+
+    const background = clone(layoutsByEventId['6']);
+    background.layout_config.elements[0].backgroundColor = '#00000080';
+    assert.throws(() => validateLayoutResponse(background), /backgroundColor must be a #RGB or #RRGGBB color/);
+
+    const inverseQr = clone(layoutsByEventId['6']);
+    const qrElement = inverseQr.layout_config.elements.find((e) => e.type === 'qr_code');
+    Object.assign(qrElement, { color: '#FFFFFF', backgroundColor: '#000000' });
+    assert.throws(() => validateLayoutResponse(inverseQr), /QR color must be darker than backgroundColor/);
+
+    // Mais escuro que o fundo, mas do mesmo lado do limiar de impressão: sumiria na térmica.
+    const greyQr = clone(layoutsByEventId['6']);
+    greyQr.layout_config.elements.find((e) => e.type === 'qr_code').color = '#999999';
+    assert.throws(() => validateLayoutResponse(greyQr), /opposite side of the print threshold \(128\)/);
+    greyQr.print_profile.dither_threshold = 160;
+    assert.doesNotThrow(() => validateLayoutResponse(greyQr));
+    Object.assign(greyQr.layout_config.elements.find((e) => e.type === 'qr_code'), { backgroundColor: '#9A9A9A' });
+    assert.throws(() => validateLayoutResponse(greyQr), /opposite side of the print threshold \(160\)/);
   });
 
   await t.test('rejects print_profile outside the homologated 80x50/300dpi profile', () => {
@@ -95,6 +317,32 @@ test('layoutContractValidator', async (t) => {
     assert.throws(() => validateLayoutResponse(layout), LayoutInvalidError);
   });
 
+  await t.test('accepts an optional print_profile dither_mode/dither_threshold', () => {
+    const layout = clone(layoutsByEventId['6']);
+    layout.print_profile.dither_mode = 'bayer';
+    layout.print_profile.dither_threshold = 140;
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+  });
+
+  await t.test('rejects an unsupported print_profile dither_mode or threshold', () => {
+    const badMode = clone(layoutsByEventId['6']);
+    badMode.print_profile.dither_mode = 'atkinson';
+    assert.throws(() => validateLayoutResponse(badMode), LayoutInvalidError);
+
+    const badThreshold = clone(layoutsByEventId['6']);
+    badThreshold.print_profile.dither_threshold = 300;
+    assert.throws(() => validateLayoutResponse(badThreshold), LayoutInvalidError);
+  });
+
+  await t.test('accepts a boolean print_profile thermal_safe only', () => {
+    const layout = clone(layoutsByEventId['6']);
+    layout.print_profile.thermal_safe = true;
+    assert.doesNotThrow(() => validateLayoutResponse(layout));
+
+    layout.print_profile.thermal_safe = 'yes';
+    assert.throws(() => validateLayoutResponse(layout), /thermal_safe must be boolean/);
+  });
+
   await t.test('rejects missing version_id', () => {
     const layout = clone(layoutsByEventId['6']);
     delete layout.version_id;
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDynamicSupabaseServer } = require('./fakes/fakeDynamicSupabaseServer');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+
+const RPC = 'get_published_event_label_layout';
+
+test('layout warm-up (boot, refresh and /health status)', async (t) => {
+  // Evento 77: publicado, mas reprovado pelo validador do contrato.
+  const published = layoutsByEventId['6'];
+  const invalidLayout = {
+    ...published,
+    version_id: 77,
+    layout_config: {
+      ...published.layout_config,
+      elements: [{ ...published.layout_config.elements[0], type: 'hologram' }],
+    },
+  };
+  const fake = await createFakeDynamicSupabaseServer({
+    participants: contextParticipants,
+    layoutsByEventId: { ...layoutsByEventId, 77: invalidLayout },
+  });
+  t.after(() => fake.close());
+
+  process.env.SUPABASE_URL = fake.url;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'fake-service-role-key';
+  process.env.SUPABASE_KEY = '';
+  process.env.LABEL_DYNAMIC_LAYOUT_ENABLED = 'true';
+  process.env.LABEL_DYNAMIC_EVENT_IDS = '6,33';
+  process.env.LABEL_LAYOUT_WARMUP_EVENT_IDS = '';
+  process.env.LABEL_LAYOUT_CACHE_TTL_SECONDS = '60';
+
+  // Processo isolado por arquivo (node --test): seguro exigir depois do env.
+  const { env } = require('../src/config/env');
+  const labelRpcRepository = require('../src/repositories/labelRpcRepository');
+  const warmup = require('../src/services/layoutWarmupService');
+  t.after(() => warmup.stopLayoutWarmup());
+
+  await t.test('reports disabled and idle before the first run', () => {
+    env.LABEL_LAYOUT_WARMUP_ENABLED = false;
+    assert.deepEqual(warmup.getLayoutWarmupStatus(), {
+      enabled: false,
+      interval_seconds: 48,
+      last_run_at: null,
+      events: {},
+    });
+    assert.equal(warmup.startLayoutWarmup(), false);
+    env.LABEL_LAYOUT_WARMUP_ENABLED = true;
+  });
+
+  await t.test('warms every allowlisted event so the first request hits the cache', async () => {
+    assert.equal(warmup.startLayoutWarmup(), true);
+    await warmup.warmPublishedLayouts();
+
+    const status = warmup.getLayoutWarmupStatus();
+    assert.equal(status.enabled, true);
+    assert.equal(typeof status.last_run_at, 'string');
+    assert.deepEqual(Object.keys(status.events).sort(), ['33', '6']);
+    assert.equal(status.events[6].status, 'ok');
+    assert.equal(status.events[6].version_id, 16);
+    assert.equal(status.events[33].version_id, 19);
+
+    const callsBefore = fake.getRpcCallCount(RPC);
+    await labelRpcRepository.getPublishedLayout(6);
+    await labelRpcRepository.getPublishedLayout(33);
+    assert.equal(fake.getRpcCallCount(RPC), callsBefore, 'served from the warmed cache');
+  });
+
+  await t.test('refetches on every run even while the cache is fresh', async () => {
+    const callsBefore = fake.getRpcCallCount(RPC);
+    await warmup.warmPublishedLayouts();
+    assert.equal(fake.getRpcCallCount(RPC), callsBefore + 2);
+  });
+
+  await t.test('surfaces invalid, unpublished and unreachable layouts per event', async (t2) => {
+    env.LABEL_LAYOUT_WARMUP_EVENT_IDS = [6, 77, 999];
+    t2.after(() => {
+      fake.setRpcFailure(RPC, null);
+      env.LABEL_LAYOUT_WARMUP_EVENT_IDS = [];
+    });
+
+    await warmup.warmPublishedLayouts();
+    let { events } = warmup.getLayoutWarmupStatus();
+    assert.equal(events[6].status, 'ok');
+    assert.equal(events[77].status, 'invalid');
+    assert.equal(events[77].code, 'LayoutInvalidError');
+    assert.match(events[77].message, /hologram/);
+    assert.equal(events[999].status, 'error');
+    assert.equal(events[999].code, 'LayoutNotPublishedError');
+    assert.equal(events[999].message, undefined);
+
+    fake.setRpcFailure(RPC, 'error');
+    await warmup.warmPublishedLayouts();
+    ({ events } = warmup.getLayoutWarmupStatus());
+    assert.deepEqual(
+      { status: events[6].status, code: events[6].code },
+      { status: 'error', code: 'SupabaseUnavailableError' }
+    );
+  });
+
+  await t.test('never overlaps runs and skips the schedule without a layout cache', async () => {
+    const first = warmup.warmPublishedLayouts();
+    assert.equal(warmup.warmPublishedLayouts(), first);
+    await first;
+
+    env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 0;
+    assert.equal(warmup.getLayoutWarmupStatus().interval_seconds, 0);
+    env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 60;
+  });
+});
@@ -78,7 +78,7 @@ test('legacy /badge contract and golden baseline', async (t) => {
     assert.equal(res.headers['content-disposition'], 'inline; filename="badge.png"');
   });
 
-  await t.test('Base64 response has the exact legacy envelope shape', async () => {
+  await t.test('Base64 response keeps the legacy envelope, plus the engine that rendered it', async () => {
     const res = await server.requestGet({
       qr: '11111111-1111-1111-1111-111111111111',
       dpi: 300,
@@ -87,7 +87,10 @@ test('legacy /badge contract and golden baseline', async (t) => {
     });
     assert.equal(res.status, 200);
     const json = JSON.parse(res.body.toString('utf8'));
-    assert.deepEqual(Object.keys(json).sort(), ['data', 'dataUri', 'format', 'mimeType', 'success']);
+    assert.deepEqual(Object.keys(json).sort(), ['data', 'dataUri', 'engine', 'format', 'mimeType', 'success']);
+    assert.equal(json.engine, 'legacy');
+    assert.equal(res.headers['x-label-engine'], 'legacy');
+    assert.equal(res.headers['x-label-fallback-reason'], undefined, 'dynamic flow was never attempted');
     assert.equal(json.success, true);
     assert.equal(json.format, 'base64');
     assert.equal(json.mimeType, 'image/png');
@@ -95,6 +98,63 @@ test('legacy /badge contract and golden baseline', async (t) => {
     assert.match(json.data, /^[A-Za-z0-9+/]+=*$/);
   });
 
+  await t.test('format=tspl fits the legacy render to the printer roll and returns a TSPL program', async () => {
+    const res = await server.requestGet({
+      qr: '11111111-1111-1111-1111-111111111111',
+      dpi: 300,
+      rotation: 90,
+      format: 'tspl',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/octet-stream');
+    const text = res.body.toString('latin1');
+    assert.ok(text.startsWith('SIZE 50 mm,80 mm\r\n'));
+    assert.ok(text.includes('BITMAP 0,0,50,639,0,'));
+    assert.ok(text.endsWith('PRINT 1,1\r\n'));
+  });
+
+  await t.test('format=zpl returns a ZPL label for the legacy render', async () => {
+    const res = await server.requestGet({ name: 'Visitante Zebra', rotation: 90, format: 'zpl' });
+    assert.equal(res.status, 200);
+    const text = res.body.toString('ascii');
+    assert.ok(text.startsWith('^XA\n^PW400\n^LL639\n'));
+    assert.ok(text.endsWith('^XZ\n'));
+  });
+
+  await t.test('format=tspl/zpl with the default rotation turns the landscape render onto the portrait roll', async () => {
+    const tspl = await server.requestGet({ qr: '11111111-1111-1111-1111-111111111111', dpi: 300, format: 'tspl' });
+    assert.equal(tspl.status, 200);
+    const text = tspl.body.toString('latin1');
+    assert.ok(text.startsWith('SIZE 50 mm,80 mm\r\n'));
+    assert.ok(text.includes('BITMAP 0,0,50,639,0,'), '400x639 dots, portrait like the roll');
+
+    const zpl = await server.requestGet({ name: 'Visitante Zebra', rotation: 0, format: 'zpl' });
+    assert.equal(zpl.status, 200);
+    assert.ok(zpl.body.toString('ascii').startsWith('^XA\n^PW400\n^LL639\n'));
+  });
+
+  await t.test('format=pdf embeds the legacy render at its physical size', async () => {
+    const res = await server.requestGet({ name: 'Visitante Laser', dpi: 203, rotation: 90, format: 'pdf' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.equal(res.body.subarray(0, 5).toString('latin1'), '%PDF-');
+    const match = /\/MediaBox \[\s*([^\]]+?)\s*\]/.exec(res.body.toString('latin1'));
+    const [x0, y0, x1, y1] = match[1].split(/\s+/).map(Number);
+    // 400x639 px @ 203 DPI → 50x80 mm (±1 px de arredondamento).
+    assert.ok(Math.abs((x1 - x0) * (25.4 / 72) - 50) < 0.2);
+    assert.ok(Math.abs((y1 - y0) * (25.4 / 72) - 80) < 0.2);
+  });
+
+  await t.test('dither=bayer turns the legacy PNG into 1-bit; unknown dither keeps RGBA', async () => {
+    const dithered = await server.requestGet({ name: 'Visitante Mono', dither: 'bayer' });
+    assert.equal(dithered.status, 200);
+    assert.equal(dithered.body[24], 1, 'expected bit depth 1');
+
+    const ignored = await server.requestGet({ name: 'Visitante Mono', dither: 'atkinson' });
+    assert.equal(ignored.status, 200);
+    assert.equal(ignored.body[24], 8, 'expected the regular 8-bit RGBA PNG');
+  });
+
   await t.test('missing name without resolvable participant returns 400 with the exact legacy message', async () => {
     const res = await server.requestGet({ dpi: 300 });
     assert.equal(res.status, 400);
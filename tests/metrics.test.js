@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../src/utils/metrics');
+const { ConcurrencyLimiter } = require('../src/utils/concurrency');
+
+test('MetricsRegistry renders counters per label set in the Prometheus text format', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter({ name: 'renders_total', help: 'Renders.', labelNames: ['engine'] });
+  counter.inc({ engine: 'dynamic' });
+  counter.inc({ engine: 'dynamic' }, 2);
+  counter.inc({ engine: 'le"gacy\\' });
+
+  assert.equal(
+    registry.render(),
+    [
+      '# HELP renders_total Renders.',
+      '# TYPE renders_total counter',
+      'renders_total{engine="dynamic"} 3',
+      'renders_total{engine="le\\"gacy\\\\"} 1',
+      '',
+    ].join('\n')
+  );
+});
+
+test('MetricsRegistry histograms expose cumulative buckets, sum and count', async () => {
+  const registry = new MetricsRegistry();
+  const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency.', labelNames: ['op'], buckets: [0.1, 1] });
+  histogram.observe({ op: 'rpc' }, 0.05);
+  histogram.observe({ op: 'rpc' }, 0.5);
+  histogram.observe({ op: 'rpc' }, 3);
+
+  const text = registry.render();
+  assert.match(text, /^# TYPE latency_seconds histogram$/m);
+  assert.match(text, /^latency_seconds_bucket\{op="rpc",le="0.1"\} 1$/m);
+  assert.match(text, /^latency_seconds_bucket\{op="rpc",le="1"\} 2$/m);
+  assert.match(text, /^latency_seconds_bucket\{op="rpc",le="\+Inf"\} 3$/m);
+  assert.match(text, /^latency_seconds_sum\{op="rpc"\} 3.55$/m);
+  assert.match(text, /^latency_seconds_count\{op="rpc"\} 3$/m);
+
+  await assert.rejects(
+    () => histogram.time({}, async () => Promise.reject(new Error('boom')), (err) => ({ op: err ? 'failed' : 'ok' })),
+    /boom/
+  );
+  assert.match(registry.render(), /^latency_seconds_count\{op="failed"\} 1$/m);
+});
+
+test('MetricsRegistry reads collected metrics at render time and rejects duplicate names', () => {
+  const registry = new MetricsRegistry();
+  let active = 1;
+  registry.collected({ name: 'active', help: 'Active.', collect: () => active });
+  registry.collected({
+    name: 'hits_total',
+    help: 'Hits.',
+    type: 'counter',
+    collect: () => [{ labels: { cache: 'layout' }, value: 4 }],
+  });
+  active = 2;
+
+  const text = registry.render();
+  assert.match(text, /^active 2$/m);
+  assert.match(text, /^# TYPE hits_total counter$/m);
+  assert.match(text, /^hits_total\{cache="layout"\} 4$/m);
+  assert.throws(() => registry.counter({ name: 'active', help: 'Again.' }), /already registered/);
+});
+
+test('ConcurrencyLimiter keeps the peak number of active slots', () => {
+  const limiter = new ConcurrencyLimiter(3);
+  limiter.tryAcquire();
+  limiter.tryAcquire();
+  limiter.release();
+  limiter.tryAcquire();
+  limiter.release();
+  limiter.release();
+
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.peak, 2);
+});
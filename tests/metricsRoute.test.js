@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+test('GET /metrics exposes request, render, fallback, Supabase, cache and concurrency metrics', async (t) => {
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    metricsToken: METRICS_TOKEN,
+  });
+  t.after(() => server.close());
+
+  const anonymous = await server.requestGetPath('/metrics');
+  assert.equal(anonymous.status, 401);
+  const wrongToken = await server.requestGetPath('/metrics', { Authorization: 'Bearer nope' });
+  assert.equal(wrongToken.status, 401);
+
+  // Dinâmico (evento 6), depois fallback (evento 999 sem layout publicado).
+  const dynamic = await server.requestGet({ qr: 'aaaaaaaa-0000-0000-0000-000000000001', name: 'Ignorado' });
+  assert.equal(dynamic.headers['x-label-engine'], 'dynamic');
+  const fallback = await server.requestGet({ qr: 'aaaaaaaa-0000-0000-0000-000000000003', name: 'Fallback Legado' });
+  assert.equal(fallback.headers['x-label-engine'], 'legacy');
+  await server.requestGet({ qr: 'aaaaaaaa-0000-0000-0000-000000000001', name: 'Ignorado' });
+  await server.requestGetPath('/v2/jobs/aaaaaaaa-0000-0000-0000-000000000001/unknown');
+
+  const res = await server.requestGetPath('/metrics', { Authorization: `Bearer ${METRICS_TOKEN}` });
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+  const text = res.body.toString('utf8');
+
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/badge",status="200"\} 3$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/metrics",status="401"\} 2$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="unmatched",status="404"\} 1$/m);
+  assert.match(text, /^label_renders_total\{engine="dynamic"\} 2$/m);
+  assert.match(text, /^label_renders_total\{engine="legacy"\} 1$/m);
+  assert.match(text, /^label_dynamic_fallbacks_total\{reason="LayoutNotPublishedError"\} 1$/m);
+  assert.match(
+    text,
+    /^supabase_call_duration_seconds_count\{operation="get_published_event_label_layout",outcome="ok"\} 2$/m
+  );
+  assert.match(text, /^supabase_call_duration_seconds_count\{operation="fetchParticipantContext",outcome="ok"\} 2$/m);
+  assert.match(text, /^cache_lookups_total\{cache="published_layout",result="hit"\} 1$/m);
+  assert.match(text, /^cache_lookups_total\{cache="participant_context",result="miss"\} 2$/m);
+  assert.match(text, /^concurrency_limit \d+$/m);
+  assert.match(text, /^concurrency_active 0$/m);
+  assert.match(text, /^concurrency_peak_active [1-9]\d*$/m);
+  assert.match(text, /^# TYPE logo_fetch_failures_total counter$/m);
+  assert.doesNotMatch(text, /aaaaaaaa-/, 'no participant id in labels');
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas, getContext2d, loadImage } = require('../src/renderers/canvasRuntime');
+const { canvasToMonochromeBitmap } = require('../src/renderers/monochromeBitmap');
+const { encodeMonochromePng } = require('../src/renderers/monochromePngEncoder');
+
+function makeGrayCanvas(width, height, hex) {
+  const canvas = createCanvas(width, height);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = hex;
+  ctx.fillRect(0, 0, width, height);
+  return canvas;
+}
+
+function countBlackBits(bitmap) {
+  let count = 0;
+  for (const byte of bitmap.data) {
+    for (let b = byte; b; b &= b - 1) count += 1;
+  }
+  return count;
+}
+
+test('threshold mode turns a flat mid-grey into a solid block (no tone preserved)', () => {
+  const bitmap = canvasToMonochromeBitmap(makeGrayCanvas(16, 16, '#606060'), { mode: 'threshold' });
+  assert.equal(countBlackBits(bitmap), 256);
+});
+
+for (const mode of ['floyd-steinberg', 'bayer']) {
+  test(`${mode} dithering keeps roughly the grey level of a flat 50% area`, () => {
+    const bitmap = canvasToMonochromeBitmap(makeGrayCanvas(32, 32, '#808080'), { mode });
+    const ratio = countBlackBits(bitmap) / (32 * 32);
+    assert.ok(ratio > 0.4 && ratio < 0.6, `expected ~50% black dots, got ${ratio}`);
+  });
+
+  test(`${mode} dithering keeps pure black and pure white solid`, () => {
+    assert.equal(countBlackBits(canvasToMonochromeBitmap(makeGrayCanvas(16, 8, '#000000'), { mode })), 128);
+    assert.equal(countBlackBits(canvasToMonochromeBitmap(makeGrayCanvas(16, 8, '#FFFFFF'), { mode })), 0);
+  });
+}
+
+test('bayer dithering is an ordered (repeating 4x4) pattern', () => {
+  const bitmap = canvasToMonochromeBitmap(makeGrayCanvas(8, 8, '#808080'), { mode: 'bayer' });
+  // Linhas y e y+4 são idênticas.
+  for (let y = 0; y < 4; y += 1) {
+    assert.equal(bitmap.data[y], bitmap.data[y + 4]);
+  }
+});
+
+test('encodeMonochromePng emits a 1-bit grayscale PNG that decodes to the same dots', async () => {
+  const canvas = createCanvas(10, 2);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, 10, 2);
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, 1, 1);
+  ctx.fillRect(9, 1, 1, 1);
+
+  const png = encodeMonochromePng(canvasToMonochromeBitmap(canvas));
+  assert.equal(png.readUInt32BE(16), 10);
+  assert.equal(png.readUInt32BE(20), 2);
+  assert.equal(png[24], 1, 'bit depth');
+  assert.equal(png[25], 0, 'color type grayscale');
+
+  const image = await loadImage(png);
+  const decoded = createCanvas(10, 2);
+  const decodedCtx = getContext2d(decoded);
+  decodedCtx.drawImage(image, 0, 0);
+  const { data } = decodedCtx.getImageData(0, 0, 10, 2);
+  const isBlack = (x, y) => data[(y * 10 + x) * 4] === 0;
+  assert.equal(isBlack(0, 0), true);
+  assert.equal(isBlack(1, 0), false);
+  assert.equal(isBlack(9, 1), true);
+  assert.equal(isBlack(8, 1), false);
+});
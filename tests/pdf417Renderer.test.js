@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderPdf417Element } = require('../src/renderers/pdf417Renderer');
+const { encodePdf417 } = require('../src/renderers/pdf417Symbology');
+const { createCanvas, getContext2d } = require('../src/renderers/canvasRuntime');
+
+const IDENTITY_SCALE = { scaleX: 1, scaleY: 1, uniformScale: 1 };
+const PARTICIPANT_ID = 'aaaaaaaa-0000-0000-0000-000000000001';
+
+test('renderPdf417Element draws whole-pixel modules with three-module rows, centered in the box', () => {
+  const element = { x: 0, y: 0, width: 300, height: 140, columns: 2, errorCorrectionLevel: 2 };
+  const { rows, cols, modules } = encodePdf417(PARTICIPANT_ID, { columns: 2, errorCorrectionLevel: 2 });
+  // Módulo inteiro: o menor entre a largura e a altura (linhas de 3 módulos), com 2 de margem em volta.
+  const modulePx = Math.floor(Math.min(300 / (cols + 4), 140 / (rows * 3 + 4)));
+  assert.ok(modulePx >= 2, 'the fixture box leaves room for a multi-pixel module');
+
+  const canvas = createCanvas(300, 140);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, 300, 140);
+  renderPdf417Element(ctx, element, PARTICIPANT_ID, IDENTITY_SCALE);
+
+  const { data } = ctx.getImageData(0, 0, 300, 140);
+  const grayAt = (x, y) => data[(y * 300 + x) * 4];
+  const rowPx = modulePx * 3;
+  const startX = Math.round((300 - modulePx * cols) / 2);
+  const startY = Math.round((140 - rowPx * rows) / 2);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const expected = modules[row][col] ? 0 : 255;
+      const x = startX + col * modulePx;
+      const y = startY + row * rowPx;
+      assert.equal(grayAt(x, y), expected, `module ${row},${col} top-left`);
+      assert.equal(grayAt(x + modulePx - 1, y + rowPx - 1), expected, `module ${row},${col} bottom-right`);
+    }
+  }
+  assert.equal(grayAt(startX - modulePx * 2, startY - modulePx * 2), 255, 'quiet zone is white');
+  assert.equal(grayAt(startX - modulePx * 2 - 1, 70), 128, 'outside the quiet zone stays untouched');
+});
+
+test('renderPdf417Element throws BARCODE_DOES_NOT_FIT when a module would be under one pixel', () => {
+  const ctx = getContext2d(createCanvas(60, 60));
+  const element = { x: 0, y: 0, width: 60, height: 60, columns: 10 };
+  assert.throws(
+    () => renderPdf417Element(ctx, element, PARTICIPANT_ID, IDENTITY_SCALE),
+    (e) => e.code === 'BARCODE_DOES_NOT_FIT'
+  );
+});
+
+test('renderPdf417Element draws nothing without a value', () => {
+  const ctx = getContext2d(createCanvas(10, 10));
+  assert.doesNotThrow(() => renderPdf417Element(ctx, { x: 0, y: 0, width: 10, height: 10 }, '', IDENTITY_SCALE));
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodePdf417 } = require('../src/renderers/pdf417Symbology');
+const { BarcodeEncodeError } = require('../src/utils/errors');
+
+const PARTICIPANT_ID = 'aaaaaaaa-0000-0000-0000-000000000001';
+// Padrões fixos de início (81111113) e fim (711311121) de toda linha, em módulos.
+const START_PATTERN = '11111111010101000';
+const STOP_PATTERN = '111111101000101001';
+
+function rowBits(row) {
+  return row.map((dark) => (dark ? '1' : '0')).join('');
+}
+
+test('encodePdf417 frames every row with the start and stop patterns', () => {
+  const { rows, cols, modules } = encodePdf417(PARTICIPANT_ID);
+  assert.equal(modules.length, rows);
+  assert.ok(rows >= 3 && rows <= 90);
+  for (const row of modules) {
+    assert.equal(row.length, cols);
+    assert.ok(rowBits(row).startsWith(START_PATTERN));
+    assert.ok(rowBits(row).endsWith(STOP_PATTERN));
+  }
+});
+
+test('encodePdf417 honours columns and errorCorrectionLevel', () => {
+  // 17 módulos por codeword: início, indicador esquerdo, colunas de dados, indicador direito e fim (18).
+  for (const columns of [1, 3, 6]) {
+    assert.equal(encodePdf417(PARTICIPANT_ID, { columns }).cols, 17 * (columns + 4) + 1, `columns ${columns}`);
+  }
+  const low = encodePdf417(PARTICIPANT_ID, { columns: 3, errorCorrectionLevel: 0 });
+  const high = encodePdf417(PARTICIPANT_ID, { columns: 3, errorCorrectionLevel: 5 });
+  assert.equal(low.cols, high.cols);
+  assert.ok(high.rows > low.rows, 'more correction codewords need more rows');
+  assert.notDeepEqual(low.modules, high.modules);
+});
+
+test('encodePdf417 rejects content the symbol cannot hold without echoing it', () => {
+  for (const [value, options] of [
+    ['Fulano'.repeat(400), {}],
+    [PARTICIPANT_ID, { columns: 1, errorCorrectionLevel: 8 }],
+  ]) {
+    assert.throws(
+      () => encodePdf417(value, options),
+      (e) =>
+        e instanceof BarcodeEncodeError &&
+        e.code === 'BARCODE_UNSUPPORTED_CONTENT' &&
+        !e.message.includes('Fulano') &&
+        !e.message.includes(PARTICIPANT_ID)
+    );
+  }
+});
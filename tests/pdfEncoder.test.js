@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas, getContext2d } = require('../src/renderers/canvasRuntime');
+const { PDFDocument } = require('pdf-lib');
+const { renderPdf, encodeCanvasPdf, mmToPt } = require('../src/renderers/pdfEncoder');
+
+// Parse real do PDF: páginas e MediaBox como um leitor os vê.
+async function readMediaBoxes(pdf) {
+  const doc = await PDFDocument.load(pdf);
+  return doc.getPages().map((page) => {
+    const { x, y, width, height } = page.getMediaBox();
+    return [x, y, x + width, y + height];
+  });
+}
+
+function pageSizeMm([x0, y0, x1, y1]) {
+  return { width: ((x1 - x0) * 25.4) / 72, height: ((y1 - y0) * 25.4) / 72 };
+}
+
+test('mmToPt converts millimetres to PDF points', () => {
+  assert.equal(mmToPt(25.4), 72);
+  assert.ok(Math.abs(mmToPt(80) - 226.77) < 0.01);
+});
+
+test('renderPdf keeps the exact physical page size even when it is not a whole number of points', async () => {
+  const pdf = await renderPdf([{ widthPt: mmToPt(80), heightPt: mmToPt(50), draw: () => {} }]);
+  const [box] = await readMediaBoxes(pdf);
+  const size = pageSizeMm(box);
+  assert.ok(Math.abs(size.width - 80) < 0.01, `width ${size.width}mm`);
+  assert.ok(Math.abs(size.height - 50) < 0.01, `height ${size.height}mm`);
+});
+
+test('renderPdf emits one page per entry and a cross-reference table that still points at each object', async () => {
+  const pdf = await renderPdf([
+    { widthPt: mmToPt(80), heightPt: mmToPt(50), draw: (ctx) => ctx.fillRect(0, 0, 10, 10) },
+    { widthPt: mmToPt(210), heightPt: mmToPt(297), draw: (ctx) => ctx.fillRect(0, 0, 10, 10) },
+  ]);
+  assert.equal((await readMediaBoxes(pdf)).length, 2);
+
+  const text = pdf.toString('latin1');
+  const xref = text.slice(text.lastIndexOf('\nxref\n') + 1);
+  const entries = [...xref.matchAll(/^(\d{10}) \d{5} n/gm)].map((m) => Number(m[1]));
+  entries.forEach((offset, index) => {
+    assert.ok(text.startsWith(`${index + 1} 0 obj`, offset), `object ${index + 1} not found at offset ${offset}`);
+  });
+  const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+  assert.ok(text.startsWith('xref', startxref));
+});
+
+test('encodeCanvasPdf sizes the page from the canvas pixels and its DPI', async () => {
+  const canvas = createCanvas(945, 591);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, 100, 100);
+
+  const [box] = await readMediaBoxes(await encodeCanvasPdf(canvas, 300));
+  const size = pageSizeMm(box);
+  assert.ok(Math.abs(size.width - (945 / 300) * 25.4) < 0.01);
+  assert.ok(Math.abs(size.height - (591 / 300) * 25.4) < 0.01);
+});
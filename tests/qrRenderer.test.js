@@ -76,3 +76,44 @@ test('renderQrElement centers a square QR within a non-square box', async () =>
   }
   assert.equal(hasDarkOutsideSquare, false, 'expected the side margins to remain blank (QR centered)');
 });
+
+test('renderQrElement rotates the QR around the box center', async () => {
+  const size = 150;
+  const element = { x: 25, y: 25, width: 100, height: 100, margin: 0 };
+  const darkOutsideBox = async (rotation) => {
+    const canvas = createCanvas(size, size);
+    const ctx = getContext2d(canvas);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, size, size);
+    await renderQrElement(ctx, { ...element, rotation }, 'aaaaaaaa-0000-0000-0000-000000000001', IDENTITY_SCALE);
+
+    const { data } = ctx.getImageData(0, 0, size, size);
+    let count = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        const inside = x >= 25 && x < 125 && y >= 25 && y < 125;
+        const idx = (y * size + x) * 4;
+        if (!inside && (data[idx] !== 255 || data[idx + 1] !== 255 || data[idx + 2] !== 255)) count += 1;
+      }
+    }
+    return count;
+  };
+
+  assert.equal(await darkOutsideBox(0), 0);
+  assert.ok((await darkOutsideBox(45)) > 0, 'the rotated corners leave the unrotated box');
+});
+
+test('renderQrElement paints the modules in color over backgroundColor', async () => {
+  const size = 120;
+  const canvas = createCanvas(size, size);
+  const ctx = getContext2d(canvas);
+  const element = { x: 0, y: 0, width: size, height: size, margin: 2, color: '#00008B', backgroundColor: '#FFFF00' };
+  await renderQrElement(ctx, element, 'aaaaaaaa-0000-0000-0000-000000000001', IDENTITY_SCALE);
+
+  const { data } = ctx.getImageData(0, 0, size, size);
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) colors.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+  assert.ok(colors.has('0,0,139'), 'dark modules use color');
+  assert.ok(colors.has('255,255,0'), 'light modules use backgroundColor');
+  assert.ok(!colors.has('0,0,0') && !colors.has('255,255,255'), 'no black or white left');
+});
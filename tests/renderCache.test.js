@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EncryptedRenderCache } = require('../src/utils/renderCache');
+
+const PARTICIPANT = 'aaaaaaaa-0000-0000-0000-000000000001';
+const OUTPUT = { outputFormat: 'png', outputRotation: 90 };
+const LABEL_DATA = { participant: { name: 'Fulano de Tal Sintético' }, customFields: { 91: 'Unidade Teste' } };
+
+function newCache(overrides = {}) {
+  return new EncryptedRenderCache({ maxEntries: 10, maxBytes: 1024, ttlSeconds: 60, ...overrides });
+}
+
+test('EncryptedRenderCache returns the stored buffer for the same key and fingerprint', () => {
+  const cache = newCache();
+  const key = cache.keyFor(PARTICIPANT, OUTPUT);
+  const fingerprint = cache.fingerprintFor(16, LABEL_DATA);
+  cache.set(key, fingerprint, Buffer.from('png-bytes'));
+
+  assert.deepEqual(cache.get(key, fingerprint), { buffer: Buffer.from('png-bytes'), invalidated: false });
+  assert.equal(cache.get(cache.keyFor(PARTICIPANT, { ...OUTPUT, outputRotation: 0 }), fingerprint).buffer, undefined);
+});
+
+test('EncryptedRenderCache keeps no plaintext participant id, label data or render bytes', () => {
+  const cache = newCache();
+  const key = cache.keyFor(PARTICIPANT, OUTPUT);
+  const fingerprint = cache.fingerprintFor(16, LABEL_DATA);
+  cache.set(key, fingerprint, Buffer.from('Fulano de Tal Sintético'));
+
+  assert.ok(!key.includes(PARTICIPANT.slice(0, 8)));
+  assert.ok(!fingerprint.includes('Fulano'));
+  const [entry] = cache.entries.values();
+  assert.ok(!entry.ciphertext.toString('utf8').includes('Fulano'));
+  assert.notEqual(new EncryptedRenderCache({ maxEntries: 1, maxBytes: 1, ttlSeconds: 1 }).keyFor(PARTICIPANT, OUTPUT), key);
+});
+
+test('EncryptedRenderCache invalidates the entry when the layout version or label data change', () => {
+  const cache = newCache();
+  const key = cache.keyFor(PARTICIPANT, OUTPUT);
+  cache.set(key, cache.fingerprintFor(16, LABEL_DATA), Buffer.from('v16'));
+
+  assert.deepEqual(cache.get(key, cache.fingerprintFor(17, LABEL_DATA)), { buffer: undefined, invalidated: true });
+  assert.equal(cache.size, 0);
+
+  cache.set(key, cache.fingerprintFor(16, LABEL_DATA), Buffer.from('v16'));
+  const renamed = { ...LABEL_DATA, participant: { name: 'Outro Nome' } };
+  assert.equal(cache.get(key, cache.fingerprintFor(16, renamed)).invalidated, true);
+  assert.equal(cache.bytes, 0);
+});
+
+test('EncryptedRenderCache evicts the least recently used entry past maxEntries or maxBytes', () => {
+  const cache = newCache({ maxEntries: 2, maxBytes: 10 });
+  cache.set('a', 'f', Buffer.alloc(4));
+  cache.set('b', 'f', Buffer.alloc(4));
+  cache.get('a', 'f');
+  cache.set('c', 'f', Buffer.alloc(4));
+  assert.deepEqual([...cache.entries.keys()], ['a', 'c'], 'b was the least recently used');
+
+  cache.set('d', 'f', Buffer.alloc(8));
+  assert.deepEqual([...cache.entries.keys()], ['d'], 'byte budget evicts older entries too');
+  cache.set('huge', 'f', Buffer.alloc(11));
+  assert.equal(cache.get('huge', 'f').buffer, undefined, 'a buffer larger than maxBytes is never stored');
+  assert.equal(cache.bytes, 8);
+});
+
+test('EncryptedRenderCache expires entries after the TTL', () => {
+  const cache = newCache({ ttlSeconds: 0 });
+  cache.set('a', 'f', Buffer.from('x'));
+  cache.entries.get('a').expiresAt = Date.now() - 1;
+  assert.deepEqual(cache.get('a', 'f'), { buffer: undefined, invalidated: false });
+  assert.equal(cache.size, 0);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RenderStatsAggregator } = require('../src/utils/renderStats');
+
+function newAggregator(alertOverrides = {}) {
+  const clock = { nowMs: 1_800_000_000_000 };
+  const alerts = [];
+  const stats = new RenderStatsAggregator({
+    bucketSeconds: 10,
+    windowsSeconds: [300, 3600],
+    alert: { thresholdPercent: 50, windowSeconds: 60, minRenders: 4, cooldownSeconds: 600, ...alertOverrides },
+    onAlert: (alert) => alerts.push(alert),
+    now: () => clock.nowMs,
+  });
+  return { stats, clock, alerts };
+}
+
+function windowOf(stats, eventId, windowSeconds) {
+  return stats.stats(eventId).windows.find((w) => w.window_seconds === windowSeconds);
+}
+
+test('RenderStatsAggregator counts successes, fallbacks and reasons per event and window', () => {
+  const { stats, clock } = newAggregator({ thresholdPercent: 0 });
+  stats.record(6, 'success');
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  clock.nowMs += 120_000;
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  stats.record(6, 'fallback', 'SupabaseTimeoutError');
+  stats.record(33, 'success');
+
+  const report = stats.stats(6);
+  assert.deepEqual(
+    report.windows.map((w) => w.window_seconds),
+    [60, 300, 3600],
+    'the alert window is always reported'
+  );
+  assert.deepEqual(windowOf(stats, 6, 300), {
+    window_seconds: 300,
+    total: 4,
+    success: 1,
+    fallback: 3,
+    fallback_rate: 0.75,
+    fallback_reasons: { LayoutInvalidError: 2, SupabaseTimeoutError: 1 },
+  });
+  assert.deepEqual(windowOf(stats, 6, 60), {
+    window_seconds: 60,
+    total: 2,
+    success: 0,
+    fallback: 2,
+    fallback_rate: 1,
+    fallback_reasons: { LayoutInvalidError: 1, SupabaseTimeoutError: 1 },
+  });
+  assert.equal(windowOf(stats, 33, 300).total, 1);
+  assert.equal(report.alert.enabled, false);
+});
+
+test('RenderStatsAggregator slides old buckets out and forgets idle events', () => {
+  const { stats, clock } = newAggregator({ thresholdPercent: 0 });
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  clock.nowMs += 301_000 + 10_000;
+  stats.record(33, 'success');
+  assert.equal(windowOf(stats, 6, 300).total, 0);
+  assert.equal(windowOf(stats, 6, 3600).total, 1);
+
+  clock.nowMs += 3700_000;
+  assert.equal(windowOf(stats, 6, 3600).total, 0);
+  assert.equal(windowOf(stats, 33, 3600).total, 0);
+  assert.equal(stats.events.size, 0, 'events without buckets are dropped');
+  assert.deepEqual(windowOf(stats, 999, 300), {
+    window_seconds: 300,
+    total: 0,
+    success: 0,
+    fallback: 0,
+    fallback_rate: 0,
+    fallback_reasons: {},
+  });
+});
+
+test('RenderStatsAggregator fires once when the fallback rate crosses the threshold, then re-arms', () => {
+  const { stats, clock, alerts } = newAggregator();
+
+  // Abaixo do mínimo de renders: 100% de fallback ainda não alerta.
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  stats.record(6, 'success');
+  assert.equal(alerts.length, 0);
+
+  stats.record(6, 'success');
+  assert.equal(alerts.length, 1, '2/4 = 50% reaches the threshold');
+  assert.equal(alerts[0].eventId, 6);
+  assert.equal(alerts[0].thresholdPercent, 50);
+  assert.equal(alerts[0].window.window_seconds, 60);
+  assert.equal(alerts[0].window.fallback_rate, 0.5);
+  assert.deepEqual(alerts[0].window.fallback_reasons, { LayoutInvalidError: 2 });
+  assert.equal(alerts[0].firedAt, new Date(clock.nowMs).toISOString());
+
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  assert.equal(alerts.length, 1, 'no repeat while firing');
+  assert.equal(stats.stats(6).alert.state, 'firing');
+
+  stats.record(6, 'success');
+  stats.record(6, 'success');
+  assert.equal(stats.stats(6).alert.state, 'ok', '3/7 is back under the threshold');
+
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  assert.equal(alerts.length, 1, 'within the cooldown');
+  assert.equal(stats.stats(6).alert.state, 'ok');
+
+  clock.nowMs += 600_000;
+  for (let i = 0; i < 4; i += 1) stats.record(6, 'fallback', 'LayoutNotPublishedError');
+  assert.equal(alerts.length, 2, 'fires again after the cooldown');
+  const { alert } = stats.stats(6);
+  assert.deepEqual(
+    { state: alert.state, fired: alert.fired, last_fired_at: alert.last_fired_at },
+    { state: 'firing', fired: 2, last_fired_at: new Date(clock.nowMs).toISOString() }
+  );
+});
+
+test('RenderStatsAggregator keeps alerts per event and never fires with the threshold disabled', () => {
+  const { stats, alerts } = newAggregator({ minRenders: 1 });
+  stats.record(6, 'fallback', 'LayoutInvalidError');
+  stats.record(33, 'success');
+  assert.deepEqual(alerts.map((a) => a.eventId), [6]);
+  assert.equal(stats.stats(33).alert.state, 'ok');
+
+  const disabled = newAggregator({ thresholdPercent: 0, minRenders: 1 });
+  disabled.stats.record(6, 'fallback', 'LayoutInvalidError');
+  assert.equal(disabled.alerts.length, 0);
+});
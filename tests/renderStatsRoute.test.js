@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const { signWebhookPayload } = require('../src/middleware/webhookSignature');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+
+const API_KEY = 'render-stats-test-key';
+const WEBHOOK_SECRET = 'render-stats-webhook-secret';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const [PUBLISHED, , UNPUBLISHED] = contextParticipants.map((p) => p.id);
+
+/** Recebe os webhooks de alerta (corpo cru + headers). */
+async function startWebhookReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      received.push({ headers: req.headers, rawBody: Buffer.concat(chunks).toString('utf8') });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/alerts`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+async function waitFor(predicate, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+test('GET /v2/events/:eventId/render-stats scores /badge renders and alerts on the fallback rate', async (t) => {
+  const receiver = await startWebhookReceiver();
+  t.after(() => receiver.close());
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    eventIdAllowlist: '6,33,999',
+    apiKey: API_KEY,
+    webhookSecret: WEBHOOK_SECRET,
+    fallbackAlert: { webhookUrl: receiver.url, thresholdPercent: 50, minRenders: 2 },
+  });
+  t.after(() => server.close());
+
+  await t.test('requires the API key and a numeric event id', async () => {
+    assert.equal((await server.requestGetPath('/v2/events/6/render-stats')).status, 401);
+    const invalid = await server.requestGetPath('/v2/events/abc/render-stats', AUTH);
+    assert.equal(invalid.status, 400);
+    assert.match(JSON.parse(invalid.body).error, /eventId must be a positive integer/);
+  });
+
+  await t.test('an event without renders reports empty windows', async () => {
+    const res = await server.requestGetPath('/v2/events/6/render-stats', AUTH);
+    assert.equal(res.status, 200);
+    const json = JSON.parse(res.body);
+    assert.equal(json.event_id, 6);
+    assert.deepEqual(
+      json.windows.map((w) => [w.window_seconds, w.total]),
+      [
+        [300, 0],
+        [3600, 0],
+      ]
+    );
+    assert.deepEqual(json.alert, {
+      enabled: true,
+      state: 'ok',
+      threshold_percent: 50,
+      window_seconds: 300,
+      min_renders: 2,
+      last_fired_at: null,
+      fired: 0,
+    });
+  });
+
+  await t.test('counts dynamic successes and silent fallbacks per event', async () => {
+    const ok = await server.requestGet({ qr: PUBLISHED });
+    assert.equal(ok.headers['x-label-engine'], 'dynamic');
+    const events6 = JSON.parse((await server.requestGetPath('/v2/events/6/render-stats', AUTH)).body);
+    assert.deepEqual(
+      { total: events6.windows[0].total, success: events6.windows[0].success },
+      { total: 1, success: 1 }
+    );
+
+    for (let i = 0; i < 2; i += 1) {
+      const res = await server.requestGet({ qr: UNPUBLISHED, name: 'Fallback' });
+      assert.equal(res.headers['x-label-engine'], 'legacy');
+      assert.equal(res.headers['x-label-fallback-reason'], 'LayoutNotPublishedError');
+    }
+    const events999 = JSON.parse((await server.requestGetPath('/v2/events/999/render-stats', AUTH)).body);
+    assert.deepEqual(events999.windows[0], {
+      window_seconds: 300,
+      total: 2,
+      success: 0,
+      fallback: 2,
+      fallback_rate: 1,
+      fallback_reasons: { LayoutNotPublishedError: 2 },
+    });
+    assert.equal(events999.alert.state, 'firing');
+    assert.equal(events999.alert.fired, 1);
+  });
+
+  await t.test('fires one signed webhook without any participant data', async () => {
+    await waitFor(() => receiver.received.length === 1);
+    const [{ headers, rawBody }] = receiver.received;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(
+      headers['x-label-signature'],
+      signWebhookPayload(WEBHOOK_SECRET, headers['x-label-timestamp'], Buffer.from(rawBody))
+    );
+    const alert = JSON.parse(rawBody);
+    assert.equal(alert.type, 'label.fallback_rate_exceeded');
+    assert.equal(alert.event_id, 999);
+    assert.equal(alert.threshold_percent, 50);
+    assert.equal(alert.window_seconds, 300);
+    assert.equal(alert.fallback_rate, 1);
+    assert.deepEqual(alert.fallback_reasons, { LayoutNotPublishedError: 2 });
+    assert.equal(typeof alert.fired_at, 'string');
+    assert.ok(!rawBody.includes(UNPUBLISHED));
+
+    await server.requestGet({ qr: UNPUBLISHED, name: 'Fallback' });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(receiver.received.length, 1, 'no repeat while the alert is firing');
+  });
+});
@@ -103,4 +103,86 @@ test('dynamic repositories (participant context + label RPCs)', async (t) => {
       LabelDataUnavailableError
     );
   });
+
+  // Com TTL 0 a entrada fresca ainda vale no mesmo milissegundo.
+  const pastFreshTtl = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  await t.test('getPublishedLayout serves the last good layout, marked stale, while the RPC fails', async (t2) => {
+    const { env } = require('../src/config/env');
+    const rpc = 'get_published_event_label_layout';
+    env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 0;
+    env.LABEL_LAYOUT_STALE_REFRESH_SECONDS = 0;
+    t2.after(() => {
+      fake.setRpcFailure(rpc, null);
+      env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 60;
+      env.LABEL_LAYOUT_STALE_REFRESH_SECONDS = 5;
+      labelRpcRepository.clearLayoutCache();
+    });
+    labelRpcRepository.clearLayoutCache();
+
+    const fresh = await labelRpcRepository.getPublishedLayout(6);
+    assert.equal(labelRpcRepository.getLayoutStaleness(fresh), undefined);
+    await pastFreshTtl();
+
+    fake.setRpcFailure(rpc, 'hang');
+    const startedAt = Date.now();
+    const stale = await labelRpcRepository.getPublishedLayout(6);
+    assert.ok(Date.now() - startedAt < 2500);
+    assert.equal(stale.version_id, 16);
+    assert.equal(typeof labelRpcRepository.getLayoutStaleness(stale), 'number');
+    assert.equal(labelRpcRepository.getLayoutStaleness(fresh), undefined, 'the cached original is never marked');
+
+    // Queda em andamento: responde stale sem esperar a RPC e o refresh
+    // roda em background até o Supabase voltar.
+    fake.setRpcFailure(rpc, 'error');
+    const callsBefore = fake.getRpcCallCount(rpc);
+    const quick = Date.now();
+    await labelRpcRepository.getPublishedLayout(6);
+    assert.ok(Date.now() - quick < 1000, 'stale is served without waiting for the RPC');
+
+    fake.setRpcFailure(rpc, null);
+    let refreshed;
+    for (let i = 0; i < 40; i += 1) {
+      refreshed = await labelRpcRepository.getPublishedLayout(6);
+      if (labelRpcRepository.getLayoutStaleness(refreshed) === undefined) break;
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    assert.equal(labelRpcRepository.getLayoutStaleness(refreshed), undefined, 'background refresh ends the outage');
+    assert.ok(fake.getRpcCallCount(rpc) > callsBefore);
+  });
+
+  await t.test('getPublishedLayout never serves stale without a last good layout, outside the grace window or for non-outage errors', async (t2) => {
+    const { env } = require('../src/config/env');
+    const rpc = 'get_published_event_label_layout';
+    env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 0;
+    t2.after(() => {
+      fake.setRpcFailure(rpc, null);
+      env.LABEL_LAYOUT_CACHE_TTL_SECONDS = 60;
+      env.LABEL_LAYOUT_STALE_GRACE_SECONDS = 900;
+      labelRpcRepository.clearLayoutCache();
+    });
+    labelRpcRepository.clearLayoutCache();
+
+    fake.setRpcFailure(rpc, 'error');
+    await assert.rejects(() => labelRpcRepository.getPublishedLayout(6), SupabaseUnavailableError);
+
+    fake.setRpcFailure(rpc, null);
+    await labelRpcRepository.getPublishedLayout(33);
+    await pastFreshTtl();
+    env.LABEL_LAYOUT_STALE_GRACE_SECONDS = 0;
+    fake.setRpcFailure(rpc, 'error');
+    await assert.rejects(() => labelRpcRepository.getPublishedLayout(33), SupabaseUnavailableError);
+
+    env.LABEL_LAYOUT_STALE_GRACE_SECONDS = 900;
+    fake.setRpcFailure(rpc, null);
+    await labelRpcRepository.getPublishedLayout(6);
+    await pastFreshTtl();
+    const published = layoutsByEventId['6'];
+    delete layoutsByEventId['6'];
+    try {
+      await assert.rejects(() => labelRpcRepository.getPublishedLayout(6), LayoutNotPublishedError);
+    } finally {
+      layoutsByEventId['6'] = published;
+    }
+  });
 });
@@ -2,7 +2,14 @@
 
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { validateBadgeV2Payload } = require('../src/validators/requestValidator');
+const {
+  validateBadgeV2Payload,
+  validateBadgeSheetPayload,
+  validateBadgeBatchPayload,
+  validateJobPayload,
+  validateBadgePreviewPayload,
+  validateCacheInvalidatePayload,
+} = require('../src/validators/requestValidator');
 const { InvalidRequestError } = require('../src/utils/errors');
 
 const VALID_UUID = 'aaaaaaaa-0000-0000-0000-000000000001';
@@ -17,6 +24,26 @@ test('validateBadgeV2Payload accepts an explicit format of png', () => {
   assert.equal(result.outputFormat, 'png');
 });
 
+test('validateBadgeV2Payload accepts the printer formats tspl and zpl', () => {
+  assert.equal(validateBadgeV2Payload({ participant_id: VALID_UUID, format: 'tspl' }).outputFormat, 'tspl');
+  assert.equal(validateBadgeV2Payload({ participant_id: VALID_UUID, format: 'zpl' }).outputFormat, 'zpl');
+});
+
+test('validateBadgeV2Payload accepts an optional positive integer layout_version_id', () => {
+  assert.equal(validateBadgeV2Payload({ participant_id: VALID_UUID, layout_version_id: 15 }).layoutVersionId, 15);
+  assert.equal('layoutVersionId' in validateBadgeV2Payload({ participant_id: VALID_UUID }), false);
+  for (const bad of [0, -1, 1.5, '15']) {
+    assert.throws(
+      () => validateBadgeV2Payload({ participant_id: VALID_UUID, layout_version_id: bad }),
+      /layout_version_id must be a positive integer/
+    );
+  }
+});
+
+test('validateBadgeV2Payload accepts format=pdf', () => {
+  assert.equal(validateBadgeV2Payload({ participant_id: VALID_UUID, format: 'pdf' }).outputFormat, 'pdf');
+});
+
 test('validateBadgeV2Payload trims and lowercases format', () => {
   const result = validateBadgeV2Payload({ participant_id: VALID_UUID, format: 'PNG' });
   assert.equal(result.outputFormat, 'png');
@@ -36,3 +63,121 @@ test('validateBadgeV2Payload rejects a non-UUID participant_id', () => {
 test('validateBadgeV2Payload rejects an unsupported format', () => {
   assert.throws(() => validateBadgeV2Payload({ participant_id: VALID_UUID, format: 'svg' }), InvalidRequestError);
 });
+
+test('validateBadgeV2Payload accepts a known dither mode and rejects unknown ones', () => {
+  const result = validateBadgeV2Payload({ participant_id: VALID_UUID, dither: 'Floyd-Steinberg' });
+  assert.equal(result.ditherMode, 'floyd-steinberg');
+  assert.throws(() => validateBadgeV2Payload({ participant_id: VALID_UUID, dither: 'atkinson' }), InvalidRequestError);
+  assert.throws(() => validateBadgeV2Payload({ participant_id: VALID_UUID, dither: 1 }), InvalidRequestError);
+});
+
+test('validateBadgeSheetPayload applies template defaults and defaults format to pdf', () => {
+  const result = validateBadgeSheetPayload({ participant_ids: [VALID_UUID], template: { rows: 5, columns: 2 } });
+  assert.deepEqual(result, {
+    participantIds: [VALID_UUID],
+    outputFormat: 'pdf',
+    template: {
+      pageSize: 'A4',
+      orientation: 'portrait',
+      rows: 5,
+      columns: 2,
+      labelWidthMm: 80,
+      labelHeightMm: 50,
+      gutterXMm: 0,
+      gutterYMm: 0,
+      cropMarks: false,
+    },
+  });
+});
+
+test('validateBadgeSheetPayload rejects bad participant lists and templates', () => {
+  const template = { rows: 1, columns: 1 };
+  assert.throws(() => validateBadgeSheetPayload({ participant_ids: [], template }), InvalidRequestError);
+  assert.throws(() => validateBadgeSheetPayload({ participant_ids: ['nope'], template }), InvalidRequestError);
+  assert.throws(
+    () => validateBadgeSheetPayload({ participant_ids: new Array(51).fill(VALID_UUID), template }),
+    /at most 50/
+  );
+  assert.throws(() => validateBadgeSheetPayload({ participant_ids: [VALID_UUID] }), /template must be an object/);
+  assert.throws(
+    () => validateBadgeSheetPayload({ participant_ids: [VALID_UUID], template: { rows: 1 } }),
+    /rows and template.columns are required/
+  );
+  assert.throws(
+    () => validateBadgeSheetPayload({ participant_ids: [VALID_UUID], template: { ...template, page_size: 'A3' } }),
+    /page_size/
+  );
+  assert.throws(
+    () => validateBadgeSheetPayload({ participant_ids: [VALID_UUID], template: { ...template, gutter_x_mm: -1 } }),
+    /gutter_x_mm/
+  );
+  assert.throws(
+    () => validateBadgeSheetPayload({ participant_ids: [VALID_UUID], template, format: 'zpl' }),
+    /"pdf" or "png"/
+  );
+});
+
+test('validateBadgeBatchPayload accepts participant_ids (deduplicated) or event_id + offset, never both', () => {
+  assert.deepEqual(validateBadgeBatchPayload({ participant_ids: [VALID_UUID, ` ${VALID_UUID} `] }), {
+    participantIds: [VALID_UUID],
+  });
+  assert.deepEqual(validateBadgeBatchPayload({ event_id: 6 }), { eventId: 6, offset: 0 });
+  assert.deepEqual(validateBadgeBatchPayload({ event_id: 6, offset: 100 }), { eventId: 6, offset: 100 });
+
+  assert.throws(() => validateBadgeBatchPayload({}), /exactly one of/);
+  assert.throws(() => validateBadgeBatchPayload({ participant_ids: [VALID_UUID], event_id: 6 }), /exactly one of/);
+  assert.throws(() => validateBadgeBatchPayload({ participant_ids: [VALID_UUID], offset: 1 }), /offset/);
+  assert.throws(() => validateBadgeBatchPayload({ event_id: '6' }), /event_id/);
+  assert.throws(
+    () => validateBadgeBatchPayload({ participant_ids: new Array(101).fill(VALID_UUID) }),
+    /at most 100 entries per batch/
+  );
+});
+
+test('validateJobPayload defaults type to batch and allows up to 1000 participants per job', () => {
+  assert.deepEqual(validateJobPayload({ event_id: 6 }), { type: 'batch', eventId: 6, offset: 0 });
+  const ids = new Array(1000).fill(VALID_UUID);
+  assert.deepEqual(validateJobPayload({ type: 'batch', participant_ids: ids }), {
+    type: 'batch',
+    participantIds: [VALID_UUID],
+  });
+
+  assert.throws(() => validateJobPayload({ type: 'sheet', event_id: 6 }), /type must be one of: batch/);
+  assert.throws(() => validateJobPayload({ event_id: 6, participant_ids: [VALID_UUID] }), /exactly one of/);
+  assert.throws(
+    () => validateJobPayload({ participant_ids: new Array(1001).fill(VALID_UUID) }),
+    /at most 1000 entries per job/
+  );
+});
+
+test('validateBadgePreviewPayload requires an inline layout plus exactly one data source', () => {
+  const layout = { layout_config: { elements: [] }, print_profile: { dpi: 300 } };
+  assert.deepEqual(validateBadgePreviewPayload({ ...layout, sample_data: { participant: {} } }), {
+    layoutConfig: layout.layout_config,
+    printProfile: layout.print_profile,
+    sampleData: { participant: {} },
+    outputFormat: 'base64',
+  });
+  assert.equal(validateBadgePreviewPayload({ ...layout, participant_id: VALID_UUID, format: 'PNG' }).outputFormat, 'png');
+
+  assert.throws(() => validateBadgePreviewPayload({ sample_data: {} }), /layout_config and print_profile/);
+  assert.throws(() => validateBadgePreviewPayload(layout), /exactly one of participant_id or sample_data/);
+  assert.throws(() => validateBadgePreviewPayload({ ...layout, participant_id: 'nope' }), /participant_id/);
+  assert.throws(() => validateBadgePreviewPayload({ ...layout, sample_data: [] }), /sample_data must be an object/);
+  assert.throws(
+    () => validateBadgePreviewPayload({ ...layout, sample_data: {}, format: 'pdf' }),
+    /format must be "png" or "base64"/
+  );
+});
+
+test('validateCacheInvalidatePayload accepts event_id and/or participant_ids (deduplicated)', () => {
+  assert.deepEqual(validateCacheInvalidatePayload({ event_id: 6 }), { eventId: 6, participantIds: [] });
+  assert.deepEqual(validateCacheInvalidatePayload({ participant_ids: [VALID_UUID, ` ${VALID_UUID}`] }), {
+    participantIds: [VALID_UUID],
+  });
+
+  assert.throws(() => validateCacheInvalidatePayload({}), /event_id and\/or participant_ids/);
+  assert.throws(() => validateCacheInvalidatePayload({ event_id: 0 }), /event_id must be a positive integer/);
+  assert.throws(() => validateCacheInvalidatePayload({ participant_ids: [] }), /non-empty array/);
+  assert.throws(() => validateCacheInvalidatePayload([]), InvalidRequestError);
+});
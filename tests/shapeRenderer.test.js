@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderShapeElement } = require('../src/renderers/shapeRenderer');
+const { createCanvas, getContext2d } = require('../src/renderers/canvasRuntime');
+
+const IDENTITY_SCALE = { scaleX: 1, scaleY: 1, uniformScale: 1 };
+
+function drawOnWhite(width, height, element, scale = IDENTITY_SCALE) {
+  const canvas = createCanvas(width, height);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, width, height);
+  renderShapeElement(ctx, element, scale);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const pixelAt = (x, y) => {
+    const idx = (y * width + x) * 4;
+    return [data[idx], data[idx + 1], data[idx + 2]];
+  };
+  return { pixelAt };
+}
+
+test('renderShapeElement fills a rect band with the given color', () => {
+  const { pixelAt } = drawOnWhite(100, 60, {
+    x: 0,
+    y: 10,
+    width: 100,
+    height: 20,
+    shape: 'rect',
+    fillColor: '#FF0000',
+  });
+  assert.deepEqual(pixelAt(50, 20), [255, 0, 0]);
+  assert.deepEqual(pixelAt(50, 5), [255, 255, 255]);
+  assert.deepEqual(pixelAt(50, 40), [255, 255, 255]);
+});
+
+test('renderShapeElement strokes a frame inside the box, scaled uniformly', () => {
+  const element = { x: 10, y: 10, width: 40, height: 30, shape: 'rect', strokeColor: '#000000', strokeWidth: 2 };
+  const { pixelAt } = drawOnWhite(120, 100, element, { scaleX: 2, scaleY: 2, uniformScale: 2 });
+  // Caixa em pixels: (20,20)-(100,80), traço de 4px todo por dentro.
+  assert.deepEqual(pixelAt(21, 50), [0, 0, 0]);
+  assert.deepEqual(pixelAt(23, 50), [0, 0, 0]);
+  assert.deepEqual(pixelAt(18, 50), [255, 255, 255], 'no bleed outside the box');
+  assert.deepEqual(pixelAt(60, 50), [255, 255, 255], 'no fill without fillColor');
+});
+
+test('renderShapeElement rounds the corners of a rounded_rect and draws ellipses inside the box', () => {
+  const rounded = drawOnWhite(100, 100, {
+    x: 0,
+    y: 0,
+    width: 100,
+    height: 100,
+    shape: 'rounded_rect',
+    fillColor: '#000000',
+    cornerRadius: 30,
+  });
+  assert.deepEqual(rounded.pixelAt(2, 2), [255, 255, 255]);
+  assert.deepEqual(rounded.pixelAt(50, 2), [0, 0, 0]);
+
+  const ellipse = drawOnWhite(100, 60, { x: 0, y: 0, width: 100, height: 60, shape: 'ellipse', fillColor: '#000' });
+  assert.deepEqual(ellipse.pixelAt(50, 30), [0, 0, 0]);
+  assert.deepEqual(ellipse.pixelAt(3, 3), [255, 255, 255]);
+});
+
+test('renderShapeElement draws a line along the longer axis of its box', () => {
+  const horizontal = drawOnWhite(100, 20, {
+    x: 0,
+    y: 0,
+    width: 100,
+    height: 20,
+    shape: 'line',
+    strokeColor: '#000000',
+    strokeWidth: 4,
+  });
+  assert.deepEqual(horizontal.pixelAt(50, 10), [0, 0, 0]);
+  assert.deepEqual(horizontal.pixelAt(50, 2), [255, 255, 255]);
+
+  const vertical = drawOnWhite(20, 100, {
+    x: 0,
+    y: 0,
+    width: 20,
+    height: 100,
+    shape: 'line',
+    strokeColor: '#000000',
+    strokeWidth: 4,
+  });
+  assert.deepEqual(vertical.pixelAt(10, 50), [0, 0, 0]);
+  assert.deepEqual(vertical.pixelAt(2, 50), [255, 255, 255]);
+});
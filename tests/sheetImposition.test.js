@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSheetGrid, drawSheetPage, fitLabelInSlot } = require('../src/renderers/sheetImposition');
+const { ConcurrencyLimiter, mapWithLimiter } = require('../src/utils/concurrency');
+const { InvalidRequestError } = require('../src/utils/errors');
+
+function template(overrides = {}) {
+  return {
+    pageSize: 'A4',
+    orientation: 'portrait',
+    rows: 5,
+    columns: 2,
+    labelWidthMm: 80,
+    labelHeightMm: 50,
+    gutterXMm: 10,
+    gutterYMm: 5,
+    cropMarks: false,
+    ...overrides,
+  };
+}
+
+test('computeSheetGrid centers the grid on the page when no margin is given', () => {
+  const grid = computeSheetGrid(template());
+  assert.equal(grid.pageWidthMm, 210);
+  assert.equal(grid.pageHeightMm, 297);
+  assert.equal(grid.gridWidthMm, 170);
+  assert.equal(grid.gridHeightMm, 270);
+  assert.equal(grid.gridLeftMm, 20);
+  assert.equal(grid.gridTopMm, 13.5);
+  assert.equal(grid.slots.length, 10);
+  assert.deepEqual(grid.slots[0], { row: 1, column: 1, xMm: 20, yMm: 13.5 });
+  assert.deepEqual(grid.slots[1], { row: 1, column: 2, xMm: 110, yMm: 13.5 });
+  assert.deepEqual(grid.slots[2], { row: 2, column: 1, xMm: 20, yMm: 68.5 });
+});
+
+test('computeSheetGrid honors explicit margins and landscape orientation', () => {
+  const grid = computeSheetGrid(
+    template({ orientation: 'landscape', rows: 3, columns: 3, marginLeftMm: 5, marginTopMm: 8, gutterXMm: 0 })
+  );
+  assert.equal(grid.pageWidthMm, 297);
+  assert.equal(grid.pageHeightMm, 210);
+  assert.deepEqual(grid.slots[8], { row: 3, column: 3, xMm: 165, yMm: 118 });
+});
+
+test('computeSheetGrid rejects a grid that does not fit on the page', () => {
+  assert.throws(() => computeSheetGrid(template({ columns: 3 })), InvalidRequestError);
+  assert.throws(() => computeSheetGrid(template({ marginLeftMm: 50 })), /does not fit/);
+});
+
+test('fitLabelInSlot keeps the label aspect ratio and centers it in a slot of another shape', () => {
+  // Etiqueta 80x50 (960x600 px) num cartão CR80 retrato 54x86.
+  const grid = computeSheetGrid(template({ rows: 3, columns: 3, labelWidthMm: 54, labelHeightMm: 86, gutterXMm: 5 }));
+  const box = fitLabelInSlot({ width: 960, height: 600 }, grid.slots[0], grid);
+  assert.equal(box.widthMm, 54);
+  assert.equal(box.heightMm, 33.75);
+  assert.equal(box.xMm, grid.slots[0].xMm);
+  assert.equal(box.yMm, grid.slots[0].yMm + (86 - 33.75) / 2);
+
+  // Mesma proporção: ocupa o slot inteiro, como antes.
+  const same = computeSheetGrid(template());
+  assert.deepEqual(fitLabelInSlot({ width: 960, height: 600 }, same.slots[1], same), {
+    xMm: 110,
+    yMm: 13.5,
+    widthMm: 80,
+    heightMm: 50,
+  });
+});
+
+test('drawSheetPage never stretches a label into a mismatched template', () => {
+  const grid = computeSheetGrid(template({ rows: 1, columns: 1, labelWidthMm: 54, labelHeightMm: 86 }));
+  const draws = [];
+  const ctx = { fillRect() {}, drawImage: (image, x, y, width, height) => draws.push({ x, y, width, height }) };
+  drawSheetPage(ctx, grid, [{ width: 960, height: 600 }], 10);
+
+  assert.equal(draws.length, 1);
+  const { width, height } = draws[0];
+  assert.ok(Math.abs(width / height - 960 / 600) < 1e-9, `aspect ${width / height}`);
+  assert.equal(width, 540);
+});
+
+test('mapWithLimiter keeps result order and only adds workers while the limiter has free slots', async () => {
+  const limiter = new ConcurrencyLimiter(3);
+  limiter.tryAcquire(); // slot da própria requisição
+  let running = 0;
+  let peak = 0;
+
+  const results = await mapWithLimiter([1, 2, 3, 4, 5, 6], limiter, 4, async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+    return n * 10;
+  });
+
+  assert.deepEqual(results, [10, 20, 30, 40, 50, 60]);
+  assert.equal(peak, 3, 'one worker on the caller slot plus the two free limiter slots');
+  assert.equal(limiter.active, 1, 'extra slots are released when the workers finish');
+});
+
+test('mapWithLimiter runs sequentially when the limiter is saturated', async () => {
+  const limiter = new ConcurrencyLimiter(1);
+  limiter.tryAcquire();
+  let peak = 0;
+  let running = 0;
+  await mapWithLimiter([1, 2, 3], limiter, 4, async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setImmediate(resolve));
+    running -= 1;
+  });
+  assert.equal(peak, 1);
+});
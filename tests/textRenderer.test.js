@@ -144,3 +144,79 @@ test('renderTextElement (truncate) keeps the fixed font size and ellipsizes what
   assert.ok(calls.fillText[0].text.endsWith('…'));
   assert.ok(calls.fillText[0].text.length < 'Hello World'.length);
 });
+
+test('renderTextElement rotates around the box center and lays out the lines unrotated', () => {
+  const { ctx, calls } = makeRecordingCtx();
+  const transforms = [];
+  Object.assign(ctx, {
+    save: () => transforms.push(['save']),
+    restore: () => transforms.push(['restore']),
+    translate: (x, y) => transforms.push(['translate', x, y]),
+    rotate: (radians) => transforms.push(['rotate', radians]),
+  });
+  const element = {
+    x: 20,
+    y: 100,
+    width: 400,
+    height: 60,
+    fontSize: 20,
+    minFontSize: 20,
+    maxLines: 1,
+    maxCharacters: 100,
+    overflowStrategy: 'truncate',
+    fontFamily: 'Arial',
+    fontWeight: 'normal',
+    textAlign: 'left',
+  };
+  renderTextElement(ctx, element, 'Hello World', IDENTITY_SCALE, 'Arial');
+  const unrotated = calls.fillText.splice(0);
+  assert.deepEqual(transforms, [], 'rotation 0 never touches the transform');
+
+  renderTextElement(ctx, { ...element, rotation: 90 }, 'Hello World', IDENTITY_SCALE, 'Arial');
+  assert.deepEqual(transforms, [
+    ['save'],
+    ['translate', 220, 130],
+    ['rotate', Math.PI / 2],
+    ['translate', -220, -130],
+    ['restore'],
+  ]);
+  assert.deepEqual(calls.fillText, unrotated);
+});
+
+test('renderTextElement paints backgroundColor over the whole box before the text in color', () => {
+  const { ctx, calls } = makeRecordingCtx();
+  const painted = [];
+  Object.assign(ctx, {
+    fillRect: (x, y, width, height) => painted.push(['fillRect', ctx.fillStyle, x, y, width, height]),
+    fillText: (text) => painted.push(['fillText', ctx.fillStyle, text]),
+  });
+  const element = {
+    x: 0,
+    y: 400,
+    width: 800,
+    height: 100,
+    fontSize: 40,
+    minFontSize: 40,
+    maxLines: 1,
+    maxCharacters: 100,
+    overflowStrategy: 'truncate',
+    fontFamily: 'Arial',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  };
+
+  renderTextElement(ctx, element, 'VIP', IDENTITY_SCALE, 'Arial');
+  assert.deepEqual(painted, [['fillText', '#000000', 'VIP']], 'black text and no fill by default');
+
+  painted.length = 0;
+  renderTextElement(ctx, { ...element, color: '#FFFFFF', backgroundColor: '#000000' }, 'VIP', IDENTITY_SCALE, 'Arial');
+  assert.deepEqual(painted, [
+    ['fillRect', '#000000', 0, 400, 800, 100],
+    ['fillText', '#FFFFFF', 'VIP'],
+  ]);
+
+  painted.length = 0;
+  renderTextElement(ctx, { ...element, backgroundColor: '#000000' }, '', IDENTITY_SCALE, 'Arial');
+  assert.deepEqual(painted, [], 'an empty value leaves no band behind');
+  assert.equal(calls.fillText.length, 0);
+});
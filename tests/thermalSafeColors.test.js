@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  colorLuminance,
+  toThermalSafeColor,
+  toThermalSafeLayoutConfig,
+} = require('../src/renderers/thermalSafeColors');
+
+test('colorLuminance uses the BT.601 weights of the monochrome stage and expands #RGB', () => {
+  assert.equal(colorLuminance('#000000'), 0);
+  assert.equal(colorLuminance('#FFF'), 255);
+  assert.equal(colorLuminance('#FF0000'), colorLuminance('#f00'));
+  assert.equal(Math.round(colorLuminance('#00008B')), 16);
+  assert.equal(colorLuminance('red'), null);
+});
+
+test('toThermalSafeColor snaps to pure black or white around the threshold', () => {
+  assert.equal(toThermalSafeColor('#1A237E'), '#000000', 'dark blue band prints solid black');
+  assert.equal(toThermalSafeColor('#CCCCCC'), '#FFFFFF', 'light grey disappears instead of printing faded');
+  assert.equal(toThermalSafeColor('#909090'), '#FFFFFF');
+  assert.equal(toThermalSafeColor('#909090', 160), '#000000', 'honours a custom threshold');
+  assert.equal(toThermalSafeColor('transparent'), 'transparent', 'non-hex values are left untouched');
+});
+
+test('toThermalSafeLayoutConfig snaps the background and every element color without mutating the input', () => {
+  const layoutConfig = {
+    schemaVersion: 1,
+    backgroundColor: '#FFF8E1',
+    elements: [
+      { id: 'band', type: 'text', color: '#FFEB3B', backgroundColor: '#B71C1C' },
+      { id: 'frame', type: 'shape', fillColor: '#E0E0E0', strokeColor: '#333333' },
+      { id: 'qr', type: 'qr_code' },
+    ],
+  };
+  const snapshot = JSON.parse(JSON.stringify(layoutConfig));
+
+  const safe = toThermalSafeLayoutConfig(layoutConfig);
+
+  assert.equal(safe.backgroundColor, '#FFFFFF');
+  assert.deepEqual(safe.elements, [
+    { id: 'band', type: 'text', color: '#FFFFFF', backgroundColor: '#000000' },
+    { id: 'frame', type: 'shape', fillColor: '#FFFFFF', strokeColor: '#000000' },
+    { id: 'qr', type: 'qr_code' },
+  ]);
+  assert.deepEqual(layoutConfig, snapshot);
+});
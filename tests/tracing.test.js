@@ -0,0 +1,279 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeOtlpCollector } = require('./fakes/fakeOtlpCollector');
+const { startDynamicEnabledServer } = require('./fakes/dynamicServerHarness');
+const { startLegacyServer } = require('./fakes/legacyServerHarness');
+const contextParticipants = require('./fixtures/dynamic/context-participants.json');
+const layoutsByEventId = require('./fixtures/dynamic/layouts.json');
+const labelDataByParticipantId = require('./fixtures/dynamic/label-data.json');
+const legacyParticipants = require('./fixtures/participants.json');
+
+// Processo isolado por arquivo (node --test): o env do tracing é lido no require.
+process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT = '';
+process.env.OTEL_EXPORTER_OTLP_ENDPOINT = '';
+const { env, parseOtlpHeaders, resolveOtlpTracesEndpoint } = require('../src/config/env');
+const tracing = require('../src/utils/tracing');
+const { tracingMiddleware } = require('../src/middleware/tracing');
+const { trace, TraceFlags } = require('@opentelemetry/api');
+const { EventEmitter } = require('node:events');
+
+const INCOMING_TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const INCOMING_SPAN_ID = '00f067aa0ba902b7';
+const DYNAMIC_STEPS = [
+  'label.dynamic_render',
+  'participant_context.fetch',
+  'layout.load',
+  'label_data.resolve',
+  'label.render',
+  'label.encode',
+];
+
+function attributesOf(span) {
+  return Object.fromEntries(span.attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+}
+
+test('extractRemoteContext joins W3C version 00 headers and ignores invalid ids', () => {
+  const remote = trace.getSpanContext(
+    tracing.extractRemoteContext({ traceparent: `00-${INCOMING_TRACE_ID}-${INCOMING_SPAN_ID}-01` })
+  );
+  assert.deepEqual(
+    { traceId: remote.traceId, spanId: remote.spanId, traceFlags: remote.traceFlags, isRemote: remote.isRemote },
+    { traceId: INCOMING_TRACE_ID, spanId: INCOMING_SPAN_ID, traceFlags: TraceFlags.SAMPLED, isRemote: true }
+  );
+  const unsampled = tracing.extractRemoteContext({ traceparent: `00-${INCOMING_TRACE_ID}-${INCOMING_SPAN_ID}-00` });
+  assert.equal(trace.getSpanContext(unsampled).traceFlags, TraceFlags.NONE);
+
+  for (const invalid of [
+    undefined,
+    '',
+    'garbage',
+    `00-${'0'.repeat(32)}-${INCOMING_SPAN_ID}-01`,
+    `00-${INCOMING_TRACE_ID}-${'0'.repeat(16)}-01`,
+    `00-${INCOMING_TRACE_ID.slice(1)}-${INCOMING_SPAN_ID}-01`,
+  ]) {
+    const headers = invalid === undefined ? {} : { traceparent: invalid };
+    assert.equal(trace.getSpanContext(tracing.extractRemoteContext(headers)), undefined, String(invalid));
+  }
+});
+
+test('OTLP env parsing follows the OpenTelemetry variable conventions', () => {
+  assert.equal(resolveOtlpTracesEndpoint('', ''), '');
+  assert.equal(resolveOtlpTracesEndpoint(undefined, 'http://collector:4318/'), 'http://collector:4318/v1/traces');
+  assert.equal(resolveOtlpTracesEndpoint('http://traces/custom', 'http://collector:4318'), 'http://traces/custom');
+  assert.deepEqual(parseOtlpHeaders('x-api-key=abc,Authorization=Bearer%20t0k, bad ,=x'), {
+    'x-api-key': 'abc',
+    Authorization: 'Bearer t0k',
+  });
+  assert.deepEqual(parseOtlpHeaders(undefined), {});
+});
+
+test('traceSpan is a pass-through while no OTLP endpoint is configured', async () => {
+  assert.equal(tracing.isTracingEnabled(), false);
+  const result = await tracing.traceSpan('noop', { a: 1 }, (span) => {
+    span.setAttribute('b', 2);
+    assert.equal(tracing.getActiveSpan(), undefined);
+    return 'done';
+  });
+  assert.equal(result, 'done');
+  await assert.rejects(
+    tracing.traceSpan('noop', {}, async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+});
+
+test('traceSpan nests spans, records errors by code and exports OTLP/JSON batches', async (t) => {
+  const collector = await createFakeOtlpCollector();
+  t.after(() => collector.close());
+  env.OTEL_TRACES_ENDPOINT = `${collector.url}/v1/traces`;
+  env.OTEL_EXPORTER_OTLP_HEADERS = { 'x-collector-token': 'secret' };
+  t.after(async () => {
+    await tracing.shutdownTracing();
+    env.OTEL_TRACES_ENDPOINT = '';
+    env.OTEL_EXPORTER_OTLP_HEADERS = {};
+  });
+
+  await tracing.traceSpan('outer', { 'label.event_id': 6 }, async (outer) => {
+    outer.setAttributes({ ratio: 0.5, cached: false, skipped: undefined });
+    await tracing.traceSpan('inner', {}, async () => {});
+    const failure = new Error('participant aaaaaaaa-0000 not found');
+    failure.code = 'PARTICIPANT_NOT_FOUND';
+    await assert.rejects(
+      tracing.traceSpan('failing', {}, async () => {
+        throw failure;
+      })
+    );
+  });
+  await tracing.flushSpans();
+
+  assert.equal(collector.requests.length, 1);
+  const [{ headers, body }] = collector.requests;
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-collector-token'], 'secret');
+  assert.deepEqual(attributesOf(body.resourceSpans[0].resource), {
+    'service.name': 'creator-label',
+    'service.version': env.SERVICE_VERSION,
+  });
+
+  const spans = collector.getSpans();
+  const byName = Object.fromEntries(spans.map((span) => [span.name, span]));
+  assert.deepEqual(Object.keys(byName).sort(), ['failing', 'inner', 'outer']);
+  const { outer, inner, failing } = byName;
+  assert.match(outer.traceId, /^[0-9a-f]{32}$/);
+  assert.match(outer.spanId, /^[0-9a-f]{16}$/);
+  assert.equal(outer.parentSpanId, undefined);
+  assert.equal(outer.kind, 1);
+  for (const child of [inner, failing]) {
+    assert.equal(child.traceId, outer.traceId);
+    assert.equal(child.parentSpanId, outer.spanId);
+  }
+  assert.deepEqual(attributesOf(outer), { 'label.event_id': 6, ratio: 0.5, cached: false });
+  assert.deepEqual(outer.status, { code: 0 });
+  assert.deepEqual(failing.status, { code: 2, message: 'PARTICIPANT_NOT_FOUND' }, 'never the error message');
+  assert.ok(BigInt(outer.endTimeUnixNano) >= BigInt(inner.endTimeUnixNano));
+  assert.ok(BigInt(inner.startTimeUnixNano) >= BigInt(outer.startTimeUnixNano));
+  assert.ok(Math.abs(Number(BigInt(outer.startTimeUnixNano) / 1000000n) - Date.now()) < 60000);
+});
+
+test('a failing collector never breaks the traced call and is logged once', async (t) => {
+  const collector = await createFakeOtlpCollector();
+  t.after(() => collector.close());
+  env.OTEL_TRACES_ENDPOINT = `${collector.url}/v1/traces`;
+  t.after(async () => {
+    await tracing.shutdownTracing();
+    env.OTEL_TRACES_ENDPOINT = '';
+  });
+  const warnings = [];
+  t.mock.method(console, 'warn', (line) => warnings.push(JSON.parse(line)));
+
+  // 500 não é retentável pelo exporter: a falha sai já no primeiro envio.
+  collector.setFailure(500);
+  assert.equal(await tracing.traceSpan('first', {}, async () => 1), 1);
+  await tracing.flushSpans();
+  await tracing.traceSpan('second', {}, async () => 2);
+  await tracing.flushSpans();
+
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].event, 'tracing:export-failed');
+  assert.equal(warnings[0].spans, 1);
+  assert.equal(warnings[0].code, 500);
+  assert.equal(collector.requests.length, 0);
+});
+
+test('the SERVER span also ends when the client aborts before the response, and only once', async (t) => {
+  const collector = await createFakeOtlpCollector();
+  t.after(() => collector.close());
+  env.OTEL_TRACES_ENDPOINT = `${collector.url}/v1/traces`;
+  t.after(async () => {
+    await tracing.shutdownTracing();
+    env.OTEL_TRACES_ENDPOINT = '';
+  });
+
+  const serve = (writableFinished, events) => {
+    const req = { method: 'POST', headers: {}, baseUrl: '/v2', route: { path: '/badges/render' } };
+    const res = Object.assign(new EventEmitter(), { statusCode: 200, writableFinished });
+    tracingMiddleware(req, res, () => {});
+    for (const event of events) res.emit(event);
+  };
+  serve(false, ['close']);
+  serve(true, ['finish', 'close']);
+  await tracing.flushSpans();
+
+  const spans = collector.getSpans();
+  assert.equal(spans.length, 2, 'one span per request, never ended twice');
+  const aborted = spans.find((span) => span.status.code === 2);
+  const served = spans.find((span) => span !== aborted);
+  assert.equal(aborted.name, 'POST /v2/badges/render');
+  assert.deepEqual(aborted.status, { code: 2, message: 'RequestAborted' });
+  assert.equal(attributesOf(aborted)['http.response.status_code'], undefined);
+  assert.equal(attributesOf(served)['http.response.status_code'], 200);
+  assert.deepEqual(served.status, { code: 0 });
+});
+
+test('/badge dynamic render joins the incoming trace with a span per pipeline step', async (t) => {
+  const collector = await createFakeOtlpCollector();
+  t.after(() => collector.close());
+  const server = await startDynamicEnabledServer({
+    participants: contextParticipants,
+    layoutsByEventId,
+    labelDataByParticipantId,
+    eventIdAllowlist: '6,33',
+    otlpEndpoint: collector.url,
+  });
+  t.after(() => server.close());
+
+  const participantId = contextParticipants[0].id;
+  const res = await server.requestGetPath(`/badge?qr=${participantId}`, {
+    traceparent: `00-${INCOMING_TRACE_ID}-${INCOMING_SPAN_ID}-01`,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['x-label-engine'], 'dynamic');
+
+  // O probe de /health da harness também gera um trace: filtra pelo de /badge.
+  const isBadgeServerSpan = (span) => span.kind === 2 && span.name === 'GET /badge';
+  const all = await collector.waitForSpans((exported) => exported.some(isBadgeServerSpan));
+  const serverSpan = all.find(isBadgeServerSpan);
+  const spans = all.filter((span) => span.traceId === serverSpan.traceId);
+  assert.equal(serverSpan.traceId, INCOMING_TRACE_ID);
+  assert.equal(serverSpan.parentSpanId, INCOMING_SPAN_ID);
+  assert.equal(attributesOf(serverSpan)['http.response.status_code'], 200);
+
+  const names = spans.map((span) => span.name);
+  for (const step of DYNAMIC_STEPS) assert.ok(names.includes(step), step);
+  const render = spans.find((span) => span.name === 'label.dynamic_render');
+  assert.equal(render.parentSpanId, serverSpan.spanId);
+  assert.deepEqual(
+    { event: attributesOf(render)['label.event_id'], version: attributesOf(render)['label.layout_version_id'] },
+    { event: 6, version: 16 }
+  );
+
+  const layoutElements = layoutsByEventId['6'].layout_config.elements;
+  const elementSpans = spans.filter((span) => span.name === 'label.element');
+  assert.equal(elementSpans.length, layoutElements.length);
+  assert.deepEqual(
+    elementSpans.map((span) => attributesOf(span)['element.id']).sort(),
+    layoutElements.map((element) => element.id).sort()
+  );
+  assert.ok(names.some((name) => name.startsWith('supabase.')), 'Supabase calls are traced');
+
+  // Nada de dado pessoal: nem participant_id, nem nome, nem URL do logo.
+  const exported = JSON.stringify(collector.requests.map(({ body }) => body));
+  assert.ok(!exported.includes(participantId));
+  assert.ok(!exported.includes(labelDataByParticipantId[participantId].participant.name));
+  assert.ok(!exported.includes('/storage/v1/'));
+  assert.match(server.getStdout(), new RegExp(`"trace_id":"${INCOMING_TRACE_ID}"`));
+});
+
+test('legacy /badge is traced end to end without the participant name', async (t) => {
+  const collector = await createFakeOtlpCollector();
+  t.after(() => collector.close());
+  const server = await startLegacyServer({
+    OTEL_EXPORTER_OTLP_ENDPOINT: collector.url,
+    OTEL_BSP_SCHEDULE_DELAY: '100',
+  });
+  t.after(() => server.close());
+
+  const participant = legacyParticipants[1];
+  const res = await server.requestGet({ qr: participant.id });
+  assert.equal(res.status, 200);
+
+  // O probe de /health da harness também gera um trace: filtra pelo de /badge.
+  const isBadgeServerSpan = (span) => span.kind === 2 && span.name === 'GET /badge';
+  const all = await collector.waitForSpans((exported) => exported.some(isBadgeServerSpan));
+  const serverSpan = all.find(isBadgeServerSpan);
+  const spans = all.filter((span) => span.traceId === serverSpan.traceId);
+  assert.equal(serverSpan.parentSpanId, undefined, 'no traceparent: a new trace starts here');
+  const names = spans.map((span) => span.name);
+  for (const step of ['legacy.participant_lookup', 'legacy.render', 'legacy.encode']) {
+    assert.ok(names.includes(step), step);
+  }
+  const lookup = spans.find((span) => span.name === 'legacy.participant_lookup');
+  assert.equal(attributesOf(lookup)['legacy.participant_found'], true);
+
+  const exported = JSON.stringify(collector.requests.map(({ body }) => body));
+  assert.ok(!exported.includes(participant.id));
+  assert.ok(!exported.includes(participant.name));
+});
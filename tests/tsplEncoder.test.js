@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas, getContext2d } = require('../src/renderers/canvasRuntime');
+const { canvasToMonochromeBitmap } = require('../src/renderers/monochromeBitmap');
+const { encodeTspl } = require('../src/renderers/tsplEncoder');
+
+function makeCanvas(width, height, paint) {
+  const canvas = createCanvas(width, height);
+  const ctx = getContext2d(canvas);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, width, height);
+  if (paint) paint(ctx);
+  return canvas;
+}
+
+test('canvasToMonochromeBitmap packs rows MSB-first with bit 1 = black', () => {
+  // 10px de largura → 2 bytes por linha; só o pixel x=0 da linha 0 e x=9 da linha 1 em preto.
+  const canvas = makeCanvas(10, 2, (ctx) => {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, 1, 1);
+    ctx.fillRect(9, 1, 1, 1);
+  });
+  const bitmap = canvasToMonochromeBitmap(canvas);
+  assert.equal(bitmap.widthBytes, 2);
+  assert.equal(bitmap.height, 2);
+  assert.deepEqual([...bitmap.data], [0x80, 0x00, 0x00, 0x40]);
+});
+
+test('canvasToMonochromeBitmap treats transparent pixels as white', () => {
+  const canvas = createCanvas(8, 1); // sem fundo: totalmente transparente
+  const bitmap = canvasToMonochromeBitmap(canvas);
+  assert.deepEqual([...bitmap.data], [0x00]);
+});
+
+test('canvasToMonochromeBitmap honors a custom threshold', () => {
+  const canvas = makeCanvas(8, 1, (ctx) => {
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, 8, 1);
+  });
+  assert.deepEqual([...canvasToMonochromeBitmap(canvas, { threshold: 100 }).data], [0x00]);
+  assert.deepEqual([...canvasToMonochromeBitmap(canvas, { threshold: 200 }).data], [0xff]);
+});
+
+test('encodeTspl emits SIZE/GAP/DIRECTION/CLS/BITMAP/PRINT with inverted bitmap bytes', () => {
+  const bitmap = { width: 16, height: 1, widthBytes: 2, data: Buffer.from([0xff, 0x0f]) };
+  const program = encodeTspl(bitmap, { widthMm: 50, heightMm: 80, gapMm: 3 });
+
+  const header = 'SIZE 50 mm,80 mm\r\nGAP 3 mm,0 mm\r\nDIRECTION 0\r\nCLS\r\nBITMAP 0,0,2,1,0,';
+  const footer = '\r\nPRINT 1,1\r\n';
+  assert.equal(program.subarray(0, header.length).toString('ascii'), header);
+  // TSPL: bit 0 = ponto impresso.
+  assert.deepEqual([...program.subarray(header.length, header.length + 2)], [0x00, 0xf0]);
+  assert.equal(program.subarray(header.length + 2).toString('ascii'), footer);
+});
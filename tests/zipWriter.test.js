@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { createZip } = require('../src/utils/zipWriter');
+
+test('createZip stores each entry with its CRC and a central directory pointing at the local headers', () => {
+  const entries = [
+    { name: 'badges/a.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    { name: 'manifest.json', data: Buffer.from('{"ok":true}\n') },
+  ];
+  const zip = createZip(entries, new Date(2026, 0, 2, 3, 4, 6));
+
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  assert.equal(zip.readUInt16LE(end + 10), 2);
+  let central = zip.readUInt32LE(end + 16);
+
+  for (const entry of entries) {
+    assert.equal(zip.readUInt32LE(central), 0x02014b50);
+    assert.equal(zip.readUInt16LE(central + 10), 0, 'STORE method');
+    assert.equal(zip.readUInt32LE(central + 16), zlib.crc32(entry.data));
+    const nameLength = zip.readUInt16LE(central + 28);
+    assert.equal(zip.toString('ascii', central + 46, central + 46 + nameLength), entry.name);
+
+    const local = zip.readUInt32LE(central + 42);
+    assert.equal(zip.readUInt32LE(local), 0x04034b50);
+    const dataStart = local + 30 + zip.readUInt16LE(local + 26);
+    assert.deepEqual(zip.subarray(dataStart, dataStart + entry.data.length), entry.data);
+    central += 46 + nameLength;
+  }
+});
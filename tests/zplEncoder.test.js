@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { encodeZpl, compressHexRow, encodeRepeatCount } = require('../src/renderers/zplEncoder');
+const { CASES, renderCaseToZpl } = require('./fixtures/zpl-golden-cases');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden', 'zpl');
+const MANIFEST_PATH = path.join(GOLDEN_DIR, 'manifest.json');
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+test('encodeRepeatCount maps counts to the G–Y / g–z repeat characters', () => {
+  assert.equal(encodeRepeatCount(1), 'G');
+  assert.equal(encodeRepeatCount(19), 'Y');
+  assert.equal(encodeRepeatCount(20), 'g');
+  assert.equal(encodeRepeatCount(22), 'gH');
+  assert.equal(encodeRepeatCount(400), 'z');
+  assert.equal(encodeRepeatCount(421), 'zgG');
+});
+
+test('compressHexRow collapses runs and trailing 0/F fills', () => {
+  assert.equal(compressHexRow('0000'), ',');
+  assert.equal(compressHexRow('FFFF'), '!');
+  assert.equal(compressHexRow('A000'), 'A,');
+  assert.equal(compressHexRow('0FFF'), '0!');
+  assert.equal(compressHexRow('A55A'), 'AH5A');
+});
+
+test('encodeZpl wraps the graphic field with ^PW/^LL from the bitmap size and repeats rows with ":"', () => {
+  const bitmap = { width: 16, height: 3, widthBytes: 2, data: Buffer.from([0x80, 0x00, 0x80, 0x00, 0xff, 0xff]) };
+  const zpl = encodeZpl(bitmap).toString('ascii');
+  assert.equal(zpl, '^XA\n^PW16\n^LL3\n^LH0,0\n^FO0,0^GFA,6,6,2,8,:!^FS\n^PQ1\n^XZ\n');
+});
+
+test('ZPL golden baseline', async (t) => {
+  assert.ok(
+    fs.existsSync(MANIFEST_PATH),
+    'golden/zpl/manifest.json not found - run "npm run golden:zpl:capture" once before testing'
+  );
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  for (const testCase of CASES) {
+    await t.test(`${testCase.name} matches golden/zpl`, () => {
+      const actual = renderCaseToZpl(testCase);
+      const expected = fs.readFileSync(path.join(GOLDEN_DIR, `${testCase.name}.zpl`));
+      assert.equal(actual.toString('ascii'), expected.toString('ascii'));
+      assert.equal(
+        sha256(actual),
+        manifest.cases[testCase.name].zplSha256,
+        `zplSha256 in manifest no longer matches for "${testCase.name}"`
+      );
+    });
+  }
+});